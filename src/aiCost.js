@@ -0,0 +1,116 @@
+/**
+ * Pure helpers for AI usage accounting: what a model call costs, the
+ * per-business monthly budget, and the admin summary.
+ *
+ * Costs are in micro-dollars (millionths of a USD) so they stay whole numbers:
+ * at $3 per million input tokens, one token costs 3 micro-dollars. Prices are
+ * per model family; AI_INPUT_USD_PER_MTOK and AI_OUTPUT_USD_PER_MTOK override
+ * them (e.g. after a price change or for a model this list doesn't know).
+ */
+
+/** USD per million tokens, matched against the model name in order. */
+const MODEL_PRICES = [
+  { match: /^stub$/, input: 0, output: 0 },
+  { match: /haiku/i, input: 1, output: 5 },
+  { match: /sonnet/i, input: 3, output: 15 },
+  { match: /opus/i, input: 5, output: 25 }
+];
+const DEFAULT_PRICE = { input: 3, output: 15 };
+
+/** Purposes recorded with each call, in the order the admin view lists them. */
+export const AI_USAGE_PURPOSES = ["reply", "birthday", "event", "one-off"];
+
+// $10,000 a month is well past anything a single location should spend.
+export const MAX_AI_BUDGET_CENTS = 1_000_000;
+
+const MICROS_PER_CENT = 10_000;
+
+function envPrice(raw) {
+  if (raw == null || String(raw).trim() === "") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/** { input, output } in USD per million tokens for this model. */
+export function getModelPrices(model, env = process.env) {
+  const base = MODEL_PRICES.find((p) => p.match.test(String(model || ""))) || DEFAULT_PRICE;
+  if (base.input === 0 && base.output === 0) return { input: 0, output: 0 };
+  return {
+    input: envPrice(env.AI_INPUT_USD_PER_MTOK) ?? base.input,
+    output: envPrice(env.AI_OUTPUT_USD_PER_MTOK) ?? base.output
+  };
+}
+
+/** Cost of one call in micro-dollars. */
+export function costMicros({ model, inputTokens = 0, outputTokens = 0 }, env = process.env) {
+  const prices = getModelPrices(model, env);
+  return Math.round((Number(inputTokens) || 0) * prices.input + (Number(outputTokens) || 0) * prices.output);
+}
+
+export function microsToCents(micros) {
+  return Math.round((Number(micros) || 0) / MICROS_PER_CENT);
+}
+
+/** True once this month's spend has reached the budget. No budget (null) never runs out. */
+export function isOverAiBudget(spentMicros, budgetCents) {
+  if (budgetCents == null) return false;
+  return (Number(spentMicros) || 0) >= budgetCents * MICROS_PER_CENT;
+}
+
+/**
+ * Validate a budget from a PATCH body: whole cents, or null/"" to remove it.
+ * @returns {{ budgetCents: number|null } | { error: string }}
+ */
+export function parseAiBudgetCents(value) {
+  if (value === null || value === "") return { budgetCents: null };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > MAX_AI_BUDGET_CENTS) {
+    return { error: `aiBudgetCents must be a whole number of cents between 0 and ${MAX_AI_BUDGET_CENTS} (or null)` };
+  }
+  return { budgetCents: n };
+}
+
+/**
+ * Roll usage rows ({ accountId, model, purpose, calls, inputTokens, outputTokens, costMicros })
+ * up per business, biggest spender first, with each business's budget status.
+ * @param {object[]} rows - one month's rows
+ * @param {Record<string, { name?: string, aiBudgetCents?: number|null }>} businesses - by accountId
+ */
+export function summarizeAiUsage(rows, businesses = {}) {
+  const byAccount = new Map();
+  const totals = { calls: 0, inputTokens: 0, outputTokens: 0, costMicros: 0 };
+  for (const row of rows) {
+    let entry = byAccount.get(row.accountId);
+    if (!entry) {
+      const business = businesses[row.accountId] || {};
+      entry = {
+        accountId: row.accountId,
+        name: business.name || null,
+        budgetCents: business.aiBudgetCents ?? null,
+        calls: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        costMicros: 0,
+        byPurpose: {},
+        models: []
+      };
+      byAccount.set(row.accountId, entry);
+    }
+    for (const key of ["calls", "inputTokens", "outputTokens", "costMicros"]) {
+      entry[key] += Number(row[key]) || 0;
+      totals[key] += Number(row[key]) || 0;
+    }
+    const purpose = (entry.byPurpose[row.purpose] ||= { calls: 0, costMicros: 0 });
+    purpose.calls += Number(row.calls) || 0;
+    purpose.costMicros += Number(row.costMicros) || 0;
+    if (!entry.models.includes(row.model)) entry.models.push(row.model);
+  }
+  const businessesSummary = [...byAccount.values()]
+    .map((entry) => ({
+      ...entry,
+      costCents: microsToCents(entry.costMicros),
+      overBudget: isOverAiBudget(entry.costMicros, entry.budgetCents)
+    }))
+    .sort((a, b) => b.costMicros - a.costMicros);
+  return { totals: { ...totals, costCents: microsToCents(totals.costMicros) }, businesses: businessesSummary };
+}
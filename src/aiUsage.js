@@ -0,0 +1,98 @@
+/**
+ * AI usage per business, per month: tokens, model, purpose and cost (see
+ * aiCost.js), plus the optional monthly budget check. Uses the ai_usage table
+ * when DATABASE_URL is set; otherwise ai-usage.json.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import * as db from "./db.js";
+import { getBusiness } from "./businesses.js";
+import { getCurrentMonthKey } from "./proPlan.js";
+import { costMicros, isOverAiBudget, microsToCents } from "./aiCost.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const AI_USAGE_PATH = path.resolve(__dirname, "..", "ai-usage.json");
+
+// File shape: { [monthKey]: { [accountId]: { ["model|purpose"]: { calls, inputTokens, outputTokens, costMicros } } } }
+async function readAll() {
+  try {
+    return JSON.parse(await fs.readFile(AI_USAGE_PATH, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+async function writeAll(obj) {
+  await fs.writeFile(AI_USAGE_PATH, JSON.stringify(obj, null, 2), "utf8");
+}
+
+/**
+ * Add one model call to the business's totals for this month.
+ * @param {{ accountId: string, model: string, purpose: string, inputTokens?: number, outputTokens?: number }} call
+ */
+export async function recordAiUsage({ accountId, model, purpose, inputTokens = 0, outputTokens = 0 }) {
+  const monthKey = getCurrentMonthKey();
+  const cost = costMicros({ model, inputTokens, outputTokens });
+  if (db.useDb()) {
+    return await db.addAiUsage({ accountId, monthKey, model, purpose, inputTokens, outputTokens, costMicros: cost });
+  }
+  const all = await readAll();
+  const account = ((all[monthKey] ||= {})[accountId] ||= {});
+  const entry = (account[`${model}|${purpose}`] ||= { calls: 0, inputTokens: 0, outputTokens: 0, costMicros: 0 });
+  entry.calls += 1;
+  entry.inputTokens += inputTokens;
+  entry.outputTokens += outputTokens;
+  entry.costMicros += cost;
+  await writeAll(all);
+}
+
+/** Every usage row for the month: { accountId, model, purpose, calls, inputTokens, outputTokens, costMicros }. */
+export async function listAiUsage(monthKey = getCurrentMonthKey()) {
+  if (db.useDb()) return await db.listAiUsage(monthKey);
+  const month = (await readAll())[monthKey] || {};
+  const rows = [];
+  for (const [accountId, entries] of Object.entries(month)) {
+    for (const [key, totals] of Object.entries(entries)) {
+      const [model, purpose] = key.split("|");
+      rows.push({ accountId, monthKey, model, purpose, ...totals });
+    }
+  }
+  return rows;
+}
+
+async function getMonthCostMicros(accountId, monthKey) {
+  if (db.useDb()) return await db.getAiUsageCostMicros(accountId, monthKey);
+  const entries = (await readAll())[monthKey]?.[accountId] || {};
+  return Object.values(entries).reduce((sum, e) => sum + (e.costMicros || 0), 0);
+}
+
+/**
+ * This month's spend against the business's budget. Without a budget (or a
+ * business) spend isn't looked up: spentCents is null and overBudget false.
+ * @returns {Promise<{ spentCents: number|null, budgetCents: number|null, overBudget: boolean }>}
+ */
+export async function getAiBudgetStatus(accountId) {
+  const business = await getBusiness(accountId);
+  const budgetCents = business?.aiBudgetCents ?? null;
+  if (budgetCents == null) return { spentCents: null, budgetCents, overBudget: false };
+  const spent = await getMonthCostMicros(accountId, getCurrentMonthKey());
+  return { spentCents: microsToCents(spent), budgetCents, overBudget: isOverAiBudget(spent, budgetCents) };
+}
+
+/**
+ * Throw (status 429, code AI_BUDGET_EXCEEDED) if the business has used up this
+ * month's AI budget. Called before every model call made for a business.
+ */
+export async function assertWithinAiBudget(accountId) {
+  const status = await getAiBudgetStatus(accountId);
+  if (!status.overBudget) return;
+  const err = new Error(
+    `AI budget reached for this month ($${(status.spentCents / 100).toFixed(2)} of $${(status.budgetCents / 100).toFixed(2)}). AI replies and messages are paused until next month or until the budget is raised.`
+  );
+  err.status = 429;
+  err.code = "AI_BUDGET_EXCEEDED";
+  throw err;
+}
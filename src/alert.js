@@ -1,6 +1,9 @@
 /**
  * Failure alerts: email (Resend) and/or SMS (Twilio) when auto-reply run fails.
  * Set ALERT_EMAIL and/or ALERT_PHONE to receive alerts.
+ *
+ * Needs-attention, new-negative-review and reconnect alerts go to the business
+ * owner instead (notification email and phone) over the same two channels.
  */
 
 const ALERT_EMAIL = process.env.ALERT_EMAIL?.trim();
@@ -10,6 +13,7 @@ const FROM_EMAIL = process.env.ALERT_FROM_EMAIL?.trim() || "Replyr <onboarding@r
 const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID?.trim();
 const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN?.trim();
 const TWILIO_FROM_NUMBER = process.env.TWILIO_FROM_NUMBER?.trim();
+const BASE_URL = (process.env.BASE_URL?.trim() || "http://localhost:3000").replace(/\/$/, "");
 
 /**
  * Send failure alert to configured email and/or phone.
@@ -28,7 +32,12 @@ export async function sendFailureAlert(opts = {}) {
   }
   if (result && (result.failed > 0 || result.details?.length)) {
     body += `Attempted: ${result.attempted ?? 0}, succeeded: ${result.succeeded ?? 0}, failed: ${result.failed ?? 0}.\n`;
-    const errDetail = result.details?.find((d) => d.status === "error" && d.message);
+    if (result.permanentlyFailed) {
+      body += `Gave up on ${result.permanentlyFailed} review(s) after repeated failures; the owner can retry them from /connected.\n`;
+    }
+    const errDetail =
+      result.details?.find((d) => d.status === "error" && d.permanent && d.message) ||
+      result.details?.find((d) => d.status === "error" && d.message);
     if (errDetail) body += `Reason: ${errDetail.message}\n`;
   }
   body += `\nTime: ${new Date().toISOString()}`;
@@ -47,27 +56,136 @@ export async function sendFailureAlert(opts = {}) {
   await Promise.allSettled(promises);
 }
 
-async function sendEmail(subject, text) {
-  if (!ALERT_EMAIL) return;
+/**
+ * Subject, email body and SMS text for a needs-attention alert, worded for why
+ * the review was held. holdKind: "escalation" (one of the owner's rules
+ * matched; the default), "prompt-injection" (the review reads like
+ * instructions to the AI) or "guardrails" (the AI reply failed the safety
+ * checks).
+ * @param {object} opts - as for sendAttentionAlert
+ * @returns {{ subject: string, body: string, shortMsg: string }}
+ */
+export function attentionAlertText(opts = {}) {
+  const { businessName, accountId = "", rating, reviewerName, reviewText, ruleName, reason, holdKind = "escalation" } = opts;
+  const businessLabel = businessName || accountId || "your business";
+  const replyUrl = `${BASE_URL}/connected?accountId=${encodeURIComponent(accountId)}#needs-attention`;
+  const stars = rating ? `${rating}-star ` : "";
+  const review = `${stars}review from ${reviewerName || "a customer"} for ${businessLabel}`;
+  const because = reason ? ` (${reason})` : "";
+  let body;
+  let shortReason;
+  if (holdKind === "prompt-injection") {
+    body = `A ${review} reads like instructions to an AI rather than a review${because}. To be safe, Replyr did not write a reply.`;
+    shortReason = "possible prompt injection";
+  } else if (holdKind === "guardrails") {
+    body = `Replyr's draft reply to a ${review} didn't pass its safety checks${because}, so it was not posted.`;
+    shortReason = "AI reply failed safety checks";
+  } else {
+    body = `A ${review} matched your escalation rule${ruleName ? ` "${ruleName}"` : ""}${because}. Replyr did not write a reply.`;
+    shortReason = ruleName || "escalation rule";
+  }
+  body += "\n\nAnswer it yourself here:\n" + replyUrl + "\n";
+  if (reviewText) body += `\nReview:\n${String(reviewText).slice(0, 1000)}\n`;
+  return {
+    subject: `Review needs your reply – ${businessLabel}`,
+    body,
+    shortMsg: `Replyr: a ${stars}review for ${businessLabel} needs your reply (${shortReason}). ${replyUrl}`
+  };
+}
+
+/**
+ * Tell the owner a review was held for a human reply (an escalation rule
+ * matched, it looked like a prompt injection, or the AI reply failed the
+ * guardrails). No-op for a channel without a recipient or provider config.
+ * @param {object} opts - { toEmail?, toPhone?, businessName?, accountId, rating?, reviewerName?, reviewText?, ruleName?, reason?, holdKind? }
+ */
+export async function sendAttentionAlert(opts = {}) {
+  const { toEmail, toPhone } = opts;
+  const { subject, body, shortMsg } = attentionAlertText(opts);
+
+  const promises = [];
+  if (toEmail && RESEND_API_KEY) {
+    promises.push(sendEmail(subject, body, toEmail).catch((e) => console.error("Attention email failed:", e.message)));
+  }
+  if (toPhone && TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && TWILIO_FROM_NUMBER) {
+    promises.push(sendSms(shortMsg, toPhone).catch((e) => console.error("Attention SMS failed:", e.message)));
+  }
+  await Promise.allSettled(promises);
+}
+
+/**
+ * Tell the owner a new low-star review just landed (sent whatever the reply
+ * mode). No-op for a channel without a recipient or provider config.
+ * @param {object} opts - { toEmail?, toPhone?, businessName?, accountId, rating?, reviewerName?, reviewText? }
+ */
+export async function sendNegativeReviewAlert(opts = {}) {
+  const { toEmail, toPhone, businessName, accountId = "", rating, reviewerName, reviewText } = opts;
+  const businessLabel = businessName || accountId || "your business";
+  const stars = rating ? `${rating}-star` : "low-star";
+  const connectedUrl = `${BASE_URL}/connected?accountId=${encodeURIComponent(accountId)}`;
+  const subject = `New ${stars} review – ${businessLabel}`;
+  let body = `${reviewerName || "A customer"} left a ${stars} review for ${businessLabel}.\n`;
+  if (reviewText) body += `\n"${String(reviewText).slice(0, 1000)}"\n`;
+  body += `\nManage replies: ${connectedUrl}\n`;
+  const shortMsg = `Replyr: new ${stars} review for ${businessLabel}${reviewText ? `: "${String(reviewText).slice(0, 100)}"` : ""}`;
+
+  const promises = [];
+  if (toEmail && RESEND_API_KEY) {
+    promises.push(sendEmail(subject, body, toEmail).catch((e) => console.error("Review alert email failed:", e.message)));
+  }
+  if (toPhone && TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && TWILIO_FROM_NUMBER) {
+    promises.push(sendSms(shortMsg, toPhone).catch((e) => console.error("Review alert SMS failed:", e.message)));
+  }
+  await Promise.allSettled(promises);
+}
+
+/**
+ * Tell the owner Google stopped accepting Replyr's access (revoked, or the
+ * refresh token expired) and auto-reply is paused until they reconnect.
+ * No-op for a channel without a recipient or provider config.
+ * @param {object} opts - { toEmail?, toPhone?, businessName?, accountId }
+ */
+export async function sendReconnectAlert(opts = {}) {
+  const { toEmail, toPhone, businessName, accountId = "" } = opts;
+  const businessLabel = businessName || accountId || "your business";
+  const returnTo = `/connected?accountId=${encodeURIComponent(accountId)}`;
+  const reconnectUrl = `${BASE_URL}/auth/google?return_to=${encodeURIComponent(returnTo)}`;
+  const subject = `Reconnect Google to keep replying – ${businessLabel}`;
+  let body = `Google is no longer accepting Replyr's access to ${businessLabel}. This happens when access is removed in your Google account settings, or when the connection expires.\n\n`;
+  body += "Replyr has paused auto-replies for now. Reconnect to pick up where it left off:\n" + reconnectUrl + "\n";
+  const shortMsg = `Replyr: Google access for ${businessLabel} stopped working, so auto-replies are paused. Reconnect: ${reconnectUrl}`;
+
+  const promises = [];
+  if (toEmail && RESEND_API_KEY) {
+    promises.push(sendEmail(subject, body, toEmail).catch((e) => console.error("Reconnect email failed:", e.message)));
+  }
+  if (toPhone && TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && TWILIO_FROM_NUMBER) {
+    promises.push(sendSms(shortMsg, toPhone).catch((e) => console.error("Reconnect SMS failed:", e.message)));
+  }
+  await Promise.allSettled(promises);
+}
+
+async function sendEmail(subject, text, to = ALERT_EMAIL) {
+  if (!to) return;
   if (!RESEND_API_KEY) return;
   const { Resend } = await import("resend");
   const resend = new Resend(RESEND_API_KEY);
   const { error } = await resend.emails.send({
     from: FROM_EMAIL,
-    to: [ALERT_EMAIL],
+    to: [to],
     subject,
     text
   });
   if (error) throw new Error(error.message);
 }
 
-async function sendSms(text) {
-  if (!ALERT_PHONE || !TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) return;
+async function sendSms(text, to = ALERT_PHONE) {
+  if (!to || !TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) return;
   const twilio = (await import("twilio")).default;
   const client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
   await client.messages.create({
     body: text.slice(0, 1600),
     from: TWILIO_FROM_NUMBER,
-    to: ALERT_PHONE
+    to
   });
 }
@@ -2,7 +2,7 @@ import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import * as db from "./db.js";
-import { listReviews, replyToReview } from "./google.js";
+import { listReviews, replyToReview, deleteReviewReply, isGoogleAuthRevoked } from "./google.js";
 import * as sentry from "./sentry.js";
 import {
   shouldDelayReply,
@@ -10,10 +10,33 @@ import {
   normalizeMode
 } from "./replyDelay.js";
 import { sendReplyPreviewEmail, isPreviewEmailConfigured } from "./replyPreviewEmail.js";
+import { resolveReplyRatings } from "./replyRatings.js";
+import { enqueueJob, startJobWorker } from "./jobQueue.js";
+import { normalizeIntervalMinutes, getTickMinutes, computeNextRunAt, isDue } from "./autoSchedule.js";
+import { recordReviewFailure, isReviewBlocked } from "./reviewFailures.js";
+import { hasReviewChangedSinceReply, needsRefreshedReply } from "./reviewEdits.js";
+import { applyBacklogPolicy } from "./replyBacklog.js";
+import { DEFAULT_TIME_ZONE, resolvePostingWindow, isWithinPostingWindow, computePostAt } from "./postingWindow.js";
+import { matchEscalationRules } from "./escalationRules.js";
+import { detectPromptInjectionInReview, reviewTextsToCheck } from "./promptInjection.js";
+import { detectLanguage, detectReviewLanguage, resolveReplyLanguage } from "./replyLanguage.js";
+import { selectStyleSamples } from "./replyStyle.js";
+import { isLlmConfigured } from "./llmProvider.js";
+import { getAiBudgetStatus } from "./aiUsage.js";
+import { GUARDRAIL_RULE_NAME, checkReply, describeViolations, guardrailFeedback } from "./replyGuardrails.js";
+import { orderVariantsByPreference, preferredVariant, dedupeCandidates, findCandidate } from "./replyVariants.js";
+import {
+  isAlertableReview,
+  isDigestDue,
+  digestPeriodStart,
+  normalizeDigestFrequency,
+  summarizeDigest
+} from "./ownerNotifications.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const STATE_PATH = path.resolve(__dirname, "..", "auto-state.json");
+const REPLIES_PATH = path.resolve(__dirname, "..", "replies.json");
 
 function stateKey(accountId, locationId) {
   return `${accountId}_${locationId}`;
@@ -41,28 +64,475 @@ async function readState(accountId, locationId) {
   return state;
 }
 
+/** File mode only; DB mode keeps run times and reply history in their own tables. */
 async function writeState(accountId, locationId, state) {
-  if (db.useDb()) {
-    await db.setAutoState(accountId, locationId, state);
-    return;
-  }
   const all = await readAllState();
   const key = stateKey(accountId, locationId);
   all[key] = state;
   await fs.writeFile(STATE_PATH, JSON.stringify(all, null, 2), "utf8");
 }
 
-/** Add a review ID to the replied list (for free-reply or manual). Works with file or DB. */
-export async function addRepliedReviewId(accountId, locationId, reviewId) {
+/** Last/next run per location, keyed by stateKey(accountId, locationId). */
+export async function getRunTimes() {
+  if (db.useDb()) {
+    const rows = await db.getAutoRunTimes();
+    const out = {};
+    for (const r of rows) out[stateKey(r.accountId, r.locationId)] = { lastRunAt: r.lastRunAt, nextRunAt: r.nextRunAt };
+    return out;
+  }
+  const all = await readAllState();
+  const out = {};
+  for (const [key, state] of Object.entries(all)) {
+    out[key] = { lastRunAt: state.lastRunAt || null, nextRunAt: state.nextRunAt || null };
+  }
+  return out;
+}
+
+/** Look up one location in the map returned by getRunTimes(). */
+export function getRunTimeFor(runTimes, accountId, locationId) {
+  return runTimes[stateKey(accountId, locationId)] || null;
+}
+
+/** Record that the scheduler started a run for this location. */
+async function markRun(accountId, locationId, lastRunAt, nextRunAt) {
+  if (db.useDb()) {
+    await db.setAutoRunTimes(accountId, locationId, lastRunAt.toISOString(), nextRunAt.toISOString());
+    return;
+  }
+  const state = await readState(accountId, locationId);
+  state.lastRunAt = lastRunAt.toISOString();
+  state.nextRunAt = nextRunAt.toISOString();
+  await writeState(accountId, locationId, state);
+}
+
+/** Where a posted reply came from; stored as replies.source. */
+export const REPLY_SOURCES = {
+  auto: "auto",
+  queued: "queued",
+  freeReply: "free-reply",
+  manualApi: "manual-api",
+  attention: "attention",
+  ownerEdit: "owner-edit",
+  regenerated: "regenerated"
+};
+
+// History sources whose text the owner wrote; everything else came from the AI.
+const OWNER_WRITTEN_SOURCES = new Set([REPLY_SOURCES.manualApi, REPLY_SOURCES.attention, REPLY_SOURCES.ownerEdit]);
+
+async function readRepliesFile() {
+  try {
+    const data = await fs.readFile(REPLIES_PATH, "utf8");
+    const list = JSON.parse(data);
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Record a reply posted to Google so the review is never auto-replied again,
+ * and keep it in the reply history (replies table, or replies.json in file mode).
+ * reviewUpdateTime is the review version the reply answered (see reviewEdits.js);
+ * replacesReplyId links a refreshed reply to the one it replaced; reviewLanguage
+ * is the language the review was written in (see replyLanguage.js).
+ * @param {{ rating?: number|null, reviewerName?: string|null, reviewText?: string|null, replyText?: string|null, source: string, model?: string|null, reviewUpdateTime?: string|null, replacesReplyId?: number|string|null, reviewLanguage?: string|null }} details
+ */
+export async function addRepliedReviewId(accountId, locationId, reviewId, details = {}) {
+  const entry = {
+    accountId,
+    locationId,
+    reviewId,
+    rating: details.rating ?? null,
+    reviewerName: details.reviewerName ?? null,
+    reviewText: details.reviewText ?? null,
+    replyText: details.replyText ?? null,
+    source: details.source || REPLY_SOURCES.auto,
+    model: details.model ?? null,
+    reviewUpdateTime: details.reviewUpdateTime ?? null,
+    replacesReplyId: details.replacesReplyId ?? null,
+    reviewLanguage: details.reviewLanguage ?? null
+  };
+  if (db.useDb()) {
+    await db.insertReply(entry);
+    return;
+  }
   const state = await readState(accountId, locationId);
   state.repliedReviewIds = state.repliedReviewIds || [];
   if (!state.repliedReviewIds.includes(reviewId)) {
     state.repliedReviewIds.push(reviewId);
     await writeState(accountId, locationId, state);
   }
+  const history = await readRepliesFile();
+  history.push({ id: history.length + 1, ...entry, postedAt: new Date().toISOString() });
+  await fs.writeFile(REPLIES_PATH, JSON.stringify(history, null, 2), "utf8");
+}
+
+/** Reply history for an account, newest first. */
+export async function listReplies(accountId, { locationId = null, limit = 50 } = {}) {
+  if (db.useDb()) return await db.listReplies(accountId, { locationId, limit });
+  const history = await readRepliesFile();
+  return history
+    .filter((r) => r.accountId === accountId && (!locationId || r.locationId === locationId))
+    .reverse()
+    .slice(0, limit);
+}
+
+/** One history entry by id, scoped to the account; null if there's none. */
+async function readReplyById(accountId, replyId) {
+  if (db.useDb()) return await db.getReplyById(accountId, replyId);
+  const id = Number(replyId);
+  return (await readRepliesFile()).find((r) => r.accountId === accountId && r.id === id) || null;
+}
+
+async function markReplyRetracted(replyId) {
+  if (db.useDb()) return await db.markReplyRetracted(replyId);
+  const history = await readRepliesFile();
+  const entry = history.find((r) => r.id === replyId);
+  if (!entry || entry.retractedAt) return;
+  entry.retractedAt = new Date().toISOString();
+  await fs.writeFile(REPLIES_PATH, JSON.stringify(history, null, 2), "utf8");
+}
+
+/** Latest history entry per review ID (only the IDs asked for), keyed by reviewId. */
+async function readLatestReplies(accountId, locationId, reviewIds) {
+  if (db.useDb()) return await db.getLatestReplies(accountId, locationId, reviewIds);
+  const wanted = new Set(reviewIds);
+  const out = {};
+  // replies.json is append-only, so the last match is the latest. File mode
+  // has no queued replies, so a refresh can't have been cancelled.
+  for (const r of await readRepliesFile()) {
+    if (r.accountId === accountId && r.locationId === locationId && wanted.has(r.reviewId)) {
+      out[r.reviewId] = { ...r, refreshCancelled: false };
+    }
+  }
+  return out;
+}
+
+/**
+ * True if this version of the review already has our reply. With a history
+ * entry, that's "the review hasn't changed since"; without one, fall back to
+ * the replied IDs (legacy file state, cancelled queued replies). A reply the
+ * owner retracted counts as replied, so nothing posts over their decision.
+ * @param {{ rating?: number|null, reviewUpdateTime?: string|null }} version
+ */
+async function isAlreadyReplied(accountId, locationId, reviewId, version) {
+  const latest = (await readLatestReplies(accountId, locationId, [reviewId]))[reviewId];
+  if (latest) return Boolean(latest.retractedAt) || !hasReviewChangedSinceReply(latest, version);
+  const state = await readState(accountId, locationId);
+  return (state.repliedReviewIds || []).includes(reviewId);
+}
+
+/** Failure records for one location, keyed by reviewId (see reviewFailures.js). */
+async function readReviewFailures(accountId, locationId) {
+  if (db.useDb()) return await db.getReviewFailures(accountId, locationId);
+  const state = await readState(accountId, locationId);
+  return state.reviewFailures || {};
+}
+
+async function writeReviewFailure(accountId, locationId, reviewId, failure) {
+  if (db.useDb()) {
+    await db.setReviewFailure(accountId, locationId, reviewId, failure);
+    return;
+  }
+  const state = await readState(accountId, locationId);
+  state.reviewFailures = { ...(state.reviewFailures || {}), [reviewId]: failure };
+  await writeState(accountId, locationId, state);
+}
+
+async function clearReviewFailure(accountId, locationId, reviewId) {
+  if (db.useDb()) return await db.clearReviewFailure(accountId, locationId, reviewId);
+  const state = await readState(accountId, locationId);
+  if (!state.reviewFailures?.[reviewId]) return false;
+  delete state.reviewFailures[reviewId];
+  await writeState(accountId, locationId, state);
+  return true;
+}
+
+/** Reviews that permanently failed for an account (all locations), newest first. */
+export async function listFailedReviews(accountId) {
+  if (db.useDb()) return await db.listFailedReviews(accountId);
+  const all = await readAllState();
+  const out = [];
+  for (const [key, state] of Object.entries(all)) {
+    if (!key.startsWith(`${accountId}_`)) continue;
+    const locationId = key.slice(accountId.length + 1);
+    for (const [reviewId, failure] of Object.entries(state.reviewFailures || {})) {
+      if (failure.failedAt) out.push({ accountId, locationId, reviewId, ...failure });
+    }
+  }
+  return out.sort((a, b) => String(b.failedAt).localeCompare(String(a.failedAt)));
+}
+
+/**
+ * Owner/admin retry of a permanently failed review: forget its failures so the
+ * next run picks it up again, and (DB mode) re-queue its dead reply jobs.
+ * Returns false if there was nothing to retry.
+ */
+export async function retryFailedReview(accountId, locationId, reviewId) {
+  const cleared = await clearReviewFailure(accountId, locationId, reviewId);
+  let jobsRetried = 0;
+  if (db.useDb()) {
+    jobsRetried = await db.retryDeadJobsByDedupeKeys([
+      replyGenerateKey(accountId, locationId, reviewId),
+      replyPostKey(accountId, locationId, reviewId)
+    ]);
+  }
+  return cleared || jobsRetried > 0;
+}
+
+// --- Needs-attention queue: reviews an escalation rule kept away from the AI ---
+
+/** Review IDs ever held at this location (open or resolved); never auto-replied. */
+async function readAttentionReviewIds(accountId, locationId) {
+  if (db.useDb()) return new Set(await db.getAttentionReviewIds(accountId, locationId));
+  const state = await readState(accountId, locationId);
+  return new Set(Object.keys(state.attention || {}));
+}
+
+async function readAttentionReview(accountId, locationId, reviewId) {
+  if (db.useDb()) return await db.getAttentionReview(accountId, locationId, reviewId);
+  const state = await readState(accountId, locationId);
+  return state.attention?.[reviewId] || null;
+}
+
+/** Returns false if the review was already held. */
+async function insertAttentionReview(entry) {
+  if (db.useDb()) return await db.insertAttentionReview(entry);
+  const state = await readState(entry.accountId, entry.locationId);
+  if (state.attention?.[entry.reviewId]) return false;
+  state.attention = {
+    ...(state.attention || {}),
+    [entry.reviewId]: { ...entry, heldAt: new Date().toISOString(), resolvedAt: null, resolution: null }
+  };
+  await writeState(entry.accountId, entry.locationId, state);
+  return true;
+}
+
+async function resolveAttentionReview(accountId, locationId, reviewId, resolution) {
+  if (db.useDb()) return await db.resolveAttentionReview(accountId, locationId, reviewId, resolution);
+  const state = await readState(accountId, locationId);
+  const entry = state.attention?.[reviewId];
+  if (!entry || entry.resolvedAt) return false;
+  state.attention[reviewId] = { ...entry, resolvedAt: new Date().toISOString(), resolution };
+  await writeState(accountId, locationId, state);
+  return true;
+}
+
+/**
+ * If the review matches one of the business's escalation rules, or reads like
+ * instructions to the AI (see promptInjection.js), hold it in the
+ * needs-attention queue and alert the owner (once). Returns the match, or null
+ * when the review can go to the AI.
+ */
+async function holdForAttention(accountId, locationId, review, options = {}) {
+  const { escalationRules = null, businessName, ownerEmail = null, ownerPhone = null } = options;
+  const rating = mapStarRatingToNumber(review.starRating);
+  // Both the comment and the original text the prompt uses (see reviewTextsToCheck).
+  let escalation = null;
+  for (const comment of reviewTextsToCheck(review)) {
+    escalation = matchEscalationRules(escalationRules, { comment, rating });
+    if (escalation) break;
+  }
+  const match = escalation || detectPromptInjectionInReview(review);
+  if (!match) return null;
+  const entry = {
+    accountId,
+    locationId,
+    reviewId: review.reviewId || review.name,
+    rating,
+    reviewerName: review.reviewer?.displayName || null,
+    reviewText: review.comment || null,
+    reviewUpdateTime: review.updateTime || null,
+    ruleName: match.rule,
+    reason: match.reason
+  };
+  if (await insertAttentionReview(entry)) {
+    const { sendAttentionAlert } = await import("./alert.js");
+    await sendAttentionAlert({
+      ...entry,
+      holdKind: escalation ? "escalation" : "prompt-injection",
+      businessName,
+      toEmail: ownerEmail,
+      toPhone: ownerPhone
+    });
+  }
+  return match;
+}
+
+/**
+ * What happens to one review: held for the owner (escalation rule or prompt
+ * injection), else generateReplyForReview, whose guardrails can still hold it.
+ * @returns {Promise<object>} { status: "held", rule, reason } or generateReplyForReview's result
+ */
+export async function holdOrGenerateReply(accountId, locationId, review, options = {}) {
+  const held = await holdForAttention(accountId, locationId, review, options);
+  if (held) return { status: "held", rule: held.rule, reason: held.reason };
+  return await generateReplyForReview(accountId, locationId, review, options);
+}
+
+/** Held reviews still waiting for the owner, all locations, newest first. */
+export async function listAttentionReviews(accountId) {
+  if (db.useDb()) return await db.listAttentionReviews(accountId);
+  const all = await readAllState();
+  const out = [];
+  for (const [key, state] of Object.entries(all)) {
+    if (!key.startsWith(`${accountId}_`)) continue;
+    for (const entry of Object.values(state.attention || {})) {
+      if (!entry.resolvedAt) out.push(entry);
+    }
+  }
+  return out.sort((a, b) => String(b.heldAt).localeCompare(String(a.heldAt)));
+}
+
+/**
+ * Post the owner's own reply to a held review and close it. Returns null if
+ * the review isn't waiting in the queue, false if it already has a reply.
+ */
+export async function replyToAttentionReview(accountId, locationId, reviewId, comment) {
+  const entry = await readAttentionReview(accountId, locationId, reviewId);
+  if (!entry || entry.resolvedAt) return null;
+  const posted = await postReply(accountId, locationId, reviewId, comment, {
+    rating: entry.rating,
+    reviewText: entry.reviewText,
+    source: REPLY_SOURCES.attention,
+    reviewUpdateTime: entry.reviewUpdateTime,
+    reviewLanguage: detectLanguage(entry.reviewText)
+  });
+  await resolveAttentionReview(accountId, locationId, reviewId, "replied");
+  return posted;
+}
+
+/** Close a held review without replying. It still never gets an AI reply. */
+export async function dismissAttentionReview(accountId, locationId, reviewId) {
+  return await resolveAttentionReview(accountId, locationId, reviewId, "dismissed");
+}
+
+// --- Owner notifications: new low-star review alerts and the digest ---
+
+const MAX_ALERTED_IDS_IN_FILE = 1000;
+
+/** True if this call gets to send the review's alert (first one to claim it). */
+async function claimReviewAlert(accountId, locationId, reviewId) {
+  if (db.useDb()) return await db.claimReviewAlert(accountId, locationId, reviewId);
+  const state = await readState(accountId, locationId);
+  const alerted = state.alertedReviewIds || [];
+  if (alerted.includes(reviewId)) return false;
+  state.alertedReviewIds = [...alerted, reviewId].slice(-MAX_ALERTED_IDS_IN_FILE);
+  await writeState(accountId, locationId, state);
+  return true;
+}
+
+/**
+ * Alert the owner (email and/or text) about each new review at or below their
+ * negativeAlertMaxRating, once per review. Runs on every sync whatever the
+ * reply mode. Failures are logged, never thrown: the reply run goes on.
+ */
+async function notifyNegativeReviews(accountId, locationId, reviews, options = {}) {
+  const { negativeAlertMaxRating = null, ownerEmail = null, ownerPhone = null, businessName, logger = console } = options;
+  if (!negativeAlertMaxRating || (!ownerEmail && !ownerPhone)) return 0;
+  const now = new Date();
+  let sent = 0;
+  try {
+    const { sendNegativeReviewAlert } = await import("./alert.js");
+    for (const r of reviews) {
+      const rating = mapStarRatingToNumber(r.starRating);
+      if (!isAlertableReview({ rating, createTime: r.createTime }, { maxRating: negativeAlertMaxRating, now })) continue;
+      if (!(await claimReviewAlert(accountId, locationId, r.reviewId || r.name))) continue;
+      await sendNegativeReviewAlert({
+        toEmail: ownerEmail,
+        toPhone: ownerPhone,
+        businessName,
+        accountId,
+        rating,
+        reviewerName: r.reviewer?.displayName || null,
+        reviewText: r.comment || null
+      });
+      sent += 1;
+    }
+  } catch (err) {
+    logger.warn?.(err, "New-review alert failed");
+    sentry.captureException(err, { kind: "negative-review-alert", accountId, locationId });
+  }
+  return sent;
 }
 
-function mapStarRatingToNumber(starRating) {
+/**
+ * Send each business's daily/weekly digest once it's due (see
+ * ownerNotifications.isDigestDue). Called from the scheduler tick. Returns how
+ * many went out.
+ */
+export async function sendDueDigests(logger = console) {
+  const { isDigestEmailConfigured } = await import("./reviewDigestEmail.js");
+  if (!isDigestEmailConfigured()) return { sent: 0 };
+  const { getAllBusinesses } = await import("./businesses.js");
+  const now = new Date();
+  let sent = 0;
+  for (const business of Object.values(await getAllBusinesses())) {
+    const frequency = normalizeDigestFrequency(business.digestFrequency);
+    if (!frequency || !business.notificationEmail || business.googleDisconnectedAt) continue;
+    const timeZone = business.timeZone || DEFAULT_TIME_ZONE;
+    if (!isDigestDue({ frequency, lastSentAt: business.digestLastSentAt, timeZone, now })) continue;
+    try {
+      const { acquired, result } = await withLock(`digest:${business.accountId}`, () => sendDigest(business.accountId, now));
+      if (acquired && result) sent += 1;
+    } catch (err) {
+      if (isGoogleAuthRevoked(err)) {
+        await pauseForGoogleReconnect(business.accountId, logger);
+        continue;
+      }
+      logger.error?.(err, { accountId: business.accountId }, "Review digest failed");
+      sentry.captureException(err, { kind: "review-digest", accountId: business.accountId });
+    }
+  }
+  if (sent) logger.info?.({ sent }, "Review digests sent");
+  return { sent };
+}
+
+/** Build and send one business's digest. Re-reads the business under the lock; false if another instance sent it. */
+async function sendDigest(accountId, now) {
+  const { getBusiness, getLocations, markDigestSent } = await import("./businesses.js");
+  const business = await getBusiness(accountId);
+  const frequency = normalizeDigestFrequency(business?.digestFrequency);
+  if (!frequency || !business.notificationEmail) return false;
+  const timeZone = business.timeZone || DEFAULT_TIME_ZONE;
+  if (!isDigestDue({ frequency, lastSentAt: business.digestLastSentAt, timeZone, now })) return false;
+
+  const since = digestPeriodStart({ frequency, lastSentAt: business.digestLastSentAt, now });
+  const inPeriod = (iso) => {
+    const t = iso ? new Date(iso).getTime() : NaN;
+    return t > since.getTime() && t <= now.getTime();
+  };
+  const reviews = [];
+  for (const location of await getLocations(accountId)) {
+    for (const r of await listReviews(accountId, location.locationId)) {
+      if (!inPeriod(r.createTime)) continue;
+      reviews.push({
+        rating: mapStarRatingToNumber(r.starRating),
+        createTime: r.createTime,
+        reviewerName: r.reviewer?.displayName || null,
+        comment: r.comment || null
+      });
+    }
+  }
+  reviews.sort((a, b) => (a.rating ?? 6) - (b.rating ?? 6));
+  const replies = (await listReplies(accountId, { limit: 500 })).filter((r) => inPeriod(r.postedAt));
+
+  const { sendReviewDigestEmail } = await import("./reviewDigestEmail.js");
+  await sendReviewDigestEmail({
+    toEmail: business.notificationEmail,
+    businessName: business.name,
+    accountId,
+    frequency,
+    summary: summarizeDigest(reviews, replies),
+    reviews,
+    replies
+  });
+  await markDigestSent(accountId, now.toISOString());
+  return true;
+}
+
+/** Google starRating enum ("ONE".."FIVE") to 1–5, or null. */
+export function mapStarRatingToNumber(starRating) {
   const mapping = {
     ONE: 1,
     TWO: 2,
@@ -73,175 +543,1031 @@ function mapStarRatingToNumber(starRating) {
   return mapping[starRating] || null;
 }
 
-/** Build reply using Claude only. Requires ANTHROPIC_API_KEY. */
+/**
+ * Build reply with the configured LLM provider (see llmProvider.js). previousReply is
+ * our earlier reply when the customer has since edited the review; brandVoice
+ * is the business's style profile (see brandVoice.js). replyLanguage and
+ * supportedLanguages pick the reply's language (see replyLanguage.js);
+ * replyStyle holds samples of the owner's own replies (see replyStyle.js);
+ * knowledgeBase the facts replies may use (see knowledgeBase.js). accountId
+ * bills the call to the business (see aiUsage.js); variantInstruction sets the
+ * draft's style (see replyVariants.js).
+ */
 export async function getReplyText(review, options = {}) {
-  const { contact: contactOverride, businessName } = options;
-  if (!process.env.ANTHROPIC_API_KEY?.trim()) {
-    throw new Error("ANTHROPIC_API_KEY is not set; cannot generate reply");
+  const {
+    contact: contactOverride,
+    businessName,
+    previousReply = null,
+    brandVoice = null,
+    replyLanguage = null,
+    supportedLanguages = null,
+    replyStyle = null,
+    knowledgeBase = null,
+    feedback = null,
+    variantInstruction = null,
+    accountId = null
+  } = options;
+  if (!isLlmConfigured()) {
+    throw new Error("No LLM provider is configured (set ANTHROPIC_API_KEY, or LLM_PROVIDER=stub); cannot generate reply");
   }
   const { generateReplyWithClaude } = await import("./ai.js");
   return await generateReplyWithClaude(review, {
     contact: contactOverride ?? process.env.AUTO_REPLY_CONTACT ?? "",
-    businessName: businessName || "our business"
+    businessName: businessName || "our business",
+    previousReply,
+    brandVoice,
+    language: resolveReplyLanguage(detectReviewLanguage(review), { replyLanguage, supportedLanguages }),
+    styleSamples: replyStyle?.samples || [],
+    knowledgeBase,
+    feedback,
+    variantInstruction,
+    accountId
   });
 }
 
-export async function processPendingReviews(accountId, locationId, options = {}) {
-  const {
-    contact: contactOverride,
-    businessName,
-    logger = console,
-    autoReplyMode = "instant",
-    ownerEmail = null
-  } = options;
+// First draft plus one retry with the failure reasons in the prompt.
+const MAX_GUARDRAIL_ATTEMPTS = 2;
+
+/**
+ * getReplyText, then the guardrails (see replyGuardrails.js). A draft that fails
+ * is regenerated with the reasons in the prompt; violations is non-empty when
+ * the last attempt still failed, and the caller must not post that reply as-is.
+ * @returns {Promise<{ comment: string, violations: { code: string, message: string }[] }>}
+ */
+export async function generateCheckedReply(review, options = {}) {
+  const { logger = console } = options;
+  const context = {
+    rating: mapStarRatingToNumber(review.starRating),
+    contact: options.contact ?? process.env.AUTO_REPLY_CONTACT ?? "",
+    reviewerName: review.reviewer?.displayName || null,
+    knowledgeBase: options.knowledgeBase ?? null
+  };
+  let comment = "";
+  let violations = [];
+  for (let attempt = 1; attempt <= MAX_GUARDRAIL_ATTEMPTS; attempt++) {
+    comment = await getReplyText(review, { ...options, feedback: violations.length ? guardrailFeedback(violations) : null });
+    violations = checkReply(comment, context);
+    if (!violations.length) break;
+    logger.warn?.(
+      { reviewId: review.reviewId || review.name, attempt, violations: violations.map((v) => v.code) },
+      "AI reply failed guardrails"
+    );
+  }
+  return { comment, violations };
+}
+
+/** Picks per draft variant for this business (see replyVariants.js); {} in file mode, which has no pending replies. */
+async function readVariantChoiceCounts(accountId) {
+  if (!db.useDb() || !accountId) return {};
+  return await db.getReplyVariantChoiceCounts(accountId);
+}
+
+/**
+ * One checked draft per reply variant, the owner's favourite first, for
+ * replies the owner reviews before they post. Drafts that fail the guardrails
+ * or repeat another are dropped; if none pass, comment is the first draft with
+ * its violations and candidates is empty. A call that fails after the first
+ * draft (e.g. the AI budget ran out) just ends the list.
+ * @param {object} options - as for generateCheckedReply, plus variantCounts (picks per variant)
+ * @returns {Promise<{ comment: string, violations: object[], candidates: { variant: string, text: string }[] }>}
+ */
+export async function generateReplyDrafts(review, options = {}) {
+  const { logger = console, variantCounts = {}, ...replyOptions } = options;
+  const drafts = [];
+  for (const variant of orderVariantsByPreference(variantCounts)) {
+    try {
+      const { comment, violations } = await generateCheckedReply(review, {
+        ...replyOptions,
+        logger,
+        variantInstruction: variant.instruction
+      });
+      drafts.push({ variant: variant.key, text: comment, violations });
+    } catch (err) {
+      if (!drafts.length) throw err;
+      logger.warn?.({ err, reviewId: review.reviewId || review.name, variant: variant.key }, "Extra reply draft failed");
+      break;
+    }
+  }
+  const candidates = dedupeCandidates(drafts.filter((d) => !d.violations.length)).map(({ variant, text }) => ({ variant, text }));
+  if (!candidates.length) return { comment: drafts[0].text, violations: drafts[0].violations, candidates };
+  return { comment: candidates[0].text, violations: [], candidates };
+}
+
+/**
+ * Reviews at this location that still need an auto-reply: no owner reply on
+ * Google, not already replied by us, a rating the business replies to, and not
+ * backing off after (or permanently out of) failed attempts.
+ *
+ * Reviews that were waiting before auto-reply was switched on go through the
+ * business's backlog policy (see replyBacklog.js).
+ *
+ * Also returns reviews the customer edited after we replied, while our reply
+ * is still the one on Google (see reviewEdits.js). Those carry previousReply
+ * ({ id, replyText }) so the new reply can replace it.
+ *
+ * options.reviews skips the Google fetch when the caller already listed them.
+ */
+export async function findReviewsToReply(accountId, locationId, options = {}) {
+  const { replyRatings = null, backlogPolicy = null, backlogDays = null, autoReplyEnabledAt = null } = options;
   const state = await readState(accountId, locationId);
   const alreadyReplied = new Set(state.repliedReviewIds || []);
+  const failures = await readReviewFailures(accountId, locationId);
+  const held = await readAttentionReviewIds(accountId, locationId);
+  const now = new Date();
 
-  const allowedRatingsEnv = (process.env.AUTO_REPLY_RATINGS || "1,2,3,4,5")
-    .split(",")
-    .map((s) => Number(s.trim()))
-    .filter((n) => !Number.isNaN(n));
-  const allowedRatings = new Set(allowedRatingsEnv);
+  // Per-business filter wins; null falls back to AUTO_REPLY_RATINGS.
+  const allowedRatings = resolveReplyRatings(replyRatings);
 
-  const reviews = await listReviews(accountId, locationId);
-  const toReply = reviews.filter((r) => {
+  const reviews = options.reviews || (await listReviews(accountId, locationId));
+  const reviewIdOf = (r) => r.reviewId || r.name || "";
+  const lastReplies = await readLatestReplies(
+    accountId,
+    locationId,
+    reviews.map(reviewIdOf).filter((id) => alreadyReplied.has(id))
+  );
+  const unreplied = [];
+  const refreshed = [];
+  for (const r of reviews) {
     const hasReply = Boolean(r.reviewReply && r.reviewReply.comment);
+    const rating = mapStarRatingToNumber(r.starRating);
+    const id = reviewIdOf(r);
+    if (!rating || !allowedRatings.has(rating) || isReviewBlocked(failures[id], now) || held.has(id)) continue;
+    if (!hasReply && !alreadyReplied.has(id)) {
+      unreplied.push(r);
+      continue;
+    }
+    const lastReply = lastReplies[id];
+    const onGoogle = {
+      rating,
+      updateTime: r.updateTime,
+      replyComment: r.reviewReply?.comment,
+      replyUpdateTime: r.reviewReply?.updateTime
+    };
+    if (needsRefreshedReply(onGoogle, lastReply)) {
+      refreshed.push({ ...r, previousReply: { id: lastReply.id ?? null, replyText: lastReply.replyText } });
+    }
+  }
+  const allowed = applyBacklogPolicy(unreplied, { policy: backlogPolicy, days: backlogDays, enabledAt: autoReplyEnabledAt });
+  return [...allowed, ...refreshed];
+}
+
+/**
+ * Unreplied reviews at this location that would count as backlog, for the
+ * backlog-policy preview (see replyBacklog.previewBacklogPolicies). Same
+ * filters as findReviewsToReply, minus the policy itself.
+ */
+export async function listUnrepliedReviews(accountId, locationId, options = {}) {
+  const { replyRatings = null } = options;
+  const state = await readState(accountId, locationId);
+  const alreadyReplied = new Set(state.repliedReviewIds || []);
+  const allowedRatings = resolveReplyRatings(replyRatings);
+  const reviews = await listReviews(accountId, locationId);
+  return reviews.filter((r) => {
     const rating = mapStarRatingToNumber(r.starRating);
     const id = r.reviewId || r.name || "";
-    return !hasReply && !alreadyReplied.has(id) && rating && allowedRatings.has(rating);
+    return !(r.reviewReply && r.reviewReply.comment) && !alreadyReplied.has(id) && rating && allowedRatings.has(rating);
   });
+}
+
+/** History details for a reply to this review (snapshot, version, what it replaces, language). */
+function replyDetailsFor(review, source, model) {
+  return {
+    rating: mapStarRatingToNumber(review.starRating),
+    reviewerName: review.reviewer?.displayName || null,
+    reviewText: review.comment || null,
+    source,
+    model,
+    reviewUpdateTime: review.updateTime || null,
+    replacesReplyId: review.previousReply?.id ?? null,
+    reviewLanguage: detectReviewLanguage(review)
+  };
+}
 
+/**
+ * Generate the reply for one review. In delayed mode low-star replies are
+ * queued in pending_replies (and the owner emailed) instead of returned; in
+ * approval mode every reply is queued until the owner approves it. With a
+ * posting window or jitter, replies that shouldn't go out right now are queued
+ * with send_after at the next allowed time (no email). A reply that still
+ * fails the guardrails after a retry waits for approval with its holdReason
+ * (file mode: the review is held in the needs-attention queue instead).
+ * @returns {Promise<{ status: "ready", comment: string, model: string } | { status: "queued", note?: string, sendAfter?: string, awaitingApproval?: boolean, holdReason?: string|null } | { status: "held", rule: string, reason: string }>}
+ */
+export async function generateReplyForReview(accountId, locationId, review, options = {}) {
+  const {
+    contact: contactOverride,
+    businessName,
+    logger = console,
+    autoReplyMode = "instant",
+    ownerEmail = null,
+    replyJitterMinutes = 0,
+    brandVoice = null,
+    replyLanguage = null,
+    supportedLanguages = null,
+    replyStyle = null,
+    knowledgeBase = null
+  } = options;
+  const reviewId = review.reviewId || review.name;
+  const rating = mapStarRatingToNumber(review.starRating);
   const mode = normalizeMode(autoReplyMode);
-  const previewConfigured = isPreviewEmailConfigured();
-  const useDelayed = mode === "delayed" && db.useDb();
+  // Approval needs pending_replies; without a database, hold everything rather
+  // than post a reply nobody signed off on.
+  if (mode === "approval" && !db.useDb()) return { status: "queued", note: "approval-needs-db" };
+  const postingWindow = resolvePostingWindow(options);
+  // File mode can't queue, so outside the window the review simply waits for a
+  // later run (jitter needs the queue and is ignored).
+  if (!db.useDb() && !isWithinPostingWindow(postingWindow)) return { status: "queued", note: "outside-posting-window" };
+  const useDelayed = (mode === "delayed" || mode === "approval") && db.useDb();
+  const useQueue = useDelayed || (db.useDb() && (postingWindow || replyJitterMinutes > 0));
+
+  // Over this month's AI budget: the review waits, like outside the posting
+  // window, until the month rolls over or the budget is raised.
+  const budget = await getAiBudgetStatus(accountId);
+  if (budget.overBudget) {
+    logger.warn?.({ accountId, reviewId, ...budget }, "AI budget reached; reply generation paused");
+    return { status: "queued", note: "ai-budget-reached" };
+  }
+
+  // Skip generating if a reply is already pending for this review (e.g. the
+  // email was sent but the cancel window hasn't closed yet, or the reply was
+  // held for failing the guardrails).
+  if (db.useDb()) {
+    const open = await db.hasOpenPendingReply(accountId, locationId, reviewId);
+    if (open) return { status: "queued", note: "already-queued" };
+  }
+
+  // Replies the owner reviews first get a draft per variant to choose from;
+  // the rest are written in the owner's favourite variant, once they have one.
+  const ownerDecision = useDelayed
+    ? shouldDelayReply({
+        mode,
+        rating,
+        businessHasEmail: !!ownerEmail,
+        resendConfigured: isPreviewEmailConfigured()
+      })
+    : "instant";
+  const variantCounts = await readVariantChoiceCounts(accountId);
+  const replyOptions = {
+    accountId,
+    contact: contactOverride,
+    businessName,
+    logger,
+    previousReply: review.previousReply?.replyText || null,
+    brandVoice,
+    replyLanguage,
+    supportedLanguages,
+    replyStyle,
+    knowledgeBase
+  };
+  const { comment, violations, candidates = [] } =
+    ownerDecision === "instant"
+      ? await generateCheckedReply(review, {
+          ...replyOptions,
+          variantInstruction: preferredVariant(variantCounts)?.instruction ?? null
+        })
+      : await generateReplyDrafts(review, { ...replyOptions, variantCounts });
+  const { getReplyModel } = await import("./ai.js");
+  const model = getReplyModel();
+  const holdReason = violations.length ? describeViolations(violations) : null;
+  // File mode has no pending_replies: the review goes to the needs-attention
+  // queue for the owner to answer by hand.
+  if (holdReason && !db.useDb()) {
+    const entry = {
+      accountId,
+      locationId,
+      reviewId,
+      rating,
+      reviewerName: review.reviewer?.displayName || null,
+      reviewText: review.comment || null,
+      reviewUpdateTime: review.updateTime || null,
+      ruleName: GUARDRAIL_RULE_NAME,
+      reason: holdReason
+    };
+    if (await insertAttentionReview(entry)) {
+      const { sendAttentionAlert } = await import("./alert.js");
+      await sendAttentionAlert({
+        ...entry,
+        holdKind: "guardrails",
+        businessName,
+        toEmail: ownerEmail,
+        toPhone: options.ownerPhone ?? null
+      });
+    }
+    return { status: "held", rule: GUARDRAIL_RULE_NAME, reason: holdReason };
+  }
+
+  // A reply that failed the guardrails always waits for the owner's approval.
+  const decision = holdReason ? "approval" : ownerDecision;
+  const awaitingApproval = decision === "approval";
+  const timing = { jitterMinutes: replyJitterMinutes };
+  let sendAfter = null;
+  if (decision === "instant") {
+    const postAt = useQueue ? computePostAt(postingWindow, new Date(), timing) : null;
+    if (!postAt || postAt.getTime() <= Date.now()) return { status: "ready", comment, model };
+    sendAfter = postAt;
+  } else if (!awaitingApproval) {
+    sendAfter = computePostAt(postingWindow, new Date(Date.now() + getDelayMinutes() * 60 * 1000), timing);
+  }
+  // Held only for the window/jitter: nothing for the owner to review, so no email.
+  const needsPreview = decision !== "instant";
+  const inserted = await db.insertPendingReply({
+    accountId,
+    locationId,
+    reviewId,
+    rating,
+    reviewerName: review.reviewer?.displayName || null,
+    reviewComment: review.comment || null,
+    generatedReply: comment,
+    model,
+    reviewUpdateTime: review.updateTime || null,
+    replacesReplyId: review.previousReply?.id ?? null,
+    reviewLanguage: detectReviewLanguage(review),
+    holdReason,
+    candidates,
+    sendAfter
+  });
+  if (!inserted) {
+    // Race: another tick queued it first. Treat as queued, not error.
+    return { status: "queued", note: "race-skipped" };
+  }
+  if (!needsPreview) return { status: "queued", sendAfter: sendAfter.toISOString() };
+  try {
+    // Approval mode without an owner email: the reply waits on /connected.
+    if (!ownerEmail || !isPreviewEmailConfigured()) return { status: "queued", awaitingApproval, holdReason };
+    await sendReplyPreviewEmail({
+      toEmail: ownerEmail,
+      businessName: businessName || "your business",
+      accountId,
+      locationId,
+      reviewId,
+      rating,
+      reviewerName: review.reviewer?.displayName || null,
+      reviewComment: review.comment || null,
+      generatedReply: comment,
+      candidates,
+      sendAfterIso: sendAfter ? sendAfter.toISOString() : null,
+      awaitingApproval,
+      replacesEarlierReply: Boolean(review.previousReply),
+      holdReason,
+      timeZone: postingWindow?.timeZone || null
+    });
+  } catch (emailErr) {
+    // Email failure shouldn't block the queue — the reply will still post when due.
+    logger.warn?.(emailErr, "Reply preview email failed (reply still queued)");
+    sentry.captureException(emailErr, {
+      kind: "reply-preview-email",
+      accountId,
+      locationId,
+      reviewId
+    });
+  }
+  if (awaitingApproval) return { status: "queued", awaitingApproval, holdReason };
+  return { status: "queued", sendAfter: sendAfter.toISOString() };
+}
+
+/**
+ * Run fn under a cross-instance advisory lock (DB mode). File mode only ever
+ * runs one instance, so fn just runs.
+ */
+async function withLock(key, fn) {
+  if (!db.useDb()) return { acquired: true, result: await fn() };
+  return await db.withAdvisoryLock(key, fn);
+}
+
+function locationLockKey(accountId, locationId) {
+  return `auto-reply:location:${accountId}:${locationId}`;
+}
+function reviewLockKey(accountId, locationId, reviewId) {
+  return `auto-reply:review:${accountId}:${locationId}:${reviewId}`;
+}
+
+/**
+ * Post a reply to Google and remember the review as replied. Runs under a
+ * per-review lock and re-checks the reply history once it holds it, so two
+ * replicas can't both post the same review. Returns false if this version of
+ * the review was already replied to; throws (code REPLY_LOCKED, retryable) if
+ * another instance is posting it right now. details (rating, reviewText,
+ * source, model, reviewUpdateTime, replacesReplyId) go to the reply history.
+ * Google's reply endpoint overwrites, so a refreshed reply replaces the old one.
+ */
+export async function postReply(accountId, locationId, reviewId, comment, details = {}) {
+  const { acquired, result } = await withLock(reviewLockKey(accountId, locationId, reviewId), async () => {
+    const version = { rating: details.rating ?? null, reviewUpdateTime: details.reviewUpdateTime ?? null };
+    if (await isAlreadyReplied(accountId, locationId, reviewId, version)) return false;
+    await replyToReview(accountId, locationId, reviewId, comment);
+    await addRepliedReviewId(accountId, locationId, reviewId, { ...details, replyText: comment });
+    return true;
+  });
+  if (!acquired) {
+    const err = new Error("Reply is being posted by another instance");
+    err.code = "REPLY_LOCKED";
+    throw err;
+  }
+  return result;
+}
+
+// --- Owner changes to replies already on Google ---
+
+/**
+ * Look up a reply the owner wants to change, under its review's lock. Only the
+ * latest reply to a review can be changed; older ones are already replaced.
+ * Errors carry code REPLY_NOT_FOUND, NOT_LATEST_REPLY or REPLY_LOCKED.
+ */
+async function withLatestReply(accountId, replyId, fn) {
+  const reply = await readReplyById(accountId, replyId);
+  if (!reply) throw replyChangeError("Reply not found", "REPLY_NOT_FOUND");
+  const { acquired, result } = await withLock(reviewLockKey(accountId, reply.locationId, reply.reviewId), async () => {
+    const latest = (await readLatestReplies(accountId, reply.locationId, [reply.reviewId]))[reply.reviewId];
+    if (!latest || String(latest.id) !== String(reply.id)) {
+      throw replyChangeError("A newer reply to this review exists; change that one instead", "NOT_LATEST_REPLY");
+    }
+    return await fn(latest);
+  });
+  if (!acquired) throw replyChangeError("Reply is being posted by another instance", "REPLY_LOCKED");
+  return result;
+}
+
+function replyChangeError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Delete a reply Replyr posted from Google. The history entry stays, marked
+ * retracted, and the review isn't auto-replied again. Returns false if it was
+ * already retracted.
+ */
+export async function retractReply(accountId, replyId) {
+  return await withLatestReply(accountId, replyId, async (reply) => {
+    if (reply.retractedAt) return false;
+    await deleteReviewReply(accountId, reply.locationId, reply.reviewId);
+    await markReplyRetracted(reply.id);
+    return true;
+  });
+}
+
+/**
+ * Overwrite a reply on Google with new text (the owner's edit, or a
+ * regenerated reply they accepted). Works on a retracted reply too, which
+ * re-posts. The new text is a new history entry whose replacesReplyId points
+ * at the old one, so every revision is kept.
+ * @param {{ source?: "owner-edit"|"regenerated", model?: string|null }} details
+ */
+export async function replaceReply(accountId, replyId, comment, { source = REPLY_SOURCES.ownerEdit, model = null } = {}) {
+  return await withLatestReply(accountId, replyId, async (reply) => {
+    await replyToReview(accountId, reply.locationId, reply.reviewId, comment);
+    await addRepliedReviewId(accountId, reply.locationId, reply.reviewId, {
+      rating: reply.rating,
+      reviewerName: reply.reviewerName ?? null,
+      reviewText: reply.reviewText,
+      replyText: comment,
+      source,
+      model,
+      reviewUpdateTime: reply.reviewUpdateTime,
+      replacesReplyId: reply.id,
+      reviewLanguage: reply.reviewLanguage ?? null
+    });
+    return true;
+  });
+}
+
+/**
+ * Reply options for a draft the owner asked for: the location's settings
+ * (contact, name, ...) on top of the business's, as the scheduler uses them,
+ * but also for a location whose auto-reply is switched off.
+ */
+async function ownerReplyOptions(accountId, locationId, logger) {
+  const { getBusiness, getLocation, resolveLocationSettings } = await import("./businesses.js");
+  const business = await getBusiness(accountId);
+  if (!business) return { logger };
+  const location = await getLocation(accountId, locationId);
+  return replyOptionsFor(location ? resolveLocationSettings(business, location) : business, logger);
+}
+
+/**
+ * A fresh AI reply for the review behind a history entry, for the owner to
+ * review before replaceReply. Nothing is posted. Null if there's no such reply;
+ * violations lists the guardrails the draft still fails (see generateCheckedReply).
+ * Written with the settings of the reply's location (see ownerReplyOptions).
+ * Throws NO_REVIEW_SNAPSHOT for entries that kept no copy of the review
+ * (legacy rows, replies posted through the API): a draft would ignore it.
+ */
+export async function draftReplacementReply(accountId, replyId, { logger = console } = {}) {
+  const reply = await readReplyById(accountId, replyId);
+  if (!reply) return null;
+  if (reply.rating == null) {
+    throw replyChangeError(
+      "Replyr has no copy of this review, so it can't draft a new reply; edit it yourself instead",
+      "NO_REVIEW_SNAPSHOT"
+    );
+  }
+  const review = {
+    reviewId: reply.reviewId,
+    starRating: ["ONE", "TWO", "THREE", "FOUR", "FIVE"][reply.rating - 1],
+    comment: reply.reviewText || "",
+    reviewer: { displayName: reply.reviewerName ?? null },
+    languageCode: reply.reviewLanguage
+  };
+  return await generateCheckedReply(review, { ...(await ownerReplyOptions(accountId, reply.locationId, logger)), accountId });
+}
+
+/**
+ * Sample the owner's own replies from these reviews and save them as the
+ * business's replyStyle. Reviews whose latest reply came from the AI are left
+ * out. Saved even when nothing qualifies, so the sync doesn't retry every run.
+ */
+async function learnReplyStyle(accountId, reviews) {
+  const { getBusiness, upsertBusiness } = await import("./businesses.js");
+  const business = await getBusiness(accountId);
+  if (!business) return null;
+  const latestSource = new Map();
+  for (const r of await listReplies(accountId, { limit: 500 })) {
+    if (!latestSource.has(r.reviewId)) latestSource.set(r.reviewId, r.source);
+  }
+  const excludeReviewIds = new Set(
+    [...latestSource].filter(([, source]) => !OWNER_WRITTEN_SOURCES.has(source)).map(([reviewId]) => reviewId)
+  );
+  const replyStyle = { samples: selectStyleSamples(reviews, { excludeReviewIds }), refreshedAt: new Date().toISOString() };
+  await upsertBusiness({ ...business, replyStyle });
+  return replyStyle;
+}
+
+/** Reply options with the business's style, learned from this sync's reviews the first time. Never throws. */
+async function withReplyStyle(accountId, reviews, options) {
+  if (options.replyStyle) return options;
+  try {
+    const replyStyle = await learnReplyStyle(accountId, reviews);
+    return replyStyle ? { ...options, replyStyle } : options;
+  } catch (err) {
+    options.logger?.warn?.({ err, accountId }, "Learning reply style failed");
+    return options;
+  }
+}
+
+/**
+ * Re-sample the owner's replies across all of the account's locations (the
+ * "Refresh" button). Replies the owner wrote since the last refresh are picked up.
+ * @returns {Promise<{ samples: object[], refreshedAt: string }|null>} null if there's no such business
+ */
+export async function refreshReplyStyle(accountId) {
+  const { getLocations } = await import("./businesses.js");
+  const reviews = [];
+  for (const location of await getLocations(accountId)) {
+    reviews.push(...(await listReviews(accountId, location.locationId)));
+  }
+  return await learnReplyStyle(accountId, reviews);
+}
+
+/**
+ * Sync, generate and post inline for one location. Used in file mode and for
+ * manual runs (/auto/process, admin "Run now"); in DB mode the scheduler goes
+ * through the job queue instead (see autoReplyJobHandlers).
+ */
+export async function processPendingReviews(accountId, locationId, options = {}) {
+  const { acquired, result } = await withLock(locationLockKey(accountId, locationId), () =>
+    processPendingReviewsUnlocked(accountId, locationId, options)
+  );
+  if (!acquired) {
+    const err = new Error("Auto-reply is already running for this location on another instance");
+    err.status = 409;
+    throw err;
+  }
+  return result;
+}
 
-  const results = { attempted: 0, succeeded: 0, queued: 0, failed: 0, details: [] };
+async function processPendingReviewsUnlocked(accountId, locationId, baseOptions) {
+  const { logger = console } = baseOptions;
+  const reviews = await listReviews(accountId, locationId);
+  const options = await withReplyStyle(accountId, reviews, baseOptions);
+  await notifyNegativeReviews(accountId, locationId, reviews, options);
+  const toReply = await findReviewsToReply(accountId, locationId, { ...options, reviews });
+  const failures = await readReviewFailures(accountId, locationId);
+
+  // failed counts every error this run; permanentlyFailed only the reviews that
+  // just used up their retry budget (the ones worth alerting about).
+  const results = { attempted: 0, succeeded: 0, queued: 0, held: 0, failed: 0, permanentlyFailed: 0, details: [] };
   for (const review of toReply) {
     const reviewId = review.reviewId || review.name;
     const rating = mapStarRatingToNumber(review.starRating);
     results.attempted += 1;
     try {
-      // Skip generating if a delayed reply is already pending for this review
-      // (e.g. the email was sent but the cancel window hasn't closed yet).
-      if (useDelayed) {
-        const open = await db.hasOpenPendingReply(accountId, locationId, reviewId);
-        if (open) {
-          results.details.push({ reviewId, rating, status: "queued", note: "already-queued" });
-          continue;
-        }
+      const refresh = review.previousReply ? true : undefined;
+      const generated = await holdOrGenerateReply(accountId, locationId, review, options);
+      if (generated.status === "held") {
+        results.held += 1;
+        results.details.push({ reviewId, rating, status: "held", rule: generated.rule, note: generated.reason, refresh });
+        continue;
       }
-
-      const comment = await getReplyText(review, {
-        contact: contactOverride,
-        businessName,
-        logger
-      });
-
-      const decision = useDelayed
-        ? shouldDelayReply({
-            mode,
-            rating,
-            businessHasEmail: !!ownerEmail,
-            resendConfigured: previewConfigured
-          })
-        : "instant";
-
-      if (decision === "delayed") {
-        const delayMinutes = getDelayMinutes();
-        const sendAfter = new Date(Date.now() + delayMinutes * 60 * 1000);
-        const inserted = await db.insertPendingReply({
-          accountId,
-          locationId,
+      if (generated.status === "queued") {
+        if (!generated.note) results.queued += 1;
+        results.details.push({
           reviewId,
           rating,
-          reviewerName: review.reviewer?.displayName || null,
-          reviewComment: review.comment || null,
-          generatedReply: comment,
-          sendAfter
+          status: "queued",
+          note: generated.note,
+          sendAfter: generated.sendAfter,
+          awaitingApproval: generated.awaitingApproval,
+          holdReason: generated.holdReason || undefined,
+          refresh
         });
-        if (!inserted) {
-          // Race: another tick queued it first. Treat as queued, not error.
-          results.details.push({ reviewId, rating, status: "queued", note: "race-skipped" });
-          continue;
-        }
-        try {
-          await sendReplyPreviewEmail({
-            toEmail: ownerEmail,
-            businessName: businessName || "your business",
-            accountId,
-            locationId,
-            reviewId,
-            rating,
-            reviewerName: review.reviewer?.displayName || null,
-            reviewComment: review.comment || null,
-            generatedReply: comment,
-            sendAfterIso: sendAfter.toISOString()
-          });
-        } catch (emailErr) {
-          // Email failure shouldn't block the queue — the reply will still post when due.
-          logger.warn?.(emailErr, "Reply preview email failed (reply still queued)");
-          sentry.captureException(emailErr, {
-            kind: "reply-preview-email",
-            accountId,
-            locationId,
-            reviewId
-          });
-        }
-        results.queued += 1;
-        results.details.push({ reviewId, rating, status: "queued", sendAfter: sendAfter.toISOString() });
         continue;
       }
-
-      await replyToReview(accountId, locationId, reviewId, comment);
-      alreadyReplied.add(reviewId);
+      const posted = await postReply(
+        accountId,
+        locationId,
+        reviewId,
+        generated.comment,
+        replyDetailsFor(review, REPLY_SOURCES.auto, generated.model)
+      );
+      if (failures[reviewId]) await clearReviewFailure(accountId, locationId, reviewId);
+      if (!posted) {
+        results.details.push({ reviewId, rating, status: "skipped", note: "Already replied" });
+        continue;
+      }
       results.succeeded += 1;
-      results.details.push({ reviewId, rating, status: "ok" });
+      results.details.push({ reviewId, rating, status: "ok", refresh });
     } catch (err) {
+      if (err?.code === "REPLY_LOCKED") {
+        results.details.push({ reviewId, rating, status: "skipped", note: "Being posted by another instance" });
+        continue;
+      }
+      // Not this review's fault: every later review would fail the same way.
+      if (isGoogleAuthRevoked(err)) throw err;
       logger.error?.(err, "Auto-reply failed");
+      const failure = recordReviewFailure(failures[reviewId], err);
+      await writeReviewFailure(accountId, locationId, reviewId, { ...failure, rating, reviewText: review.comment || null });
       results.failed += 1;
-      results.details.push({ reviewId, rating, status: "error", message: err?.message });
+      if (failure.failedAt) results.permanentlyFailed += 1;
+      results.details.push({
+        reviewId,
+        rating,
+        status: "error",
+        message: err?.message,
+        attempts: failure.attempts,
+        permanent: Boolean(failure.failedAt),
+        nextAttemptAt: failure.nextAttemptAt
+      });
     }
   }
-
-  state.repliedReviewIds = Array.from(alreadyReplied);
-  await writeState(accountId, locationId, state);
   return results;
 }
 
 /**
  * Process queued (delayed) replies whose send_after has passed and that
- * weren't cancelled. Posts to Google, marks the row sent, adds to auto-state.
+ * weren't cancelled. Each becomes a reply-post job; the worker posts it, marks
+ * the row sent and adds it to auto-state.
  */
 export async function processQueuedReplies(logger = console) {
-  if (!db.useDb()) return { processed: 0 };
+  if (!db.useDb()) return { enqueued: 0 };
   const due = await db.getPendingRepliesDueToSend();
-  if (!due.length) return { processed: 0 };
-  let processed = 0;
-  let failed = 0;
+  if (!due.length) return { enqueued: 0 };
+  // Rows for a business that has to reconnect Google wait until it does.
+  const { getAllBusinesses } = await import("./businesses.js");
+  const disconnected = new Set(
+    Object.values(await getAllBusinesses())
+      .filter((b) => b.googleDisconnectedAt)
+      .map((b) => b.accountId)
+  );
+  let enqueued = 0;
   for (const row of due) {
-    try {
-      await replyToReview(row.accountId, row.locationId, row.reviewId, row.generatedReply);
-      await db.markPendingReplySent(row.id);
-      await addRepliedReviewId(row.accountId, row.locationId, row.reviewId);
-      processed += 1;
-    } catch (err) {
-      failed += 1;
-      const msg = err?.message || String(err);
-      logger.error?.({ err, id: row.id, accountId: row.accountId }, "Queued reply post failed");
-      sentry.captureException(err, {
-        kind: "queued-reply-post",
-        pendingId: row.id,
-        accountId: row.accountId,
-        reviewId: row.reviewId
-      });
-      try {
-        await db.markPendingReplyError(row.id, msg);
-      } catch {
-        /* swallow — we'll see it via Sentry */
+    if (disconnected.has(row.accountId)) continue;
+    if (await enqueuePendingReplyPost(row)) enqueued += 1;
+  }
+  if (enqueued) logger.info?.({ enqueued }, "Queued replies handed to job queue");
+  return { enqueued };
+}
+
+/** Hand one pending_replies row to the reply-post job. Null if already queued (or dead). */
+async function enqueuePendingReplyPost(row) {
+  return await enqueueJob({
+    kind: JOB_KINDS.replyPost,
+    payload: {
+      accountId: row.accountId,
+      locationId: row.locationId,
+      reviewId: row.reviewId,
+      comment: row.generatedReply,
+      pendingReplyId: row.id,
+      details: {
+        rating: row.rating,
+        reviewerName: row.reviewerName,
+        reviewText: row.reviewComment,
+        source: REPLY_SOURCES.queued,
+        model: row.model,
+        reviewUpdateTime: row.reviewUpdateTime,
+        replacesReplyId: row.replacesReplyId,
+        reviewLanguage: row.reviewLanguage
+      }
+    },
+    dedupeKey: replyPostKey(row.accountId, row.locationId, row.reviewId),
+    blockingKeys: [replyPostKey(row.accountId, row.locationId, row.reviewId)]
+  });
+}
+
+/**
+ * When an owner-approved reply may post: now, or the next opening of the
+ * location's posting window (see postingWindow.js). No jitter: the owner
+ * chose the moment.
+ */
+async function approvedPostAt(accountId, locationId) {
+  const { getBusiness } = await import("./businesses.js");
+  const settings = (await loadLocationSettings(accountId, locationId)) || (await getBusiness(accountId));
+  return computePostAt(resolvePostingWindow(settings), new Date());
+}
+
+/** Queue the post now if the row is due; otherwise processQueuedReplies picks it up once the window opens. */
+async function enqueueIfDue(row) {
+  if (row.sendAfter && new Date(row.sendAfter).getTime() > Date.now()) return null;
+  return await enqueuePendingReplyPost(row);
+}
+
+/**
+ * Owner approved a reply held in approval mode: mark it due and, inside the
+ * posting window, queue the post right away rather than waiting for the next
+ * scheduler tick. Outside it, the reply waits for the window to open. Returns
+ * the pending row, or null if nothing was awaiting approval for this review.
+ */
+export async function approveHeldReply(accountId, locationId, reviewId) {
+  const row = await db.approvePendingReply(accountId, locationId, reviewId, await approvedPostAt(accountId, locationId));
+  if (!row) return null;
+  await enqueueIfDue(row);
+  // Approving the first draft as-is, with others to choose from, is a pick too.
+  if (!row.chosenVariant && !row.editedAt && row.candidates.length > 1 && row.candidates[0].text === row.generatedReply) {
+    await recordVariantChoice(row, row.candidates[0].variant, "chosen");
+  }
+  return row;
+}
+
+/** Log a draft pick or regenerate for learning the owner's preference. Never throws: it mustn't block the reply. */
+async function recordVariantChoice(row, variant, action) {
+  try {
+    await db.addReplyVariantChoice({ accountId: row.accountId, pendingReplyId: row.id, variant, action });
+  } catch (err) {
+    sentry.captureException(err, { kind: "reply-variant-choice", accountId: row.accountId, pendingReplyId: row.id });
+  }
+}
+
+/**
+ * Owner picked one of a queued reply's drafts (see replyVariants.js): it
+ * becomes the reply's text and the pick is recorded. Returns the updated row,
+ * null if the reply isn't open any more, or false if it has no such draft.
+ */
+export async function chooseReplyVariant(accountId, locationId, reviewId, variant) {
+  const open = await db.getOpenPendingReply(accountId, locationId, reviewId);
+  if (!open || open.sendError) return null;
+  const candidate = findCandidate(open.candidates, variant);
+  if (!candidate) return false;
+  const row = await db.updatePendingReplyDraft(accountId, locationId, reviewId, {
+    generatedReply: candidate.text,
+    chosenVariant: candidate.variant
+  });
+  if (row) await recordVariantChoice(row, candidate.variant, "chosen");
+  return row;
+}
+
+/**
+ * Owner asked for new drafts of a queued reply. The variant they were looking
+ * at is recorded as passed over, and the drafts are replaced (the preferred
+ * one becomes the text). Returns the updated row, or null if the reply isn't
+ * open any more. Written with the location's settings (see ownerReplyOptions).
+ */
+export async function regenerateReplyDrafts(accountId, locationId, reviewId, { logger = console } = {}) {
+  const open = await db.getOpenPendingReply(accountId, locationId, reviewId);
+  if (!open || open.sendError) return null;
+  const current = open.chosenVariant || open.candidates[0]?.variant;
+  if (current) await recordVariantChoice(open, current, "regenerated");
+  const stars = ["ONE", "TWO", "THREE", "FOUR", "FIVE"][open.rating - 1];
+  const review = {
+    reviewId,
+    starRating: stars,
+    comment: open.reviewComment || "",
+    reviewer: { displayName: open.reviewerName },
+    languageCode: open.reviewLanguage
+  };
+  const previous = open.replacesReplyId ? await readReplyById(accountId, open.replacesReplyId) : null;
+  const { comment, violations, candidates } = await generateReplyDrafts(review, {
+    ...(await ownerReplyOptions(accountId, locationId, logger)),
+    accountId,
+    previousReply: previous?.replyText || null,
+    variantCounts: await readVariantChoiceCounts(accountId)
+  });
+  return await db.updatePendingReplyDraft(accountId, locationId, reviewId, {
+    generatedReply: comment,
+    chosenVariant: null,
+    candidates,
+    holdReason: violations.length ? describeViolations(violations) : null
+  });
+}
+
+/**
+ * "Post now" from the edit page: make a queued reply due immediately (approving
+ * it if it was held) and queue the post; outside the posting window it waits
+ * for the next opening instead. Returns the pending row, or null if the reply
+ * was already sent, cancelled or dead-lettered.
+ */
+export async function postQueuedReplyNow(accountId, locationId, reviewId) {
+  const row = await db.sendPendingReplyNow(accountId, locationId, reviewId, await approvedPostAt(accountId, locationId));
+  if (!row) return null;
+  await enqueueIfDue(row);
+  return row;
+}
+
+// --- Job queue (DB mode): review-sync -> reply-generate -> reply-post ---
+
+export const JOB_KINDS = {
+  reviewSync: "review-sync",
+  replyGenerate: "reply-generate",
+  replyPost: "reply-post"
+};
+
+function reviewSyncKey(accountId, locationId) {
+  return `review-sync:${accountId}:${locationId}`;
+}
+function replyGenerateKey(accountId, locationId, reviewId) {
+  return `reply-generate:${accountId}:${locationId}:${reviewId}`;
+}
+function replyPostKey(accountId, locationId, reviewId) {
+  return `reply-post:${accountId}:${locationId}:${reviewId}`;
+}
+
+/**
+ * Google rejected the business's grant (see google.isGoogleAuthRevoked): mark
+ * it disconnected, which pauses its scheduling, and send the owner a reconnect
+ * link. Only the first call after the grant broke alerts; the operator's
+ * failure alert is skipped since there's nothing for them to fix. Failures
+ * are logged, never thrown; the next tick tries again.
+ */
+export async function pauseForGoogleReconnect(accountId, logger = console) {
+  try {
+    const { markGoogleDisconnected, getBusiness } = await import("./businesses.js");
+    if (!(await markGoogleDisconnected(accountId))) return false;
+    logger.warn?.({ accountId }, "Google access revoked; auto-reply paused until the owner reconnects");
+    const business = await getBusiness(accountId);
+    const { sendReconnectAlert } = await import("./alert.js");
+    await sendReconnectAlert({
+      toEmail: business?.notificationEmail,
+      toPhone: business?.notificationPhone,
+      businessName: business?.name,
+      accountId
+    });
+    return true;
+  } catch (err) {
+    logger.error?.(err, { accountId }, "Pausing business after revoked Google access failed");
+    sentry.captureException(err, { kind: "google-auth-revoked", accountId });
+    return false;
+  }
+}
+
+/** Run a job's Google calls; a revoked grant pauses the business instead of retrying. */
+async function withGoogleAuthCheck(accountId, logger, fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    if (!isGoogleAuthRevoked(err)) throw err;
+    await pauseForGoogleReconnect(accountId, logger);
+  }
+}
+
+/** Current settings for one location, or null if the business is gone / not running. */
+async function loadLocationSettings(accountId, locationId) {
+  const { getEnabledLocations } = await import("./businesses.js");
+  const locations = await getEnabledLocations();
+  return locations.find((l) => l.accountId === accountId && l.locationId === locationId) || null;
+}
+
+function replyOptionsFor(settings, logger) {
+  return {
+    contact: settings.contact,
+    businessName: settings.name || "our business",
+    logger,
+    autoReplyMode: settings.autoReplyMode || "instant",
+    ownerEmail: settings.notificationEmail || null,
+    replyRatings: settings.replyRatings || null,
+    backlogPolicy: settings.backlogPolicy || null,
+    backlogDays: settings.backlogDays || null,
+    autoReplyEnabledAt: settings.autoReplyEnabledAt || null,
+    postingWindowStart: settings.postingWindowStart || null,
+    postingWindowEnd: settings.postingWindowEnd || null,
+    timeZone: settings.timeZone || null,
+    replyJitterMinutes: settings.replyJitterMinutes || 0,
+    escalationRules: settings.escalationRules || null,
+    ownerPhone: settings.notificationPhone || null,
+    negativeAlertMaxRating: settings.negativeAlertMaxRating || null,
+    brandVoice: settings.brandVoice || null,
+    replyLanguage: settings.replyLanguage || null,
+    supportedLanguages: settings.supportedLanguages || null,
+    replyStyle: settings.replyStyle || null,
+    knowledgeBase: settings.knowledgeBase || null
+  };
+}
+
+/** Queue a sync for one location. No-op if one is already queued or running. */
+export async function enqueueReviewSync(accountId, locationId) {
+  return await enqueueJob({
+    kind: JOB_KINDS.reviewSync,
+    payload: { accountId, locationId },
+    dedupeKey: reviewSyncKey(accountId, locationId)
+  });
+}
+
+/**
+ * Job handlers. Settings are re-read when each job runs, so a business that
+ * switches auto-reply off (or changes contact/mode) after a job was queued is
+ * respected. A review with an open or dead generate/post job is not queued
+ * again — dead jobs wait for an admin retry.
+ */
+export const autoReplyJobHandlers = {
+  async [JOB_KINDS.reviewSync]({ accountId, locationId }, { logger }) {
+    const settings = await loadLocationSettings(accountId, locationId);
+    if (!settings) return;
+    const { acquired } = await withLock(locationLockKey(accountId, locationId), async () => {
+      const reviews = await withGoogleAuthCheck(accountId, logger, () => listReviews(accountId, locationId));
+      if (!reviews) return;
+      const options = await withReplyStyle(accountId, reviews, replyOptionsFor(settings, logger));
+      await notifyNegativeReviews(accountId, locationId, reviews, options);
+      const toReply = await findReviewsToReply(accountId, locationId, { ...options, reviews });
+      for (const review of toReply) {
+        const reviewId = review.reviewId || review.name;
+        await enqueueJob({
+          kind: JOB_KINDS.replyGenerate,
+          payload: { accountId, locationId, review },
+          dedupeKey: replyGenerateKey(accountId, locationId, reviewId),
+          blockingKeys: [replyGenerateKey(accountId, locationId, reviewId), replyPostKey(accountId, locationId, reviewId)]
+        });
       }
+    });
+    // A manual run (/auto/process) on another instance has this location; it
+    // handles the same reviews, and the next interval syncs again.
+    if (!acquired) logger.info?.({ accountId, locationId }, "Review sync skipped: location locked by another instance");
+  },
+
+  async [JOB_KINDS.replyGenerate]({ accountId, locationId, review }, { logger }) {
+    const settings = await loadLocationSettings(accountId, locationId);
+    if (!settings) return;
+    const reviewId = review.reviewId || review.name;
+    const version = { rating: mapStarRatingToNumber(review.starRating), reviewUpdateTime: review.updateTime || null };
+    if (await isAlreadyReplied(accountId, locationId, reviewId, version)) return;
+    const options = replyOptionsFor(settings, logger);
+    const generated = await holdOrGenerateReply(accountId, locationId, review, options);
+    if (generated.status !== "ready") return;
+    await enqueueJob({
+      kind: JOB_KINDS.replyPost,
+      payload: {
+        accountId,
+        locationId,
+        reviewId,
+        comment: generated.comment,
+        details: replyDetailsFor(review, REPLY_SOURCES.auto, generated.model)
+      },
+      dedupeKey: replyPostKey(accountId, locationId, reviewId),
+      blockingKeys: [replyPostKey(accountId, locationId, reviewId)]
+    });
+  },
+
+  async [JOB_KINDS.replyPost]({ accountId, locationId, reviewId, comment, pendingReplyId = null, details = {} }, { logger }) {
+    let text = comment;
+    if (pendingReplyId) {
+      // The owner may have cancelled between enqueue and now.
+      const pending = await db.getPendingReplyById(pendingReplyId);
+      if (!pending || pending.cancelledAt || pending.sentAt) return;
+      // ...or edited it: post the row's current text, not the enqueue-time copy.
+      text = pending.generatedReply;
     }
+    // false means the review already has a reply, so this one must not go out
+    // again. A REPLY_LOCKED error retries and lands here on the next attempt.
+    // With Google access revoked, the pending row stays unsent and is picked up
+    // again once the owner reconnects.
+    const posted = await withGoogleAuthCheck(accountId, logger, () => postReply(accountId, locationId, reviewId, text, details));
+    if (posted === undefined) return;
+    if (pendingReplyId) await db.markPendingReplySent(pendingReplyId);
+  }
+};
+
+/**
+ * Dead-lettered job: record it on the pending reply (if any), mark the review
+ * permanently failed so the owner sees it on /connected, and alert once.
+ */
+async function handleDeadAutoReplyJob(job, err) {
+  const { accountId, locationId, pendingReplyId, review, details } = job.payload || {};
+  if (pendingReplyId) await db.markPendingReplyError(pendingReplyId, err?.message || String(err));
+  const reviewId = job.payload?.reviewId || review?.reviewId || review?.name;
+  if (reviewId) {
+    // The job already spent its attempts; record this as the final one.
+    const failure = recordReviewFailure({ attempts: job.attempts - 1 }, err, { maxAttempts: job.attempts });
+    await db.setReviewFailure(accountId, locationId, reviewId, {
+      ...failure,
+      rating: details?.rating ?? mapStarRatingToNumber(review?.starRating),
+      reviewText: details?.reviewText ?? review?.comment ?? null
+    });
   }
-  return { processed, failed };
+  const { getBusiness } = await import("./businesses.js");
+  const business = accountId ? await getBusiness(accountId) : null;
+  const { sendFailureAlert } = await import("./alert.js");
+  await sendFailureAlert({
+    businessName: business?.name,
+    accountId,
+    error: new Error(`${job.kind} failed after ${job.attempts} attempt(s) (location ${locationId}): ${err?.message || err}`)
+  });
 }
 
 export function startScheduler(appLogger = console) {
@@ -250,14 +1576,27 @@ export function startScheduler(appLogger = console) {
     return null;
   }
 
-  const intervalMinutes = Number(process.env.AUTO_REPLY_INTERVAL_MINUTES || 30);
-  const intervalMs = Math.max(1, intervalMinutes) * 60 * 1000;
+  // Wake up often; each location only runs once its business's intervalMinutes
+  // have passed since its last run (see autoSchedule.js).
+  const tickMinutes = getTickMinutes();
+  const tickMs = tickMinutes * 60 * 1000;
+  // File mode: locations with a run still in flight — a slow run is never
+  // started twice. (DB mode gets the same guarantee from job dedupe keys.)
+  const running = new Set();
+
+  // DB mode: the tick only enqueues review-sync jobs; a bounded worker pool does
+  // the Google/Anthropic calls with retries. File mode runs inline as before.
+  const useQueue = db.useDb();
+  if (useQueue) {
+    startJobWorker({ handlers: autoReplyJobHandlers, logger: appLogger, onDead: handleDeadAutoReplyJob });
+  }
 
-  appLogger.info?.({ intervalMinutes }, "Starting auto-reply scheduler (multi-tenant)");
+  appLogger.info?.({ tickMinutes, useQueue }, "Starting auto-reply scheduler (multi-tenant, per-business interval)");
   const handle = setInterval(async () => {
     try {
-    const { getEnabledBusinesses, DEFAULT_CONTACT } = await import("./businesses.js");
-    let businesses = await getEnabledBusinesses();
+    const { getEnabledLocations, DEFAULT_CONTACT } = await import("./businesses.js");
+    // One entry per enabled location (multi-location accounts fan out here).
+    let businesses = await getEnabledLocations();
     // Legacy env fallback is only for local file mode. In DB mode, per-business
     // toggle state is authoritative and we should not bypass it.
     if (
@@ -275,19 +1614,32 @@ export function startScheduler(appLogger = console) {
       ];
     }
     if (!businesses.length) {
-      appLogger.warn?.("Auto-reply: no enabled businesses in config (and no env fallback)");
+      // debug, not warn: this now fires every tick (default once a minute).
+      appLogger.debug?.("Auto-reply: no enabled businesses in config (and no env fallback)");
       return;
     }
+    const now = new Date();
+    const runTimes = await getRunTimes();
     for (const biz of businesses) {
-      processPendingReviews(biz.accountId, biz.locationId, {
-        contact: biz.contact,
-        businessName: biz.name || "our business",
-        logger: appLogger,
-        autoReplyMode: biz.autoReplyMode || "instant",
-        ownerEmail: biz.notificationEmail || null
-      })
+      const key = stateKey(biz.accountId, biz.locationId);
+      const intervalMinutes = normalizeIntervalMinutes(biz.intervalMinutes);
+      if (running.has(key) || !isDue(runTimes[key], intervalMinutes, now)) continue;
+      if (useQueue) {
+        await markRun(biz.accountId, biz.locationId, now, computeNextRunAt(now, intervalMinutes));
+        await enqueueReviewSync(biz.accountId, biz.locationId);
+        continue;
+      }
+      running.add(key);
+      try {
+        await markRun(biz.accountId, biz.locationId, now, computeNextRunAt(now, intervalMinutes));
+      } catch (err) {
+        running.delete(key);
+        throw err;
+      }
+      processPendingReviews(biz.accountId, biz.locationId, replyOptionsFor(biz, appLogger))
         .then(async (result) => {
-          if (result.failed > 0) {
+          // Reviews still backing off retry quietly; alert once one gives up.
+          if (result.permanentlyFailed > 0) {
             const { sendFailureAlert } = await import("./alert.js");
             await sendFailureAlert({
               businessName: biz.name,
@@ -297,27 +1649,36 @@ export function startScheduler(appLogger = console) {
           }
         })
         .catch(async (err) => {
-          appLogger.error?.(err, { accountId: biz.accountId }, "Auto-reply tick failed");
-          sentry.captureException(err, { kind: "auto-reply-tick", accountId: biz.accountId });
+          if (isGoogleAuthRevoked(err)) {
+            await pauseForGoogleReconnect(biz.accountId, appLogger);
+            return;
+          }
+          appLogger.error?.(err, { accountId: biz.accountId, locationId: biz.locationId }, "Auto-reply tick failed");
+          sentry.captureException(err, { kind: "auto-reply-tick", accountId: biz.accountId, locationId: biz.locationId });
           const { sendFailureAlert } = await import("./alert.js");
           await sendFailureAlert({
             businessName: biz.name,
             accountId: biz.accountId,
             error: err
           });
-        });
+        })
+        .finally(() => running.delete(key));
     }
-    // Always process the queued (delayed) replies whose send_after has passed.
+    // Always hand off the queued (delayed) replies whose send_after has passed.
     // Independent of which businesses ticked above — a queued reply might belong
     // to a business that disabled auto-reply between queue and send.
     processQueuedReplies(appLogger).catch((err) => {
       appLogger.error?.(err, "Queued-reply tick failed");
       sentry.captureException(err, { kind: "queued-reply-tick" });
     });
+    sendDueDigests(appLogger).catch((err) => {
+      appLogger.error?.(err, "Review digest tick failed");
+      sentry.captureException(err, { kind: "review-digest-tick" });
+    });
     } catch (err) {
       appLogger.error?.(err, "Auto-reply scheduler tick failed (database or config)");
       sentry.captureException(err, { kind: "auto-reply-scheduler" });
     }
-  }, intervalMs);
+  }, tickMs);
   return handle;
 }
@@ -0,0 +1,60 @@
+/**
+ * Pure helpers for the per-business auto-reply cadence.
+ *
+ * The scheduler wakes up every AUTO_REPLY_TICK_MINUTES (default 1) and runs only
+ * the locations whose business interval has elapsed since their last run. Each
+ * run records last_run_at / next_run_at in auto_state, so cadence survives
+ * restarts and changing a business's interval takes effect on the next tick.
+ */
+
+export const MIN_INTERVAL_MINUTES = 5;
+export const MAX_INTERVAL_MINUTES = 1440;
+export const DEFAULT_INTERVAL_MINUTES = 30;
+
+/** Default interval for businesses without one (legacy AUTO_REPLY_INTERVAL_MINUTES, else 30). */
+export function getDefaultIntervalMinutes(env = process.env) {
+  const n = Number(env.AUTO_REPLY_INTERVAL_MINUTES);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_INTERVAL_MINUTES;
+  return clamp(Math.round(n));
+}
+
+/** True when value is a whole number of minutes within [MIN, MAX]. Used to validate PATCH input. */
+export function isValidIntervalMinutes(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= MIN_INTERVAL_MINUTES && n <= MAX_INTERVAL_MINUTES;
+}
+
+/** Business interval clamped to [MIN, MAX]; missing/invalid falls back to the env default. */
+export function normalizeIntervalMinutes(value, env = process.env) {
+  const n = Number(value);
+  if (value == null || value === "" || !Number.isFinite(n) || n <= 0) return getDefaultIntervalMinutes(env);
+  return clamp(Math.round(n));
+}
+
+/** How often the scheduler wakes up to look for due businesses (AUTO_REPLY_TICK_MINUTES, default 1). */
+export function getTickMinutes(env = process.env) {
+  const n = Number(env.AUTO_REPLY_TICK_MINUTES);
+  if (!Number.isFinite(n) || n <= 0) return 1;
+  return Math.min(n, MIN_INTERVAL_MINUTES);
+}
+
+/** @returns {Date} */
+export function computeNextRunAt(from, intervalMinutes) {
+  const base = from instanceof Date ? from : new Date(from);
+  return new Date(base.getTime() + intervalMinutes * 60 * 1000);
+}
+
+/**
+ * Due when never run, or when intervalMinutes have passed since lastRunAt.
+ * Uses the current interval rather than the stored next_run_at so a business
+ * that shortens its interval doesn't wait out the old one.
+ */
+export function isDue(runState, intervalMinutes, now = new Date()) {
+  const last = runState?.lastRunAt ? new Date(runState.lastRunAt) : null;
+  if (!last || Number.isNaN(last.getTime())) return true;
+  return computeNextRunAt(last, intervalMinutes).getTime() <= now.getTime();
+}
+
+function clamp(n) {
+  return Math.min(MAX_INTERVAL_MINUTES, Math.max(MIN_INTERVAL_MINUTES, n));
+}
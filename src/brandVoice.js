@@ -0,0 +1,153 @@
+/**
+ * Pure helpers for a business's brand voice: how its AI replies should sound.
+ *
+ * A profile can set a tone, a sign-off (e.g. "– Maria, owner"), phrases to
+ * always or never use, an emoji policy and a maximum reply length. Every field
+ * is optional; brandVoice null means the original house style (warm,
+ * professional, no emoji, DEFAULT_MAX_REPLY_CHARS).
+ *
+ * The prompt carries the style rules; finishReply enforces the parts that can
+ * be checked in code (length, sign-off, no emoji) on whatever comes back.
+ */
+
+export const BRAND_VOICE_TONES = ["casual", "formal", "playful"];
+export const EMOJI_POLICIES = ["none", "sparing", "allowed"];
+export const DEFAULT_MAX_REPLY_CHARS = 500;
+export const MIN_REPLY_CHARS = 100;
+export const MAX_REPLY_CHARS = 1500;
+export const MAX_PHRASES = 20;
+export const MAX_PHRASE_LENGTH = 80;
+export const MAX_SIGN_OFF_LENGTH = 80;
+
+const TONE_RULES = {
+  casual: "Sound relaxed and friendly, like a neighbor who runs the place. Contractions are fine.",
+  formal: "Sound polished and courteous. Avoid slang and contractions.",
+  playful: "Sound upbeat and lighthearted, with a touch of humor, while staying respectful on complaints."
+};
+
+const EMOJI_RULES = {
+  none: "Do not use emoji.",
+  sparing: "You may use at most one emoji, and only on positive reviews.",
+  allowed: "Emoji are welcome where they fit naturally, but not on complaints."
+};
+
+// Pictographs plus the joiners and variation selectors that glue them together.
+const EMOJI_RE = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{FE0F}\u{200D}\u{1F3FB}-\u{1F3FF}]/gu;
+
+/**
+ * Validate and normalize a profile from a PATCH body. Unset or empty fields are
+ * dropped; { voice: null } when nothing is left.
+ * @param {unknown} value - { tone?, signOff?, alwaysUse?, neverUse?, emoji?, maxLength? }
+ * @returns {{ voice: object|null } | { error: string }}
+ */
+export function parseBrandVoice(value) {
+  if (value == null) return { voice: null };
+  if (typeof value !== "object" || Array.isArray(value)) return { error: "brandVoice must be an object" };
+  const voice = {};
+
+  if (value.tone != null && String(value.tone).trim()) {
+    const tone = String(value.tone).trim().toLowerCase();
+    if (!BRAND_VOICE_TONES.includes(tone)) return { error: `tone must be one of: ${BRAND_VOICE_TONES.join(", ")}` };
+    voice.tone = tone;
+  }
+
+  if (value.signOff != null && String(value.signOff).trim()) {
+    const signOff = String(value.signOff).trim().replace(/\s+/g, " ");
+    if (signOff.length > MAX_SIGN_OFF_LENGTH) return { error: `signOff must be ${MAX_SIGN_OFF_LENGTH} characters or fewer` };
+    voice.signOff = signOff;
+  }
+
+  for (const key of ["alwaysUse", "neverUse"]) {
+    if (value[key] == null) continue;
+    const parsed = parsePhrases(value[key], key);
+    if (parsed.error) return parsed;
+    if (parsed.phrases.length) voice[key] = parsed.phrases;
+  }
+
+  if (value.emoji != null && String(value.emoji).trim()) {
+    const emoji = String(value.emoji).trim().toLowerCase();
+    if (!EMOJI_POLICIES.includes(emoji)) return { error: `emoji must be one of: ${EMOJI_POLICIES.join(", ")}` };
+    voice.emoji = emoji;
+  }
+
+  if (value.maxLength != null && value.maxLength !== "") {
+    const n = Number(value.maxLength);
+    if (!Number.isInteger(n) || n < MIN_REPLY_CHARS || n > MAX_REPLY_CHARS) {
+      return { error: `maxLength must be a whole number between ${MIN_REPLY_CHARS} and ${MAX_REPLY_CHARS}` };
+    }
+    voice.maxLength = n;
+  }
+
+  return { voice: Object.keys(voice).length ? voice : null };
+}
+
+/** Character limit for replies: the profile's maxLength, or DEFAULT_MAX_REPLY_CHARS. */
+export function resolveMaxReplyChars(voice) {
+  const n = Number(voice?.maxLength);
+  return Number.isInteger(n) && n >= MIN_REPLY_CHARS && n <= MAX_REPLY_CHARS ? n : DEFAULT_MAX_REPLY_CHARS;
+}
+
+/**
+ * Style rules for the system prompt, one per line (without leading dashes).
+ * The sign-off is added by finishReply, so the model is told to leave it out.
+ * @param {object|null} voice
+ * @returns {string[]}
+ */
+export function brandVoiceRules(voice) {
+  const rules = [`Keep it under ${resolveMaxReplyChars(voice)} characters.`];
+  if (voice?.tone) rules.push(TONE_RULES[voice.tone]);
+  else rules.push("Be warm and grateful for positive reviews; empathetic and solution-focused for negative or mixed (3-star) feedback.");
+  rules.push(EMOJI_RULES[voice?.emoji] || EMOJI_RULES.none);
+  if (voice?.alwaysUse?.length) {
+    rules.push(`Where it reads naturally, work in these phrases the owner likes: ${voice.alwaysUse.map((p) => `"${p}"`).join(", ")}.`);
+  }
+  if (voice?.neverUse?.length) {
+    rules.push(`Never use these words or phrases: ${voice.neverUse.map((p) => `"${p}"`).join(", ")}.`);
+  }
+  if (voice?.signOff) rules.push("Do not sign the reply; a sign-off is added afterwards.");
+  return rules;
+}
+
+/**
+ * Apply the checks the prompt can't guarantee: drop emoji when the policy is
+ * "none" (or unset), append the sign-off, and truncate at a word boundary so
+ * the whole reply, sign-off included, fits maxLength.
+ * @param {string} text
+ * @param {object|null} voice
+ */
+export function finishReply(text, voice) {
+  let body = String(text || "").trim();
+  if (!voice?.emoji || voice.emoji === "none") {
+    body = body.replace(EMOJI_RE, "").replace(/[ \t]{2,}/g, " ").replace(/ +([.,!?])/g, "$1").trim();
+  }
+  const signOff = voice?.signOff || "";
+  if (signOff && body.toLowerCase().endsWith(signOff.toLowerCase())) {
+    body = body.slice(0, -signOff.length).trim();
+  }
+  const limit = resolveMaxReplyChars(voice) - (signOff ? signOff.length + 1 : 0);
+  body = truncateAtWord(body, limit);
+  return signOff ? `${body}\n${signOff}` : body;
+}
+
+function truncateAtWord(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  const end = lastSpace > max * 0.7 ? lastSpace : cut.length;
+  return text.slice(0, end).trim() + "…";
+}
+
+function parsePhrases(raw, key) {
+  const list = Array.isArray(raw) ? raw : String(raw).split("\n");
+  const seen = new Set();
+  const phrases = [];
+  for (const p of list) {
+    const phrase = String(p ?? "").trim().replace(/\s+/g, " ");
+    if (!phrase || seen.has(phrase.toLowerCase())) continue;
+    if (phrase.length > MAX_PHRASE_LENGTH) return { error: `${key}: phrases must be ${MAX_PHRASE_LENGTH} characters or fewer` };
+    seen.add(phrase.toLowerCase());
+    phrases.push(phrase);
+  }
+  if (phrases.length > MAX_PHRASES) return { error: `${key}: at most ${MAX_PHRASES} phrases` };
+  return { phrases };
+}
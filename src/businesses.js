@@ -6,6 +6,7 @@ import * as db from "./db.js";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const BUSINESSES_PATH = path.resolve(__dirname, "..", "businesses.json");
+const LOCATIONS_PATH = path.resolve(__dirname, "..", "business-locations.json");
 
 const DEFAULT_CONTACT = "us using the contact details on our Google Business listing";
 
@@ -57,7 +58,17 @@ export async function getBusiness(accountId) {
   return all[accountId] || null;
 }
 
-/** Create or update a business. Config: { accountId, locationId, name?, contact?, autoReplyEnabled?, intervalMinutes?, autoReplyMode? } */
+/**
+ * When auto-reply is switched on (off -> on), stamp autoReplyEnabledAt: reviews
+ * posted before it are the backlog (see replyBacklog.js).
+ */
+function resolveAutoReplyEnabledAt(config, existing) {
+  const enabled = config.autoReplyEnabled ?? existing.autoReplyEnabled ?? false;
+  if (enabled === true && existing.autoReplyEnabled !== true) return new Date().toISOString();
+  return config.autoReplyEnabledAt ?? existing.autoReplyEnabledAt ?? null;
+}
+
+/** Create or update a business. Config: { accountId, locationId, name?, contact?, autoReplyEnabled?, intervalMinutes?, autoReplyMode?, replyRatings?, backlogPolicy?, backlogDays?, postingWindowStart?, postingWindowEnd?, timeZone?, replyJitterMinutes?, escalationRules?, notificationPhone?, negativeAlertMaxRating?, digestFrequency?, digestLastSentAt?, brandVoice?, replyLanguage?, supportedLanguages?, replyStyle?, knowledgeBase?, aiBudgetCents? } */
 export async function upsertBusiness(config) {
   if (db.useDb()) {
     const all = await readBusinesses();
@@ -77,7 +88,32 @@ export async function upsertBusiness(config) {
       isPro: config.isPro ?? existing.isPro ?? false,
       proTier: config.proTier ?? existing.proTier ?? "starter",
       autoReplyMode: config.autoReplyMode ?? existing.autoReplyMode ?? "instant",
-      notificationEmail: config.notificationEmail ?? existing.notificationEmail ?? null
+      notificationEmail: config.notificationEmail ?? existing.notificationEmail ?? null,
+      replyRatings: config.replyRatings !== undefined ? config.replyRatings : existing.replyRatings ?? null,
+      autoReplyEnabledAt: resolveAutoReplyEnabledAt(config, existing),
+      backlogPolicy: config.backlogPolicy !== undefined ? config.backlogPolicy : existing.backlogPolicy ?? null,
+      backlogDays: config.backlogDays !== undefined ? config.backlogDays : existing.backlogDays ?? null,
+      postingWindowStart:
+        config.postingWindowStart !== undefined ? config.postingWindowStart : existing.postingWindowStart ?? null,
+      postingWindowEnd: config.postingWindowEnd !== undefined ? config.postingWindowEnd : existing.postingWindowEnd ?? null,
+      timeZone: config.timeZone !== undefined ? config.timeZone : existing.timeZone ?? null,
+      replyJitterMinutes:
+        config.replyJitterMinutes !== undefined ? config.replyJitterMinutes : existing.replyJitterMinutes ?? null,
+      escalationRules: config.escalationRules !== undefined ? config.escalationRules : existing.escalationRules ?? null,
+      notificationPhone:
+        config.notificationPhone !== undefined ? config.notificationPhone : existing.notificationPhone ?? null,
+      negativeAlertMaxRating:
+        config.negativeAlertMaxRating !== undefined ? config.negativeAlertMaxRating : existing.negativeAlertMaxRating ?? null,
+      digestFrequency: config.digestFrequency !== undefined ? config.digestFrequency : existing.digestFrequency ?? null,
+      digestLastSentAt: config.digestLastSentAt ?? existing.digestLastSentAt ?? null,
+      brandVoice: config.brandVoice !== undefined ? config.brandVoice : existing.brandVoice ?? null,
+      replyLanguage: config.replyLanguage !== undefined ? config.replyLanguage : existing.replyLanguage ?? null,
+      supportedLanguages:
+        config.supportedLanguages !== undefined ? config.supportedLanguages : existing.supportedLanguages ?? null,
+      replyStyle: config.replyStyle !== undefined ? config.replyStyle : existing.replyStyle ?? null,
+      knowledgeBase: config.knowledgeBase !== undefined ? config.knowledgeBase : existing.knowledgeBase ?? null,
+      aiBudgetCents: config.aiBudgetCents !== undefined ? config.aiBudgetCents : existing.aiBudgetCents ?? null,
+      googleDisconnectedAt: existing.googleDisconnectedAt ?? null
     };
     return await db.upsertBusinessInDb(merged);
   }
@@ -99,6 +135,31 @@ export async function upsertBusiness(config) {
     proTier: config.proTier ?? existing.proTier ?? "starter",
     autoReplyMode: config.autoReplyMode ?? existing.autoReplyMode ?? "instant",
     notificationEmail: config.notificationEmail ?? existing.notificationEmail ?? null,
+    replyRatings: config.replyRatings !== undefined ? config.replyRatings : existing.replyRatings ?? null,
+    autoReplyEnabledAt: resolveAutoReplyEnabledAt(config, existing),
+    backlogPolicy: config.backlogPolicy !== undefined ? config.backlogPolicy : existing.backlogPolicy ?? null,
+    backlogDays: config.backlogDays !== undefined ? config.backlogDays : existing.backlogDays ?? null,
+    postingWindowStart:
+      config.postingWindowStart !== undefined ? config.postingWindowStart : existing.postingWindowStart ?? null,
+    postingWindowEnd: config.postingWindowEnd !== undefined ? config.postingWindowEnd : existing.postingWindowEnd ?? null,
+    timeZone: config.timeZone !== undefined ? config.timeZone : existing.timeZone ?? null,
+    replyJitterMinutes:
+      config.replyJitterMinutes !== undefined ? config.replyJitterMinutes : existing.replyJitterMinutes ?? null,
+    escalationRules: config.escalationRules !== undefined ? config.escalationRules : existing.escalationRules ?? null,
+    notificationPhone:
+      config.notificationPhone !== undefined ? config.notificationPhone : existing.notificationPhone ?? null,
+    negativeAlertMaxRating:
+      config.negativeAlertMaxRating !== undefined ? config.negativeAlertMaxRating : existing.negativeAlertMaxRating ?? null,
+    digestFrequency: config.digestFrequency !== undefined ? config.digestFrequency : existing.digestFrequency ?? null,
+    digestLastSentAt: config.digestLastSentAt ?? existing.digestLastSentAt ?? null,
+    brandVoice: config.brandVoice !== undefined ? config.brandVoice : existing.brandVoice ?? null,
+    replyLanguage: config.replyLanguage !== undefined ? config.replyLanguage : existing.replyLanguage ?? null,
+    supportedLanguages:
+      config.supportedLanguages !== undefined ? config.supportedLanguages : existing.supportedLanguages ?? null,
+    replyStyle: config.replyStyle !== undefined ? config.replyStyle : existing.replyStyle ?? null,
+    knowledgeBase: config.knowledgeBase !== undefined ? config.knowledgeBase : existing.knowledgeBase ?? null,
+    aiBudgetCents: config.aiBudgetCents !== undefined ? config.aiBudgetCents : existing.aiBudgetCents ?? null,
+    googleDisconnectedAt: existing.googleDisconnectedAt ?? null,
     updatedAt: new Date().toISOString()
   };
   await writeBusinesses(all);
@@ -128,6 +189,43 @@ export async function setNotificationEmailIfEmpty(accountId, email) {
   return true;
 }
 
+/**
+ * Google rejected this business's grant: pause its scheduling until the owner
+ * reconnects. Returns true only for the call that marked it.
+ */
+export async function markGoogleDisconnected(accountId) {
+  if (db.useDb()) return await db.setBusinessGoogleDisconnected(accountId);
+  const all = await readBusinesses();
+  const existing = all[accountId];
+  if (!existing || existing.googleDisconnectedAt) return false;
+  all[accountId] = { ...existing, googleDisconnectedAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+  await writeBusinesses(all);
+  return true;
+}
+
+/** The owner went through /auth/google again; resume scheduling. */
+export async function markGoogleReconnected(accountId) {
+  if (db.useDb()) return await db.clearBusinessGoogleDisconnected(accountId);
+  const all = await readBusinesses();
+  const existing = all[accountId];
+  if (!existing?.googleDisconnectedAt) return false;
+  all[accountId] = { ...existing, googleDisconnectedAt: null, updatedAt: new Date().toISOString() };
+  await writeBusinesses(all);
+  return true;
+}
+
+/**
+ * Stamp a sent digest. Only that field is written, so settings the owner saved
+ * while the digest was being built aren't overwritten.
+ */
+export async function markDigestSent(accountId, sentAt) {
+  if (db.useDb()) return await db.setBusinessDigestLastSentAt(accountId, sentAt);
+  const all = await readBusinesses();
+  if (!all[accountId]) return;
+  all[accountId] = { ...all[accountId], digestLastSentAt: sentAt };
+  await writeBusinesses(all);
+}
+
 /** Get accountId for a business with this stripeCustomerId (for webhook). */
 export async function getAccountIdByStripeCustomerId(stripeCustomerId) {
   if (!stripeCustomerId) return null;
@@ -148,7 +246,11 @@ function isSubscribed(b) {
   return !!(b.subscribedAt);
 }
 
-/** Get all businesses that have auto-reply enabled and are allowed to run (trial active, base subscription, Pro, or gratis list) */
+/**
+ * Get all businesses that have auto-reply enabled and are allowed to run (trial
+ * active, base subscription, Pro, or gratis list). Businesses whose Google
+ * access was revoked are skipped until they reconnect.
+ */
 export async function getEnabledBusinesses() {
   const all = await readBusinesses();
   return Object.values(all).filter(
@@ -156,8 +258,144 @@ export async function getEnabledBusinesses() {
       b.autoReplyEnabled === true &&
       b.accountId &&
       b.locationId &&
+      !b.googleDisconnectedAt &&
       (isTrialActive(b) || isSubscribed(b) || isGratisAccount(b.accountId) || b.isPro)
   );
 }
 
+// --- Locations (multi-location accounts) ---
+
+async function readLocationsFile() {
+  try {
+    const data = await fs.readFile(LOCATIONS_PATH, "utf8");
+    return JSON.parse(data);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Businesses saved before multi-location only have businesses.locationId; treat
+ * that as their one connected location until a location row is written.
+ */
+function legacyLocations(business) {
+  if (!business?.locationId) return [];
+  return [
+    {
+      accountId: business.accountId,
+      locationId: business.locationId,
+      name: business.name ?? null,
+      contact: null,
+      autoReplyEnabled: true,
+      autoReplyMode: null,
+      autoReplyEnabledAt: null,
+      updatedAt: null
+    }
+  ];
+}
+
+/** Connected locations for an account (raw rows; contact/autoReplyMode null = inherit). */
+export async function getLocations(accountId) {
+  let locations;
+  if (db.useDb()) {
+    locations = await db.getBusinessLocationsFromDb(accountId);
+  } else {
+    const all = await readLocationsFile();
+    locations = Object.values(all[accountId] || {});
+  }
+  if (locations.length) return locations;
+  return legacyLocations(await getBusiness(accountId));
+}
+
+/** One connected location, or null. */
+export async function getLocation(accountId, locationId) {
+  const locations = await getLocations(accountId);
+  return locations.find((l) => l.locationId === locationId) || null;
+}
+
+/**
+ * Like resolveAutoReplyEnabledAt, per location: a location added enabled, or
+ * switched back on, starts its own backlog from now.
+ */
+function resolveLocationEnabledAt(config, existing) {
+  const enabled = config.autoReplyEnabled ?? existing.autoReplyEnabled ?? true;
+  if (enabled === true && existing.autoReplyEnabled !== true) return new Date().toISOString();
+  return existing.autoReplyEnabledAt ?? null;
+}
+
+/** Create or update a location. Config: { accountId, locationId, name?, contact?, autoReplyEnabled?, autoReplyMode? } */
+export async function upsertLocation(config) {
+  if (db.useDb()) {
+    return await db.upsertBusinessLocationInDb(config);
+  }
+  const all = await readLocationsFile();
+  const forAccount = all[config.accountId] || {};
+  const existing = forAccount[config.locationId] || {};
+  forAccount[config.locationId] = {
+    accountId: config.accountId,
+    locationId: config.locationId,
+    name: config.name !== undefined ? config.name : existing.name ?? null,
+    contact: config.contact !== undefined ? config.contact : existing.contact ?? null,
+    autoReplyEnabled: config.autoReplyEnabled ?? existing.autoReplyEnabled ?? true,
+    autoReplyMode: config.autoReplyMode !== undefined ? config.autoReplyMode : existing.autoReplyMode ?? null,
+    autoReplyEnabledAt: resolveLocationEnabledAt(config, existing),
+    updatedAt: new Date().toISOString()
+  };
+  all[config.accountId] = forAccount;
+  await fs.writeFile(LOCATIONS_PATH, JSON.stringify(all, null, 2), "utf8");
+  return forAccount[config.locationId];
+}
+
+/**
+ * Effective settings for one location: the location's overrides on top of the
+ * account-level business config. The returned object is shaped like a business
+ * (accountId, locationId, name, contact, autoReplyMode, ...) so it can be handed
+ * straight to processPendingReviews. autoReplyEnabledAt is the later of the
+ * business's and the location's, so a location connected after auto-reply was
+ * switched on treats its older reviews as backlog too.
+ */
+export function resolveLocationSettings(business, location) {
+  const enabledAts = [business.autoReplyEnabledAt, location.autoReplyEnabledAt].filter(Boolean);
+  return {
+    ...business,
+    locationId: location.locationId,
+    autoReplyEnabledAt: enabledAts.length ? enabledAts.reduce((a, b) => (Date.parse(b) > Date.parse(a) ? b : a)) : null,
+    name: location.name || business.name || null,
+    contact: location.contact ?? business.contact ?? DEFAULT_CONTACT,
+    autoReplyMode: location.autoReplyMode ?? business.autoReplyMode ?? "instant",
+    locationAutoReplyEnabled: location.autoReplyEnabled !== false,
+    inherits: {
+      contact: location.contact == null,
+      autoReplyMode: location.autoReplyMode == null
+    }
+  };
+}
+
+/**
+ * Every location the scheduler should process: the business must pass
+ * getEnabledBusinesses (account-level switch + trial/subscription) and the
+ * location's own toggle must be on.
+ */
+export async function getEnabledLocations() {
+  const businesses = await getEnabledBusinesses();
+  if (!businesses.length) return [];
+  let byAccount;
+  if (db.useDb()) {
+    byAccount = await db.getAllBusinessLocationsFromDb();
+  } else {
+    const all = await readLocationsFile();
+    byAccount = Object.fromEntries(Object.entries(all).map(([id, locs]) => [id, Object.values(locs)]));
+  }
+  const out = [];
+  for (const biz of businesses) {
+    const stored = byAccount[biz.accountId] || [];
+    const locations = stored.length ? stored : legacyLocations(biz);
+    for (const loc of locations) {
+      if (loc.autoReplyEnabled === false) continue;
+      out.push(resolveLocationSettings(biz, loc));
+    }
+  }
+  return out;
+}
+
 export { DEFAULT_CONTACT };
@@ -1,6 +1,6 @@
 import pg from "pg";
 
-const { Pool } = pg;
+const { Pool, Client } = pg;
 
 let pool = null;
 
@@ -114,6 +114,129 @@ async function initSchema() {
   } catch (err) {
     if (err.code !== "42701") throw err;
   }
+  // Per-business star-rating filter (JSON array of 1-5). NULL = AUTO_REPLY_RATINGS env default.
+  try {
+    await client.query("ALTER TABLE businesses ADD COLUMN reply_ratings JSONB");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Backlog policy (see replyBacklog.js). NULL policy = AUTO_REPLY_BACKLOG_POLICY
+  // env default; auto_reply_enabled_at is stamped each time auto-reply goes off -> on.
+  for (const column of ["backlog_policy TEXT", "backlog_days INTEGER", "auto_reply_enabled_at TIMESTAMPTZ"]) {
+    try {
+      await client.query(`ALTER TABLE businesses ADD COLUMN ${column}`);
+    } catch (err) {
+      if (err.code !== "42701") throw err;
+    }
+  }
+  // Posting window (see postingWindow.js): "HH:MM" start/end in time_zone, plus
+  // optional random delay. NULL start/end = post at any time.
+  for (const column of [
+    "posting_window_start TEXT",
+    "posting_window_end TEXT",
+    "time_zone TEXT",
+    "reply_jitter_minutes INTEGER"
+  ]) {
+    try {
+      await client.query(`ALTER TABLE businesses ADD COLUMN ${column}`);
+    } catch (err) {
+      if (err.code !== "42701") throw err;
+    }
+  }
+  // Escalation rules (see escalationRules.js) and the owner's phone for
+  // "needs attention" texts.
+  for (const column of ["escalation_rules JSONB", "notification_phone TEXT"]) {
+    try {
+      await client.query(`ALTER TABLE businesses ADD COLUMN ${column}`);
+    } catch (err) {
+      if (err.code !== "42701") throw err;
+    }
+  }
+  // Owner notifications (see ownerNotifications.js): new low-star review alerts
+  // and the daily/weekly digest.
+  for (const column of ["negative_alert_max_rating INTEGER", "digest_frequency TEXT", "digest_last_sent_at TIMESTAMPTZ"]) {
+    try {
+      await client.query(`ALTER TABLE businesses ADD COLUMN ${column}`);
+    } catch (err) {
+      if (err.code !== "42701") throw err;
+    }
+  }
+  // Brand voice profile for AI replies (see brandVoice.js); NULL = house style.
+  try {
+    await client.query("ALTER TABLE businesses ADD COLUMN brand_voice JSONB");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Reply language (see replyLanguage.js): a fixed language, or the languages
+  // the business replies in. Both NULL = reply in the reviewer's language.
+  for (const column of ["reply_language TEXT", "supported_languages JSONB"]) {
+    try {
+      await client.query(`ALTER TABLE businesses ADD COLUMN ${column}`);
+    } catch (err) {
+      if (err.code !== "42701") throw err;
+    }
+  }
+  // Facts AI replies may use (see knowledgeBase.js); NULL = none beyond the contact.
+  try {
+    await client.query("ALTER TABLE businesses ADD COLUMN knowledge_base JSONB");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Monthly AI spend cap in cents (see aiCost.js); NULL = no cap.
+  try {
+    await client.query("ALTER TABLE businesses ADD COLUMN ai_budget_cents INTEGER");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Samples of the owner's own replies (see replyStyle.js); NULL = not learned yet.
+  try {
+    await client.query("ALTER TABLE businesses ADD COLUMN reply_style JSONB");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Set when Google rejects the business's grant; scheduling pauses until the owner reconnects.
+  try {
+    await client.query("ALTER TABLE businesses ADD COLUMN google_disconnected_at TIMESTAMPTZ");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Per-business cadence: when each location last ran and when it's next due.
+  try {
+    await client.query("ALTER TABLE auto_state ADD COLUMN last_run_at TIMESTAMPTZ");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  try {
+    await client.query("ALTER TABLE auto_state ADD COLUMN next_run_at TIMESTAMPTZ");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Multi-location: every connected location of an account. businesses.location_id
+  // stays as the primary location; contact / auto_reply_mode here are per-location
+  // overrides (NULL = inherit from the business row).
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS business_locations (
+      account_id TEXT NOT NULL,
+      location_id TEXT NOT NULL,
+      name TEXT,
+      contact TEXT,
+      auto_reply_enabled BOOLEAN NOT NULL DEFAULT true,
+      auto_reply_mode TEXT,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (account_id, location_id)
+    );
+  `);
+  try {
+    await client.query("ALTER TABLE business_locations ADD COLUMN auto_reply_enabled_at TIMESTAMPTZ");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Backfill: businesses connected before multi-location keep their single location.
+  await client.query(`
+    INSERT INTO business_locations (account_id, location_id, name)
+    SELECT account_id, location_id, name FROM businesses WHERE location_id <> ''
+    ON CONFLICT (account_id, location_id) DO NOTHING
+  `);
   // Auto-reply preview mode: when business has auto_reply_mode='delayed', low-star
   // replies are queued here until send_after passes (or cancelled_at is set).
   await client.query(`
@@ -138,6 +261,178 @@ async function initSchema() {
       ON pending_replies(send_after)
       WHERE cancelled_at IS NULL AND sent_at IS NULL;
   `);
+  try {
+    await client.query("ALTER TABLE pending_replies ADD COLUMN model TEXT");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Approval mode: rows wait with send_after NULL until the owner approves
+  // (approved_at set, send_after = approval time).
+  await client.query("ALTER TABLE pending_replies ALTER COLUMN send_after DROP NOT NULL");
+  try {
+    await client.query("ALTER TABLE pending_replies ADD COLUMN approved_at TIMESTAMPTZ");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Owner rewrote the reply from the edit link; generated_reply holds their text.
+  try {
+    await client.query("ALTER TABLE pending_replies ADD COLUMN edited_at TIMESTAMPTZ");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Reply history: one row per reply Replyr posted to Google. Replaces
+  // auto_state.replied_review_ids (an ID-only array that grew forever).
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS replies (
+      id BIGSERIAL PRIMARY KEY,
+      account_id TEXT NOT NULL,
+      location_id TEXT NOT NULL,
+      review_id TEXT NOT NULL,
+      rating INTEGER,
+      review_text TEXT,
+      reply_text TEXT,
+      source TEXT NOT NULL,
+      model TEXT,
+      posted_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_replies_review ON replies(account_id, location_id, review_id);
+    CREATE INDEX IF NOT EXISTS idx_replies_posted ON replies(account_id, posted_at DESC);
+  `);
+  // Move IDs from the old array into replies as 'legacy' rows (no text or time
+  // was ever stored), then empty the array so this is a no-op next startup.
+  await client.query(`
+    INSERT INTO replies (account_id, location_id, review_id, source, posted_at)
+    SELECT s.account_id, s.location_id, ids.review_id, 'legacy', NULL
+    FROM auto_state s
+    CROSS JOIN LATERAL jsonb_array_elements_text(s.replied_review_ids) AS ids(review_id)
+    WHERE jsonb_typeof(s.replied_review_ids) = 'array'
+      AND NOT EXISTS (
+        SELECT 1 FROM replies r
+        WHERE r.account_id = s.account_id AND r.location_id = s.location_id AND r.review_id = ids.review_id
+      )
+  `);
+  await client.query("UPDATE auto_state SET replied_review_ids = '[]' WHERE replied_review_ids <> '[]'::jsonb");
+  // Edited reviews (see reviewEdits.js): the review version each reply answered,
+  // and which earlier reply a refreshed one replaced. Queued replies carry both
+  // until they post.
+  for (const table of ["replies", "pending_replies"]) {
+    for (const column of ["review_update_time TIMESTAMPTZ", "replaces_reply_id BIGINT"]) {
+      try {
+        await client.query(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+      } catch (err) {
+        if (err.code !== "42701") throw err;
+      }
+    }
+  }
+  // Language the review was written in, when detected; queued replies carry it until they post.
+  for (const table of ["replies", "pending_replies"]) {
+    try {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN review_language TEXT`);
+    } catch (err) {
+      if (err.code !== "42701") throw err;
+    }
+  }
+  // Why a reply is waiting for approval when it failed the guardrails (see replyGuardrails.js).
+  try {
+    await client.query("ALTER TABLE pending_replies ADD COLUMN hold_reason TEXT");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Drafts the owner can choose between, and which one they chose (see replyVariants.js).
+  for (const column of ["candidates JSONB", "chosen_variant TEXT"]) {
+    try {
+      await client.query(`ALTER TABLE pending_replies ADD COLUMN ${column}`);
+    } catch (err) {
+      if (err.code !== "42701") throw err;
+    }
+  }
+  // Set when the owner deleted this reply from Google. A replacement is a new
+  // row whose replaces_reply_id points here, so every revision is kept.
+  try {
+    await client.query("ALTER TABLE replies ADD COLUMN retracted_at TIMESTAMPTZ");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Reviewer's display name, so a regenerated reply can greet them and the
+  // guardrails can check it for their surname.
+  try {
+    await client.query("ALTER TABLE replies ADD COLUMN reviewer_name TEXT");
+  } catch (err) {
+    if (err.code !== "42701") throw err;
+  }
+  // Per-review failure budget for inline runs (see reviewFailures.js); queue
+  // jobs track their own attempts, and dead reply jobs land here as failed.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS review_failures (
+      account_id TEXT NOT NULL,
+      location_id TEXT NOT NULL,
+      review_id TEXT NOT NULL,
+      rating INTEGER,
+      review_text TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      last_attempt_at TIMESTAMPTZ,
+      next_attempt_at TIMESTAMPTZ,
+      failed_at TIMESTAMPTZ,
+      PRIMARY KEY (account_id, location_id, review_id)
+    );
+  `);
+  // "Needs attention" queue: reviews an escalation rule held back from AI
+  // replies. resolved_at is set once the owner replied by hand or dismissed it;
+  // the row stays so the review is never auto-replied later.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS attention_reviews (
+      account_id TEXT NOT NULL,
+      location_id TEXT NOT NULL,
+      review_id TEXT NOT NULL,
+      rating INTEGER,
+      reviewer_name TEXT,
+      review_text TEXT,
+      review_update_time TIMESTAMPTZ,
+      rule_name TEXT,
+      reason TEXT,
+      held_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      resolved_at TIMESTAMPTZ,
+      resolution TEXT,
+      PRIMARY KEY (account_id, location_id, review_id)
+    );
+  `);
+  // Reviews we've already sent a new-negative-review alert for (one per review).
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS review_alerts (
+      account_id TEXT NOT NULL,
+      location_id TEXT NOT NULL,
+      review_id TEXT NOT NULL,
+      sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (account_id, location_id, review_id)
+    );
+  `);
+  // Durable job queue for auto-reply work (review sync, reply generation, posting).
+  // dedupe_key is unique among open jobs so the same work is never queued twice.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id BIGSERIAL PRIMARY KEY,
+      kind TEXT NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}',
+      dedupe_key TEXT,
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      locked_at TIMESTAMPTZ,
+      last_error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      finished_at TIMESTAMPTZ
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe_open
+      ON jobs(dedupe_key)
+      WHERE status IN ('queued', 'running');
+    CREATE INDEX IF NOT EXISTS idx_jobs_due
+      ON jobs(run_after)
+      WHERE status = 'queued';
+    CREATE INDEX IF NOT EXISTS idx_jobs_dedupe_key ON jobs(dedupe_key);
+  `);
   // Replyr Pro: contacts per business (all CSV rows; email optional for storage, required for sending)
   await client.query(`
     CREATE TABLE IF NOT EXISTS pro_contacts (
@@ -251,6 +546,18 @@ async function initSchema() {
   } catch (err) {
     if (err.code !== "42701") throw err;
   }
+  // One row per contact per day a birthday greeting went out, claimed just
+  // before sending, so hourly ticks (and other replicas) don't send it again and
+  // a run cut short by a crash or redeploy picks up with the next contact.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS pro_birthday_sends (
+      account_id TEXT NOT NULL,
+      contact_key TEXT NOT NULL,
+      run_date DATE NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (account_id, contact_key, run_date)
+    );
+  `);
   await client.query(`
     CREATE TABLE IF NOT EXISTS pro_sms_usage (
       account_id TEXT NOT NULL,
@@ -260,6 +567,33 @@ async function initSchema() {
       PRIMARY KEY (account_id, month_key)
     );
   `);
+  // AI tokens and cost per business, month, model and purpose (see aiUsage.js).
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ai_usage (
+      account_id TEXT NOT NULL,
+      month_key TEXT NOT NULL,
+      model TEXT NOT NULL,
+      purpose TEXT NOT NULL,
+      calls INTEGER NOT NULL DEFAULT 0,
+      input_tokens BIGINT NOT NULL DEFAULT 0,
+      output_tokens BIGINT NOT NULL DEFAULT 0,
+      cost_micros BIGINT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (account_id, month_key, model, purpose)
+    );
+  `);
+  // Each draft the owner picked or regenerated away from (see replyVariants.js).
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS reply_variant_choices (
+      id SERIAL PRIMARY KEY,
+      account_id TEXT NOT NULL,
+      pending_reply_id INTEGER,
+      variant TEXT NOT NULL,
+      action TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_reply_variant_choices_account ON reply_variant_choices (account_id, created_at DESC);
+  `);
 }
 
 /** Create tables if they don't exist. Retries transient connection errors (Railway Postgres wake-up). */
@@ -323,7 +657,7 @@ export async function writeTokens(data) {
 // --- Businesses ---
 
 const BUSINESS_COLUMNS =
-  "account_id, location_id, name, contact, auto_reply_enabled, interval_minutes, updated_at, free_reply_used, trial_ends_at, subscribed_at, stripe_customer_id, is_pro, pro_tier, auto_reply_mode, notification_email";
+  "account_id, location_id, name, contact, auto_reply_enabled, interval_minutes, updated_at, free_reply_used, trial_ends_at, subscribed_at, stripe_customer_id, is_pro, pro_tier, auto_reply_mode, notification_email, reply_ratings, backlog_policy, backlog_days, auto_reply_enabled_at, posting_window_start, posting_window_end, time_zone, reply_jitter_minutes, escalation_rules, notification_phone, negative_alert_max_rating, digest_frequency, digest_last_sent_at, google_disconnected_at, brand_voice, reply_language, supported_languages, reply_style, knowledge_base, ai_budget_cents";
 
 function rowToBusiness(row) {
   return {
@@ -341,7 +675,27 @@ function rowToBusiness(row) {
     isPro: row.is_pro ?? false,
     proTier: row.pro_tier || "starter",
     autoReplyMode: row.auto_reply_mode || "instant",
-    notificationEmail: row.notification_email || null
+    notificationEmail: row.notification_email || null,
+    replyRatings: Array.isArray(row.reply_ratings) ? row.reply_ratings : null,
+    backlogPolicy: row.backlog_policy || null,
+    backlogDays: row.backlog_days ?? null,
+    autoReplyEnabledAt: row.auto_reply_enabled_at ? new Date(row.auto_reply_enabled_at).toISOString() : null,
+    postingWindowStart: row.posting_window_start || null,
+    postingWindowEnd: row.posting_window_end || null,
+    timeZone: row.time_zone || null,
+    replyJitterMinutes: row.reply_jitter_minutes ?? null,
+    escalationRules: Array.isArray(row.escalation_rules) ? row.escalation_rules : null,
+    notificationPhone: row.notification_phone || null,
+    negativeAlertMaxRating: row.negative_alert_max_rating ?? null,
+    digestFrequency: row.digest_frequency || null,
+    digestLastSentAt: row.digest_last_sent_at ? new Date(row.digest_last_sent_at).toISOString() : null,
+    googleDisconnectedAt: row.google_disconnected_at ? new Date(row.google_disconnected_at).toISOString() : null,
+    brandVoice: row.brand_voice && typeof row.brand_voice === "object" ? row.brand_voice : null,
+    replyLanguage: row.reply_language || null,
+    supportedLanguages: Array.isArray(row.supported_languages) ? row.supported_languages : null,
+    replyStyle: row.reply_style && typeof row.reply_style === "object" ? row.reply_style : null,
+    knowledgeBase: row.knowledge_base && typeof row.knowledge_base === "object" ? row.knowledge_base : null,
+    aiBudgetCents: row.ai_budget_cents ?? null
   };
 }
 
@@ -374,6 +728,12 @@ export async function upsertBusinessInDb(config) {
   const proTier = config.proTier !== undefined ? config.proTier : existing?.proTier ?? "starter";
   const autoReplyMode = config.autoReplyMode !== undefined ? config.autoReplyMode : existing?.autoReplyMode ?? "instant";
   const notificationEmail = config.notificationEmail !== undefined ? config.notificationEmail : existing?.notificationEmail ?? null;
+  const replyRatings = config.replyRatings !== undefined ? config.replyRatings : existing?.replyRatings ?? null;
+  const backlogPolicy = config.backlogPolicy !== undefined ? config.backlogPolicy : existing?.backlogPolicy ?? null;
+  const backlogDays = config.backlogDays !== undefined ? config.backlogDays : existing?.backlogDays ?? null;
+  const autoReplyEnabledAt =
+    config.autoReplyEnabledAt !== undefined ? config.autoReplyEnabledAt : existing?.autoReplyEnabledAt ?? null;
+  const pick = (key) => (config[key] !== undefined ? config[key] : existing?.[key] ?? null);
   const row = {
     account_id: config.accountId,
     location_id: config.locationId,
@@ -389,14 +749,33 @@ export async function upsertBusinessInDb(config) {
     is_pro: isPro,
     pro_tier: proTier || "starter",
     auto_reply_mode: autoReplyMode || "instant",
-    notification_email: notificationEmail
+    notification_email: notificationEmail,
+    reply_ratings: Array.isArray(replyRatings) && replyRatings.length ? replyRatings : null,
+    backlog_policy: backlogPolicy,
+    backlog_days: backlogDays,
+    auto_reply_enabled_at: autoReplyEnabledAt,
+    posting_window_start: pick("postingWindowStart"),
+    posting_window_end: pick("postingWindowEnd"),
+    time_zone: pick("timeZone"),
+    reply_jitter_minutes: pick("replyJitterMinutes"),
+    escalation_rules: pick("escalationRules"),
+    notification_phone: pick("notificationPhone"),
+    negative_alert_max_rating: pick("negativeAlertMaxRating"),
+    digest_frequency: pick("digestFrequency"),
+    digest_last_sent_at: pick("digestLastSentAt"),
+    brand_voice: pick("brandVoice"),
+    reply_language: pick("replyLanguage"),
+    supported_languages: pick("supportedLanguages"),
+    reply_style: pick("replyStyle"),
+    knowledge_base: pick("knowledgeBase"),
+    ai_budget_cents: pick("aiBudgetCents")
   };
   await getPool().query(
-    `INSERT INTO businesses (account_id, location_id, name, contact, auto_reply_enabled, interval_minutes, updated_at, free_reply_used, trial_ends_at, subscribed_at, stripe_customer_id, is_pro, pro_tier, auto_reply_mode, notification_email)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    `INSERT INTO businesses (account_id, location_id, name, contact, auto_reply_enabled, interval_minutes, updated_at, free_reply_used, trial_ends_at, subscribed_at, stripe_customer_id, is_pro, pro_tier, auto_reply_mode, notification_email, reply_ratings, backlog_policy, backlog_days, auto_reply_enabled_at, posting_window_start, posting_window_end, time_zone, reply_jitter_minutes, escalation_rules, notification_phone, negative_alert_max_rating, digest_frequency, digest_last_sent_at, brand_voice, reply_language, supported_languages, reply_style, knowledge_base, ai_budget_cents)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34)
      ON CONFLICT (account_id) DO UPDATE SET
-       location_id = $2, name = $3, contact = $4, auto_reply_enabled = $5, interval_minutes = $6, updated_at = $7, free_reply_used = $8, trial_ends_at = $9, subscribed_at = $10, stripe_customer_id = $11, is_pro = $12, pro_tier = $13, auto_reply_mode = $14, notification_email = $15`,
-    [row.account_id, row.location_id, row.name, row.contact, row.auto_reply_enabled, row.interval_minutes, row.updated_at, row.free_reply_used, row.trial_ends_at, row.subscribed_at, row.stripe_customer_id, row.is_pro, row.pro_tier, row.auto_reply_mode, row.notification_email]
+       location_id = $2, name = $3, contact = $4, auto_reply_enabled = $5, interval_minutes = $6, updated_at = $7, free_reply_used = $8, trial_ends_at = $9, subscribed_at = $10, stripe_customer_id = $11, is_pro = $12, pro_tier = $13, auto_reply_mode = $14, notification_email = $15, reply_ratings = $16, backlog_policy = $17, backlog_days = $18, auto_reply_enabled_at = $19, posting_window_start = $20, posting_window_end = $21, time_zone = $22, reply_jitter_minutes = $23, escalation_rules = $24, notification_phone = $25, negative_alert_max_rating = $26, digest_frequency = $27, digest_last_sent_at = $28, brand_voice = $29, reply_language = $30, supported_languages = $31, reply_style = $32, knowledge_base = $33, ai_budget_cents = $34`,
+    [row.account_id, row.location_id, row.name, row.contact, row.auto_reply_enabled, row.interval_minutes, row.updated_at, row.free_reply_used, row.trial_ends_at, row.subscribed_at, row.stripe_customer_id, row.is_pro, row.pro_tier, row.auto_reply_mode, row.notification_email, row.reply_ratings ? JSON.stringify(row.reply_ratings) : null, row.backlog_policy, row.backlog_days, row.auto_reply_enabled_at, row.posting_window_start, row.posting_window_end, row.time_zone, row.reply_jitter_minutes, Array.isArray(row.escalation_rules) && row.escalation_rules.length ? JSON.stringify(row.escalation_rules) : null, row.notification_phone, row.negative_alert_max_rating, row.digest_frequency, row.digest_last_sent_at, row.brand_voice ? JSON.stringify(row.brand_voice) : null, row.reply_language, Array.isArray(row.supported_languages) && row.supported_languages.length ? JSON.stringify(row.supported_languages) : null, row.reply_style ? JSON.stringify(row.reply_style) : null, row.knowledge_base ? JSON.stringify(row.knowledge_base) : null, row.ai_budget_cents]
   );
   return rowToBusiness(row);
 }
@@ -416,6 +795,33 @@ export async function setBusinessNotificationEmailIfEmpty(accountId, email) {
   return (res.rowCount || 0) > 0;
 }
 
+/**
+ * Not part of upsertBusinessInDb: only these two write google_disconnected_at.
+ * Returns true for the call that marked it, so the owner is emailed once.
+ */
+export async function setBusinessGoogleDisconnected(accountId) {
+  const res = await getPool().query(
+    `UPDATE businesses SET google_disconnected_at = NOW(), updated_at = NOW()
+     WHERE account_id = $1 AND google_disconnected_at IS NULL`,
+    [accountId]
+  );
+  return (res.rowCount || 0) > 0;
+}
+
+/** Record a sent digest without touching the rest of the row. */
+export async function setBusinessDigestLastSentAt(accountId, sentAt) {
+  await getPool().query("UPDATE businesses SET digest_last_sent_at = $2 WHERE account_id = $1", [accountId, sentAt]);
+}
+
+export async function clearBusinessGoogleDisconnected(accountId) {
+  const res = await getPool().query(
+    `UPDATE businesses SET google_disconnected_at = NULL, updated_at = NOW()
+     WHERE account_id = $1 AND google_disconnected_at IS NOT NULL`,
+    [accountId]
+  );
+  return (res.rowCount || 0) > 0;
+}
+
 /** Return accountId for a business with this stripe_customer_id, or null */
 export async function getAccountIdByStripeCustomerId(stripeCustomerId) {
   if (!stripeCustomerId) return null;
@@ -426,29 +832,407 @@ export async function getAccountIdByStripeCustomerId(stripeCustomerId) {
   return res.rows[0]?.account_id ?? null;
 }
 
+// --- Business locations (per accountId + locationId) ---
+
+const LOCATION_COLUMNS =
+  "account_id, location_id, name, contact, auto_reply_enabled, auto_reply_mode, auto_reply_enabled_at, updated_at";
+
+function rowToLocation(row) {
+  return {
+    accountId: row.account_id,
+    locationId: row.location_id,
+    name: row.name ?? null,
+    contact: row.contact ?? null,
+    autoReplyEnabled: row.auto_reply_enabled ?? true,
+    autoReplyMode: row.auto_reply_mode ?? null,
+    autoReplyEnabledAt: row.auto_reply_enabled_at ? new Date(row.auto_reply_enabled_at).toISOString() : null,
+    updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+  };
+}
+
+export async function getBusinessLocationsFromDb(accountId) {
+  const res = await getPool().query(
+    `SELECT ${LOCATION_COLUMNS} FROM business_locations WHERE account_id = $1 ORDER BY name NULLS LAST, location_id`,
+    [accountId]
+  );
+  return res.rows.map(rowToLocation);
+}
+
+/** All locations of all accounts (accountId -> location[]), for the scheduler. */
+export async function getAllBusinessLocationsFromDb() {
+  const res = await getPool().query(
+    `SELECT ${LOCATION_COLUMNS} FROM business_locations ORDER BY account_id, name NULLS LAST, location_id`
+  );
+  const out = {};
+  for (const row of res.rows) {
+    if (!out[row.account_id]) out[row.account_id] = [];
+    out[row.account_id].push(rowToLocation(row));
+  }
+  return out;
+}
+
+/**
+ * Insert or update one location. Fields left undefined keep their stored value.
+ * auto_reply_enabled_at is stamped when the location is added enabled or switched back on.
+ */
+export async function upsertBusinessLocationInDb(config) {
+  const res = await getPool().query(
+    `SELECT ${LOCATION_COLUMNS} FROM business_locations WHERE account_id = $1 AND location_id = $2`,
+    [config.accountId, config.locationId]
+  );
+  const existing = res.rows[0] ? rowToLocation(res.rows[0]) : null;
+  const enabled = config.autoReplyEnabled ?? existing?.autoReplyEnabled ?? true;
+  const row = {
+    account_id: config.accountId,
+    location_id: config.locationId,
+    name: config.name !== undefined ? config.name : existing?.name ?? null,
+    contact: config.contact !== undefined ? config.contact : existing?.contact ?? null,
+    auto_reply_enabled: enabled,
+    auto_reply_mode: config.autoReplyMode !== undefined ? config.autoReplyMode : existing?.autoReplyMode ?? null,
+    auto_reply_enabled_at:
+      enabled === true && existing?.autoReplyEnabled !== true ? new Date().toISOString() : existing?.autoReplyEnabledAt ?? null,
+    updated_at: new Date().toISOString()
+  };
+  await getPool().query(
+    `INSERT INTO business_locations (account_id, location_id, name, contact, auto_reply_enabled, auto_reply_mode, auto_reply_enabled_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (account_id, location_id) DO UPDATE SET
+       name = $3, contact = $4, auto_reply_enabled = $5, auto_reply_mode = $6, auto_reply_enabled_at = $7, updated_at = $8`,
+    [
+      row.account_id,
+      row.location_id,
+      row.name,
+      row.contact,
+      row.auto_reply_enabled,
+      row.auto_reply_mode,
+      row.auto_reply_enabled_at,
+      row.updated_at
+    ]
+  );
+  return rowToLocation(row);
+}
+
 // --- Auto state (per accountId + locationId) ---
 
+/**
+ * Reviews the scheduler must not reply to again: anything in the replies
+ * history, plus queued replies the owner cancelled.
+ */
 export async function getAutoState(accountId, locationId) {
   const res = await getPool().query(
-    "SELECT replied_review_ids FROM auto_state WHERE account_id = $1 AND location_id = $2",
+    `SELECT review_id FROM replies WHERE account_id = $1 AND location_id = $2
+     UNION
+     SELECT review_id FROM pending_replies
+     WHERE account_id = $1 AND location_id = $2 AND cancelled_at IS NOT NULL`,
     [accountId, locationId]
   );
-  const row = res.rows[0];
-  if (!row) return { repliedReviewIds: [] };
-  const ids = row.replied_review_ids;
-  return { repliedReviewIds: Array.isArray(ids) ? ids : [] };
+  return { repliedReviewIds: res.rows.map((r) => r.review_id) };
+}
+
+/** Last/next scheduler run for every tracked location. */
+export async function getAutoRunTimes() {
+  const res = await getPool().query(
+    "SELECT account_id, location_id, last_run_at, next_run_at FROM auto_state"
+  );
+  return res.rows.map((row) => ({
+    accountId: row.account_id,
+    locationId: row.location_id,
+    lastRunAt: row.last_run_at ? new Date(row.last_run_at).toISOString() : null,
+    nextRunAt: row.next_run_at ? new Date(row.next_run_at).toISOString() : null
+  }));
 }
 
-export async function setAutoState(accountId, locationId, state) {
-  const ids = state?.repliedReviewIds ?? [];
+export async function setAutoRunTimes(accountId, locationId, lastRunAt, nextRunAt) {
   await getPool().query(
-    `INSERT INTO auto_state (account_id, location_id, replied_review_ids)
-     VALUES ($1, $2, $3)
-     ON CONFLICT (account_id, location_id) DO UPDATE SET replied_review_ids = $3`,
-    [accountId, locationId, JSON.stringify(ids)]
+    `INSERT INTO auto_state (account_id, location_id, last_run_at, next_run_at)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (account_id, location_id) DO UPDATE SET last_run_at = $3, next_run_at = $4`,
+    [accountId, locationId, lastRunAt, nextRunAt]
   );
 }
 
+// --- Reply history (one row per reply posted to Google) ---
+
+const REPLY_COLUMNS =
+  "id, account_id, location_id, review_id, rating, reviewer_name, review_text, reply_text, source, model, review_update_time, replaces_reply_id, review_language, posted_at, retracted_at";
+
+function rowToReply(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    accountId: row.account_id,
+    locationId: row.location_id,
+    reviewId: row.review_id,
+    rating: row.rating,
+    reviewerName: row.reviewer_name ?? null,
+    reviewText: row.review_text,
+    replyText: row.reply_text,
+    source: row.source,
+    model: row.model,
+    reviewUpdateTime: row.review_update_time ? new Date(row.review_update_time).toISOString() : null,
+    replacesReplyId: row.replaces_reply_id,
+    reviewLanguage: row.review_language || null,
+    postedAt: row.posted_at ? new Date(row.posted_at).toISOString() : null,
+    retractedAt: row.retracted_at ? new Date(row.retracted_at).toISOString() : null
+  };
+}
+
+export async function insertReply({
+  accountId,
+  locationId,
+  reviewId,
+  rating,
+  reviewerName,
+  reviewText,
+  replyText,
+  source,
+  model,
+  reviewUpdateTime,
+  replacesReplyId,
+  reviewLanguage
+}) {
+  const res = await getPool().query(
+    `INSERT INTO replies
+       (account_id, location_id, review_id, rating, review_text, reply_text, source, model, review_update_time, replaces_reply_id, review_language, reviewer_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING ${REPLY_COLUMNS}`,
+    [
+      accountId,
+      locationId,
+      reviewId,
+      rating ?? null,
+      reviewText ?? null,
+      replyText ?? null,
+      source,
+      model ?? null,
+      reviewUpdateTime ?? null,
+      replacesReplyId ?? null,
+      reviewLanguage ?? null,
+      reviewerName ?? null
+    ]
+  );
+  return rowToReply(res.rows[0]);
+}
+
+/**
+ * Latest reply per review for the given review IDs at one location, keyed by
+ * review ID. refreshCancelled is set when the owner cancelled a queued reply
+ * for the review after that reply went up (a refresh they didn't want).
+ */
+export async function getLatestReplies(accountId, locationId, reviewIds) {
+  if (!reviewIds.length) return {};
+  const res = await getPool().query(
+    `SELECT DISTINCT ON (r.review_id) ${REPLY_COLUMNS.split(", ").map((c) => `r.${c}`).join(", ")},
+       EXISTS (
+         SELECT 1 FROM pending_replies p
+         WHERE p.account_id = r.account_id AND p.location_id = r.location_id AND p.review_id = r.review_id
+           AND p.cancelled_at > r.posted_at
+       ) AS refresh_cancelled
+     FROM replies r
+     WHERE r.account_id = $1 AND r.location_id = $2 AND r.review_id = ANY($3::text[])
+     ORDER BY r.review_id, r.posted_at DESC NULLS LAST, r.id DESC`,
+    [accountId, locationId, reviewIds]
+  );
+  const out = {};
+  for (const row of res.rows) out[row.review_id] = { ...rowToReply(row), refreshCancelled: row.refresh_cancelled };
+  return out;
+}
+
+export async function getReplyById(accountId, id) {
+  const res = await getPool().query(`SELECT ${REPLY_COLUMNS} FROM replies WHERE account_id = $1 AND id = $2`, [accountId, id]);
+  return rowToReply(res.rows[0]);
+}
+
+export async function markReplyRetracted(id) {
+  await getPool().query("UPDATE replies SET retracted_at = NOW() WHERE id = $1 AND retracted_at IS NULL", [id]);
+}
+
+/** Newest first. Legacy rows (no posted_at) sort last. */
+export async function listReplies(accountId, { locationId = null, limit = 50 } = {}) {
+  const res = await getPool().query(
+    `SELECT ${REPLY_COLUMNS} FROM replies
+     WHERE account_id = $1 AND ($2::text IS NULL OR location_id = $2)
+     ORDER BY posted_at DESC NULLS LAST, id DESC
+     LIMIT $3`,
+    [accountId, locationId, limit]
+  );
+  return res.rows.map(rowToReply);
+}
+
+// --- Review failures (retry budget per review) ---
+
+const REVIEW_FAILURE_COLUMNS =
+  "account_id, location_id, review_id, rating, review_text, attempts, last_error, last_attempt_at, next_attempt_at, failed_at";
+
+function rowToReviewFailure(row) {
+  if (!row) return null;
+  const iso = (v) => (v ? new Date(v).toISOString() : null);
+  return {
+    accountId: row.account_id,
+    locationId: row.location_id,
+    reviewId: row.review_id,
+    rating: row.rating,
+    reviewText: row.review_text,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    lastAttemptAt: iso(row.last_attempt_at),
+    nextAttemptAt: iso(row.next_attempt_at),
+    failedAt: iso(row.failed_at)
+  };
+}
+
+/** Failure records for one location, keyed by reviewId. */
+export async function getReviewFailures(accountId, locationId) {
+  const res = await getPool().query(
+    `SELECT ${REVIEW_FAILURE_COLUMNS} FROM review_failures WHERE account_id = $1 AND location_id = $2`,
+    [accountId, locationId]
+  );
+  const out = {};
+  for (const row of res.rows) out[row.review_id] = rowToReviewFailure(row);
+  return out;
+}
+
+export async function setReviewFailure(accountId, locationId, reviewId, failure) {
+  await getPool().query(
+    `INSERT INTO review_failures (${REVIEW_FAILURE_COLUMNS})
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (account_id, location_id, review_id) DO UPDATE SET
+       rating = COALESCE($4, review_failures.rating),
+       review_text = COALESCE($5, review_failures.review_text),
+       attempts = $6, last_error = $7, last_attempt_at = $8, next_attempt_at = $9, failed_at = $10`,
+    [
+      accountId,
+      locationId,
+      reviewId,
+      failure.rating ?? null,
+      failure.reviewText ?? null,
+      failure.attempts,
+      failure.lastError ?? null,
+      failure.lastAttemptAt ?? null,
+      failure.nextAttemptAt ?? null,
+      failure.failedAt ?? null
+    ]
+  );
+}
+
+/** Returns true if there was a record to clear. */
+export async function clearReviewFailure(accountId, locationId, reviewId) {
+  const res = await getPool().query(
+    "DELETE FROM review_failures WHERE account_id = $1 AND location_id = $2 AND review_id = $3",
+    [accountId, locationId, reviewId]
+  );
+  return res.rowCount > 0;
+}
+
+/** Permanently failed reviews for an account, newest failure first. */
+export async function listFailedReviews(accountId) {
+  const res = await getPool().query(
+    `SELECT ${REVIEW_FAILURE_COLUMNS} FROM review_failures
+     WHERE account_id = $1 AND failed_at IS NOT NULL
+     ORDER BY failed_at DESC`,
+    [accountId]
+  );
+  return res.rows.map(rowToReviewFailure);
+}
+
+// --- New-negative-review alerts (one per review) ---
+
+/**
+ * Record that the alert for this review is being sent. False if it was already
+ * claimed, so two instances syncing the same location don't both alert.
+ */
+export async function claimReviewAlert(accountId, locationId, reviewId) {
+  const res = await getPool().query(
+    `INSERT INTO review_alerts (account_id, location_id, review_id) VALUES ($1, $2, $3)
+     ON CONFLICT (account_id, location_id, review_id) DO NOTHING`,
+    [accountId, locationId, reviewId]
+  );
+  return res.rowCount > 0;
+}
+
+// --- Needs-attention queue (escalated reviews) ---
+
+const ATTENTION_COLUMNS =
+  "account_id, location_id, review_id, rating, reviewer_name, review_text, review_update_time, rule_name, reason, held_at, resolved_at, resolution";
+
+function rowToAttentionReview(row) {
+  if (!row) return null;
+  const iso = (v) => (v ? new Date(v).toISOString() : null);
+  return {
+    accountId: row.account_id,
+    locationId: row.location_id,
+    reviewId: row.review_id,
+    rating: row.rating,
+    reviewerName: row.reviewer_name,
+    reviewText: row.review_text,
+    reviewUpdateTime: iso(row.review_update_time),
+    ruleName: row.rule_name,
+    reason: row.reason,
+    heldAt: iso(row.held_at),
+    resolvedAt: iso(row.resolved_at),
+    resolution: row.resolution
+  };
+}
+
+/** Hold a review. Returns false if it was already in the queue (open or resolved). */
+export async function insertAttentionReview(entry) {
+  const res = await getPool().query(
+    `INSERT INTO attention_reviews (account_id, location_id, review_id, rating, reviewer_name, review_text, review_update_time, rule_name, reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (account_id, location_id, review_id) DO NOTHING`,
+    [
+      entry.accountId,
+      entry.locationId,
+      entry.reviewId,
+      entry.rating ?? null,
+      entry.reviewerName ?? null,
+      entry.reviewText ?? null,
+      entry.reviewUpdateTime ?? null,
+      entry.ruleName ?? null,
+      entry.reason ?? null
+    ]
+  );
+  return res.rowCount > 0;
+}
+
+/** Review IDs ever held at this location (open or resolved). */
+export async function getAttentionReviewIds(accountId, locationId) {
+  const res = await getPool().query(
+    "SELECT review_id FROM attention_reviews WHERE account_id = $1 AND location_id = $2",
+    [accountId, locationId]
+  );
+  return res.rows.map((r) => r.review_id);
+}
+
+export async function getAttentionReview(accountId, locationId, reviewId) {
+  const res = await getPool().query(
+    `SELECT ${ATTENTION_COLUMNS} FROM attention_reviews WHERE account_id = $1 AND location_id = $2 AND review_id = $3`,
+    [accountId, locationId, reviewId]
+  );
+  return rowToAttentionReview(res.rows[0]);
+}
+
+/** Open (unresolved) held reviews for an account, newest first. */
+export async function listAttentionReviews(accountId) {
+  const res = await getPool().query(
+    `SELECT ${ATTENTION_COLUMNS} FROM attention_reviews
+     WHERE account_id = $1 AND resolved_at IS NULL
+     ORDER BY held_at DESC`,
+    [accountId]
+  );
+  return res.rows.map(rowToAttentionReview);
+}
+
+/** Mark a held review handled ("replied" or "dismissed"). False if it wasn't open. */
+export async function resolveAttentionReview(accountId, locationId, reviewId, resolution) {
+  const res = await getPool().query(
+    `UPDATE attention_reviews SET resolved_at = NOW(), resolution = $4
+     WHERE account_id = $1 AND location_id = $2 AND review_id = $3 AND resolved_at IS NULL`,
+    [accountId, locationId, reviewId, resolution]
+  );
+  return res.rowCount > 0;
+}
+
 export function useDb() {
   return Boolean(process.env.DATABASE_URL);
 }
@@ -588,6 +1372,20 @@ export async function setProBirthdaySettings(accountId, settings) {
   return getProBirthdaySettings(accountId);
 }
 
+/**
+ * Claim today's birthday greeting for one contact (contactKey: see
+ * proCampaigns.js). Returns true for exactly one caller per (accountId,
+ * contactKey, runDate); everyone else gets false and should skip the contact.
+ */
+export async function claimProBirthdaySend(accountId, contactKey, runDate) {
+  const res = await getPool().query(
+    `INSERT INTO pro_birthday_sends (account_id, contact_key, run_date) VALUES ($1, $2, $3)
+     ON CONFLICT (account_id, contact_key, run_date) DO NOTHING RETURNING account_id`,
+    [accountId, contactKey, runDate]
+  );
+  return res.rowCount > 0;
+}
+
 // --- Pro event campaigns ---
 export async function getProEventCampaign(accountId, eventKey, eventYear) {
   const res = await getPool().query(
@@ -672,6 +1470,12 @@ export async function getProOneOffCampaignsDueToSend() {
   }));
 }
 
+/** 'scheduled' | 'sent' | ..., or null if the campaign no longer exists. */
+export async function getProOneOffCampaignStatus(id) {
+  const res = await getPool().query("SELECT status FROM pro_one_off_campaigns WHERE id = $1", [id]);
+  return res.rows[0]?.status ?? null;
+}
+
 export async function markProOneOffCampaignSent(id) {
   await getPool().query("UPDATE pro_one_off_campaigns SET status = 'sent' WHERE id = $1", [id]);
 }
@@ -751,7 +1555,7 @@ export async function decrementProSmsUsage(accountId, monthKey, amount = 1) {
 // --- Pending replies (auto-reply preview/delay mode) ---
 
 const PENDING_REPLY_COLUMNS =
-  "id, account_id, location_id, review_id, rating, reviewer_name, review_comment, generated_reply, send_after, cancelled_at, sent_at, send_error, created_at";
+  "id, account_id, location_id, review_id, rating, reviewer_name, review_comment, generated_reply, model, review_update_time, replaces_reply_id, review_language, hold_reason, candidates, chosen_variant, send_after, approved_at, edited_at, cancelled_at, sent_at, send_error, created_at";
 
 function rowToPendingReply(row) {
   if (!row) return null;
@@ -764,7 +1568,16 @@ function rowToPendingReply(row) {
     reviewerName: row.reviewer_name,
     reviewComment: row.review_comment,
     generatedReply: row.generated_reply,
+    model: row.model,
+    reviewUpdateTime: row.review_update_time ? new Date(row.review_update_time).toISOString() : null,
+    replacesReplyId: row.replaces_reply_id,
+    reviewLanguage: row.review_language || null,
+    holdReason: row.hold_reason || null,
+    candidates: Array.isArray(row.candidates) ? row.candidates : [],
+    chosenVariant: row.chosen_variant || null,
     sendAfter: row.send_after ? new Date(row.send_after).toISOString() : null,
+    approvedAt: row.approved_at ? new Date(row.approved_at).toISOString() : null,
+    editedAt: row.edited_at ? new Date(row.edited_at).toISOString() : null,
     cancelledAt: row.cancelled_at ? new Date(row.cancelled_at).toISOString() : null,
     sentAt: row.sent_at ? new Date(row.sent_at).toISOString() : null,
     sendError: row.send_error,
@@ -775,6 +1588,8 @@ function rowToPendingReply(row) {
 /**
  * Insert a pending reply. Returns null if a pending row already exists for
  * (account, location, review) — caller should treat that as "already queued".
+ * A row that was already sent is reused for a refreshed reply (the review was
+ * edited after we replied); cancelled rows stay cancelled.
  */
 export async function insertPendingReply({
   accountId,
@@ -784,15 +1599,55 @@ export async function insertPendingReply({
   reviewerName,
   reviewComment,
   generatedReply,
+  model = null,
+  reviewUpdateTime = null,
+  replacesReplyId = null,
+  reviewLanguage = null,
+  holdReason = null,
+  candidates = [],
   sendAfter
 }) {
   const res = await getPool().query(
     `INSERT INTO pending_replies
-       (account_id, location_id, review_id, rating, reviewer_name, review_comment, generated_reply, send_after)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-     ON CONFLICT (account_id, location_id, review_id) DO NOTHING
+       (account_id, location_id, review_id, rating, reviewer_name, review_comment, generated_reply, model,
+        review_update_time, replaces_reply_id, review_language, hold_reason, candidates, send_after)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+     ON CONFLICT (account_id, location_id, review_id) DO UPDATE SET
+       rating = EXCLUDED.rating,
+       reviewer_name = EXCLUDED.reviewer_name,
+       review_comment = EXCLUDED.review_comment,
+       generated_reply = EXCLUDED.generated_reply,
+       model = EXCLUDED.model,
+       review_update_time = EXCLUDED.review_update_time,
+       replaces_reply_id = EXCLUDED.replaces_reply_id,
+       review_language = EXCLUDED.review_language,
+       hold_reason = EXCLUDED.hold_reason,
+       candidates = EXCLUDED.candidates,
+       chosen_variant = NULL,
+       send_after = EXCLUDED.send_after,
+       approved_at = NULL,
+       edited_at = NULL,
+       sent_at = NULL,
+       send_error = NULL,
+       created_at = NOW()
+     WHERE pending_replies.sent_at IS NOT NULL AND pending_replies.cancelled_at IS NULL
      RETURNING ${PENDING_REPLY_COLUMNS}`,
-    [accountId, locationId, reviewId, rating, reviewerName, reviewComment, generatedReply, sendAfter]
+    [
+      accountId,
+      locationId,
+      reviewId,
+      rating,
+      reviewerName,
+      reviewComment,
+      generatedReply,
+      model,
+      reviewUpdateTime,
+      replacesReplyId,
+      reviewLanguage,
+      holdReason,
+      candidates.length ? JSON.stringify(candidates) : null,
+      sendAfter
+    ]
   );
   return rowToPendingReply(res.rows[0]);
 }
@@ -808,10 +1663,11 @@ export async function hasOpenPendingReply(accountId, locationId, reviewId) {
   return res.rows.length > 0;
 }
 
+/** Due, open pending replies. Rows with send_error are skipped — their post job was dead-lettered. */
 export async function getPendingRepliesDueToSend(now = new Date()) {
   const res = await getPool().query(
     `SELECT ${PENDING_REPLY_COLUMNS} FROM pending_replies
-     WHERE cancelled_at IS NULL AND sent_at IS NULL AND send_after <= $1
+     WHERE cancelled_at IS NULL AND sent_at IS NULL AND send_error IS NULL AND send_after <= $1
      ORDER BY send_after ASC
      LIMIT 200`,
     [now]
@@ -819,6 +1675,14 @@ export async function getPendingRepliesDueToSend(now = new Date()) {
   return res.rows.map(rowToPendingReply);
 }
 
+export async function getPendingReplyById(id) {
+  const res = await getPool().query(
+    `SELECT ${PENDING_REPLY_COLUMNS} FROM pending_replies WHERE id = $1`,
+    [id]
+  );
+  return rowToPendingReply(res.rows[0]);
+}
+
 /** Mark a pending reply cancelled. Returns the updated row, or null if not found / already terminal. */
 export async function cancelPendingReply(accountId, locationId, reviewId) {
   const res = await getPool().query(
@@ -832,6 +1696,112 @@ export async function cancelPendingReply(accountId, locationId, reviewId) {
   return rowToPendingReply(res.rows[0]);
 }
 
+/**
+ * Approve a reply held for approval: it becomes due at sendAfter (now, or the
+ * next posting window opening). Returns the updated row, or null if there's
+ * nothing awaiting approval for this review.
+ */
+export async function approvePendingReply(accountId, locationId, reviewId, sendAfter = new Date()) {
+  const res = await getPool().query(
+    `UPDATE pending_replies
+       SET approved_at = NOW(), send_after = $4
+     WHERE account_id = $1 AND location_id = $2 AND review_id = $3
+       AND send_after IS NULL AND cancelled_at IS NULL AND sent_at IS NULL
+     RETURNING ${PENDING_REPLY_COLUMNS}`,
+    [accountId, locationId, reviewId, sendAfter]
+  );
+  return rowToPendingReply(res.rows[0]);
+}
+
+/** Open pending row for one review (not cancelled or sent), or null. */
+export async function getOpenPendingReply(accountId, locationId, reviewId) {
+  const res = await getPool().query(
+    `SELECT ${PENDING_REPLY_COLUMNS} FROM pending_replies
+     WHERE account_id = $1 AND location_id = $2 AND review_id = $3
+       AND cancelled_at IS NULL AND sent_at IS NULL`,
+    [accountId, locationId, reviewId]
+  );
+  return rowToPendingReply(res.rows[0]);
+}
+
+/**
+ * Replace the text of a queued reply (owner edit). It keeps its send_after, so
+ * a delayed reply still posts on schedule. Returns the updated row, or null if
+ * it was already sent, cancelled or dead-lettered.
+ */
+export async function updatePendingReplyText(accountId, locationId, reviewId, text) {
+  const res = await getPool().query(
+    `UPDATE pending_replies
+       SET generated_reply = $4, edited_at = NOW()
+     WHERE account_id = $1 AND location_id = $2 AND review_id = $3
+       AND cancelled_at IS NULL AND sent_at IS NULL AND send_error IS NULL
+     RETURNING ${PENDING_REPLY_COLUMNS}`,
+    [accountId, locationId, reviewId, text]
+  );
+  return rowToPendingReply(res.rows[0]);
+}
+
+/**
+ * Swap in a different draft: the one the owner chose (chosenVariant), or a
+ * regenerated set (candidates, which also replaces holdReason). Clears
+ * edited_at, since the text is a draft again. Returns the updated row, or null
+ * if it was already sent, cancelled or dead-lettered.
+ * @param {{ generatedReply: string, chosenVariant?: string|null, candidates?: object[], holdReason?: string|null }} draft
+ */
+export async function updatePendingReplyDraft(accountId, locationId, reviewId, draft) {
+  const regenerated = Array.isArray(draft.candidates);
+  const res = await getPool().query(
+    `UPDATE pending_replies
+       SET generated_reply = $4, chosen_variant = $5, edited_at = NULL,
+           candidates = CASE WHEN $6 THEN $7::jsonb ELSE candidates END,
+           hold_reason = CASE WHEN $6 THEN $8 ELSE hold_reason END
+     WHERE account_id = $1 AND location_id = $2 AND review_id = $3
+       AND cancelled_at IS NULL AND sent_at IS NULL AND send_error IS NULL
+     RETURNING ${PENDING_REPLY_COLUMNS}`,
+    [
+      accountId,
+      locationId,
+      reviewId,
+      draft.generatedReply,
+      draft.chosenVariant || null,
+      regenerated,
+      regenerated && draft.candidates.length ? JSON.stringify(draft.candidates) : null,
+      draft.holdReason || null
+    ]
+  );
+  return rowToPendingReply(res.rows[0]);
+}
+
+/**
+ * Make a queued reply due at sendAfter ("post now": now, or the next posting
+ * window opening). A reply held for approval counts as approved. Returns the
+ * updated row, or null if there's nothing open.
+ */
+export async function sendPendingReplyNow(accountId, locationId, reviewId, sendAfter = new Date()) {
+  const res = await getPool().query(
+    `UPDATE pending_replies
+       SET send_after = $4,
+           approved_at = CASE WHEN send_after IS NULL THEN NOW() ELSE approved_at END
+     WHERE account_id = $1 AND location_id = $2 AND review_id = $3
+       AND cancelled_at IS NULL AND sent_at IS NULL AND send_error IS NULL
+     RETURNING ${PENDING_REPLY_COLUMNS}`,
+    [accountId, locationId, reviewId, sendAfter]
+  );
+  return rowToPendingReply(res.rows[0]);
+}
+
+/** Replies held for the owner's approval (approval mode), oldest first. */
+export async function getRepliesAwaitingApproval(accountId) {
+  const res = await getPool().query(
+    `SELECT ${PENDING_REPLY_COLUMNS} FROM pending_replies
+     WHERE account_id = $1 AND send_after IS NULL AND cancelled_at IS NULL AND sent_at IS NULL
+     ORDER BY created_at ASC
+     LIMIT 200`,
+    [accountId]
+  );
+  return res.rows.map(rowToPendingReply);
+}
+
 export async function markPendingReplySent(id) {
   await getPool().query(
     "UPDATE pending_replies SET sent_at = NOW(), send_error = NULL WHERE id = $1",
@@ -846,6 +1816,297 @@ export async function markPendingReplyError(id, errorMessage) {
   );
 }
 
+// --- Job queue (see jobQueue.js) ---
+
+const JOB_COLUMNS =
+  "id, kind, payload, dedupe_key, status, attempts, max_attempts, run_after, locked_at, last_error, created_at, updated_at, finished_at";
+
+function rowToJob(row) {
+  if (!row) return null;
+  const iso = (v) => (v ? new Date(v).toISOString() : null);
+  return {
+    id: Number(row.id),
+    kind: row.kind,
+    payload: row.payload || {},
+    dedupeKey: row.dedupe_key ?? null,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAfter: iso(row.run_after),
+    lockedAt: iso(row.locked_at),
+    lastError: row.last_error ?? null,
+    createdAt: iso(row.created_at),
+    updatedAt: iso(row.updated_at),
+    finishedAt: iso(row.finished_at)
+  };
+}
+
+/**
+ * Insert a job. Returns null (nothing inserted) when an open job with the same
+ * dedupe_key exists, or when any job under blockingKeys is open or dead.
+ */
+export async function insertJob({ kind, payload = {}, dedupeKey = null, maxAttempts = 5, runAfter = null, blockingKeys = [] }) {
+  const res = await getPool().query(
+    `INSERT INTO jobs (kind, payload, dedupe_key, max_attempts, run_after)
+     SELECT $1::text, $2::jsonb, $3::text, $4::int, COALESCE($5::timestamptz, NOW())
+     WHERE NOT EXISTS (
+       SELECT 1 FROM jobs WHERE dedupe_key = ANY($6::text[]) AND status IN ('queued', 'running', 'dead')
+     )
+     ON CONFLICT (dedupe_key) WHERE status IN ('queued', 'running') DO NOTHING
+     RETURNING ${JOB_COLUMNS}`,
+    [kind, JSON.stringify(payload), dedupeKey, maxAttempts, runAfter, blockingKeys]
+  );
+  return rowToJob(res.rows[0]);
+}
+
+/** Atomically claim up to `limit` due jobs of the given kinds (SKIP LOCKED: safe across processes). */
+export async function claimJobs(limit, kinds) {
+  const res = await getPool().query(
+    `UPDATE jobs
+       SET status = 'running', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM jobs
+       WHERE status = 'queued' AND run_after <= NOW() AND kind = ANY($2::text[])
+       ORDER BY run_after ASC, id ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING ${JOB_COLUMNS}`,
+    [limit, kinds]
+  );
+  return res.rows.map(rowToJob);
+}
+
+export async function completeJob(id) {
+  await getPool().query(
+    `UPDATE jobs SET status = 'succeeded', locked_at = NULL, last_error = NULL, updated_at = NOW(), finished_at = NOW()
+     WHERE id = $1`,
+    [id]
+  );
+}
+
+/** Failed run: back to queued at retryAt, or dead when retryAt is null. */
+export async function failJob(id, errorMessage, retryAt) {
+  const message = String(errorMessage || "").slice(0, 2000);
+  if (retryAt) {
+    await getPool().query(
+      `UPDATE jobs SET status = 'queued', locked_at = NULL, last_error = $2, run_after = $3, updated_at = NOW()
+       WHERE id = $1`,
+      [id, message, retryAt]
+    );
+    return;
+  }
+  await getPool().query(
+    `UPDATE jobs SET status = 'dead', locked_at = NULL, last_error = $2, updated_at = NOW(), finished_at = NOW()
+     WHERE id = $1`,
+    [id, message]
+  );
+}
+
+/**
+ * Jobs left running by a worker that died (deploy, crash). Requeue them, or
+ * dead-letter the ones already out of attempts. Returns the number touched.
+ */
+export async function requeueStaleJobs(staleMinutes) {
+  const res = await getPool().query(
+    `UPDATE jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+           finished_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END,
+           last_error = 'Worker stopped before the job finished',
+           locked_at = NULL, run_after = NOW(), updated_at = NOW()
+     WHERE status = 'running' AND locked_at < NOW() - make_interval(mins => $1)`,
+    [staleMinutes]
+  );
+  return res.rowCount || 0;
+}
+
+/** Delete succeeded jobs older than `days` so the table stays small. */
+export async function deleteSucceededJobs(days) {
+  const res = await getPool().query(
+    "DELETE FROM jobs WHERE status = 'succeeded' AND finished_at < NOW() - make_interval(days => $1)",
+    [days]
+  );
+  return res.rowCount || 0;
+}
+
+export async function listJobs({ status = null, limit = 100 } = {}) {
+  const res = await getPool().query(
+    `SELECT ${JOB_COLUMNS} FROM jobs
+     WHERE ($1::text IS NULL OR status = $1)
+     ORDER BY updated_at DESC
+     LIMIT $2`,
+    [status, limit]
+  );
+  return res.rows.map(rowToJob);
+}
+
+/** Put a dead job back in the queue with a fresh set of attempts. Returns null unless it was dead. */
+export async function retryDeadJob(id) {
+  const res = await getPool().query(
+    `UPDATE jobs SET status = 'queued', attempts = 0, run_after = NOW(), finished_at = NULL, updated_at = NOW()
+     WHERE id = $1 AND status = 'dead'
+     RETURNING ${JOB_COLUMNS}`,
+    [id]
+  );
+  return rowToJob(res.rows[0]);
+}
+
+/** Re-queue every dead job with one of these dedupe keys. Returns how many. */
+export async function retryDeadJobsByDedupeKeys(keys) {
+  const res = await getPool().query(
+    `UPDATE jobs SET status = 'queued', attempts = 0, run_after = NOW(), finished_at = NULL, updated_at = NOW()
+     WHERE dedupe_key = ANY($1::text[]) AND status = 'dead'`,
+    [keys]
+  );
+  return res.rowCount;
+}
+
+/** { queued, running, succeeded, dead } */
+export async function getJobCounts() {
+  const res = await getPool().query("SELECT status, COUNT(*)::int AS n FROM jobs GROUP BY status");
+  const out = { queued: 0, running: 0, succeeded: 0, dead: 0 };
+  for (const row of res.rows) out[row.status] = Number(row.n || 0);
+  return out;
+}
+
+// --- Advisory locks (cross-instance mutual exclusion) ---
+
+// One connection outside the pool holds every advisory lock this instance
+// takes, so nested locks (location, then review) and many businesses at once
+// never tie up pool clients that fn needs for its own queries. Session locks
+// are re-entrant, so heldLockKeys stops two tasks in this instance from both
+// "acquiring" the same key on that shared connection.
+let lockClient = null;
+const heldLockKeys = new Set();
+
+/** The lock connection (a promise), reconnected after it drops. */
+function getLockClient() {
+  if (!lockClient) {
+    const url = process.env.DATABASE_URL;
+    if (!url) throw new Error("DATABASE_URL is not set");
+    const { max, idleTimeoutMillis, ...options } = poolOptionsFromUrl(url);
+    const client = new Client(options);
+    const ready = client.connect().then(() => client);
+    const forget = () => {
+      if (lockClient === ready) lockClient = null;
+    };
+    client.on("error", (err) => {
+      console.error("PostgreSQL lock connection error:", err.message || err);
+      forget();
+    });
+    client.on("end", forget);
+    ready.catch(forget);
+    lockClient = ready;
+  }
+  return lockClient;
+}
+
+/**
+ * Run fn while holding the session advisory lock named by `key`, so only one
+ * app instance (and one task in this instance) works on that business / reply
+ * / campaign at a time. Never waits: if the lock is held, fn is not run and
+ * { acquired: false } is returned. The lock lives on the shared lock
+ * connection and is released when fn settles (or by Postgres if the
+ * connection or instance dies).
+ * @template T
+ * @param {string} key
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<{ acquired: boolean, result?: T }>}
+ */
+export async function withAdvisoryLock(key, fn) {
+  if (heldLockKeys.has(key)) return { acquired: false };
+  heldLockKeys.add(key);
+  try {
+    const client = await getLockClient();
+    const res = await client.query("SELECT pg_try_advisory_lock(hashtextextended($1, 0)) AS locked", [key]);
+    if (!res.rows[0]?.locked) return { acquired: false };
+    try {
+      return { acquired: true, result: await fn() };
+    } finally {
+      try {
+        await client.query("SELECT pg_advisory_unlock(hashtextextended($1, 0))", [key]);
+      } catch {
+        // The connection dropped, and Postgres released its locks with it.
+      }
+    }
+  } finally {
+    heldLockKeys.delete(key);
+  }
+}
+
+// --- AI usage metering (per account, per month, per model and purpose) ---
+
+function rowToAiUsage(row) {
+  return {
+    accountId: row.account_id,
+    monthKey: row.month_key,
+    model: row.model,
+    purpose: row.purpose,
+    calls: Number(row.calls || 0),
+    inputTokens: Number(row.input_tokens || 0),
+    outputTokens: Number(row.output_tokens || 0),
+    costMicros: Number(row.cost_micros || 0)
+  };
+}
+
+/** Add one model call to the month's totals. */
+export async function addAiUsage({ accountId, monthKey, model, purpose, inputTokens, outputTokens, costMicros }) {
+  await getPool().query(
+    `INSERT INTO ai_usage (account_id, month_key, model, purpose, calls, input_tokens, output_tokens, cost_micros, updated_at)
+     VALUES ($1, $2, $3, $4, 1, $5, $6, $7, NOW())
+     ON CONFLICT (account_id, month_key, model, purpose) DO UPDATE SET
+       calls = ai_usage.calls + 1,
+       input_tokens = ai_usage.input_tokens + EXCLUDED.input_tokens,
+       output_tokens = ai_usage.output_tokens + EXCLUDED.output_tokens,
+       cost_micros = ai_usage.cost_micros + EXCLUDED.cost_micros,
+       updated_at = NOW()`,
+    [accountId, monthKey, model, purpose, inputTokens, outputTokens, costMicros]
+  );
+}
+
+/** Total cost (micro-dollars) for one account in one month. */
+export async function getAiUsageCostMicros(accountId, monthKey) {
+  const res = await getPool().query(
+    "SELECT COALESCE(SUM(cost_micros), 0)::bigint AS total FROM ai_usage WHERE account_id = $1 AND month_key = $2",
+    [accountId, monthKey]
+  );
+  return Number(res.rows[0]?.total || 0);
+}
+
+/** Every usage row for the month, all accounts. */
+export async function listAiUsage(monthKey) {
+  const res = await getPool().query(
+    `SELECT account_id, month_key, model, purpose, calls, input_tokens, output_tokens, cost_micros
+     FROM ai_usage WHERE month_key = $1 ORDER BY account_id, model, purpose`,
+    [monthKey]
+  );
+  return res.rows.map(rowToAiUsage);
+}
+
+// --- Reply variant choices (see replyVariants.js) ---
+
+/** Record that the owner chose a draft variant ("chosen") or asked for new drafts instead of it ("regenerated"). */
+export async function addReplyVariantChoice({ accountId, pendingReplyId = null, variant, action }) {
+  await getPool().query(
+    "INSERT INTO reply_variant_choices (account_id, pending_reply_id, variant, action) VALUES ($1, $2, $3, $4)",
+    [accountId, pendingReplyId, variant, action]
+  );
+}
+
+/** Picks per variant over the account's most recent `limit` choices: { [variant]: count }. */
+export async function getReplyVariantChoiceCounts(accountId, limit = 50) {
+  const res = await getPool().query(
+    `SELECT variant, COUNT(*)::int AS n FROM (
+       SELECT variant FROM reply_variant_choices
+       WHERE account_id = $1 AND action = 'chosen'
+       ORDER BY created_at DESC
+       LIMIT $2
+     ) recent GROUP BY variant`,
+    [accountId, limit]
+  );
+  return Object.fromEntries(res.rows.map((row) => [row.variant, Number(row.n)]));
+}
+
 // --- Admin metrics aggregates ---
 
 /** Number of pending_replies rows that are still queued (not cancelled, not sent). */
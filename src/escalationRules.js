@@ -0,0 +1,172 @@
+/**
+ * Pure helpers for per-business escalation rules: reviews that should never get
+ * an AI reply (legal threats, injuries, refunds, a named employee...).
+ *
+ * A rule holds any of: keywords (any one, case-insensitive, whole words or
+ * phrases), a regex pattern, star ratings, and a minimum review length. Every
+ * condition a rule sets must match; any matching rule holds the review in the
+ * "needs attention" queue for the owner to answer by hand.
+ *
+ * escalationRules null (or []) means no rules, so businesses that never set
+ * any keep the old behavior.
+ *
+ * Patterns run on RE2JS (a port of RE2), not RegExp: review text comes from
+ * strangers, and an owner's regex with nested repeats could backtrack long
+ * enough to stall the server. RE2 matches in time linear in the review, and
+ * leaves out the constructs that need backtracking (backreferences,
+ * lookaround), which are rejected when a rule is saved.
+ */
+
+import { RE2JS } from "re2js";
+
+export const MAX_ESCALATION_RULES = 20;
+export const MAX_KEYWORDS_PER_RULE = 50;
+export const MAX_PATTERN_LENGTH = 200;
+export const MAX_MIN_LENGTH = 5000;
+
+const MAX_NAME_LENGTH = 60;
+const MAX_KEYWORD_LENGTH = 60;
+
+/** Starting points offered on /connected. Named employees are per business, so not here. */
+export const SUGGESTED_ESCALATION_RULES = [
+  { name: "Legal", keywords: ["lawyer", "attorney", "lawsuit", "sue", "suing", "legal action"] },
+  {
+    name: "Health and safety",
+    keywords: ["health inspector", "health inspection", "health department", "food poisoning", "injury", "injured", "hospital", "allergic reaction"]
+  },
+  { name: "Refunds", keywords: ["refund", "chargeback", "money back"] },
+  { name: "Long low-star review", ratings: [1, 2], minLength: 400 }
+];
+
+/**
+ * Validate and normalize rules from a PATCH body.
+ * @param {unknown} value - array of { name?, keywords?, pattern?, ratings?, minLength? }
+ * @returns {{ rules: object[] } | { error: string }}
+ */
+export function parseEscalationRules(value) {
+  if (!Array.isArray(value)) return { error: "escalationRules must be an array of rules" };
+  if (value.length > MAX_ESCALATION_RULES) return { error: `At most ${MAX_ESCALATION_RULES} escalation rules` };
+  const rules = [];
+  for (const [i, raw] of value.entries()) {
+    const label = `Rule ${i + 1}`;
+    if (!raw || typeof raw !== "object") return { error: `${label} must be an object` };
+    const rule = { name: String(raw.name || "").trim().slice(0, MAX_NAME_LENGTH) || label };
+
+    if (raw.keywords != null) {
+      const list = Array.isArray(raw.keywords) ? raw.keywords : String(raw.keywords).split(",");
+      const seen = new Set();
+      const keywords = [];
+      for (const k of list) {
+        const keyword = String(k ?? "").trim().replace(/\s+/g, " ");
+        if (!keyword || seen.has(keyword.toLowerCase())) continue;
+        if (keyword.length > MAX_KEYWORD_LENGTH) return { error: `${label}: keywords must be ${MAX_KEYWORD_LENGTH} characters or fewer` };
+        seen.add(keyword.toLowerCase());
+        keywords.push(keyword);
+      }
+      if (keywords.length > MAX_KEYWORDS_PER_RULE) return { error: `${label}: at most ${MAX_KEYWORDS_PER_RULE} keywords` };
+      if (keywords.length) rule.keywords = keywords;
+    }
+
+    if (raw.pattern != null && String(raw.pattern).trim()) {
+      const pattern = String(raw.pattern).trim();
+      if (pattern.length > MAX_PATTERN_LENGTH) return { error: `${label}: pattern must be ${MAX_PATTERN_LENGTH} characters or fewer` };
+      if (!compilePattern(pattern)) {
+        return {
+          error: `${label}: pattern is not a valid regular expression (backreferences and lookarounds aren't supported)`
+        };
+      }
+      rule.pattern = pattern;
+    }
+
+    if (raw.ratings != null) {
+      const ratings = [...new Set((Array.isArray(raw.ratings) ? raw.ratings : String(raw.ratings).split(",")).map(Number))];
+      if (!ratings.length || ratings.some((n) => !Number.isInteger(n) || n < 1 || n > 5)) {
+        return { error: `${label}: ratings must be star ratings between 1 and 5` };
+      }
+      rule.ratings = ratings.sort((a, b) => a - b);
+    }
+
+    if (raw.minLength != null) {
+      const n = Number(raw.minLength);
+      if (!Number.isInteger(n) || n < 1 || n > MAX_MIN_LENGTH) {
+        return { error: `${label}: minLength must be a whole number between 1 and ${MAX_MIN_LENGTH}` };
+      }
+      rule.minLength = n;
+    }
+
+    if (!rule.keywords && !rule.pattern && !rule.ratings && !rule.minLength) {
+      return { error: `${label} needs at least one of keywords, pattern, ratings or minLength` };
+    }
+    rules.push(rule);
+  }
+  return { rules };
+}
+
+/**
+ * First rule the review matches, with a short human-readable reason, or null.
+ * Malformed stored rules are skipped rather than thrown, except a pattern that
+ * no longer compiles: that counts as a match, so the hold fails closed and the
+ * reason tells the owner to fix the rule.
+ * @param {object[]|null} rules
+ * @param {{ comment?: string|null, rating?: number|null }} review
+ * @returns {{ rule: string, reason: string } | null}
+ */
+export function matchEscalationRules(rules, review) {
+  if (!Array.isArray(rules) || !rules.length) return null;
+  const text = String(review?.comment || "");
+  for (const rule of rules) {
+    const reasons = matchRule(rule, text, review?.rating ?? null);
+    if (reasons) return { rule: rule.name || "Escalation rule", reason: reasons.join(", ") };
+  }
+  return null;
+}
+
+function matchRule(rule, text, rating) {
+  if (!rule || typeof rule !== "object") return null;
+  const reasons = [];
+  let conditions = 0;
+  if (Array.isArray(rule.keywords) && rule.keywords.length) {
+    conditions += 1;
+    const hit = rule.keywords.find((k) => containsKeyword(text, k));
+    if (!hit) return null;
+    reasons.push(`mentions "${hit}"`);
+  }
+  if (rule.pattern) {
+    conditions += 1;
+    const re = compilePattern(rule.pattern);
+    if (!re) {
+      reasons.push(`pattern /${rule.pattern}/ can't be checked; edit the rule`);
+    } else {
+      if (!re.matcher(text).find()) return null;
+      reasons.push(`matches /${rule.pattern}/`);
+    }
+  }
+  if (Array.isArray(rule.ratings) && rule.ratings.length) {
+    conditions += 1;
+    if (rating == null || !rule.ratings.includes(rating)) return null;
+    reasons.push(`${rating}-star`);
+  }
+  if (rule.minLength) {
+    conditions += 1;
+    if (text.trim().length < rule.minLength) return null;
+    reasons.push(`${rule.minLength}+ characters`);
+  }
+  return conditions ? reasons : null;
+}
+
+/** Whole-word/phrase, case-insensitive; any run of whitespace matches a space in the keyword. */
+function containsKeyword(text, keyword) {
+  const words = String(keyword || "").trim().split(/\s+/).filter(Boolean);
+  if (!words.length) return false;
+  const body = words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\s+");
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${body}($|[^\\p{L}\\p{N}])`, "iu").test(text);
+}
+
+/** Case-insensitive RE2JS program for a pattern, or null if RE2 can't compile it. */
+function compilePattern(pattern) {
+  try {
+    return RE2JS.compile(String(pattern), RE2JS.CASE_INSENSITIVE);
+  } catch {
+    return null;
+  }
+}
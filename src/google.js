@@ -203,10 +203,43 @@ export async function getTokenStatus(accountId) {
   };
 }
 
+/** Error code for a grant Google no longer honors (owner revoked access, or the refresh token expired). */
+export const GOOGLE_AUTH_REVOKED = "GOOGLE_AUTH_REVOKED";
+
+/** True if err means the account has to go through /auth/google again. */
+export function isGoogleAuthRevoked(err) {
+  return err?.code === GOOGLE_AUTH_REVOKED;
+}
+
+function authRevokedError(detail) {
+  const error = new Error(`Google access was revoked or has expired; reconnect via /auth/google (${detail})`);
+  error.status = 401;
+  error.code = GOOGLE_AUTH_REVOKED;
+  return error;
+}
+
+/** Error for a failed Google API response. A 401 after a token refresh means the grant is gone. */
+async function googleApiError(resp) {
+  const text = await resp.text();
+  if (resp.status === 401) return authRevokedError(`Google API error 401: ${text.slice(0, 200)}`);
+  const error = new Error(`Google API error ${resp.status}: ${text}`);
+  error.status = resp.status;
+  return error;
+}
+
 /** Get access token for an account. Pass accountId for multi-tenant; omit to use first/legacy. */
 async function getAccessToken(accountId) {
   const client = await getAuthorizedClient(accountId);
-  const accessTokenResponse = await client.getAccessToken();
+  let accessTokenResponse;
+  try {
+    accessTokenResponse = await client.getAccessToken();
+  } catch (err) {
+    // The token endpoint answers invalid_grant once the refresh token is revoked or expired.
+    if (err?.response?.data?.error === "invalid_grant" || /invalid_grant/.test(err?.message || "")) {
+      throw authRevokedError("invalid_grant");
+    }
+    throw err;
+  }
   const data = await readTokens();
   const key = accountId || getDefaultAccountId(data);
   const tokenData = key ? data[key] : null;
@@ -239,16 +272,27 @@ export async function replyToReview(accountId, locationId, reviewId, comment) {
     },
     body: JSON.stringify({ comment })
   });
-  if (!resp.ok) {
-    const text = await resp.text();
-    const error = new Error(`Google API error ${resp.status}: ${text}`);
-    error.status = resp.status;
-    throw error;
-  }
+  if (!resp.ok) throw await googleApiError(resp);
   const data = await resp.json();
   return data;
 }
 
+/**
+ * Delete the business's reply to a review. A 404 (no reply there any more)
+ * counts as done.
+ */
+export async function deleteReviewReply(accountId, locationId, reviewId) {
+  const accessToken = await getAccessToken(accountId);
+  const endpoint = `https://mybusiness.googleapis.com/v4/accounts/${encodeURIComponent(accountId)}/locations/${encodeURIComponent(locationId)}/reviews/${encodeURIComponent(reviewId)}/reply`;
+  const resp = await fetch(endpoint, {
+    method: "DELETE",
+    headers: {
+      Authorization: `Bearer ${accessToken}`
+    }
+  });
+  if (!resp.ok && resp.status !== 404) throw await googleApiError(resp);
+}
+
 async function googleApiGet(url, accountId) {
   const accessToken = await getAccessToken(accountId);
   const resp = await fetch(url, {
@@ -257,12 +301,7 @@ async function googleApiGet(url, accountId) {
       Authorization: `Bearer ${accessToken}`
     }
   });
-  if (!resp.ok) {
-    const text = await resp.text();
-    const error = new Error(`Google API error ${resp.status}: ${text}`);
-    error.status = resp.status;
-    throw error;
-  }
+  if (!resp.ok) throw await googleApiError(resp);
   return await resp.json();
 }
 
@@ -12,7 +12,17 @@ import twilio from "twilio";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 import * as db from "./db.js";
-import { getAuthUrl, handleOAuthCallback, getTokenStatus, replyToReview, listAccounts, listLocations, listReviews, validateState } from "./google.js";
+import {
+  getAuthUrl,
+  handleOAuthCallback,
+  getTokenStatus,
+  replyToReview,
+  listAccounts,
+  listLocations,
+  listReviews,
+  validateState,
+  isGoogleAuthRevoked
+} from "./google.js";
 import {
   setSessionCookie,
   readSessionAccountId,
@@ -22,19 +32,49 @@ import {
   signChooseLocationToken,
   verifyChooseLocationToken
 } from "./sessionAuth.js";
-import { processPendingReviews, startScheduler, getReplyText, addRepliedReviewId } from "./auto.js";
+import {
+  processPendingReviews,
+  startScheduler,
+  generateCheckedReply,
+  addRepliedReviewId,
+  getRunTimes,
+  getRunTimeFor,
+  listReplies,
+  listFailedReviews,
+  retryFailedReview,
+  approveHeldReply,
+  postQueuedReplyNow,
+  chooseReplyVariant,
+  regenerateReplyDrafts,
+  listUnrepliedReviews,
+  listAttentionReviews,
+  replyToAttentionReview,
+  dismissAttentionReview,
+  retractReply,
+  replaceReply,
+  draftReplacementReply,
+  refreshReplyStyle,
+  pauseForGoogleReconnect,
+  mapStarRatingToNumber,
+  REPLY_SOURCES
+} from "./auto.js";
 import {
   getAllBusinesses,
   getBusiness,
   upsertBusiness,
   getAccountIdByStripeCustomerId,
   isGratisAccount,
-  setNotificationEmailIfEmpty
+  setNotificationEmailIfEmpty,
+  markGoogleReconnected,
+  getLocations,
+  getLocation,
+  upsertLocation,
+  resolveLocationSettings
 } from "./businesses.js";
 import { replaceProContacts, getProContactsCount, getProContactsList, setProContactUnsubscribed } from "./proContacts.js";
 import { parseProCsv, validateFile } from "./csvPro.js";
 import { verifyUnsubscribeToken } from "./campaignEmail.js";
-import { generateCampaignMessageWithClaude, generateOneOffWithClaude } from "./ai.js";
+import { generateCampaignMessageWithClaude, generateOneOffWithClaude, getReplyModel } from "./ai.js";
 import {
   getUpcomingEvents,
   getEventSendDate,
@@ -53,7 +93,53 @@ import {
   subscriptionHasProPrice as proPriceMatches,
   getProTierFromSubscription as proTierFromSub
 } from "./stripePricing.js";
-import { verifyCancelToken } from "./replyDelay.js";
+import {
+  verifyCancelToken,
+  verifyApproveToken,
+  verifyEditToken,
+  normalizeEditedReply,
+  MAX_EDITED_REPLY_CHARS,
+  VALID_MODES
+} from "./replyDelay.js";
+import { ALL_RATINGS, parseReplyRatings, invalidReplyRatings, getDefaultReplyRatings } from "./replyRatings.js";
+import {
+  BACKLOG_POLICIES,
+  MAX_BACKLOG_DAYS,
+  isValidBacklogDays,
+  normalizeBacklogPolicy,
+  normalizeBacklogDays,
+  previewBacklogPolicies
+} from "./replyBacklog.js";
+import {
+  DEFAULT_TIME_ZONE,
+  MAX_JITTER_MINUTES,
+  isValidTimeOfDay,
+  isValidTimeZone,
+  isValidJitterMinutes
+} from "./postingWindow.js";
+import { SUGGESTED_ESCALATION_RULES, parseEscalationRules } from "./escalationRules.js";
+import { NEGATIVE_ALERT_RATINGS, isValidNegativeAlertMaxRating, normalizeDigestFrequency } from "./ownerNotifications.js";
+import {
+  BRAND_VOICE_TONES,
+  EMOJI_POLICIES,
+  DEFAULT_MAX_REPLY_CHARS,
+  MIN_REPLY_CHARS,
+  MAX_REPLY_CHARS,
+  parseBrandVoice
+} from "./brandVoice.js";
+import {
+  KNOWLEDGE_FIELDS,
+  MAX_FAQ_ENTRIES,
+  parseKnowledgeBase
+} from "./knowledgeBase.js";
+import { REPLY_LANGUAGES, normalizeLanguageCode, detectReviewLanguage, parseSupportedLanguages } from "./replyLanguage.js";
+import { describeViolations } from "./replyGuardrails.js";
+import { REPLY_VARIANTS, getReplyVariant, findCandidate } from "./replyVariants.js";
+import { detectPromptInjectionInReview } from "./promptInjection.js";
+import { AI_USAGE_PURPOSES, microsToCents, parseAiBudgetCents, summarizeAiUsage } from "./aiCost.js";
+import { listAiUsage } from "./aiUsage.js";
+import { MIN_INTERVAL_MINUTES, MAX_INTERVAL_MINUTES, isValidIntervalMinutes } from "./autoSchedule.js";
+import { JOB_STATUSES } from "./jobBackoff.js";
 import {
   getPlanAmountsCents,
   computeMrr,
@@ -115,52 +201,59 @@ function guardBusinessAccess(req, res, accountId) {
 async function runCampaignScheduler() {
   if (!db.useDb()) return;
   try {
-    const businesses = await getAllBusinesses();
-    const proAccounts = Object.values(businesses).filter((b) => b.isPro).map((b) => b.accountId);
-    for (const accountId of proAccounts) {
-      try {
-        await sendBirthdayCampaignsForAccount(accountId, logger);
-      } catch (err) {
-        logger.error({ err, accountId }, "Birthday campaign tick failed");
-        sentry.captureException(err, { kind: "birthday-campaign", accountId });
-      }
-    }
-    const today = new Date().toISOString().slice(0, 10);
-    const pacificNowLocal = getPacificNowLocalMinute();
-    const eventDue = await db.getProEventCampaignsDueToSend();
-    for (const { accountId, eventKey, eventYear, sendDaysBefore, sendAtLocal } of eventDue) {
-      let shouldSend = false;
-      if (sendAtLocal && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(sendAtLocal)) {
-        shouldSend = sendAtLocal <= pacificNowLocal;
-      } else {
-        // Backward compatibility for older rows that only have send_days_before.
-        const eventDate = getEventSendDate(eventKey, eventYear);
-        const sendDate = getSendDateForEvent(eventDate, sendDaysBefore);
-        shouldSend = sendDate === today;
-      }
-      if (!shouldSend) continue;
-      try {
-        await sendEventCampaignForAccount(accountId, eventKey, eventYear, logger);
-      } catch (err) {
-        logger.error({ err, accountId, eventKey }, "Event campaign send failed");
-        sentry.captureException(err, { kind: "event-campaign", accountId, eventKey, eventYear });
-      }
-    }
-    const oneOffDue = await db.getProOneOffCampaignsDueToSend();
-    for (const row of oneOffDue) {
-      try {
-        await sendOneOffCampaign(row.id, row.account_id, row.subject, row.body, logger, row);
-      } catch (err) {
-        logger.error({ err, id: row.id }, "One-off campaign send failed");
-        sentry.captureException(err, { kind: "oneoff-campaign", id: row.id, accountId: row.account_id });
-      }
-    }
+    // Every replica runs this hourly; only one walks the campaigns at a time.
+    // The send functions also lock per campaign, so manual sends are safe too.
+    const { acquired } = await db.withAdvisoryLock("campaign-scheduler", runCampaignSchedulerTick);
+    if (!acquired) logger.info("Campaign scheduler already running on another instance; skipping");
   } catch (err) {
     logger.error({ err }, "Campaign scheduler failed");
     sentry.captureException(err, { kind: "campaign-scheduler" });
   }
 }
 
+async function runCampaignSchedulerTick() {
+  const businesses = await getAllBusinesses();
+  const proAccounts = Object.values(businesses).filter((b) => b.isPro).map((b) => b.accountId);
+  for (const accountId of proAccounts) {
+    try {
+      await sendBirthdayCampaignsForAccount(accountId, logger);
+    } catch (err) {
+      logger.error({ err, accountId }, "Birthday campaign tick failed");
+      sentry.captureException(err, { kind: "birthday-campaign", accountId });
+    }
+  }
+  const today = new Date().toISOString().slice(0, 10);
+  const pacificNowLocal = getPacificNowLocalMinute();
+  const eventDue = await db.getProEventCampaignsDueToSend();
+  for (const { accountId, eventKey, eventYear, sendDaysBefore, sendAtLocal } of eventDue) {
+    let shouldSend = false;
+    if (sendAtLocal && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(sendAtLocal)) {
+      shouldSend = sendAtLocal <= pacificNowLocal;
+    } else {
+      // Backward compatibility for older rows that only have send_days_before.
+      const eventDate = getEventSendDate(eventKey, eventYear);
+      const sendDate = getSendDateForEvent(eventDate, sendDaysBefore);
+      shouldSend = sendDate === today;
+    }
+    if (!shouldSend) continue;
+    try {
+      await sendEventCampaignForAccount(accountId, eventKey, eventYear, logger);
+    } catch (err) {
+      logger.error({ err, accountId, eventKey }, "Event campaign send failed");
+      sentry.captureException(err, { kind: "event-campaign", accountId, eventKey, eventYear });
+    }
+  }
+  const oneOffDue = await db.getProOneOffCampaignsDueToSend();
+  for (const row of oneOffDue) {
+    try {
+      await sendOneOffCampaign(row.id, row.account_id, row.subject, row.body, logger, row);
+    } catch (err) {
+      logger.error({ err, id: row.id }, "One-off campaign send failed");
+      sentry.captureException(err, { kind: "oneoff-campaign", id: row.id, accountId: row.account_id });
+    }
+  }
+}
+
 function getPacificNowLocalMinute() {
   const parts = new Intl.DateTimeFormat("en-CA", {
     timeZone: "America/Los_Angeles",
@@ -260,18 +353,18 @@ app.get("/auto-reply/cancel", async (req, res, next) => {
       return res
         .status(400)
         .type("html")
-        .send(renderCancelPage({ ok: false, message: "This cancel link is invalid or expired." }));
+        .send(renderReplyLinkPage({ ok: false, message: "This cancel link is invalid or expired." }));
     }
     if (!db.useDb()) {
       return res
         .status(503)
         .type("html")
-        .send(renderCancelPage({ ok: false, message: "Cancel is unavailable in file-store mode." }));
+        .send(renderReplyLinkPage({ ok: false, message: "Cancel is unavailable in file-store mode." }));
     }
     res
       .status(200)
       .type("html")
-      .send(renderCancelConfirmPage({ token }));
+      .send(renderReplyLinkConfirmPage({ token }));
   } catch (err) {
     req.log?.error(err, "Cancel reply confirmation failed");
     sentry.captureException(err, { kind: "cancel-reply-confirm" });
@@ -288,13 +381,13 @@ app.post("/auto-reply/cancel", express.urlencoded({ extended: false }), async (r
       return res
         .status(400)
         .type("html")
-        .send(renderCancelPage({ ok: false, message: "This cancel link is invalid or expired." }));
+        .send(renderReplyLinkPage({ ok: false, message: "This cancel link is invalid or expired." }));
     }
     if (!db.useDb()) {
       return res
         .status(503)
         .type("html")
-        .send(renderCancelPage({ ok: false, message: "Cancel is unavailable in file-store mode." }));
+        .send(renderReplyLinkPage({ ok: false, message: "Cancel is unavailable in file-store mode." }));
     }
     const cancelled = await db.cancelPendingReply(verified.accountId, verified.locationId, verified.reviewId);
     if (!cancelled) {
@@ -302,20 +395,19 @@ app.post("/auto-reply/cancel", express.urlencoded({ extended: false }), async (r
         .status(200)
         .type("html")
         .send(
-          renderCancelPage({
+          renderReplyLinkPage({
             ok: false,
             message: "This reply was already sent or cancelled. Nothing to do."
           })
         );
     }
-    // Mark the review as handled so the auto-reply scheduler doesn't queue
-    // another reply for it on the next tick.
-    await addRepliedReviewId(verified.accountId, verified.locationId, verified.reviewId);
+    // The cancelled pending row keeps the scheduler from queuing another reply
+    // for this review (see db.getAutoState); nothing was posted, so no history row.
     res
       .status(200)
       .type("html")
       .send(
-        renderCancelPage({
+        renderReplyLinkPage({
           ok: true,
           message: "Reply cancelled. Replyr will not post an auto-reply to this Google review."
         })
@@ -327,11 +419,302 @@ app.post("/auto-reply/cancel", express.urlencoded({ extended: false }), async (r
   }
 });
 
-function renderCancelPage({ ok, message }) {
+// Approve link from the approval-mode email. Same prefetch-safe shape as cancel:
+// GET renders a confirm page, POST approves.
+app.get("/auto-reply/approve", async (req, res, next) => {
+  try {
+    const token = String(req.query.token || "").trim();
+    const secret = (process.env.REPLYR_SESSION_SECRET || "").trim();
+    const verified = secret ? verifyApproveToken(token, secret) : null;
+    if (!verified) {
+      return res
+        .status(400)
+        .type("html")
+        .send(renderReplyLinkPage({ ok: false, action: "approve", message: "This approve link is invalid or expired." }));
+    }
+    if (!db.useDb()) {
+      return res
+        .status(503)
+        .type("html")
+        .send(renderReplyLinkPage({ ok: false, action: "approve", message: "Approval is unavailable in file-store mode." }));
+    }
+    res
+      .status(200)
+      .type("html")
+      .send(renderReplyLinkConfirmPage({ token, action: "approve" }));
+  } catch (err) {
+    req.log?.error(err, "Approve reply confirmation failed");
+    sentry.captureException(err, { kind: "approve-reply-confirm" });
+    next(err);
+  }
+});
+
+app.post("/auto-reply/approve", express.urlencoded({ extended: false }), async (req, res, next) => {
+  try {
+    const token = String(req.body?.token || "").trim();
+    const secret = (process.env.REPLYR_SESSION_SECRET || "").trim();
+    const verified = secret ? verifyApproveToken(token, secret) : null;
+    if (!verified) {
+      return res
+        .status(400)
+        .type("html")
+        .send(renderReplyLinkPage({ ok: false, action: "approve", message: "This approve link is invalid or expired." }));
+    }
+    if (!db.useDb()) {
+      return res
+        .status(503)
+        .type("html")
+        .send(renderReplyLinkPage({ ok: false, action: "approve", message: "Approval is unavailable in file-store mode." }));
+    }
+    const approved = await approveHeldReply(verified.accountId, verified.locationId, verified.reviewId);
+    if (!approved) {
+      return res
+        .status(200)
+        .type("html")
+        .send(
+          renderReplyLinkPage({
+            ok: false,
+            action: "approve",
+            message: "This reply was already approved, sent or discarded. Nothing to do."
+          })
+        );
+    }
+    res
+      .status(200)
+      .type("html")
+      .send(
+        renderReplyLinkPage({
+          ok: true,
+          action: "approve",
+          message: `Reply approved. Replyr will post it to this Google review ${whenReplyPosts(approved)}.`
+        })
+      );
+  } catch (err) {
+    req.log?.error(err, "Approve reply failed");
+    sentry.captureException(err, { kind: "approve-reply" });
+    next(err);
+  }
+});
+
+// Edit link from the preview email. GET shows the queued reply in a form (reading
+// only, so prefetchers can't change anything); ?variant= fills in another draft
+// (the email's "Use this one" links). POST saves the owner's text and, for
+// "Save and post now", makes the reply due immediately; intent=regenerate
+// replaces the drafts.
+app.get("/auto-reply/edit", async (req, res, next) => {
+  try {
+    const token = String(req.query.token || "").trim();
+    const secret = (process.env.REPLYR_SESSION_SECRET || "").trim();
+    const verified = secret ? verifyEditToken(token, secret) : null;
+    if (!verified) {
+      return res
+        .status(400)
+        .type("html")
+        .send(renderReplyLinkPage({ ok: false, action: "edit", message: "This edit link is invalid or expired." }));
+    }
+    if (!db.useDb()) {
+      return res
+        .status(503)
+        .type("html")
+        .send(renderReplyLinkPage({ ok: false, action: "edit", message: "Editing is unavailable in file-store mode." }));
+    }
+    const pending = await db.getOpenPendingReply(verified.accountId, verified.locationId, verified.reviewId);
+    if (!pending || pending.sendError) {
+      return res
+        .status(200)
+        .type("html")
+        .send(
+          renderReplyLinkPage({
+            ok: false,
+            action: "edit",
+            message: "This reply was already sent or cancelled, so it can't be edited."
+          })
+        );
+    }
+    const candidate = findCandidate(pending.candidates, String(req.query.variant || ""));
+    res
+      .status(200)
+      .type("html")
+      .send(
+        renderReplyEditPage({
+          token,
+          pending,
+          text: candidate ? candidate.text : pending.generatedReply,
+          variant: candidate?.variant || ""
+        })
+      );
+  } catch (err) {
+    req.log?.error(err, "Edit reply page failed");
+    sentry.captureException(err, { kind: "edit-reply-page" });
+    next(err);
+  }
+});
+
+app.post("/auto-reply/edit", express.urlencoded({ extended: false }), async (req, res, next) => {
+  try {
+    const token = String(req.body?.token || "").trim();
+    const secret = (process.env.REPLYR_SESSION_SECRET || "").trim();
+    const verified = secret ? verifyEditToken(token, secret) : null;
+    if (!verified) {
+      return res
+        .status(400)
+        .type("html")
+        .send(renderReplyLinkPage({ ok: false, action: "edit", message: "This edit link is invalid or expired." }));
+    }
+    if (!db.useDb()) {
+      return res
+        .status(503)
+        .type("html")
+        .send(renderReplyLinkPage({ ok: false, action: "edit", message: "Editing is unavailable in file-store mode." }));
+    }
+    const { accountId, locationId, reviewId } = verified;
+    if (req.body?.intent === "regenerate") return await regenerateFromEditPage(req, res, token, verified);
+    const postNow = req.body?.intent === "post-now";
+    const text = normalizeEditedReply(req.body?.reply);
+    if (!text) {
+      const pending = await db.getOpenPendingReply(accountId, locationId, reviewId);
+      if (pending) {
+        return res
+          .status(400)
+          .type("html")
+          .send(
+            renderReplyEditPage({
+              token,
+              pending,
+              text: typeof req.body?.reply === "string" ? req.body.reply : "",
+              variant: String(req.body?.variant || ""),
+              error: `The reply can't be empty or longer than ${MAX_EDITED_REPLY_CHARS} characters.`
+            })
+          );
+      }
+    }
+    // Saved from one of the drafts ("Use this one"): record the pick, then keep any edits on top.
+    const chosen = text && req.body?.variant ? await chooseReplyVariant(accountId, locationId, reviewId, String(req.body.variant)) : null;
+    const updated =
+      chosen && chosen.generatedReply === text
+        ? chosen
+        : text
+          ? await db.updatePendingReplyText(accountId, locationId, reviewId, text)
+          : null;
+    if (!updated) {
+      return res
+        .status(200)
+        .type("html")
+        .send(
+          renderReplyLinkPage({
+            ok: false,
+            action: "edit",
+            message: "This reply was already sent or cancelled, so your changes weren't saved."
+          })
+        );
+    }
+    const posting = postNow ? await postQueuedReplyNow(accountId, locationId, reviewId) : null;
+    if (posting) {
+      return res
+        .status(200)
+        .type("html")
+        .send(
+          renderReplyLinkPage({
+            ok: true,
+            action: "edit",
+            message: `Saved. Replyr will post your reply to this Google review ${whenReplyPosts(posting)}.`
+          })
+        );
+    }
+    res
+      .status(200)
+      .type("html")
+      .send(
+        renderReplyLinkPage({
+          ok: true,
+          action: "edit",
+          message: updated.sendAfter
+            ? "Saved. Replyr will post your version when the preview window ends."
+            : "Saved. Your version is waiting for approval; approve it from your email or dashboard to post it."
+        })
+      );
+  } catch (err) {
+    req.log?.error(err, "Edit reply failed");
+    sentry.captureException(err, { kind: "edit-reply" });
+    next(err);
+  }
+});
+
+/** intent=regenerate on the edit page: new drafts, shown on the same page. */
+async function regenerateFromEditPage(req, res, token, { accountId, locationId, reviewId }) {
+  let updated;
+  try {
+    updated = await regenerateReplyDrafts(accountId, locationId, reviewId, { logger: req.log });
+  } catch (err) {
+    // E.g. the AI budget ran out: say so on the page rather than as JSON.
+    if (!(err?.status < 500)) throw err;
+    const pending = await db.getOpenPendingReply(accountId, locationId, reviewId);
+    if (!pending) throw err;
+    return res
+      .status(err.status)
+      .type("html")
+      .send(renderReplyEditPage({ token, pending, text: pending.generatedReply, error: err.message }));
+  }
+  if (!updated) {
+    return res
+      .status(200)
+      .type("html")
+      .send(
+        renderReplyLinkPage({
+          ok: false,
+          action: "edit",
+          message: "This reply was already sent or cancelled, so it can't be rewritten."
+        })
+      );
+  }
+  res
+    .status(200)
+    .type("html")
+    .send(renderReplyEditPage({ token, pending: updated, text: updated.generatedReply }));
+}
+
+/** When an approved or "post now" reply goes out, for the confirmation copy. */
+function whenReplyPosts(row) {
+  const waiting = row.sendAfter && new Date(row.sendAfter).getTime() > Date.now() + 60 * 1000;
+  return waiting ? "when your posting hours next open" : "in the next minute or so";
+}
+
+// Copy for the emailed cancel / approve / edit links (same page layout for all;
+// edit has its own form page, so only the result copy is needed).
+const REPLY_LINK_PAGES = {
+  cancel: {
+    title: "Cancel reply",
+    done: "Cancelled",
+    failed: "Couldn't cancel",
+    confirmHeading: "Cancel this auto-reply?",
+    confirmBody: "Replyr will not post an auto-reply to this Google review.",
+    button: "Cancel this reply",
+    buttonColor: "#c0392b",
+    buttonHover: "#a93226"
+  },
+  approve: {
+    title: "Approve reply",
+    done: "Approved",
+    failed: "Couldn't approve",
+    confirmHeading: "Approve this reply?",
+    confirmBody: "Replyr will post the reply from your email to this Google review.",
+    button: "Approve and post",
+    buttonColor: "#2e7d32",
+    buttonHover: "#256428"
+  },
+  edit: {
+    title: "Edit reply",
+    done: "Saved",
+    failed: "Couldn't save"
+  }
+};
+
+function renderReplyLinkPage({ ok, message, action = "cancel" }) {
+  const copy = REPLY_LINK_PAGES[action];
   const color = ok ? "#2e7d32" : "#c62828";
   const safeMessage = escapeHtml(message || "");
   return `<!doctype html>
-<html><head><meta charset="utf-8"><title>Replyr — Cancel reply</title>
+<html><head><meta charset="utf-8"><title>Replyr — ${copy.title}</title>
 <meta name="viewport" content="width=device-width,initial-scale=1">
 <style>
   body { font-family: -apple-system, system-ui, sans-serif; padding: 2.5rem 1.5rem; max-width: 520px; margin: 0 auto; color: #222; }
@@ -342,33 +725,105 @@ function renderCancelPage({ ok, message }) {
 </style></head>
 <body>
   <div class="card">
-    <h1>${ok ? "Cancelled" : "Couldn't cancel"}</h1>
+    <h1>${ok ? copy.done : copy.failed}</h1>
     <p>${safeMessage}</p>
     <p style="margin-top:1.25rem;font-size:0.9em;color:#666;">— Replyr</p>
   </div>
 </body></html>`;
 }
 
-function renderCancelConfirmPage({ token }) {
+function renderReplyLinkConfirmPage({ token, action = "cancel" }) {
+  const copy = REPLY_LINK_PAGES[action];
   const safeToken = escapeHtml(token || "");
   return `<!doctype html>
-<html><head><meta charset="utf-8"><title>Replyr — Confirm cancel</title>
+<html><head><meta charset="utf-8"><title>Replyr — Confirm ${action}</title>
 <meta name="viewport" content="width=device-width,initial-scale=1">
 <style>
   body { font-family: -apple-system, system-ui, sans-serif; padding: 2.5rem 1.5rem; max-width: 520px; margin: 0 auto; color: #222; }
   .card { padding: 1.5rem; border: 1px solid #e0e0e0; border-radius: 8px; }
   h1 { margin: 0 0 0.5rem 0; font-size: 1.25rem; color: #222; }
   p { margin: 0.5rem 0; line-height: 1.45; }
-  button { margin-top: 1rem; padding: 0.65rem 1rem; border: 0; border-radius: 6px; background: #c0392b; color: #fff; font-weight: 600; cursor: pointer; font-size: 0.95rem; }
-  button:hover { background: #a93226; }
+  button { margin-top: 1rem; padding: 0.65rem 1rem; border: 0; border-radius: 6px; background: ${copy.buttonColor}; color: #fff; font-weight: 600; cursor: pointer; font-size: 0.95rem; }
+  button:hover { background: ${copy.buttonHover}; }
+</style></head>
+<body>
+  <div class="card">
+    <h1>${copy.confirmHeading}</h1>
+    <p>${copy.confirmBody}</p>
+    <form method="post" action="/auto-reply/${action}">
+      <input type="hidden" name="token" value="${safeToken}">
+      <button type="submit">${copy.button}</button>
+    </form>
+    <p style="margin-top:1.25rem;font-size:0.9em;color:#666;">— Replyr</p>
+  </div>
+</body></html>`;
+}
+
+function renderReplyEditPage({ token, pending, text, variant = "", error = "" }) {
+  const safeToken = escapeHtml(token || "");
+  const editUrl = `/auto-reply/edit?token=${encodeURIComponent(token || "")}`;
+  // Draft links only fill in the form (GET); nothing is saved until the owner submits.
+  const drafts =
+    pending.candidates.length > 1
+      ? pending.candidates
+          .map((c) => {
+            const label = escapeHtml(getReplyVariant(c.variant)?.label || c.variant);
+            const current = variant ? c.variant === variant : c.text === pending.generatedReply;
+            return `<div class="draft${current ? " current" : ""}">
+        <p><strong>${label}</strong>${current ? " · in the box below" : ` · <a href="${escapeHtml(`${editUrl}&variant=${encodeURIComponent(c.variant)}`)}">Use this one</a>`}</p>
+        <p>${escapeHtml(c.text).replace(/\n/g, "<br>")}</p>
+      </div>`;
+          })
+          .join("\n      ")
+      : "";
+  const ratingLabel = pending.rating != null ? `${pending.rating}-star ` : "";
+  const reviewer = escapeHtml(pending.reviewerName || "a customer");
+  const comment = escapeHtml((pending.reviewComment || "").slice(0, 500));
+  const postNowLabel = pending.sendAfter ? "Save and post now" : "Save, approve and post now";
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Replyr — Edit reply</title>
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<style>
+  body { font-family: -apple-system, system-ui, sans-serif; padding: 2.5rem 1.5rem; max-width: 560px; margin: 0 auto; color: #222; }
+  .card { padding: 1.5rem; border: 1px solid #e0e0e0; border-radius: 8px; }
+  h1 { margin: 0 0 0.5rem 0; font-size: 1.25rem; color: #222; }
+  p { margin: 0.5rem 0; line-height: 1.45; }
+  blockquote { margin: 0 0 1em 0; padding: 0.5em 1em; border-left: 3px solid #ddd; color: #555; }
+  textarea { width: 100%; box-sizing: border-box; min-height: 10rem; padding: 0.6rem; border: 1px solid #ccc; border-radius: 6px; font: inherit; line-height: 1.45; }
+  .error { color: #c62828; }
+  .actions { display: flex; gap: 0.5rem; flex-wrap: wrap; margin-top: 1rem; }
+  button { padding: 0.65rem 1rem; border: 0; border-radius: 6px; background: #4a90e2; color: #fff; font-weight: 600; cursor: pointer; font-size: 0.95rem; }
+  button:hover { background: #357abd; }
+  button.post-now { background: #2e7d32; }
+  button.post-now:hover { background: #256428; }
+  button.secondary { background: #fff; color: #4a90e2; border: 1px solid #4a90e2; }
+  button.secondary:hover { background: #f0f6fd; }
+  .draft { padding: 0.5rem 0.75rem; margin: 0 0 0.5rem 0; border: 1px solid #e0e0e0; border-radius: 6px; font-size: 0.95em; }
+  .draft.current { border-color: #4a90e2; }
+  a { color: #0366d6; }
 </style></head>
 <body>
   <div class="card">
-    <h1>Cancel this auto-reply?</h1>
-    <p>Replyr will not post an auto-reply to this Google review.</p>
-    <form method="post" action="/auto-reply/cancel">
+    <h1>Edit this reply</h1>
+    <p><strong>${escapeHtml(ratingLabel)}review by ${reviewer}:</strong></p>
+    <blockquote>${comment || "<em>(no comment)</em>"}</blockquote>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ""}
+    ${drafts ? `<p>Replyr wrote a few versions. Pick one to start from:</p>
+      ${drafts}` : ""}
+    <form method="post" action="/auto-reply/edit">
+      <input type="hidden" name="token" value="${safeToken}">
+      <input type="hidden" name="variant" value="${escapeHtml(variant)}">
+      <textarea name="reply" maxlength="${MAX_EDITED_REPLY_CHARS}" required>${escapeHtml(text || "")}</textarea>
+      <div class="actions">
+        <button type="submit" name="intent" value="save">Save changes</button>
+        <button type="submit" name="intent" value="post-now" class="post-now">${postNowLabel}</button>
+      </div>
+    </form>
+    <form method="post" action="/auto-reply/edit">
       <input type="hidden" name="token" value="${safeToken}">
-      <button type="submit">Cancel this reply</button>
+      <div class="actions">
+        <button type="submit" name="intent" value="regenerate" class="secondary">Write new versions</button>
+      </div>
     </form>
     <p style="margin-top:1.25rem;font-size:0.9em;color:#666;">— Replyr</p>
   </div>
@@ -788,6 +1243,25 @@ app.get("/connected", async (req, res, next) => {
     let currentAutoReply = false;
     let currentAutoReplyMode = "instant";
     let currentNotificationEmail = "";
+    let currentReplyRatings = getDefaultReplyRatings();
+    let currentBacklogPolicy = normalizeBacklogPolicy(null);
+    let currentBacklogDays = normalizeBacklogDays(null);
+    let currentPostingWindow = { start: "", end: "", timeZone: DEFAULT_TIME_ZONE, jitter: 0 };
+    let locationRows = [];
+    let failedReviews = [];
+    let awaitingApproval = [];
+    let needsAttention = [];
+    let postedReplies = [];
+    let googleDisconnectedAt = null;
+    let currentEscalationRules = [];
+    let currentNotificationPhone = "";
+    let currentNegativeAlertMaxRating = null;
+    let currentDigestFrequency = null;
+    let currentBrandVoice = {};
+    let currentReplyLanguage = "";
+    let currentSupportedLanguages = [];
+    let currentReplyStyle = null;
+    let currentKnowledgeBase = {};
     let businessName = "";
     let trialEndsAt = null;
     let trialDaysLeft = null;
@@ -807,6 +1281,30 @@ app.get("/connected", async (req, res, next) => {
       currentContact = (business && business.contact) ? String(business.contact) : "";
       currentAutoReplyMode = (business && business.autoReplyMode) ? String(business.autoReplyMode) : "instant";
       currentNotificationEmail = (business && business.notificationEmail) ? String(business.notificationEmail) : "";
+      currentReplyRatings = parseReplyRatings(business?.replyRatings) || currentReplyRatings;
+      currentBacklogPolicy = normalizeBacklogPolicy(business?.backlogPolicy);
+      currentBacklogDays = normalizeBacklogDays(business?.backlogDays);
+      currentPostingWindow = {
+        start: business?.postingWindowStart || "",
+        end: business?.postingWindowEnd || "",
+        timeZone: business?.timeZone || DEFAULT_TIME_ZONE,
+        jitter: business?.replyJitterMinutes || 0
+      };
+      if (business) locationRows = (await getLocations(accountId)).map((loc) => locationToJson(business, loc));
+      if (business) failedReviews = await listFailedReviews(accountId);
+      if (business && db.useDb()) awaitingApproval = await db.getRepliesAwaitingApproval(accountId);
+      if (business) needsAttention = await listAttentionReviews(accountId);
+      if (business) postedReplies = latestRevisions(await listReplies(accountId, { limit: 50 })).slice(0, 10);
+      googleDisconnectedAt = business?.googleDisconnectedAt || null;
+      currentEscalationRules = Array.isArray(business?.escalationRules) ? business.escalationRules : [];
+      currentNotificationPhone = business?.notificationPhone || "";
+      currentNegativeAlertMaxRating = business?.negativeAlertMaxRating ?? null;
+      currentDigestFrequency = normalizeDigestFrequency(business?.digestFrequency);
+      currentBrandVoice = business?.brandVoice || {};
+      currentReplyLanguage = business?.replyLanguage || "";
+      currentSupportedLanguages = Array.isArray(business?.supportedLanguages) ? business.supportedLanguages : [];
+      currentReplyStyle = business?.replyStyle || null;
+      currentKnowledgeBase = business?.knowledgeBase || {};
       businessName = (business && business.name) ? String(business.name) : "";
       subscribedAt = business?.subscribedAt ?? null;
       if (business && business.trialEndsAt) {
@@ -838,6 +1336,13 @@ app.get("/connected", async (req, res, next) => {
     const nextStepLine = contactUs
       ? `Questions? Contact us at <a href="${contactUs.startsWith("http") ? escapeHtml(contactUs) : "mailto:" + escapeHtml(contactUs)}">${escapeHtml(contactUs)}</a>.`
       : "";
+    // Google stopped accepting our grant; the scheduler is paused until the owner reconnects.
+    const reconnectBanner = googleDisconnectedAt
+      ? `<div class="reconnect-banner" role="alert">
+      <strong>Reconnect Google to resume auto-replies.</strong> Since ${escapeHtml(formatShortDate(googleDisconnectedAt))}, Google hasn't accepted Replyr's access to your reviews. Access may have been removed in your Google account, or the connection expired. Replyr has paused replies until you reconnect.
+      <a class="reconnect-btn" href="/auth/google?return_to=${encodeURIComponent("/connected?accountId=" + encodeURIComponent(accountId))}">Reconnect Google</a>
+    </div>`
+      : "";
     const trialEndingSoon =
       trialEndsAt != null &&
       !subscribedAt &&
@@ -874,9 +1379,132 @@ app.get("/connected", async (req, res, next) => {
   </div>
   ${trialEndedNoSubscription ? '<p class="trial-gate-msg" style="font-size:13px;color:var(--danger);margin-top:12px">Subscribe to re-enable auto-reply.</p>' : ""}
   <p id="auto-reply-msg" class="connected-msg" aria-live="polite"></p>
+</div>`
+      : "";
+    const replyRatingsCard = accountId
+      ? `<div class="card reply-ratings-section" data-account-id="${escapeHtml(accountId)}">
+  <div class="card-title">Ratings to auto-reply</div>
+  <div class="card-desc">Choose which star ratings get an automatic reply. Unchecked ratings are left for you to answer yourself.</div>
+  <div class="rating-checks" role="group" aria-label="Star ratings to auto-reply">
+    ${ALL_RATINGS.map((n) => `<label class="rating-check"><input type="checkbox" class="reply-rating-cb" value="${n}" ${currentReplyRatings.includes(n) ? "checked" : ""}><span>${n}★</span></label>`).join("")}
+  </div>
+  <p id="reply-ratings-msg" class="connected-msg" aria-live="polite"></p>
+</div>`
+      : "";
+    const backlogOptions = [
+      ["all", "Reply to all of them"],
+      ["recent", "Only reply to recent ones"],
+      ["throttled", "Work through them a few at a time"],
+      ["skip", "Skip them, only reply to new reviews"]
+    ];
+    const backlogCard = accountId
+      ? `<div class="card backlog-section" data-account-id="${escapeHtml(accountId)}">
+  <div class="card-title">Reviews already waiting</div>
+  <div class="card-desc">What to do with unanswered reviews from before auto-reply was turned on. New reviews always get a reply.</div>
+  <div class="contact-input-row">
+    <select id="backlog-policy-select" class="backlog-select" aria-label="Reviews already waiting">
+      ${backlogOptions.map(([value, label]) => `<option value="${value}" ${currentBacklogPolicy === value ? "selected" : ""}>${label}</option>`).join("")}
+    </select>
+  </div>
+  <div id="backlog-days-row" class="contact-input-row"${currentBacklogPolicy === "recent" ? "" : ' style="display:none"'}>
+    <span class="backlog-days-label">Posted within</span>
+    <input type="number" id="backlog-days-input" min="1" max="${MAX_BACKLOG_DAYS}" step="1" value="${currentBacklogDays}" aria-label="Days">
+    <span class="backlog-days-label">days of switching on</span>
+    <button type="button" id="backlog-days-save-btn" class="btn-save">Save</button>
+  </div>
+  <p id="backlog-preview" class="backlog-preview" aria-live="polite"></p>
+  <p id="backlog-msg" class="connected-msg" aria-live="polite"></p>
+</div>`
+      : "";
+    const timeZones = Intl.supportedValuesOf("timeZone");
+    if (!timeZones.includes(currentPostingWindow.timeZone)) timeZones.unshift(currentPostingWindow.timeZone);
+    const postingWindowCard = accountId
+      ? `<div class="card posting-window-section" data-account-id="${escapeHtml(accountId)}">
+  <div class="card-title">Posting hours</div>
+  <div class="card-desc">Only post replies during these hours. Replies written outside them wait until the window opens. Leave blank to post any time.</div>
+  <div class="contact-input-row">
+    <input type="time" id="posting-window-start" class="posting-window-time" value="${escapeHtml(currentPostingWindow.start)}" aria-label="From">
+    <span class="backlog-days-label">to</span>
+    <input type="time" id="posting-window-end" class="posting-window-time" value="${escapeHtml(currentPostingWindow.end)}" aria-label="Until">
+  </div>
+  <div class="contact-input-row">
+    <select id="posting-window-tz" class="backlog-select" aria-label="Time zone">
+      ${timeZones.map((tz) => `<option value="${escapeHtml(tz)}" ${currentPostingWindow.timeZone === tz ? "selected" : ""}>${escapeHtml(tz)}</option>`).join("")}
+    </select>
+  </div>
+  <div class="contact-input-row">
+    <span class="backlog-days-label">Add a random delay of up to</span>
+    <input type="number" id="posting-jitter-input" min="0" max="${MAX_JITTER_MINUTES}" step="1" value="${currentPostingWindow.jitter}" aria-label="Random delay in minutes">
+    <span class="backlog-days-label">minutes</span>
+  </div>
+  <div class="contact-input-row">
+    <button type="button" id="posting-window-save-btn" class="btn-save">Save</button>
+    <button type="button" id="posting-window-clear-btn" class="btn btn-ghost">Post any time</button>
+  </div>
+  <p id="posting-window-msg" class="connected-msg" aria-live="polite"></p>
+</div>`
+      : "";
+    const escalationCard = accountId
+      ? `<div class="card escalation-section" data-account-id="${escapeHtml(accountId)}" data-rules="${escapeHtml(JSON.stringify(currentEscalationRules))}" data-suggested="${escapeHtml(JSON.stringify(SUGGESTED_ESCALATION_RULES))}">
+  <div class="card-title">Reviews that need a human</div>
+  <div class="card-desc">Reviews matching any of these rules never get an AI reply. They wait under "Needs your reply" and we email or text you right away (see Notifications).</div>
+  <ul id="escalation-rules-list" class="escalation-rules-list"></ul>
+  <div class="contact-input-row">
+    <input type="text" id="escalation-name" class="escalation-input" placeholder="Rule name, e.g. Staff names" aria-label="Rule name">
+  </div>
+  <div class="contact-input-row">
+    <input type="text" id="escalation-keywords" class="escalation-input" placeholder="Words or phrases, comma-separated" aria-label="Keywords">
+  </div>
+  <div class="contact-input-row">
+    <input type="text" id="escalation-pattern" class="escalation-input" placeholder="Advanced: regular expression (optional)" aria-label="Regular expression">
+  </div>
+  <div class="contact-input-row rating-checks">
+    ${ALL_RATINGS.map((n) => `<label class="rating-check"><input type="checkbox" class="escalation-rating-cb" value="${n}"><span>${n}★</span></label>`).join("")}
+  </div>
+  <div class="contact-input-row">
+    <span class="backlog-days-label">Only if at least</span>
+    <input type="number" id="escalation-min-length" min="1" step="1" placeholder="—" aria-label="Minimum review length">
+    <span class="backlog-days-label">characters long</span>
+  </div>
+  <div class="contact-input-row">
+    <button type="button" id="escalation-add-btn" class="btn-save">Add rule</button>
+    <button type="button" id="escalation-suggested-btn" class="btn btn-ghost">Add suggested rules</button>
+  </div>
+  <p id="escalation-msg" class="connected-msg" aria-live="polite"></p>
+</div>`
+      : "";
+    const alertOptions = [["", "Off"], ...NEGATIVE_ALERT_RATINGS.map((n) => [String(n), n === 1 ? "1★ reviews" : `1–${n}★ reviews`])];
+    const digestOptions = [["", "Off"], ["daily", "Daily"], ["weekly", "Weekly (Mondays)"]];
+    const notificationsCard = accountId
+      ? `<div class="card notifications-section" data-account-id="${escapeHtml(accountId)}">
+  <div class="card-title">Notifications</div>
+  <div class="card-desc">Hear about bad reviews within minutes, whatever the reply mode, and get a summary of new reviews and the replies Replyr posted. Digests go out at 8am in your posting-hours time zone.</div>
+  <div class="contact-input-row">
+    <span class="backlog-days-label">Alert me about new</span>
+    <select id="negative-alert-select" class="backlog-select" aria-label="Alert me about new low-star reviews">
+      ${alertOptions.map(([value, label]) => `<option value="${value}" ${String(currentNegativeAlertMaxRating ?? "") === value ? "selected" : ""}>${label}</option>`).join("")}
+    </select>
+  </div>
+  <div class="contact-input-row">
+    <span class="backlog-days-label">Summary email</span>
+    <select id="digest-frequency-select" class="backlog-select" aria-label="Summary email">
+      ${digestOptions.map(([value, label]) => `<option value="${value}" ${(currentDigestFrequency || "") === value ? "selected" : ""}>${label}</option>`).join("")}
+    </select>
+  </div>
+  <div class="contact-input-row">
+    <input type="email" id="notifications-email-input" class="escalation-input" value="${escapeHtml(currentNotificationEmail)}" placeholder="you@example.com" aria-label="Email for notifications">
+  </div>
+  <div class="contact-input-row">
+    <input type="tel" id="notification-phone-input" class="escalation-input" value="${escapeHtml(currentNotificationPhone)}" placeholder="Text me too (optional), e.g. +15551234567" aria-label="Phone for alerts">
+  </div>
+  <div class="contact-input-row">
+    <button type="button" id="notifications-save-btn" class="btn-save">Save</button>
+  </div>
+  <p id="notifications-msg" class="connected-msg" aria-live="polite"></p>
 </div>`
       : "";
     const previewModeOn = currentAutoReplyMode === "delayed";
+    const approvalModeOn = currentAutoReplyMode === "approval";
     const previewModeCard = accountId
       ? `<div class="card reply-preview-section" data-account-id="${escapeHtml(accountId)}">
   <div class="card-title">Reply preview (low-star reviews)</div>
@@ -888,9 +1516,16 @@ app.get("/connected", async (req, res, next) => {
     </label>
     <span class="toggle-label">Email me before low-star replies post</span>
   </div>
-  <div id="notification-email-row" class="contact-input-row" style="margin-top:14px${previewModeOn ? "" : ";display:none"}">
-    <input type="email" id="notification-email-input" value="${escapeHtml(currentNotificationEmail)}" placeholder="you@example.com">
-    <button type="button" id="notification-email-save-btn" class="btn-save">Save</button>
+  ${db.useDb() ? `<div class="toggle-row" style="margin-top:14px">
+    <label class="toggle">
+      <input type="checkbox" id="reply-approval-toggle" role="switch" aria-checked="${approvalModeOn ? "true" : "false"}" aria-label="Hold every reply until I approve it" ${approvalModeOn ? "checked" : ""}>
+      <div class="toggle-track"></div>
+    </label>
+    <span class="toggle-label">Hold every reply until I approve it</span>
+  </div>` : ""}
+  <div id="notification-email-row" class="contact-input-row" style="margin-top:14px${previewModeOn || approvalModeOn ? "" : ";display:none"}">
+    <input type="email" id="notification-email-input" value="${escapeHtml(currentNotificationEmail)}" placeholder="you@example.com">
+    <button type="button" id="notification-email-save-btn" class="btn-save">Save</button>
   </div>
   <p id="reply-preview-msg" class="connected-msg" aria-live="polite"></p>
 </div>`
@@ -904,6 +1539,108 @@ app.get("/connected", async (req, res, next) => {
   <div class="card-desc">We'll reply to your latest unreplied review once, free. You'll see it on your Google listing.</div>
   <button type="button" id="free-reply-btn" class="btn btn-primary"><svg width="15" height="15" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><path d="M13 2L3 6l4 3 3 4 3-11z"/></svg>Send my 1 free reply</button>
   <p id="free-reply-msg" class="connected-msg" aria-live="polite"></p>
+</div>`
+      : "";
+    const toneLabels = { casual: "Casual", formal: "Formal", playful: "Playful" };
+    const emojiLabels = { none: "No emoji", sparing: "One at most, on good reviews", allowed: "Where they fit" };
+    const brandVoiceCard = accountId
+      ? `<div class="card brand-voice-section" data-account-id="${escapeHtml(accountId)}">
+  <div class="card-title">Brand voice</div>
+  <div class="card-desc">How your AI replies should sound. Leave anything blank to keep Replyr's default: warm, professional, no emoji.</div>
+  <div class="contact-input-row">
+    <span class="backlog-days-label">Tone</span>
+    <select id="brand-voice-tone" class="backlog-select" aria-label="Tone">
+      <option value="">Default</option>
+      ${BRAND_VOICE_TONES.map((t) => `<option value="${t}" ${currentBrandVoice.tone === t ? "selected" : ""}>${toneLabels[t] || t}</option>`).join("")}
+    </select>
+  </div>
+  <div class="contact-input-row">
+    <span class="backlog-days-label">Emoji</span>
+    <select id="brand-voice-emoji" class="backlog-select" aria-label="Emoji">
+      ${EMOJI_POLICIES.map((e) => `<option value="${e}" ${(currentBrandVoice.emoji || "none") === e ? "selected" : ""}>${emojiLabels[e] || e}</option>`).join("")}
+    </select>
+  </div>
+  <div class="contact-input-row">
+    <span class="backlog-days-label">Up to</span>
+    <input type="number" id="brand-voice-max-length" min="${MIN_REPLY_CHARS}" max="${MAX_REPLY_CHARS}" step="10" value="${escapeHtml(String(currentBrandVoice.maxLength || ""))}" placeholder="${DEFAULT_MAX_REPLY_CHARS}" aria-label="Maximum reply length">
+    <span class="backlog-days-label">characters</span>
+  </div>
+  <div class="contact-input-row">
+    <input type="text" id="brand-voice-sign-off" class="escalation-input" value="${escapeHtml(currentBrandVoice.signOff || "")}" placeholder="Sign-off, e.g. – Maria, owner" aria-label="Sign-off">
+  </div>
+  <textarea id="brand-voice-always" class="attention-reply" rows="3" placeholder="Phrases to use, one per line" aria-label="Phrases to use">${escapeHtml((currentBrandVoice.alwaysUse || []).join("\n"))}</textarea>
+  <textarea id="brand-voice-never" class="attention-reply" rows="3" placeholder="Words or phrases to never use, one per line" aria-label="Phrases to never use">${escapeHtml((currentBrandVoice.neverUse || []).join("\n"))}</textarea>
+  <div class="contact-input-row">
+    <button type="button" id="brand-voice-save-btn" class="btn-save">Save</button>
+  </div>
+  <p id="brand-voice-msg" class="connected-msg" aria-live="polite"></p>
+</div>`
+      : "";
+    const knowledgePlaceholders = {
+      hours: "e.g. Mon–Sat 11am–9pm, closed Sundays",
+      parking: "e.g. Free lot behind the building",
+      refundPolicy: "e.g. Full refund within 7 days with receipt",
+      menuHighlights: "e.g. Pho, banh mi, house-made lemonade",
+      managers: "e.g. Dana (days), Luis (evenings)",
+      complaintResolutions: "e.g. Long waits: we offer a free drink next visit"
+    };
+    const faqRow = (entry = {}) => `<div class="faq-row">
+    <input type="text" class="escalation-input faq-question" value="${escapeHtml(entry.question || "")}" placeholder="Question" aria-label="FAQ question">
+    <textarea class="attention-reply faq-answer" rows="2" placeholder="Answer" aria-label="FAQ answer">${escapeHtml(entry.answer || "")}</textarea>
+    <button type="button" class="btn-save faq-remove-btn">Remove</button>
+  </div>`;
+    const knowledgeCard = accountId
+      ? `<div class="card knowledge-section" data-account-id="${escapeHtml(accountId)}" data-max-faq="${MAX_FAQ_ENTRIES}">
+  <div class="card-title">What Replyr knows</div>
+  <div class="card-desc">Facts your replies can mention. Replyr never makes up hours, prices, policies or names, so anything not here stays out of replies.</div>
+  ${Object.entries(KNOWLEDGE_FIELDS).map(([key, label]) => `<label class="backlog-days-label" for="knowledge-${key}">${escapeHtml(label)}</label>
+  <textarea id="knowledge-${key}" class="attention-reply knowledge-field" data-field="${key}" rows="2" placeholder="${escapeHtml(knowledgePlaceholders[key] || "")}">${escapeHtml(currentKnowledgeBase[key] || "")}</textarea>`).join("\n  ")}
+  <div class="backlog-days-label">Questions customers ask</div>
+  <div id="faq-rows">${(currentKnowledgeBase.faq || []).map((entry) => faqRow(entry)).join("")}</div>
+  <template id="faq-row-template">${faqRow()}</template>
+  <div class="contact-input-row">
+    <button type="button" id="faq-add-btn" class="btn-save">Add a question</button>
+    <button type="button" id="knowledge-save-btn" class="btn-save">Save</button>
+  </div>
+  <p id="knowledge-msg" class="connected-msg" aria-live="polite"></p>
+</div>`
+      : "";
+    const styleSamples = currentReplyStyle?.samples || [];
+    const replyStyleCard = accountId
+      ? `<div class="card reply-style-section" data-account-id="${escapeHtml(accountId)}">
+  <div class="card-title">Your reply style</div>
+  <div class="card-desc">Replyr reads replies you wrote yourself on Google and writes new ones to sound like you. Brand voice settings still come first.</div>
+  <p class="connected-msg" id="reply-style-status">${
+    !currentReplyStyle
+      ? "Not learned yet. It happens on the first auto-reply run, or refresh now."
+      : styleSamples.length
+        ? `Learned from ${styleSamples.length} of your replies on ${escapeHtml(formatShortDate(currentReplyStyle.refreshedAt))}.`
+        : `No replies of your own found on ${escapeHtml(formatShortDate(currentReplyStyle.refreshedAt))}. Replyr uses its default style.`
+  }</p>
+  ${styleSamples.slice(0, 2).map((sample) => `<div class="attention-reason reply-style-sample">${sample.rating ? escapeHtml(String(sample.rating)) + "★ · " : ""}“${escapeHtml(sample.replyText.slice(0, 140))}”</div>`).join("")}
+  <div class="contact-input-row">
+    <button type="button" id="reply-style-refresh-btn" class="btn-save">Refresh from my replies</button>
+  </div>
+  <p id="reply-style-msg" class="connected-msg" aria-live="polite"></p>
+</div>`
+      : "";
+    const replyLanguageCard = accountId
+      ? `<div class="card reply-language-section" data-account-id="${escapeHtml(accountId)}">
+  <div class="card-title">Reply language</div>
+  <div class="card-desc">By default Replyr answers each review in the language it was written in. Pick one language to always reply in, or tick the languages you reply in: reviews in any other language get a reply in the first one ticked.</div>
+  <div class="contact-input-row">
+    <select id="reply-language-select" class="backlog-select" aria-label="Reply language">
+      <option value="">Match the reviewer</option>
+      ${Object.entries(REPLY_LANGUAGES).map(([code, name]) => `<option value="${code}" ${currentReplyLanguage === code ? "selected" : ""}>Always ${name}</option>`).join("")}
+    </select>
+  </div>
+  <div class="rating-checks" id="supported-languages" role="group" aria-label="Languages you reply in"${currentReplyLanguage ? " hidden" : ""}>
+    ${Object.entries(REPLY_LANGUAGES).map(([code, name]) => `<label class="rating-check"><input type="checkbox" class="supported-language-cb" value="${code}" ${currentSupportedLanguages.includes(code) ? "checked" : ""}><span>${name}</span></label>`).join("")}
+  </div>
+  <div class="contact-input-row">
+    <button type="button" id="reply-language-save-btn" class="btn-save">Save</button>
+  </div>
+  <p id="reply-language-msg" class="connected-msg" aria-live="polite"></p>
 </div>`
       : "";
     const contactCard = accountId
@@ -943,14 +1680,122 @@ app.get("/connected", async (req, res, next) => {
   <ul class="pro-benefits"><li><strong>Customer database</strong> — Upload a CSV (email, name, birthday, phone). We store it securely per business.</li><li><strong>Birthday messages</strong> — We automatically email and text customers on their birthday. Add a coupon or any offer you choose.</li><li><strong>Holiday & event campaigns</strong> — Mothers Day, Fathers Day, and more by email and SMS. You pick the discount or message.</li><li><strong>Your voice or ours</strong> — Curate the message yourself or let Replyr write it.</li><li><strong>Sent on your behalf</strong> — Messages go out with your business name (email and SMS); replies go to your contact email.</li></ul>
   <p class="card-desc" style="margin-bottom:8px">By uploading and sending you confirm you have permission to email and text those contacts. We send email to contacts with an address; if SMS is enabled, we also send a short text to contacts with a mobile number. <a href="/compliance" style="color:var(--accent2)">Compliance</a>.</p>
   <p><a href="/subscribe?accountId=${encodeURIComponent(accountId)}" class="manage-link">Upgrade to Pro →</a> to unlock the customer list and automated campaigns.</p>`}
+</div>`
+      : "";
+    // Per-location settings, only for accounts with more than one connected
+    // location. Blank contact / "Account default" mode inherit the cards on the left.
+    const locationsCard = accountId && locationRows.length > 1
+      ? `<div class="card card-full locations-section" data-account-id="${escapeHtml(accountId)}">
+  <div class="card-title">Locations</div>
+  <div class="card-desc">Each connected location replies on its own. Leave contact blank or mode on "Account default" to use the settings on the left.</div>
+  ${locationRows.map((loc) => `<div class="location-row" data-location-id="${escapeHtml(loc.locationId)}">
+    <div class="location-head">
+      <label class="toggle">
+        <input type="checkbox" class="location-toggle" role="switch" aria-checked="${loc.autoReplyEnabled ? "true" : "false"}" aria-label="Auto-reply for ${escapeHtml(loc.name || loc.locationId)}" ${loc.autoReplyEnabled ? "checked" : ""}>
+        <div class="toggle-track"></div>
+      </label>
+      <span class="location-name">${escapeHtml(loc.name || loc.locationId)}${loc.isPrimary ? ' <span class="location-primary">primary</span>' : ""}</span>
+    </div>
+    <div class="contact-input-row">
+      <input type="text" class="location-contact" value="${loc.inherits.contact ? "" : escapeHtml(loc.contact)}" placeholder="Contact (account default)">
+      <select class="location-mode" aria-label="Reply mode">
+        <option value=""${loc.inherits.autoReplyMode ? " selected" : ""}>Account default</option>
+        <option value="instant"${!loc.inherits.autoReplyMode && loc.autoReplyMode === "instant" ? " selected" : ""}>Post instantly</option>
+        <option value="delayed"${!loc.inherits.autoReplyMode && loc.autoReplyMode === "delayed" ? " selected" : ""}>Email preview</option>
+        <option value="approval"${!loc.inherits.autoReplyMode && loc.autoReplyMode === "approval" ? " selected" : ""}>Needs my approval</option>
+      </select>
+      <button type="button" class="btn-save location-save-btn">Save</button>
+    </div>
+    <p class="connected-msg location-msg" aria-live="polite"></p>
+  </div>`).join("")}
+</div>`
+      : "";
+    // Approval mode: replies waiting for the owner's sign-off, with the other
+    // drafts to switch between (see replyVariants.js).
+    const variantLabels = Object.fromEntries(REPLY_VARIANTS.map((v) => [v.key, v.label]));
+    const approvalVariantButtons = (p) => {
+      if (p.candidates.length < 2) return "";
+      const current = p.chosenVariant || (p.candidates[0].text === p.generatedReply ? p.candidates[0].variant : null);
+      return p.candidates
+        .map(
+          (c) =>
+            `<button type="button" class="approval-variant-btn${c.variant === current ? " active" : ""}" data-variant="${escapeHtml(c.variant)}" aria-pressed="${c.variant === current ? "true" : "false"}">${escapeHtml(variantLabels[c.variant] || c.variant)}</button>`
+        )
+        .join("");
+    };
+    const approvalCard = accountId && awaitingApproval.length
+      ? `<div class="card card-full approval-section" data-account-id="${escapeHtml(accountId)}" data-variant-labels="${escapeHtml(JSON.stringify(variantLabels))}">
+  <div class="card-title">Replies awaiting your approval</div>
+  <div class="card-desc">Nothing is posted to Google until you approve it. Switch between versions, or ask for new ones.</div>
+  ${awaitingApproval.map((p) => `<div class="approval-row" data-pending-id="${escapeHtml(String(p.id))}">
+    <div class="failed-review-head"><span class="failed-review-rating">${p.rating ? escapeHtml(String(p.rating)) + "★" : "Review"}</span> <span class="failed-review-text">${escapeHtml(p.reviewerName || "A customer")}: ${escapeHtml((p.reviewComment || "(no text)").slice(0, 200))}</span></div>
+    ${p.holdReason ? `<div class="approval-hold-reason">Held for a safety check: ${escapeHtml(p.holdReason)}</div>` : ""}
+    <div class="approval-variants">${approvalVariantButtons(p)}</div>
+    <div class="approval-reply">${escapeHtml(p.generatedReply)}</div>
+    <div class="approval-actions">
+      <button type="button" class="btn-save approval-approve-btn">Approve &amp; post</button>
+      <button type="button" class="btn-save approval-regenerate-btn">Regenerate</button>
+      <button type="button" class="btn-save approval-discard-btn">Discard</button>
+    </div>
+    <p class="connected-msg approval-msg" aria-live="polite"></p>
+  </div>`).join("")}
+</div>`
+      : "";
+    // Reviews held back for the owner to answer by hand: escalation rules, and
+    // reviews that read like instructions to the AI.
+    const attentionCard = accountId && needsAttention.length
+      ? `<div class="card card-full attention-section" id="needs-attention" data-account-id="${escapeHtml(accountId)}">
+  <div class="card-title">Needs your reply</div>
+  <div class="card-desc">Replyr didn't reply to these reviews. The reason is shown under each one. Write your own reply, or dismiss the review to leave it unanswered.</div>
+  ${needsAttention.map((a) => `<div class="attention-row" data-location-id="${escapeHtml(a.locationId)}" data-review-id="${escapeHtml(a.reviewId)}">
+    <div class="failed-review-head"><span class="failed-review-rating">${a.rating ? escapeHtml(String(a.rating)) + "★" : "Review"}</span> <span class="failed-review-text">${escapeHtml(a.reviewerName || "A customer")}: ${escapeHtml(a.reviewText || "(no text)")}</span></div>
+    <div class="attention-reason">${escapeHtml(a.ruleName || "Escalation rule")}${a.reason ? " · " + escapeHtml(a.reason) : ""}</div>
+    <textarea class="attention-reply" rows="4" placeholder="Your reply" aria-label="Your reply"></textarea>
+    <div class="approval-actions">
+      <button type="button" class="btn-save attention-post-btn">Post reply</button>
+      <button type="button" class="btn-save attention-dismiss-btn">Dismiss</button>
+    </div>
+    <p class="connected-msg attention-msg" aria-live="polite"></p>
+  </div>`).join("")}
+</div>`
+      : "";
+    // Reviews Replyr gave up on after repeated failures; only shown when there are some.
+    const failedReviewsCard = accountId && failedReviews.length
+      ? `<div class="card card-full failed-reviews-section" data-account-id="${escapeHtml(accountId)}">
+  <div class="card-title">Replies that failed</div>
+  <div class="card-desc">We couldn't reply to these reviews after several tries, so we stopped retrying. Fix the cause (e.g. reconnect Google) and hit Retry, or reply on Google yourself.</div>
+  ${failedReviews.map((f) => `<div class="failed-review-row" data-location-id="${escapeHtml(f.locationId)}" data-review-id="${escapeHtml(f.reviewId)}">
+    <div class="failed-review-head"><span class="failed-review-rating">${f.rating ? escapeHtml(String(f.rating)) + "★" : "Review"}</span> <span class="failed-review-text">${escapeHtml((f.reviewText || "(no text)").slice(0, 140))}</span></div>
+    <div class="failed-review-error">${escapeHtml(f.lastError || "Unknown error")} · ${escapeHtml(String(f.attempts))} attempt${f.attempts === 1 ? "" : "s"}</div>
+    <button type="button" class="btn-save failed-review-retry-btn">Retry</button>
+    <p class="connected-msg failed-review-msg" aria-live="polite"></p>
+  </div>`).join("")}
+</div>`
+      : "";
+    // The current reply on each recently answered review, to retract or replace.
+    const postedRepliesCard = accountId && postedReplies.length
+      ? `<div class="card card-full posted-replies-section" data-account-id="${escapeHtml(accountId)}">
+  <div class="card-title">Replies Replyr posted</div>
+  <div class="card-desc">Change a reply that's already on Google: edit it, get a new one from Replyr, or retract it. Earlier versions stay in your reply history.</div>
+  ${postedReplies.map((r) => `<div class="posted-reply-row" data-reply-id="${escapeHtml(String(r.id))}">
+    <div class="failed-review-head"><span class="failed-review-rating">${r.rating ? escapeHtml(String(r.rating)) + "★" : "Review"}</span> <span class="failed-review-text">${escapeHtml((r.reviewText || "(no text)").slice(0, 140))}</span></div>
+    <div class="attention-reason">${r.retractedAt ? "Retracted" : "Posted"} ${escapeHtml(formatShortDate(r.retractedAt || r.postedAt))}${r.replacesReplyId ? " · edited" : ""}${REPLY_LANGUAGES[r.reviewLanguage] ? ` · ${escapeHtml(REPLY_LANGUAGES[r.reviewLanguage])}` : ""}</div>
+    <textarea class="attention-reply posted-reply-text" rows="4" aria-label="Reply text">${escapeHtml(r.replyText || "")}</textarea>
+    <div class="approval-actions">
+      <button type="button" class="btn-save posted-reply-replace-btn">${r.retractedAt ? "Post again" : "Replace"}</button>
+      <button type="button" class="btn-save posted-reply-regenerate-btn">Regenerate</button>
+      ${r.retractedAt ? "" : `<button type="button" class="btn-save posted-reply-retract-btn">Retract</button>`}
+    </div>
+    <p class="connected-msg posted-reply-msg" aria-live="polite"></p>
+  </div>`).join("")}
 </div>`
       : "";
     const freeReplySection = accountId
       ? `<div class="connected-body">
   <aside class="connected-sidebar" aria-label="Account and review tools">
-    <div class="connected-stack">${trialCard}${autoReplyCard}${previewModeCard}${tryItCard}${contactCard}</div>
+    <div class="connected-stack">${trialCard}${autoReplyCard}${replyRatingsCard}${brandVoiceCard}${knowledgeCard}${replyStyleCard}${replyLanguageCard}${backlogCard}${postingWindowCard}${escalationCard}${notificationsCard}${previewModeCard}${tryItCard}${contactCard}</div>
   </aside>
-  <div class="connected-pro-wrap">${proCard}</div>
+  <div class="connected-pro-wrap">${attentionCard}${approvalCard}${failedReviewsCard}${postedRepliesCard}${locationsCard}${proCard}</div>
 </div>`
       : "";
     res.set("Content-Type", "text/html; charset=utf-8");
@@ -1014,6 +1859,55 @@ app.get("/connected", async (req, res, next) => {
   .toggle input:checked + .toggle-track::before { background: var(--bg); transform: translateX(16px); }
   .toggle input:disabled + .toggle-track { opacity: 0.6; cursor: not-allowed; }
   .toggle-label { font-size: 13px; color: var(--text); font-weight: 500; }
+  .locations-section { margin-bottom: 24px; }
+  .failed-reviews-section { margin-bottom: 24px; }
+  .approval-section { margin-bottom: 24px; }
+  .attention-section { margin-bottom: 24px; }
+  .posted-replies-section { margin-bottom: 24px; }
+  .posted-reply-row { padding: 12px 0; border-top: 1px solid var(--border); }
+  .posted-reply-row:first-of-type { border-top: none; padding-top: 0; }
+  .attention-row { padding: 12px 0; border-top: 1px solid var(--border); }
+  .attention-row:first-of-type { border-top: none; padding-top: 0; }
+  .attention-reason { font-size: 12px; color: var(--muted); margin-bottom: 8px; }
+  .attention-reply { width: 100%; box-sizing: border-box; background: var(--surface2); border: 1px solid var(--border); border-radius: 10px; color: var(--text); font-family: 'DM Sans', sans-serif; font-size: 14px; padding: 10px; margin-bottom: 8px; resize: vertical; }
+  .escalation-rules-list { list-style: none; padding: 0; margin: 0 0 8px; }
+  .escalation-rules-list li { display: flex; justify-content: space-between; align-items: center; gap: 8px; font-size: 13px; color: var(--text); padding: 8px 0; border-bottom: 1px solid var(--border); }
+  .escalation-rules-list .rule-summary { color: var(--muted); }
+  .escalation-input { flex: 1; background: var(--surface2); border: 1px solid var(--border); border-radius: 10px; color: var(--text); font-family: 'DM Sans', sans-serif; font-size: 14px; padding: 10px; }
+  #brand-voice-max-length { width: 80px; flex: none; background: var(--surface2); border: 1px solid var(--border); border-radius: 10px; color: var(--text); font-family: 'DM Sans', sans-serif; font-size: 14px; padding: 10px; }
+  #escalation-min-length { width: 72px; flex: none; background: var(--surface2); border: 1px solid var(--border); border-radius: 10px; color: var(--text); font-family: 'DM Sans', sans-serif; font-size: 14px; padding: 10px; }
+  .approval-row { padding: 12px 0; border-top: 1px solid var(--border); }
+  .approval-row:first-of-type { border-top: none; padding-top: 0; }
+  .approval-reply { font-size: 13px; color: var(--text); background: var(--surface2); border-left: 3px solid var(--accent); border-radius: 6px; padding: 10px 12px; margin: 6px 0 10px; white-space: pre-wrap; }
+  .approval-hold-reason { font-size: 12px; color: var(--danger); margin-top: 6px; }
+  .approval-actions { display: flex; gap: 8px; }
+  .approval-variants { display: flex; gap: 6px; flex-wrap: wrap; margin-top: 8px; }
+  .approval-variants:empty { display: none; }
+  .approval-variant-btn { background: var(--surface2); color: var(--text); border: 1px solid var(--border); border-radius: 999px; font-family: 'DM Sans', sans-serif; font-size: 12px; padding: 4px 12px; cursor: pointer; }
+  .approval-variant-btn.active { border-color: var(--accent); color: var(--accent); font-weight: 600; }
+  .failed-review-row { padding: 12px 0; border-top: 1px solid var(--border); }
+  .failed-review-row:first-of-type { border-top: none; padding-top: 0; }
+  .failed-review-head { font-size: 14px; color: var(--text); margin-bottom: 4px; }
+  .failed-review-rating { font-weight: 600; margin-right: 6px; }
+  .failed-review-error { font-size: 12px; color: var(--danger); margin-bottom: 8px; }
+  .location-row { padding: 14px 0; border-top: 1px solid var(--border); }
+  .location-row:first-of-type { border-top: none; padding-top: 0; }
+  .location-head { display: flex; align-items: center; gap: 10px; }
+  .location-name { font-size: 14px; font-weight: 500; color: var(--text); }
+  .location-primary { font-size: 10px; font-weight: 600; letter-spacing: 0.06em; text-transform: uppercase; color: var(--muted); margin-left: 6px; }
+  .location-row .contact-input-row { margin-top: 10px; }
+  .location-mode { background: var(--surface2); border: 1px solid var(--border); border-radius: 10px; color: var(--text); font-family: 'DM Sans', sans-serif; font-size: 13px; padding: 0 10px; }
+  .rating-checks { display: flex; gap: 6px; flex-wrap: wrap; }
+  .rating-checks[hidden] { display: none; }
+  .faq-row { display: flex; flex-direction: column; gap: 6px; padding: 8px 0; border-top: 1px solid var(--border); }
+  .backlog-select { flex: 1; min-height: 42px; background: var(--surface2); border: 1px solid var(--border); border-radius: 10px; color: var(--text); font-family: 'DM Sans', sans-serif; font-size: 14px; padding: 0 10px; }
+  .backlog-days-label { align-self: center; font-size: 13px; color: var(--muted); white-space: nowrap; }
+  #backlog-days-input { width: 72px; flex: none; background: var(--surface2); border: 1px solid var(--border); border-radius: 10px; color: var(--text); font-family: 'DM Sans', sans-serif; font-size: 14px; padding: 10px; }
+  .backlog-preview { font-size: 13px; color: var(--muted); margin-top: 12px; line-height: 1.5; }
+  .posting-window-time, #posting-jitter-input { flex: 1; background: var(--surface2); border: 1px solid var(--border); border-radius: 10px; color: var(--text); font-family: 'DM Sans', sans-serif; font-size: 14px; padding: 10px; }
+  #posting-jitter-input { width: 72px; flex: none; }
+  .rating-check { display: inline-flex; align-items: center; gap: 6px; padding: 8px 10px; background: var(--surface2); border: 1px solid var(--border); border-radius: 10px; font-size: 13px; color: var(--text); cursor: pointer; }
+  .rating-check input { accent-color: var(--accent); }
   .btn { display: inline-flex; align-items: center; justify-content: center; gap: 7px; border: none; border-radius: 10px; font-family: 'DM Sans', sans-serif; font-size: 14px; font-weight: 600; cursor: pointer; padding: 11px 20px; transition: all 0.2s; letter-spacing: 0.01em; width: 100%; }
   .btn-primary { background: var(--accent); color: #0f0f11; }
   .btn-primary:hover:not(:disabled) { background: #6bafff; transform: translateY(-1px); box-shadow: 0 4px 20px rgba(74,158,255,0.25); }
@@ -1067,6 +1961,10 @@ app.get("/connected", async (req, res, next) => {
   .connected-msg.err { color: var(--danger); }
   .pro-benefits { margin: 12px 0; padding-left: 20px; font-size: 13px; color: var(--muted); line-height: 1.6; }
   .pro-benefits li { margin-bottom: 6px; }
+  .connected-badge.disconnected { color: var(--danger); border-color: rgba(255,107,107,0.35); background: rgba(255,107,107,0.08); }
+  .reconnect-banner { margin-bottom: 16px; padding: 12px 14px; background: rgba(255,107,107,0.1); border: 1px solid rgba(255,107,107,0.35); border-radius: 10px; color: var(--text); font-size: 14px; line-height: 1.5; }
+  .reconnect-banner strong { color: var(--danger); }
+  .reconnect-btn { display: inline-block; margin-top: 10px; padding: 8px 14px; background: var(--danger); color: var(--bg); border-radius: 8px; font-weight: 600; text-decoration: none; }
   .thanks-msg { margin-bottom: 12px; padding: 10px 14px; background: rgba(74,158,255,0.12); border-radius: 10px; color: var(--accent); font-size: 14px; }
   .connected-page-footer { margin-top: 40px; padding-top: 28px; border-top: 1px solid var(--border); text-align: center; font-size: 13px; color: var(--muted); }
   .connected-page-footer a { color: var(--accent2); text-decoration: none; }
@@ -1077,7 +1975,8 @@ app.get("/connected", async (req, res, next) => {
 <div class="wrapper" ${accountId ? `data-account-id="${escapeHtml(accountId)}"` : ""}>
   <div class="hero-card">
     <div class="logo-mark"><div class="logo-icon">💬</div>Replyr</div>
-    <div class="connected-badge">Connected</div>
+    <div class="connected-badge${googleDisconnectedAt ? " disconnected" : ""}">${googleDisconnectedAt ? "Disconnected" : "Connected"}</div>
+    ${reconnectBanner}
     <h1 class="hero-title">You're <span>connected</span></h1>
     ${justSubscribed ? '<p class="thanks-msg">Thanks for subscribing. Auto-reply will continue after your trial.</p>' : ""}
     <p class="hero-desc">${escapeHtml(displayName)} is set up. We'll help you reply to Google reviews from here.</p>
@@ -1508,770 +2407,2442 @@ app.get("/connected.js", (req, res) => {
     }
   }
 
-  // Reply preview mode toggle + notification email
-  var previewSection = document.querySelector(".reply-preview-section");
-  // Simple, permissive email regex — server is the source of truth.
-  var EMAIL_RE = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/;
-  function setEmailRowVisible(visible) {
-    var row = document.getElementById("notification-email-row");
-    if (row) row.style.display = visible ? "flex" : "none";
-  }
-  if (previewSection) {
-    var previewAccountId = previewSection.getAttribute("data-account-id") || accountId;
-    var previewToggle = document.getElementById("reply-preview-toggle");
-    var previewMsg = document.getElementById("reply-preview-msg");
-    var emailInput = document.getElementById("notification-email-input");
-    var emailSaveBtn = document.getElementById("notification-email-save-btn");
-    function setPreviewMsg(text, kind) {
-      if (!previewMsg) return;
-      previewMsg.textContent = text || "";
-      previewMsg.classList.remove("ok", "err");
-      if (kind) previewMsg.classList.add(kind);
-    }
-    function patchBusiness(payload) {
-      return fetch("/businesses/" + encodeURIComponent(previewAccountId), {
+  // Per-location toggle / contact / mode (multi-location accounts)
+  var locationsSection = document.querySelector(".locations-section");
+  if (locationsSection) {
+    var locationsAccountId = locationsSection.getAttribute("data-account-id") || accountId;
+    function patchLocation(locationId, payload) {
+      return fetch("/businesses/" + encodeURIComponent(locationsAccountId) + "/locations/" + encodeURIComponent(locationId), {
         method: "PATCH",
         credentials: "same-origin",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(payload)
-      }).then(function(r) { return r.json().then(function(d) { return { status: r.status, data: d }; }); });
+      }).then(function(r) { return r.json(); });
     }
-    if (previewAccountId && previewToggle) {
-      previewToggle.addEventListener("change", function() {
-        var nextMode = previewToggle.checked ? "delayed" : "instant";
-        setPreviewMsg("");
-        setEmailRowVisible(previewToggle.checked);
-        patchBusiness({ autoReplyMode: nextMode })
-          .then(function(res) {
-            if (res.data && res.data.error) {
-              setPreviewMsg(res.data.error, "err");
-              previewToggle.checked = !previewToggle.checked;
-              previewToggle.setAttribute("aria-checked", previewToggle.checked ? "true" : "false");
-              setEmailRowVisible(previewToggle.checked);
-            } else {
-              setPreviewMsg(nextMode === "delayed"
-                ? "Preview mode on. We'll email you 15 minutes before low-star replies post."
-                : "Preview mode off. Replies post immediately.",
-                "ok"
-              );
-            }
+    var locationRowEls = locationsSection.querySelectorAll(".location-row");
+    for (var li = 0; li < locationRowEls.length; li++) {
+      (function(row) {
+        var locationId = row.getAttribute("data-location-id");
+        var locToggle = row.querySelector(".location-toggle");
+        var locContact = row.querySelector(".location-contact");
+        var locMode = row.querySelector(".location-mode");
+        var locSave = row.querySelector(".location-save-btn");
+        var locMsg = row.querySelector(".location-msg");
+        function setLocMsg(text, kind) {
+          locMsg.textContent = text || "";
+          locMsg.classList.remove("ok", "err");
+          if (kind) locMsg.classList.add(kind);
+        }
+        locToggle.addEventListener("change", function() {
+          var enabled = locToggle.checked;
+          setLocMsg("");
+          patchLocation(locationId, { autoReplyEnabled: enabled })
+            .then(function(data) {
+              if (data && data.error) {
+                setLocMsg(data.error, "err");
+                locToggle.checked = !enabled;
+              } else {
+                setLocMsg(enabled ? "Auto-reply on for this location." : "Auto-reply off for this location.", "ok");
+              }
+              locToggle.setAttribute("aria-checked", locToggle.checked ? "true" : "false");
+            })
+            .catch(function() {
+              setLocMsg("Something went wrong.", "err");
+              locToggle.checked = !enabled;
+              locToggle.setAttribute("aria-checked", locToggle.checked ? "true" : "false");
+            });
+        });
+        locSave.addEventListener("click", function() {
+          locSave.disabled = true;
+          setLocMsg("");
+          patchLocation(locationId, { contact: locContact.value.trim() || null, autoReplyMode: locMode.value || null })
+            .then(function(data) {
+              if (data && data.error) setLocMsg(data.error, "err");
+              else setLocMsg("Saved.", "ok");
+            })
+            .catch(function() { setLocMsg("Something went wrong.", "err"); })
+            .finally(function() { locSave.disabled = false; });
+        });
+      })(locationRowEls[li]);
+    }
+  }
+
+  // Approval mode: approve, discard or regenerate held replies, or switch drafts
+  var approvalSection = document.querySelector(".approval-section");
+  if (approvalSection) {
+    var approvalAccountId = approvalSection.getAttribute("data-account-id") || accountId;
+    var variantLabels = {};
+    try { variantLabels = JSON.parse(approvalSection.getAttribute("data-variant-labels") || "{}"); } catch (e) {}
+    var approvalRowEls = approvalSection.querySelectorAll(".approval-row");
+    for (var ai = 0; ai < approvalRowEls.length; ai++) {
+      (function(row) {
+        var pendingId = row.getAttribute("data-pending-id");
+        var approveBtn = row.querySelector(".approval-approve-btn");
+        var regenerateBtn = row.querySelector(".approval-regenerate-btn");
+        var discardBtn = row.querySelector(".approval-discard-btn");
+        var variantsEl = row.querySelector(".approval-variants");
+        var replyEl = row.querySelector(".approval-reply");
+        var rowMsg = row.querySelector(".approval-msg");
+        function setBusy(busy) {
+          approveBtn.disabled = busy;
+          regenerateBtn.disabled = busy;
+          discardBtn.disabled = busy;
+          var variantBtns = variantsEl.querySelectorAll("button");
+          for (var vi = 0; vi < variantBtns.length; vi++) variantBtns[vi].disabled = busy;
+        }
+        function renderVariants(pending) {
+          var candidates = pending.candidates || [];
+          var current = pending.chosenVariant || (candidates.length && candidates[0].text === pending.generatedReply ? candidates[0].variant : null);
+          variantsEl.innerHTML = "";
+          if (candidates.length < 2) return;
+          candidates.forEach(function(c) {
+            var btn = document.createElement("button");
+            btn.type = "button";
+            btn.className = "approval-variant-btn" + (c.variant === current ? " active" : "");
+            btn.setAttribute("data-variant", c.variant);
+            btn.setAttribute("aria-pressed", c.variant === current ? "true" : "false");
+            btn.textContent = variantLabels[c.variant] || c.variant;
+            variantsEl.appendChild(btn);
+          });
+        }
+        function act(action, doneText, body) {
+          setBusy(true);
+          rowMsg.textContent = "";
+          rowMsg.classList.remove("ok", "err");
+          if (action === "regenerate") rowMsg.textContent = "Writing new versions…";
+          fetch("/businesses/" + encodeURIComponent(approvalAccountId) + "/pending-replies/" + encodeURIComponent(pendingId) + "/" + action, {
+            method: "POST",
+            credentials: "same-origin",
+            headers: body ? { "Content-Type": "application/json" } : undefined,
+            body: body ? JSON.stringify(body) : undefined
           })
-          .catch(function() {
-            setPreviewMsg("Something went wrong.", "err");
-            previewToggle.checked = !previewToggle.checked;
-            previewToggle.setAttribute("aria-checked", previewToggle.checked ? "true" : "false");
-            setEmailRowVisible(previewToggle.checked);
+            .then(function(r) { return r.json(); })
+            .then(function(data) {
+              if (data && data.error) {
+                rowMsg.textContent = data.error;
+                rowMsg.classList.add("err");
+                setBusy(false);
+              } else if (data && data.pendingReply) {
+                // Still held: show the new text and keep the row usable.
+                replyEl.textContent = data.pendingReply.generatedReply;
+                renderVariants(data.pendingReply);
+                rowMsg.textContent = doneText;
+                rowMsg.classList.add("ok");
+                setBusy(false);
+              } else {
+                rowMsg.textContent = typeof doneText === "function" ? doneText(data) : doneText;
+                rowMsg.classList.add("ok");
+              }
+            })
+            .catch(function() {
+              rowMsg.textContent = "Something went wrong.";
+              rowMsg.classList.add("err");
+              setBusy(false);
+            });
+        }
+        approveBtn.addEventListener("click", function() {
+          act("approve", function(data) {
+            // Outside the posting hours the reply waits for the next opening.
+            var later = data && data.sendAfter && new Date(data.sendAfter).getTime() > Date.now() + 60000;
+            return later ? "Approved. It will post when your posting hours next open." : "Approved. Posting to Google shortly.";
           });
-      });
+        });
+        regenerateBtn.addEventListener("click", function() { act("regenerate", "New versions ready."); });
+        discardBtn.addEventListener("click", function() { act("discard", "Discarded. This reply won't be posted."); });
+        variantsEl.addEventListener("click", function(e) {
+          var btn = e.target.closest(".approval-variant-btn");
+          if (!btn || btn.classList.contains("active")) return;
+          act("choose", "", { variant: btn.getAttribute("data-variant") });
+        });
+      })(approvalRowEls[ai]);
     }
-    if (previewAccountId && emailSaveBtn && emailInput) {
-      emailSaveBtn.addEventListener("click", function() {
-        var email = emailInput.value.trim();
-        if (email && !EMAIL_RE.test(email)) {
-          setPreviewMsg("Please enter a valid email address.", "err");
-          return;
+  }
+
+  // Needs attention: post the owner's own reply, or dismiss the review
+  var attentionSection = document.querySelector(".attention-section");
+  if (attentionSection) {
+    var attentionAccountId = attentionSection.getAttribute("data-account-id") || accountId;
+    var attentionRowEls = attentionSection.querySelectorAll(".attention-row");
+    for (var ti = 0; ti < attentionRowEls.length; ti++) {
+      (function(row) {
+        var replyBox = row.querySelector(".attention-reply");
+        var postBtn = row.querySelector(".attention-post-btn");
+        var dismissBtn = row.querySelector(".attention-dismiss-btn");
+        var rowMsg = row.querySelector(".attention-msg");
+        function act(action, body, doneText) {
+          postBtn.disabled = true;
+          dismissBtn.disabled = true;
+          rowMsg.textContent = "";
+          rowMsg.classList.remove("ok", "err");
+          body.locationId = row.getAttribute("data-location-id");
+          body.reviewId = row.getAttribute("data-review-id");
+          fetch("/businesses/" + encodeURIComponent(attentionAccountId) + "/attention/" + action, {
+            method: "POST",
+            credentials: "same-origin",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body)
+          })
+            .then(function(r) { return r.json(); })
+            .then(function(data) {
+              if (data && data.error) {
+                rowMsg.textContent = data.error;
+                rowMsg.classList.add("err");
+                postBtn.disabled = false;
+                dismissBtn.disabled = false;
+              } else {
+                rowMsg.textContent = doneText;
+                rowMsg.classList.add("ok");
+                replyBox.disabled = true;
+              }
+            })
+            .catch(function() {
+              rowMsg.textContent = "Something went wrong.";
+              rowMsg.classList.add("err");
+              postBtn.disabled = false;
+              dismissBtn.disabled = false;
+            });
         }
-        emailSaveBtn.disabled = true;
-        setPreviewMsg("");
-        patchBusiness({ notificationEmail: email })
-          .then(function(res) {
-            if (res.data && res.data.error) {
-              setPreviewMsg(res.data.error, "err");
+        postBtn.addEventListener("click", function() {
+          var text = replyBox.value.trim();
+          if (!text) {
+            rowMsg.textContent = "Write a reply first.";
+            rowMsg.classList.remove("ok");
+            rowMsg.classList.add("err");
+            return;
+          }
+          act("reply", { comment: text }, "Posted to Google.");
+        });
+        dismissBtn.addEventListener("click", function() { act("dismiss", {}, "Dismissed. Replyr won't reply to this review."); });
+      })(attentionRowEls[ti]);
+    }
+  }
+
+  // Posted replies: replace with edited or regenerated text, or retract from Google
+  var postedSection = document.querySelector(".posted-replies-section");
+  if (postedSection) {
+    var postedAccountId = postedSection.getAttribute("data-account-id") || accountId;
+    var postedRowEls = postedSection.querySelectorAll(".posted-reply-row");
+    for (var pi = 0; pi < postedRowEls.length; pi++) {
+      (function(row) {
+        var textBox = row.querySelector(".posted-reply-text");
+        var replaceBtn = row.querySelector(".posted-reply-replace-btn");
+        var regenerateBtn = row.querySelector(".posted-reply-regenerate-btn");
+        var retractBtn = row.querySelector(".posted-reply-retract-btn");
+        var rowMsg = row.querySelector(".posted-reply-msg");
+        var buttons = [replaceBtn, regenerateBtn, retractBtn].filter(Boolean);
+        // Set when the box holds an unedited Regenerate draft.
+        var draft = null;
+        function setBusy(busy) {
+          for (var bi = 0; bi < buttons.length; bi++) buttons[bi].disabled = busy;
+        }
+        function act(action, body, done) {
+          setBusy(true);
+          rowMsg.textContent = "";
+          rowMsg.classList.remove("ok", "err");
+          fetch("/businesses/" + encodeURIComponent(postedAccountId) + "/replies/" + encodeURIComponent(row.getAttribute("data-reply-id")) + "/" + action, {
+            method: "POST",
+            credentials: "same-origin",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body)
+          })
+            .then(function(r) { return r.json(); })
+            .then(function(data) {
+              if (data && data.error) {
+                rowMsg.textContent = data.error;
+                rowMsg.classList.add("err");
+                setBusy(false);
+              } else {
+                done(data);
+              }
+            })
+            .catch(function() {
+              rowMsg.textContent = "Something went wrong.";
+              rowMsg.classList.add("err");
+              setBusy(false);
+            });
+        }
+        replaceBtn.addEventListener("click", function() {
+          var text = textBox.value.trim();
+          if (!text) {
+            rowMsg.textContent = "The reply can't be empty. Use Retract to remove it.";
+            rowMsg.classList.remove("ok");
+            rowMsg.classList.add("err");
+            return;
+          }
+          act("replace", { comment: text, source: draft === text ? "regenerated" : "edited" }, function() {
+            rowMsg.textContent = "Posted to Google.";
+            rowMsg.classList.add("ok");
+            textBox.disabled = true;
+          });
+        });
+        regenerateBtn.addEventListener("click", function() {
+          act("regenerate", {}, function(data) {
+            draft = String(data.comment || "").trim();
+            textBox.value = draft;
+            if (data.guardrailIssues) {
+              rowMsg.textContent = "Check this draft before posting: " + data.guardrailIssues + ".";
+              rowMsg.classList.add("err");
             } else {
-              setPreviewMsg(email ? "Saved. We'll email " + email + " before low-star replies post." : "Email cleared.", "ok");
+              rowMsg.textContent = "New draft below. Edit it if you like, then Replace to post it.";
+              rowMsg.classList.add("ok");
             }
-          })
-          .catch(function() { setPreviewMsg("Something went wrong.", "err"); })
-          .finally(function() { emailSaveBtn.disabled = false; });
-      });
+            setBusy(false);
+          });
+        });
+        if (retractBtn) {
+          retractBtn.addEventListener("click", function() {
+            if (!window.confirm("Delete this reply from Google? The review will show no reply.")) return;
+            act("retract", {}, function() {
+              rowMsg.textContent = "Retracted. Replyr won't reply to this review again.";
+              rowMsg.classList.add("ok");
+              textBox.disabled = true;
+            });
+          });
+        }
+      })(postedRowEls[pi]);
     }
   }
 
-  // Sync UI from latest server state (handles back button / cached pages)
-  fetch("/businesses/" + encodeURIComponent(accountId), { credentials: "same-origin" })
-    .then(function(r) { return r.json(); })
-    .then(function(data) {
-      if (!data || data.error) return;
-      var t = document.getElementById("auto-reply-toggle");
-      if (t) {
-        t.checked = !!data.autoReplyEnabled;
-        t.setAttribute("aria-checked", t.checked ? "true" : "false");
-        t.disabled = !!data.trialEndedNoSubscription;
-        setFreeReplyVisible(!t.checked);
-      }
-      var ci = document.getElementById("contact-input");
-      if (ci && data.contact !== undefined && data.contact !== null) ci.value = String(data.contact);
-      var pt = document.getElementById("reply-preview-toggle");
-      if (pt) {
-        pt.checked = data.autoReplyMode === "delayed";
-        pt.setAttribute("aria-checked", pt.checked ? "true" : "false");
-        setEmailRowVisible(pt.checked);
-      }
-      var ne = document.getElementById("notification-email-input");
-      if (ne && data.notificationEmail != null) ne.value = String(data.notificationEmail || "");
-    })
-    .catch(function() {});
-
-  // Pro contacts: load count, preview/mapping, upload (only when business has Pro)
-  var proSection = document.getElementById("pro-contacts-section");
-  var isPro = proSection && proSection.getAttribute("data-is-pro") === "1";
-  if (proSection && accountId && isPro) {
-    var proCountEl = document.getElementById("pro-contacts-count");
-    var proSmsUsageBadge = document.getElementById("pro-sms-usage-badge");
-    var proSmsUsageMsg = document.getElementById("pro-sms-usage-msg");
-    var proUploadBtn = document.getElementById("pro-upload-btn");
-    var proCsvInput = document.getElementById("pro-csv-input");
-    var proUploadMsg = document.getElementById("pro-upload-msg");
-    var proMappingWrap = document.getElementById("pro-mapping-wrap");
-    var proMapEmail = document.getElementById("pro-map-email");
-    function showProCount(total, unsubscribed, withEmail) {
-      if (!proCountEl) return;
-      if (total === 0) proCountEl.textContent = "No contacts yet. Upload a CSV to get started.";
-      else {
-        var t = total + " contact" + (total === 1 ? "" : "s");
-        if (withEmail != null && withEmail !== total) t += " (" + withEmail + " with email)";
-        if (unsubscribed > 0) t += " · " + unsubscribed + " unsubscribed";
-        proCountEl.textContent = t;
-      }
+  // Escalation rules: edited locally, the whole list PATCHed on every change
+  var escalationSection = document.querySelector(".escalation-section");
+  if (escalationSection) {
+    var escalationAccountId = escalationSection.getAttribute("data-account-id") || accountId;
+    var escalationRules = [];
+    var suggestedRules = [];
+    try { escalationRules = JSON.parse(escalationSection.getAttribute("data-rules") || "[]"); } catch (e) {}
+    try { suggestedRules = JSON.parse(escalationSection.getAttribute("data-suggested") || "[]"); } catch (e) {}
+    var rulesList = document.getElementById("escalation-rules-list");
+    var ruleName = document.getElementById("escalation-name");
+    var ruleKeywords = document.getElementById("escalation-keywords");
+    var rulePattern = document.getElementById("escalation-pattern");
+    var ruleMinLength = document.getElementById("escalation-min-length");
+    var ruleAdd = document.getElementById("escalation-add-btn");
+    var ruleSuggested = document.getElementById("escalation-suggested-btn");
+    var escalationMsg = document.getElementById("escalation-msg");
+    function setEscalationMsg(text, kind) {
+      if (!escalationMsg) return;
+      escalationMsg.textContent = text || "";
+      escalationMsg.classList.remove("ok", "err");
+      if (kind) escalationMsg.classList.add(kind);
     }
-    function showSmsUsage(usage) {
-      if (!proSmsUsageBadge) return;
-      if (!usage || usage.error) {
-        proSmsUsageBadge.textContent = "SMS this month: --/--";
+    function describeRule(rule) {
+      var parts = [];
+      if (rule.keywords && rule.keywords.length) parts.push("mentions " + rule.keywords.join(", "));
+      if (rule.pattern) parts.push("matches /" + rule.pattern + "/");
+      if (rule.ratings && rule.ratings.length) parts.push(rule.ratings.join(" or ") + "★");
+      if (rule.minLength) parts.push(rule.minLength + "+ characters");
+      return parts.join(" and ");
+    }
+    function renderRules() {
+      rulesList.innerHTML = "";
+      if (!escalationRules.length) {
+        var empty = document.createElement("li");
+        empty.className = "rule-summary";
+        empty.textContent = "No rules yet. Every review gets an AI reply.";
+        rulesList.appendChild(empty);
         return;
       }
-      var used = Number(usage.usedSms || 0);
-      var included = Number(usage.includedSms || 0);
-      var remaining = Number(usage.remainingSms || 0);
-      var pct = included > 0 ? (used / included) : 0;
-      proSmsUsageBadge.textContent = "SMS this month: " + used + "/" + included + " (" + usage.tier + ")";
-      if (!proSmsUsageMsg) return;
-      proSmsUsageMsg.classList.remove("ok", "err");
-      if (pct >= 1) {
-        proSmsUsageMsg.textContent = "Monthly SMS limit reached. SMS sends are paused until next month or tier upgrade.";
-        proSmsUsageMsg.classList.add("err");
-      } else if (pct >= 0.8) {
-        proSmsUsageMsg.textContent = "You are at " + Math.round(pct * 100) + "% of monthly SMS (" + remaining + " remaining).";
-      } else {
-        proSmsUsageMsg.textContent = "SMS remaining this month: " + remaining + ".";
-        proSmsUsageMsg.classList.add("ok");
+      for (var ri = 0; ri < escalationRules.length; ri++) {
+        (function(index) {
+          var li = document.createElement("li");
+          var label = document.createElement("span");
+          var strong = document.createElement("strong");
+          strong.textContent = escalationRules[index].name + " ";
+          var summary = document.createElement("span");
+          summary.className = "rule-summary";
+          summary.textContent = describeRule(escalationRules[index]);
+          label.appendChild(strong);
+          label.appendChild(summary);
+          var remove = document.createElement("button");
+          remove.type = "button";
+          remove.className = "btn btn-ghost";
+          remove.textContent = "Remove";
+          remove.addEventListener("click", function() {
+            var next = escalationRules.slice();
+            next.splice(index, 1);
+            saveRules(next);
+          });
+          li.appendChild(label);
+          li.appendChild(remove);
+          rulesList.appendChild(li);
+        })(ri);
       }
     }
-    function loadSmsUsage() {
-      fetch("/pro/sms-usage?accountId=" + encodeURIComponent(accountId), { credentials: "same-origin" })
-        .then(function(r) { return r.json(); })
-        .then(function(data) { showSmsUsage(data); })
-        .catch(function() { showSmsUsage(null); });
-    }
-    fetch("/pro/contacts?accountId=" + encodeURIComponent(accountId), { credentials: "same-origin" })
+    function patchEscalation(body) {
+      setEscalationMsg("");
+      return fetch("/businesses/" + encodeURIComponent(escalationAccountId), {
+        method: "PATCH",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      })
       .then(function(r) { return r.json(); })
       .then(function(data) {
-        if (data.error) return;
-        showProCount(data.total || 0, data.unsubscribed || 0, data.withEmail);
+        if (data && data.error) {
+          setEscalationMsg(data.error, "err");
+          return null;
+        }
+        setEscalationMsg("Saved.", "ok");
+        return data;
       })
-      .catch(function() {});
-    loadSmsUsage();
-    function fillMappingSelects(headers) {
-      if (!headers || !headers.length) return;
-      var opt = function(val, label) { var o = document.createElement("option"); o.value = val || ""; o.textContent = label || val || "—"; return o; };
-      if (proMapEmail) {
-        proMapEmail.innerHTML = "";
-        proMapEmail.appendChild(opt("", "— Select column —"));
-        headers.forEach(function(h) { proMapEmail.appendChild(opt(h, h)); });
-      }
-      ["first_name", "birthday", "phone"].forEach(function(field) {
-        var sel = document.getElementById("pro-map-" + field);
-        if (!sel) return;
-        var keepFirst = sel.options[0] && sel.options[0].value === "";
-        sel.innerHTML = "";
-        sel.appendChild(opt("", "— Don't use —"));
-        headers.forEach(function(h) { sel.appendChild(opt(h, h)); });
+      .catch(function() {
+        setEscalationMsg("Something went wrong.", "err");
+        return null;
       });
     }
-    if (proCsvInput) {
-      proCsvInput.addEventListener("change", function() {
-        var file = proCsvInput.files && proCsvInput.files[0];
-        if (!file) { if (proMappingWrap) proMappingWrap.style.display = "none"; return; }
-        proUploadMsg.textContent = "";
-        var fd = new FormData();
-        fd.append("file", file);
-        fd.append("accountId", accountId);
-        fetch("/pro/contacts/preview", { method: "POST", credentials: "same-origin", body: fd })
-          .then(function(r) { return r.json(); })
-          .then(function(data) {
-            if (data.headers && data.headers.length) {
-              fillMappingSelects(data.headers);
-              if (proMappingWrap) proMappingWrap.style.display = "block";
-            } else if (data.error) {
-              proUploadMsg.textContent = data.error;
-              proUploadMsg.classList.remove("ok"); proUploadMsg.classList.add("err");
-            }
-          })
-          .catch(function() {});
+    function saveRules(next) {
+      return patchEscalation({ escalationRules: next }).then(function(data) {
+        if (!data) return false;
+        escalationRules = data.escalationRules || [];
+        renderRules();
+        return true;
       });
     }
-    if (proUploadBtn && proCsvInput && proUploadMsg) {
-      var proUploadBtnOrig = proUploadBtn.innerHTML;
-      proUploadBtn.addEventListener("click", function() {
-        var file = proCsvInput.files && proCsvInput.files[0];
-        if (!file) {
-          proUploadMsg.textContent = "Please choose a CSV file first.";
-          proUploadMsg.classList.remove("ok"); proUploadMsg.classList.add("err");
-          return;
-        }
-        var emailCol = proMapEmail && proMapEmail.value ? proMapEmail.value : null;
-        if (proMappingWrap && proMappingWrap.style.display === "block" && !emailCol) {
-          proUploadMsg.textContent = "Please select the email column.";
-          proUploadMsg.classList.remove("ok"); proUploadMsg.classList.add("err");
-          return;
-        }
-        proUploadBtn.disabled = true;
-        proUploadBtn.innerHTML = proUploadBtnOrig.replace(/Upload CSV/g, "Loading…");
-        proUploadMsg.textContent = "";
-        proUploadMsg.classList.remove("ok", "err");
-        var mapping = {};
-        if (emailCol) mapping.email = emailCol;
-        var selFirst = document.getElementById("pro-map-first_name");
-        var selBirth = document.getElementById("pro-map-birthday");
-        var selPhone = document.getElementById("pro-map-phone");
-        if (selFirst && selFirst.value) mapping.first_name = selFirst.value;
-        if (selBirth && selBirth.value) mapping.birthday = selBirth.value;
-        if (selPhone && selPhone.value) mapping.phone = selPhone.value;
-        var fd = new FormData();
-        fd.append("file", file);
-        fd.append("accountId", accountId);
-        if (Object.keys(mapping).length) fd.append("mapping", JSON.stringify(mapping));
-        fetch("/pro/contacts/upload", { method: "POST", credentials: "same-origin", body: fd })
-          .then(function(r) { return r.json(); })
-          .then(function(data) {
-            if (data.ok) {
-              proUploadBtn.innerHTML = proUploadBtnOrig.replace(/Upload CSV/g, "Done!");
-              proUploadMsg.textContent = data.message || "Upload complete.";
-              proUploadMsg.classList.remove("err"); proUploadMsg.classList.add("ok");
-              proCsvInput.value = "";
-              if (proMappingWrap) proMappingWrap.style.display = "none";
-              fetch("/pro/contacts?accountId=" + encodeURIComponent(accountId), { credentials: "same-origin" })
-                .then(function(r2) { return r2.json(); })
-                .then(function(c) { if (!c.error) showProCount(c.total || 0, c.unsubscribed || 0, c.withEmail); })
-                .catch(function() { showProCount(data.total || data.imported || 0, 0, data.withEmail); });
-              loadSmsUsage();
-              setTimeout(function() { proUploadBtn.innerHTML = proUploadBtnOrig; proUploadBtn.disabled = false; }, 1500);
-            } else {
-              proUploadMsg.textContent = data.error || "Upload failed.";
-              proUploadMsg.classList.remove("ok"); proUploadMsg.classList.add("err");
-              proUploadBtn.innerHTML = proUploadBtnOrig;
-              proUploadBtn.disabled = false;
-            }
-          })
-          .catch(function() {
-            proUploadMsg.textContent = "Upload failed. Try again.";
-            proUploadMsg.classList.remove("ok"); proUploadMsg.classList.add("err");
-            proUploadBtn.innerHTML = proUploadBtnOrig;
-            proUploadBtn.disabled = false;
-          });
+    ruleAdd.addEventListener("click", function() {
+      var rule = { name: ruleName.value.trim() };
+      if (ruleKeywords.value.trim()) rule.keywords = ruleKeywords.value;
+      if (rulePattern.value.trim()) rule.pattern = rulePattern.value.trim();
+      var ratings = [];
+      var cbs = escalationSection.querySelectorAll(".escalation-rating-cb");
+      for (var ci = 0; ci < cbs.length; ci++) if (cbs[ci].checked) ratings.push(Number(cbs[ci].value));
+      if (ratings.length) rule.ratings = ratings;
+      if (ruleMinLength.value) rule.minLength = Number(ruleMinLength.value);
+      ruleAdd.disabled = true;
+      saveRules(escalationRules.concat([rule])).then(function(ok) {
+        ruleAdd.disabled = false;
+        if (!ok) return;
+        ruleName.value = "";
+        ruleKeywords.value = "";
+        rulePattern.value = "";
+        ruleMinLength.value = "";
+        for (var ci = 0; ci < cbs.length; ci++) cbs[ci].checked = false;
       });
+    });
+    ruleSuggested.addEventListener("click", function() {
+      var names = {};
+      for (var ei = 0; ei < escalationRules.length; ei++) names[escalationRules[ei].name] = true;
+      var toAdd = suggestedRules.filter(function(r) { return !names[r.name]; });
+      if (!toAdd.length) {
+        setEscalationMsg("The suggested rules are already on your list.", "ok");
+        return;
+      }
+      saveRules(escalationRules.concat(toAdd));
+    });
+    renderRules();
+  }
+
+  // Brand voice: the whole profile is PATCHed on Save
+  var brandVoiceSection = document.querySelector(".brand-voice-section");
+  if (brandVoiceSection) {
+    var brandVoiceAccountId = brandVoiceSection.getAttribute("data-account-id") || accountId;
+    var voiceSave = document.getElementById("brand-voice-save-btn");
+    var voiceMsg = document.getElementById("brand-voice-msg");
+    function setVoiceMsg(text, kind) {
+      if (!voiceMsg) return;
+      voiceMsg.textContent = text || "";
+      voiceMsg.classList.remove("ok", "err");
+      if (kind) voiceMsg.classList.add(kind);
     }
-    var proViewBtn = document.getElementById("pro-view-customers-btn");
-    var proListWrap = document.getElementById("pro-customers-list-wrap");
-    var proListTbody = document.getElementById("pro-customers-tbody");
-    var proListPagination = document.getElementById("pro-customers-pagination");
-    var proListOffset = 0;
-    var proListLimit = 50;
-    function loadProCustomersList(offset) {
-      if (!accountId || !proListTbody) return;
-      proListOffset = offset || 0;
-      fetch("/pro/contacts/list?accountId=" + encodeURIComponent(accountId) + "&limit=" + proListLimit + "&offset=" + proListOffset, { credentials: "same-origin" })
+    function voiceLines(id) {
+      return document.getElementById(id).value.split("\\n").map(function(l) { return l.trim(); }).filter(Boolean);
+    }
+    voiceSave.addEventListener("click", function() {
+      var maxLength = document.getElementById("brand-voice-max-length").value.trim();
+      voiceSave.disabled = true;
+      setVoiceMsg("");
+      fetch("/businesses/" + encodeURIComponent(brandVoiceAccountId), {
+        method: "PATCH",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          brandVoice: {
+            tone: document.getElementById("brand-voice-tone").value || null,
+            emoji: document.getElementById("brand-voice-emoji").value || null,
+            maxLength: maxLength ? Number(maxLength) : null,
+            signOff: document.getElementById("brand-voice-sign-off").value.trim() || null,
+            alwaysUse: voiceLines("brand-voice-always"),
+            neverUse: voiceLines("brand-voice-never")
+          }
+        })
+      })
         .then(function(r) { return r.json(); })
         .then(function(data) {
-          if (data.error) return;
-          if (proListWrap) proListWrap.style.display = "block";
-          proListTbody.innerHTML = (data.list || []).map(function(c) {
-            return "<tr><td>" + (c.email || "—") + "</td><td>" + (c.first_name || "—") + "</td><td>" + (c.birthday || "—") + "</td><td>" + (c.phone || "—") + "</td><td>" + (c.unsubscribed ? "Unsubscribed" : "—") + "</td></tr>";
-          }).join("");
-          var total = data.total || 0;
-          var from = total ? proListOffset + 1 : 0;
-          var to = Math.min(proListOffset + proListLimit, total);
-          if (proListPagination) {
-            proListPagination.innerHTML = "Showing " + from + "–" + to + " of " + total + ".";
-            if (total > proListLimit) {
-              var prevBtn = proListOffset > 0 ? '<button type="button" class="btn btn-ghost" style="font-size:12px;margin-right:8px" id="pro-customers-prev">Previous</button>' : "";
-              var nextBtn = proListOffset + proListLimit < total ? '<button type="button" class="btn btn-ghost" style="font-size:12px" id="pro-customers-next">Next</button>' : "";
-              proListPagination.innerHTML += " " + prevBtn + nextBtn;
-              var prevEl = document.getElementById("pro-customers-prev");
-              var nextEl = document.getElementById("pro-customers-next");
-              if (prevEl) prevEl.onclick = function() { loadProCustomersList(proListOffset - proListLimit); };
-              if (nextEl) nextEl.onclick = function() { loadProCustomersList(proListOffset + proListLimit); };
-            }
+          if (data && data.error) setVoiceMsg(data.error, "err");
+          else setVoiceMsg("Saved. New replies will use this voice.", "ok");
+        })
+        .catch(function() { setVoiceMsg("Something went wrong.", "err"); })
+        .then(function() { voiceSave.disabled = false; });
+    });
+  }
+
+  // Knowledge base: structured fields plus FAQ rows, PATCHed together on Save
+  var knowledgeSection = document.querySelector(".knowledge-section");
+  if (knowledgeSection) {
+    var knowledgeAccountId = knowledgeSection.getAttribute("data-account-id") || accountId;
+    var maxFaq = Number(knowledgeSection.getAttribute("data-max-faq")) || 30;
+    var faqRows = document.getElementById("faq-rows");
+    var faqTemplate = document.getElementById("faq-row-template");
+    var faqAdd = document.getElementById("faq-add-btn");
+    var knowledgeSave = document.getElementById("knowledge-save-btn");
+    var knowledgeMsg = document.getElementById("knowledge-msg");
+    function setKnowledgeMsg(text, kind) {
+      if (!knowledgeMsg) return;
+      knowledgeMsg.textContent = text || "";
+      knowledgeMsg.classList.remove("ok", "err");
+      if (kind) knowledgeMsg.classList.add(kind);
+    }
+    faqAdd.addEventListener("click", function() {
+      if (faqRows.querySelectorAll(".faq-row").length >= maxFaq) {
+        setKnowledgeMsg("At most " + maxFaq + " questions.", "err");
+        return;
+      }
+      faqRows.appendChild(faqTemplate.content.cloneNode(true));
+      var rows = faqRows.querySelectorAll(".faq-question");
+      rows[rows.length - 1].focus();
+    });
+    faqRows.addEventListener("click", function(e) {
+      if (!e.target.classList.contains("faq-remove-btn")) return;
+      var row = e.target.closest(".faq-row");
+      if (row) row.remove();
+    });
+    knowledgeSave.addEventListener("click", function() {
+      var kb = {};
+      knowledgeSection.querySelectorAll(".knowledge-field").forEach(function(el) {
+        kb[el.getAttribute("data-field")] = el.value.trim() || null;
+      });
+      kb.faq = [];
+      faqRows.querySelectorAll(".faq-row").forEach(function(row) {
+        kb.faq.push({
+          question: row.querySelector(".faq-question").value.trim(),
+          answer: row.querySelector(".faq-answer").value.trim()
+        });
+      });
+      knowledgeSave.disabled = true;
+      setKnowledgeMsg("");
+      fetch("/businesses/" + encodeURIComponent(knowledgeAccountId), {
+        method: "PATCH",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ knowledgeBase: kb })
+      })
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+          if (data && data.error) setKnowledgeMsg(data.error, "err");
+          else setKnowledgeMsg("Saved. New replies can use these facts.", "ok");
+        })
+        .catch(function() { setKnowledgeMsg("Something went wrong.", "err"); })
+        .then(function() { knowledgeSave.disabled = false; });
+    });
+  }
+
+  // Reply style: re-sample the owner's own replies and show what was learned
+  var replyStyleSection = document.querySelector(".reply-style-section");
+  if (replyStyleSection) {
+    var replyStyleAccountId = replyStyleSection.getAttribute("data-account-id") || accountId;
+    var styleRefresh = document.getElementById("reply-style-refresh-btn");
+    var styleMsg = document.getElementById("reply-style-msg");
+    var styleStatus = document.getElementById("reply-style-status");
+    styleRefresh.addEventListener("click", function() {
+      styleRefresh.disabled = true;
+      styleMsg.textContent = "Reading your replies…";
+      styleMsg.classList.remove("ok", "err");
+      fetch("/businesses/" + encodeURIComponent(replyStyleAccountId) + "/reply-style/refresh", {
+        method: "POST",
+        credentials: "same-origin"
+      })
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+          if (data && data.error) {
+            styleMsg.textContent = data.error;
+            styleMsg.classList.add("err");
+            return;
           }
+          var samples = (data.replyStyle && data.replyStyle.samples) || [];
+          styleStatus.textContent = samples.length
+            ? "Learned from " + samples.length + " of your replies just now."
+            : "No replies of your own found. Replyr uses its default style.";
+          replyStyleSection.querySelectorAll(".reply-style-sample").forEach(function(el) { el.remove(); });
+          samples.slice(0, 2).reverse().forEach(function(sample) {
+            var div = document.createElement("div");
+            div.className = "attention-reason reply-style-sample";
+            div.textContent = (sample.rating ? sample.rating + "★ · " : "") + "“" + sample.replyText.slice(0, 140) + "”";
+            styleStatus.insertAdjacentElement("afterend", div);
+          });
+          styleMsg.textContent = "";
+        })
+        .catch(function() {
+          styleMsg.textContent = "Something went wrong.";
+          styleMsg.classList.add("err");
+        })
+        .then(function() { styleRefresh.disabled = false; });
+    });
+  }
+
+  // Reply language: fixed language, or the languages the business replies in
+  var replyLanguageSection = document.querySelector(".reply-language-section");
+  if (replyLanguageSection) {
+    var replyLanguageAccountId = replyLanguageSection.getAttribute("data-account-id") || accountId;
+    var languageSelect = document.getElementById("reply-language-select");
+    var languageChecks = document.getElementById("supported-languages");
+    var languageSave = document.getElementById("reply-language-save-btn");
+    var languageMsg = document.getElementById("reply-language-msg");
+    function setLanguageMsg(text, kind) {
+      if (!languageMsg) return;
+      languageMsg.textContent = text || "";
+      languageMsg.classList.remove("ok", "err");
+      if (kind) languageMsg.classList.add(kind);
+    }
+    languageSelect.addEventListener("change", function() {
+      languageChecks.hidden = !!languageSelect.value;
+    });
+    languageSave.addEventListener("click", function() {
+      var fixed = languageSelect.value || null;
+      var supported = [];
+      if (!fixed) {
+        document.querySelectorAll(".supported-language-cb").forEach(function(cb) {
+          if (cb.checked) supported.push(cb.value);
+        });
+      }
+      languageSave.disabled = true;
+      setLanguageMsg("");
+      fetch("/businesses/" + encodeURIComponent(replyLanguageAccountId), {
+        method: "PATCH",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ replyLanguage: fixed, supportedLanguages: supported })
+      })
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+          if (data && data.error) setLanguageMsg(data.error, "err");
+          else setLanguageMsg("Saved.", "ok");
+        })
+        .catch(function() { setLanguageMsg("Something went wrong.", "err"); })
+        .then(function() { languageSave.disabled = false; });
+    });
+  }
+
+  // Notifications: low-star alerts, digest, and where to send them, saved together
+  var notificationsSection = document.querySelector(".notifications-section");
+  if (notificationsSection) {
+    var notificationsAccountId = notificationsSection.getAttribute("data-account-id") || accountId;
+    var alertSelect = document.getElementById("negative-alert-select");
+    var digestSelect = document.getElementById("digest-frequency-select");
+    var notifyEmail = document.getElementById("notifications-email-input");
+    var notifyPhone = document.getElementById("notification-phone-input");
+    var notifySave = document.getElementById("notifications-save-btn");
+    var notifyMsg = document.getElementById("notifications-msg");
+    function setNotifyMsg(text, kind) {
+      if (!notifyMsg) return;
+      notifyMsg.textContent = text || "";
+      notifyMsg.classList.remove("ok", "err");
+      if (kind) notifyMsg.classList.add(kind);
+    }
+    notifySave.addEventListener("click", function() {
+      var email = notifyEmail.value.trim();
+      var phone = notifyPhone.value.trim();
+      var wantsAny = alertSelect.value || digestSelect.value;
+      if (wantsAny && !email && !phone) {
+        setNotifyMsg("Add an email or phone so we can reach you.", "err");
+        return;
+      }
+      if (digestSelect.value && !email) {
+        setNotifyMsg("The summary is sent by email. Please add one.", "err");
+        return;
+      }
+      notifySave.disabled = true;
+      setNotifyMsg("");
+      fetch("/businesses/" + encodeURIComponent(notificationsAccountId), {
+        method: "PATCH",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          negativeAlertMaxRating: alertSelect.value ? Number(alertSelect.value) : null,
+          digestFrequency: digestSelect.value || null,
+          notificationEmail: email,
+          notificationPhone: phone || null
+        })
+      })
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+          if (data && data.error) setNotifyMsg(data.error, "err");
+          else setNotifyMsg("Saved.", "ok");
+        })
+        .catch(function() { setNotifyMsg("Something went wrong.", "err"); })
+        .then(function() { notifySave.disabled = false; });
+    });
+  }
+
+  // Failed reviews: Retry clears the failure so the next run tries again
+  var failedSection = document.querySelector(".failed-reviews-section");
+  if (failedSection) {
+    var failedAccountId = failedSection.getAttribute("data-account-id") || accountId;
+    var failedRowEls = failedSection.querySelectorAll(".failed-review-row");
+    for (var fi = 0; fi < failedRowEls.length; fi++) {
+      (function(row) {
+        var retryBtn = row.querySelector(".failed-review-retry-btn");
+        var retryMsg = row.querySelector(".failed-review-msg");
+        retryBtn.addEventListener("click", function() {
+          retryBtn.disabled = true;
+          retryMsg.textContent = "";
+          retryMsg.classList.remove("ok", "err");
+          fetch("/businesses/" + encodeURIComponent(failedAccountId) + "/failed-reviews/retry", {
+            method: "POST",
+            credentials: "same-origin",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ locationId: row.getAttribute("data-location-id"), reviewId: row.getAttribute("data-review-id") })
+          })
+            .then(function(r) { return r.json(); })
+            .then(function(data) {
+              if (data && data.error) {
+                retryMsg.textContent = data.error;
+                retryMsg.classList.add("err");
+                retryBtn.disabled = false;
+              } else {
+                retryMsg.textContent = "Queued — we'll try again on the next run.";
+                retryMsg.classList.add("ok");
+              }
+            })
+            .catch(function() {
+              retryMsg.textContent = "Something went wrong.";
+              retryMsg.classList.add("err");
+              retryBtn.disabled = false;
+            });
+        });
+      })(failedRowEls[fi]);
+    }
+  }
+
+  // Backlog policy: preview counts come from /backlog-preview; changes PATCH the business
+  var backlogSection = document.querySelector(".backlog-section");
+  if (backlogSection) {
+    var backlogAccountId = backlogSection.getAttribute("data-account-id") || accountId;
+    var backlogSelect = document.getElementById("backlog-policy-select");
+    var backlogDaysRow = document.getElementById("backlog-days-row");
+    var backlogDaysInput = document.getElementById("backlog-days-input");
+    var backlogDaysSave = document.getElementById("backlog-days-save-btn");
+    var backlogPreviewEl = document.getElementById("backlog-preview");
+    var backlogMsg = document.getElementById("backlog-msg");
+    var backlogPreview = null;
+    function setBacklogMsg(text, kind) {
+      if (!backlogMsg) return;
+      backlogMsg.textContent = text || "";
+      backlogMsg.classList.remove("ok", "err");
+      if (kind) backlogMsg.classList.add(kind);
+    }
+    function plural(n, word) {
+      return n + " " + word + (n === 1 ? "" : "s");
+    }
+    function renderBacklogPreview() {
+      var policy = backlogSelect.value;
+      backlogDaysRow.style.display = policy === "recent" ? "" : "none";
+      if (!backlogPreviewEl || !backlogPreview) return;
+      var p = backlogPreview.preview;
+      if (!p.backlog) {
+        backlogPreviewEl.textContent = "No reviews are waiting from before auto-reply was turned on.";
+        return;
+      }
+      var text = plural(p.backlog, "review") + " waiting. ";
+      if (policy === "all") text += "Replyr will reply to all " + p.all + " on its next run.";
+      else if (policy === "recent") text += "Replyr will reply to " + p.recent + " posted within " + plural(p.days, "day") + " of switching on, and skip the rest.";
+      else if (policy === "throttled") text += "Replyr will reply to " + p.throttled.perRun + " per run, newest first (about " + plural(p.throttled.runs, "run") + ").";
+      else text += "Replyr will skip all of them.";
+      backlogPreviewEl.textContent = text;
+    }
+    function loadBacklogPreview() {
+      var days = Number(backlogDaysInput.value);
+      var qs = days ? "?days=" + encodeURIComponent(days) : "";
+      fetch("/businesses/" + encodeURIComponent(backlogAccountId) + "/backlog-preview" + qs, { credentials: "same-origin" })
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+          if (!data || data.error || !data.preview) return;
+          backlogPreview = data;
+          renderBacklogPreview();
         })
         .catch(function() {});
     }
-    if (proViewBtn) {
-      proViewBtn.onclick = function() {
-        if (proListWrap && proListWrap.style.display === "none") loadProCustomersList(0);
-        else if (proListWrap) { proListWrap.style.display = proListWrap.style.display === "none" ? "block" : "none"; }
-      };
+    function saveBacklog(body) {
+      setBacklogMsg("");
+      return fetch("/businesses/" + encodeURIComponent(backlogAccountId), {
+        method: "PATCH",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      })
+      .then(function(r) { return r.json(); })
+      .then(function(data) {
+        if (data && data.error) {
+          setBacklogMsg(data.error, "err");
+          return false;
+        }
+        setBacklogMsg("Saved.", "ok");
+        return true;
+      })
+      .catch(function() {
+        setBacklogMsg("Something went wrong.", "err");
+        return false;
+      });
+    }
+    backlogSelect.addEventListener("change", function() {
+      renderBacklogPreview();
+      saveBacklog({ backlogPolicy: backlogSelect.value });
+    });
+    if (backlogDaysSave) {
+      backlogDaysSave.addEventListener("click", function() {
+        backlogDaysSave.disabled = true;
+        saveBacklog({ backlogDays: Number(backlogDaysInput.value) }).then(function(ok) {
+          backlogDaysSave.disabled = false;
+          if (ok) loadBacklogPreview();
+        });
+      });
+    }
+    loadBacklogPreview();
+  }
+
+  // Posting hours: start/end/time zone/jitter saved together; "Post any time" clears the window
+  var windowSection = document.querySelector(".posting-window-section");
+  if (windowSection) {
+    var windowAccountId = windowSection.getAttribute("data-account-id") || accountId;
+    var windowStart = document.getElementById("posting-window-start");
+    var windowEnd = document.getElementById("posting-window-end");
+    var windowTz = document.getElementById("posting-window-tz");
+    var jitterInput = document.getElementById("posting-jitter-input");
+    var windowSave = document.getElementById("posting-window-save-btn");
+    var windowClear = document.getElementById("posting-window-clear-btn");
+    var windowMsg = document.getElementById("posting-window-msg");
+    function setWindowMsg(text, kind) {
+      if (!windowMsg) return;
+      windowMsg.textContent = text || "";
+      windowMsg.classList.remove("ok", "err");
+      if (kind) windowMsg.classList.add(kind);
+    }
+    function saveWindow(body) {
+      setWindowMsg("");
+      windowSave.disabled = true;
+      windowClear.disabled = true;
+      return fetch("/businesses/" + encodeURIComponent(windowAccountId), {
+        method: "PATCH",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      })
+      .then(function(r) { return r.json(); })
+      .then(function(data) {
+        if (data && data.error) setWindowMsg(data.error, "err");
+        else setWindowMsg("Saved.", "ok");
+      })
+      .catch(function() {
+        setWindowMsg("Something went wrong.", "err");
+      })
+      .then(function() {
+        windowSave.disabled = false;
+        windowClear.disabled = false;
+      });
+    }
+    windowSave.addEventListener("click", function() {
+      var start = windowStart.value || null;
+      var end = windowEnd.value || null;
+      if (!start !== !end) {
+        setWindowMsg("Set both a start and an end time, or neither.", "err");
+        return;
+      }
+      saveWindow({
+        postingWindowStart: start,
+        postingWindowEnd: end,
+        timeZone: windowTz.value,
+        replyJitterMinutes: Number(jitterInput.value) || 0
+      });
+    });
+    windowClear.addEventListener("click", function() {
+      windowStart.value = "";
+      windowEnd.value = "";
+      saveWindow({ postingWindowStart: null, postingWindowEnd: null });
+    });
+  }
+
+  // Star-rating filter: PATCH the full list on every change
+  var ratingsSection = document.querySelector(".reply-ratings-section");
+  function setRatingChecks(ratings) {
+    var cbs = document.querySelectorAll(".reply-rating-cb");
+    for (var i = 0; i < cbs.length; i++) {
+      cbs[i].checked = ratings.indexOf(Number(cbs[i].value)) !== -1;
+    }
+  }
+  if (ratingsSection) {
+    var ratingsAccountId = ratingsSection.getAttribute("data-account-id") || accountId;
+    var ratingsMsg = document.getElementById("reply-ratings-msg");
+    var ratingCbs = ratingsSection.querySelectorAll(".reply-rating-cb");
+    function setRatingsMsg(text, kind) {
+      if (!ratingsMsg) return;
+      ratingsMsg.textContent = text || "";
+      ratingsMsg.classList.remove("ok", "err");
+      if (kind) ratingsMsg.classList.add(kind);
+    }
+    function checkedRatings() {
+      var out = [];
+      for (var i = 0; i < ratingCbs.length; i++) {
+        if (ratingCbs[i].checked) out.push(Number(ratingCbs[i].value));
+      }
+      return out;
+    }
+    for (var ri = 0; ri < ratingCbs.length; ri++) {
+      ratingCbs[ri].addEventListener("change", function(e) {
+        var cb = e.target;
+        var ratings = checkedRatings();
+        if (!ratings.length) {
+          cb.checked = true;
+          setRatingsMsg("Keep at least one rating selected, or turn auto-reply off.", "err");
+          return;
+        }
+        setRatingsMsg("");
+        fetch("/businesses/" + encodeURIComponent(ratingsAccountId), {
+          method: "PATCH",
+          credentials: "same-origin",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ replyRatings: ratings })
+        })
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+          if (data && data.error) {
+            setRatingsMsg(data.error, "err");
+            cb.checked = !cb.checked;
+          } else {
+            setRatingsMsg("Saved.", "ok");
+          }
+        })
+        .catch(function() {
+          setRatingsMsg("Something went wrong.", "err");
+          cb.checked = !cb.checked;
+        });
+      });
+    }
+  }
+
+  // Reply preview mode toggle + notification email
+  var previewSection = document.querySelector(".reply-preview-section");
+  // Simple, permissive email regex — server is the source of truth.
+  var EMAIL_RE = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/;
+  function setEmailRowVisible(visible) {
+    var row = document.getElementById("notification-email-row");
+    if (row) row.style.display = visible ? "flex" : "none";
+  }
+  if (previewSection) {
+    var previewAccountId = previewSection.getAttribute("data-account-id") || accountId;
+    var previewToggle = document.getElementById("reply-preview-toggle");
+    var previewMsg = document.getElementById("reply-preview-msg");
+    var emailInput = document.getElementById("notification-email-input");
+    var emailSaveBtn = document.getElementById("notification-email-save-btn");
+    function setPreviewMsg(text, kind) {
+      if (!previewMsg) return;
+      previewMsg.textContent = text || "";
+      previewMsg.classList.remove("ok", "err");
+      if (kind) previewMsg.classList.add(kind);
+    }
+    function patchBusiness(payload) {
+      return fetch("/businesses/" + encodeURIComponent(previewAccountId), {
+        method: "PATCH",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload)
+      }).then(function(r) { return r.json().then(function(d) { return { status: r.status, data: d }; }); });
+    }
+    var approvalToggle = document.getElementById("reply-approval-toggle");
+    function setChecked(el, on) {
+      if (!el) return;
+      el.checked = on;
+      el.setAttribute("aria-checked", on ? "true" : "false");
+    }
+    // Preview and approval are both autoReplyMode values, so they're exclusive.
+    if (previewAccountId && approvalToggle) {
+      approvalToggle.addEventListener("change", function() {
+        var on = approvalToggle.checked;
+        var wasPreview = previewToggle ? previewToggle.checked : false;
+        setPreviewMsg("");
+        patchBusiness({ autoReplyMode: on ? "approval" : "instant" })
+          .then(function(res) {
+            if (res.data && res.data.error) {
+              setPreviewMsg(res.data.error, "err");
+              setChecked(approvalToggle, !on);
+              return;
+            }
+            setChecked(approvalToggle, on);
+            setChecked(previewToggle, false);
+            setEmailRowVisible(on);
+            setPreviewMsg(on
+              ? "Approval on. Replies wait here (and in your email, if saved) until you approve them."
+              : "Approval off. Replies post immediately.",
+              "ok"
+            );
+          })
+          .catch(function() {
+            setPreviewMsg("Something went wrong.", "err");
+            setChecked(approvalToggle, !on);
+            setChecked(previewToggle, wasPreview);
+          });
+      });
+    }
+    if (previewAccountId && previewToggle) {
+      previewToggle.addEventListener("change", function() {
+        var nextMode = previewToggle.checked ? "delayed" : "instant";
+        setPreviewMsg("");
+        setEmailRowVisible(previewToggle.checked);
+        patchBusiness({ autoReplyMode: nextMode })
+          .then(function(res) {
+            if (res.data && res.data.error) {
+              setPreviewMsg(res.data.error, "err");
+              previewToggle.checked = !previewToggle.checked;
+              previewToggle.setAttribute("aria-checked", previewToggle.checked ? "true" : "false");
+              setEmailRowVisible(previewToggle.checked);
+            } else {
+              setChecked(approvalToggle, false);
+              setPreviewMsg(nextMode === "delayed"
+                ? "Preview mode on. We'll email you 15 minutes before low-star replies post."
+                : "Preview mode off. Replies post immediately.",
+                "ok"
+              );
+            }
+          })
+          .catch(function() {
+            setPreviewMsg("Something went wrong.", "err");
+            previewToggle.checked = !previewToggle.checked;
+            previewToggle.setAttribute("aria-checked", previewToggle.checked ? "true" : "false");
+            setEmailRowVisible(previewToggle.checked);
+          });
+      });
+    }
+    if (previewAccountId && emailSaveBtn && emailInput) {
+      emailSaveBtn.addEventListener("click", function() {
+        var email = emailInput.value.trim();
+        if (email && !EMAIL_RE.test(email)) {
+          setPreviewMsg("Please enter a valid email address.", "err");
+          return;
+        }
+        emailSaveBtn.disabled = true;
+        setPreviewMsg("");
+        patchBusiness({ notificationEmail: email })
+          .then(function(res) {
+            if (res.data && res.data.error) {
+              setPreviewMsg(res.data.error, "err");
+            } else {
+              setPreviewMsg(email ? "Saved. We'll email " + email + " before low-star replies post." : "Email cleared.", "ok");
+            }
+          })
+          .catch(function() { setPreviewMsg("Something went wrong.", "err"); })
+          .finally(function() { emailSaveBtn.disabled = false; });
+      });
+    }
+  }
+
+  // Sync UI from latest server state (handles back button / cached pages)
+  fetch("/businesses/" + encodeURIComponent(accountId), { credentials: "same-origin" })
+    .then(function(r) { return r.json(); })
+    .then(function(data) {
+      if (!data || data.error) return;
+      var t = document.getElementById("auto-reply-toggle");
+      if (t) {
+        t.checked = !!data.autoReplyEnabled;
+        t.setAttribute("aria-checked", t.checked ? "true" : "false");
+        t.disabled = !!data.trialEndedNoSubscription;
+        setFreeReplyVisible(!t.checked);
+      }
+      var ci = document.getElementById("contact-input");
+      if (ci && data.contact !== undefined && data.contact !== null) ci.value = String(data.contact);
+      var pt = document.getElementById("reply-preview-toggle");
+      var at = document.getElementById("reply-approval-toggle");
+      if (pt) {
+        pt.checked = data.autoReplyMode === "delayed";
+        pt.setAttribute("aria-checked", pt.checked ? "true" : "false");
+      }
+      if (at) {
+        at.checked = data.autoReplyMode === "approval";
+        at.setAttribute("aria-checked", at.checked ? "true" : "false");
+      }
+      if (pt || at) setEmailRowVisible(data.autoReplyMode === "delayed" || data.autoReplyMode === "approval");
+      var ne = document.getElementById("notification-email-input");
+      if (ne && data.notificationEmail != null) ne.value = String(data.notificationEmail || "");
+      if (Array.isArray(data.replyRatings)) setRatingChecks(data.replyRatings);
+    })
+    .catch(function() {});
+
+  // Pro contacts: load count, preview/mapping, upload (only when business has Pro)
+  var proSection = document.getElementById("pro-contacts-section");
+  var isPro = proSection && proSection.getAttribute("data-is-pro") === "1";
+  if (proSection && accountId && isPro) {
+    var proCountEl = document.getElementById("pro-contacts-count");
+    var proSmsUsageBadge = document.getElementById("pro-sms-usage-badge");
+    var proSmsUsageMsg = document.getElementById("pro-sms-usage-msg");
+    var proUploadBtn = document.getElementById("pro-upload-btn");
+    var proCsvInput = document.getElementById("pro-csv-input");
+    var proUploadMsg = document.getElementById("pro-upload-msg");
+    var proMappingWrap = document.getElementById("pro-mapping-wrap");
+    var proMapEmail = document.getElementById("pro-map-email");
+    function showProCount(total, unsubscribed, withEmail) {
+      if (!proCountEl) return;
+      if (total === 0) proCountEl.textContent = "No contacts yet. Upload a CSV to get started.";
+      else {
+        var t = total + " contact" + (total === 1 ? "" : "s");
+        if (withEmail != null && withEmail !== total) t += " (" + withEmail + " with email)";
+        if (unsubscribed > 0) t += " · " + unsubscribed + " unsubscribed";
+        proCountEl.textContent = t;
+      }
+    }
+    function showSmsUsage(usage) {
+      if (!proSmsUsageBadge) return;
+      if (!usage || usage.error) {
+        proSmsUsageBadge.textContent = "SMS this month: --/--";
+        return;
+      }
+      var used = Number(usage.usedSms || 0);
+      var included = Number(usage.includedSms || 0);
+      var remaining = Number(usage.remainingSms || 0);
+      var pct = included > 0 ? (used / included) : 0;
+      proSmsUsageBadge.textContent = "SMS this month: " + used + "/" + included + " (" + usage.tier + ")";
+      if (!proSmsUsageMsg) return;
+      proSmsUsageMsg.classList.remove("ok", "err");
+      if (pct >= 1) {
+        proSmsUsageMsg.textContent = "Monthly SMS limit reached. SMS sends are paused until next month or tier upgrade.";
+        proSmsUsageMsg.classList.add("err");
+      } else if (pct >= 0.8) {
+        proSmsUsageMsg.textContent = "You are at " + Math.round(pct * 100) + "% of monthly SMS (" + remaining + " remaining).";
+      } else {
+        proSmsUsageMsg.textContent = "SMS remaining this month: " + remaining + ".";
+        proSmsUsageMsg.classList.add("ok");
+      }
+    }
+    function loadSmsUsage() {
+      fetch("/pro/sms-usage?accountId=" + encodeURIComponent(accountId), { credentials: "same-origin" })
+        .then(function(r) { return r.json(); })
+        .then(function(data) { showSmsUsage(data); })
+        .catch(function() { showSmsUsage(null); });
+    }
+    fetch("/pro/contacts?accountId=" + encodeURIComponent(accountId), { credentials: "same-origin" })
+      .then(function(r) { return r.json(); })
+      .then(function(data) {
+        if (data.error) return;
+        showProCount(data.total || 0, data.unsubscribed || 0, data.withEmail);
+      })
+      .catch(function() {});
+    loadSmsUsage();
+    function fillMappingSelects(headers) {
+      if (!headers || !headers.length) return;
+      var opt = function(val, label) { var o = document.createElement("option"); o.value = val || ""; o.textContent = label || val || "—"; return o; };
+      if (proMapEmail) {
+        proMapEmail.innerHTML = "";
+        proMapEmail.appendChild(opt("", "— Select column —"));
+        headers.forEach(function(h) { proMapEmail.appendChild(opt(h, h)); });
+      }
+      ["first_name", "birthday", "phone"].forEach(function(field) {
+        var sel = document.getElementById("pro-map-" + field);
+        if (!sel) return;
+        var keepFirst = sel.options[0] && sel.options[0].value === "";
+        sel.innerHTML = "";
+        sel.appendChild(opt("", "— Don't use —"));
+        headers.forEach(function(h) { sel.appendChild(opt(h, h)); });
+      });
+    }
+    if (proCsvInput) {
+      proCsvInput.addEventListener("change", function() {
+        var file = proCsvInput.files && proCsvInput.files[0];
+        if (!file) { if (proMappingWrap) proMappingWrap.style.display = "none"; return; }
+        proUploadMsg.textContent = "";
+        var fd = new FormData();
+        fd.append("file", file);
+        fd.append("accountId", accountId);
+        fetch("/pro/contacts/preview", { method: "POST", credentials: "same-origin", body: fd })
+          .then(function(r) { return r.json(); })
+          .then(function(data) {
+            if (data.headers && data.headers.length) {
+              fillMappingSelects(data.headers);
+              if (proMappingWrap) proMappingWrap.style.display = "block";
+            } else if (data.error) {
+              proUploadMsg.textContent = data.error;
+              proUploadMsg.classList.remove("ok"); proUploadMsg.classList.add("err");
+            }
+          })
+          .catch(function() {});
+      });
+    }
+    if (proUploadBtn && proCsvInput && proUploadMsg) {
+      var proUploadBtnOrig = proUploadBtn.innerHTML;
+      proUploadBtn.addEventListener("click", function() {
+        var file = proCsvInput.files && proCsvInput.files[0];
+        if (!file) {
+          proUploadMsg.textContent = "Please choose a CSV file first.";
+          proUploadMsg.classList.remove("ok"); proUploadMsg.classList.add("err");
+          return;
+        }
+        var emailCol = proMapEmail && proMapEmail.value ? proMapEmail.value : null;
+        if (proMappingWrap && proMappingWrap.style.display === "block" && !emailCol) {
+          proUploadMsg.textContent = "Please select the email column.";
+          proUploadMsg.classList.remove("ok"); proUploadMsg.classList.add("err");
+          return;
+        }
+        proUploadBtn.disabled = true;
+        proUploadBtn.innerHTML = proUploadBtnOrig.replace(/Upload CSV/g, "Loading…");
+        proUploadMsg.textContent = "";
+        proUploadMsg.classList.remove("ok", "err");
+        var mapping = {};
+        if (emailCol) mapping.email = emailCol;
+        var selFirst = document.getElementById("pro-map-first_name");
+        var selBirth = document.getElementById("pro-map-birthday");
+        var selPhone = document.getElementById("pro-map-phone");
+        if (selFirst && selFirst.value) mapping.first_name = selFirst.value;
+        if (selBirth && selBirth.value) mapping.birthday = selBirth.value;
+        if (selPhone && selPhone.value) mapping.phone = selPhone.value;
+        var fd = new FormData();
+        fd.append("file", file);
+        fd.append("accountId", accountId);
+        if (Object.keys(mapping).length) fd.append("mapping", JSON.stringify(mapping));
+        fetch("/pro/contacts/upload", { method: "POST", credentials: "same-origin", body: fd })
+          .then(function(r) { return r.json(); })
+          .then(function(data) {
+            if (data.ok) {
+              proUploadBtn.innerHTML = proUploadBtnOrig.replace(/Upload CSV/g, "Done!");
+              proUploadMsg.textContent = data.message || "Upload complete.";
+              proUploadMsg.classList.remove("err"); proUploadMsg.classList.add("ok");
+              proCsvInput.value = "";
+              if (proMappingWrap) proMappingWrap.style.display = "none";
+              fetch("/pro/contacts?accountId=" + encodeURIComponent(accountId), { credentials: "same-origin" })
+                .then(function(r2) { return r2.json(); })
+                .then(function(c) { if (!c.error) showProCount(c.total || 0, c.unsubscribed || 0, c.withEmail); })
+                .catch(function() { showProCount(data.total || data.imported || 0, 0, data.withEmail); });
+              loadSmsUsage();
+              setTimeout(function() { proUploadBtn.innerHTML = proUploadBtnOrig; proUploadBtn.disabled = false; }, 1500);
+            } else {
+              proUploadMsg.textContent = data.error || "Upload failed.";
+              proUploadMsg.classList.remove("ok"); proUploadMsg.classList.add("err");
+              proUploadBtn.innerHTML = proUploadBtnOrig;
+              proUploadBtn.disabled = false;
+            }
+          })
+          .catch(function() {
+            proUploadMsg.textContent = "Upload failed. Try again.";
+            proUploadMsg.classList.remove("ok"); proUploadMsg.classList.add("err");
+            proUploadBtn.innerHTML = proUploadBtnOrig;
+            proUploadBtn.disabled = false;
+          });
+      });
+    }
+    var proViewBtn = document.getElementById("pro-view-customers-btn");
+    var proListWrap = document.getElementById("pro-customers-list-wrap");
+    var proListTbody = document.getElementById("pro-customers-tbody");
+    var proListPagination = document.getElementById("pro-customers-pagination");
+    var proListOffset = 0;
+    var proListLimit = 50;
+    function loadProCustomersList(offset) {
+      if (!accountId || !proListTbody) return;
+      proListOffset = offset || 0;
+      fetch("/pro/contacts/list?accountId=" + encodeURIComponent(accountId) + "&limit=" + proListLimit + "&offset=" + proListOffset, { credentials: "same-origin" })
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+          if (data.error) return;
+          if (proListWrap) proListWrap.style.display = "block";
+          proListTbody.innerHTML = (data.list || []).map(function(c) {
+            return "<tr><td>" + (c.email || "—") + "</td><td>" + (c.first_name || "—") + "</td><td>" + (c.birthday || "—") + "</td><td>" + (c.phone || "—") + "</td><td>" + (c.unsubscribed ? "Unsubscribed" : "—") + "</td></tr>";
+          }).join("");
+          var total = data.total || 0;
+          var from = total ? proListOffset + 1 : 0;
+          var to = Math.min(proListOffset + proListLimit, total);
+          if (proListPagination) {
+            proListPagination.innerHTML = "Showing " + from + "–" + to + " of " + total + ".";
+            if (total > proListLimit) {
+              var prevBtn = proListOffset > 0 ? '<button type="button" class="btn btn-ghost" style="font-size:12px;margin-right:8px" id="pro-customers-prev">Previous</button>' : "";
+              var nextBtn = proListOffset + proListLimit < total ? '<button type="button" class="btn btn-ghost" style="font-size:12px" id="pro-customers-next">Next</button>' : "";
+              proListPagination.innerHTML += " " + prevBtn + nextBtn;
+              var prevEl = document.getElementById("pro-customers-prev");
+              var nextEl = document.getElementById("pro-customers-next");
+              if (prevEl) prevEl.onclick = function() { loadProCustomersList(proListOffset - proListLimit); };
+              if (nextEl) nextEl.onclick = function() { loadProCustomersList(proListOffset + proListLimit); };
+            }
+          }
+        })
+        .catch(function() {});
+    }
+    if (proViewBtn) {
+      proViewBtn.onclick = function() {
+        if (proListWrap && proListWrap.style.display === "none") loadProCustomersList(0);
+        else if (proListWrap) { proListWrap.style.display = proListWrap.style.display === "none" ? "block" : "none"; }
+      };
+    }
+  }
+})();
+  `);
+});
+function escapeHtml(s) {
+  const d = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" };
+  return String(s).replace(/[&<>"]/g, (c) => d[c]);
+}
+
+// Shared dark-brand shell for the simple static-style pages
+// (no-business, contact, compliance, privacy, terms).
+// Body content is rendered inside .doc-card.
+function darkShellHtml({ title, bodyHtml, narrow = false, description = "" }) {
+  const pageWidth = narrow ? "440px" : "720px";
+  const descMeta = description
+    ? `<meta name="description" content="${escapeHtml(description)}">`
+    : "";
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+${descMeta}
+<link rel="icon" type="image/svg+xml" href="/favicon.svg">
+<link href="https://fonts.googleapis.com/css2?family=Fraunces:ital,wght@0,300;0,400;0,600;1,300&family=DM+Sans:wght@300;400;500;600&display=swap" rel="stylesheet">
+<style>
+  :root { --bg: #0f0f11; --surface: #17171a; --surface2: #1e1e22; --border: rgba(255,255,255,0.07); --accent: #4a9eff; --accent2: #7c6af7; --text: #f0ede8; --muted: #7a7880; }
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { background: var(--bg); color: var(--text); font-family: 'DM Sans', sans-serif; font-size: 15px; min-height: 100vh; padding: 48px 24px 80px; overflow-x: hidden; line-height: 1.6; }
+  body::before { content: ''; position: fixed; top: -200px; left: 50%; transform: translateX(-50%); width: 800px; height: 500px; background: radial-gradient(ellipse, rgba(124,106,247,0.12) 0%, transparent 70%); pointer-events: none; z-index: 0; }
+  .doc-wrap { max-width: ${pageWidth}; margin: 0 auto; position: relative; z-index: 1; }
+  .doc-brand { display: flex; align-items: center; justify-content: center; gap: 9px; margin-bottom: 24px; }
+  .doc-brand-icon { width: 30px; height: 30px; background: linear-gradient(135deg, var(--accent2), var(--accent)); border-radius: 9px; display: flex; align-items: center; justify-content: center; font-size: 15px; }
+  .doc-brand-name { font-size: 16px; font-weight: 700; color: var(--text); letter-spacing: -0.01em; }
+  .doc-card { background: var(--surface); border: 1px solid var(--border); border-radius: 20px; padding: 32px; animation: fadeUp 0.4s ease both; }
+  .doc-card h1 { font-family: 'Fraunces', serif; font-size: 32px; font-weight: 300; letter-spacing: -0.02em; color: var(--text); margin-bottom: 16px; line-height: 1.15; }
+  .doc-card h1 em { color: var(--accent); font-style: italic; }
+  .doc-card h2 { font-family: 'Fraunces', serif; font-size: 18px; font-weight: 400; color: var(--text); margin: 24px 0 10px; }
+  .doc-card p { color: var(--muted); font-size: 14px; line-height: 1.7; margin-bottom: 14px; }
+  .doc-card p strong { color: var(--text); font-weight: 600; }
+  .doc-card a { color: var(--accent2); text-decoration: none; font-weight: 500; }
+  .doc-card a:hover { color: #a099f7; text-decoration: underline; }
+  .doc-card code { background: rgba(255,255,255,0.06); border-radius: 4px; padding: 1px 6px; font-size: 12px; color: var(--accent); font-family: ui-monospace, SFMono-Regular, monospace; }
+  .doc-card .meta-stamp { color: var(--muted); font-size: 12px; margin-bottom: 18px; letter-spacing: 0.04em; text-transform: uppercase; font-weight: 600; }
+  .doc-card .callout { background: var(--surface2); border: 1px solid var(--border); border-radius: 12px; padding: 14px 16px; margin: 12px 0; }
+  .doc-card .callout p:last-child { margin-bottom: 0; }
+  .doc-card .callout strong { color: var(--text); }
+  .doc-back { text-align: center; margin-top: 24px; font-size: 13px; color: var(--muted); }
+  .doc-back a { color: var(--accent2); text-decoration: none; font-weight: 500; }
+  .doc-back a:hover { color: #a099f7; text-decoration: underline; }
+  .doc-btn { display: inline-flex; align-items: center; gap: 7px; margin-top: 6px; padding: 11px 20px; background: var(--accent); color: #0f0f11; border-radius: 12px; text-decoration: none; font-weight: 700; font-size: 14px; transition: all 0.2s; }
+  .doc-btn:hover { background: #6bafff; transform: translateY(-1px); box-shadow: 0 8px 30px rgba(74,158,255,0.25); color: #0f0f11; text-decoration: none; }
+  .doc-card .contact-link { display: inline-block; margin-top: 4px; font-size: 16px; font-weight: 600; }
+  @keyframes fadeUp { from { opacity: 0; transform: translateY(16px); } to { opacity: 1; transform: translateY(0); } }
+</style>
+</head>
+<body>
+<div class="doc-wrap">
+  <div class="doc-brand">
+    <div class="doc-brand-icon" aria-hidden="true">💬</div>
+    <span class="doc-brand-name">Replyr</span>
+  </div>
+  <div class="doc-card">
+${bodyHtml}
+  </div>
+</div>
+</body>
+</html>`;
+}
+
+// Shared base CSS for /admin and /admin/metrics. Same dark brand as the rest of
+// the app, but a wider wrapper than darkShellHtml since admin tables need room.
+function adminBaseCss() {
+  return `
+  :root { --bg: #0f0f11; --surface: #17171a; --surface2: #1e1e22; --border: rgba(255,255,255,0.07); --accent: #4a9eff; --accent2: #7c6af7; --text: #f0ede8; --muted: #7a7880; --danger: #ff6b6b; }
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { background: var(--bg); color: var(--text); font-family: 'DM Sans', sans-serif; font-size: 14px; min-height: 100vh; padding: 32px 24px 80px; overflow-x: hidden; line-height: 1.55; }
+  body::before { content: ''; position: fixed; top: -200px; left: 50%; transform: translateX(-50%); width: 800px; height: 500px; background: radial-gradient(ellipse, rgba(124,106,247,0.12) 0%, transparent 70%); pointer-events: none; z-index: 0; }
+  .admin-wrap { max-width: 1280px; margin: 0 auto; position: relative; z-index: 1; }
+  .admin-nav { display: flex; align-items: center; gap: 18px; margin-bottom: 32px; flex-wrap: wrap; }
+  .admin-brand { display: inline-flex; align-items: center; gap: 9px; text-decoration: none; color: var(--text); }
+  .admin-brand-icon { width: 28px; height: 28px; background: linear-gradient(135deg, var(--accent2), var(--accent)); border-radius: 8px; display: flex; align-items: center; justify-content: center; font-size: 14px; }
+  .admin-brand-name { font-size: 15px; font-weight: 700; letter-spacing: -0.01em; }
+  .admin-tabs { display: inline-flex; gap: 4px; padding: 4px; background: var(--surface); border: 1px solid var(--border); border-radius: 12px; }
+  .admin-tab { display: inline-flex; align-items: center; gap: 6px; padding: 7px 14px; border-radius: 8px; font-size: 13px; font-weight: 600; color: var(--muted); text-decoration: none; transition: all 0.18s; }
+  .admin-tab:hover { color: var(--text); background: rgba(255,255,255,0.04); }
+  .admin-tab.active { color: var(--text); background: linear-gradient(135deg, rgba(124,106,247,0.18), rgba(74,158,255,0.14)); border: 1px solid rgba(124,106,247,0.35); padding: 6px 13px; }
+  .admin-page { animation: fadeUp 0.4s ease both; }
+  .admin-header { margin-bottom: 24px; }
+  .admin-header h1 { font-family: 'Fraunces', serif; font-size: 32px; font-weight: 300; letter-spacing: -0.02em; line-height: 1.1; margin-bottom: 6px; }
+  .admin-header h1 em { color: var(--accent); font-style: italic; }
+  .admin-subtitle { color: var(--muted); font-size: 13px; max-width: 720px; line-height: 1.6; margin-bottom: 12px; }
+  .admin-subtitle strong { color: var(--text); font-weight: 600; }
+  .admin-tools { font-size: 13px; color: var(--muted); }
+  .admin-tools a { color: var(--accent2); text-decoration: none; font-weight: 500; }
+  .admin-tools a:hover { color: #a099f7; text-decoration: underline; }
+  code { background: rgba(255,255,255,0.06); border-radius: 4px; padding: 1px 6px; font-size: 12px; color: var(--accent); font-family: ui-monospace, SFMono-Regular, monospace; }
+  @keyframes fadeUp { from { opacity: 0; transform: translateY(16px); } to { opacity: 1; transform: translateY(0); } }
+  `;
+}
+
+// Shared top nav for /admin and /admin/metrics. activeTab is "businesses" or
+// "metrics" — controls which tab pill is highlighted.
+function adminNavHtml(activeTab, encodedSecret) {
+  const s = encodedSecret || "";
+  const cls = (id) => `admin-tab${activeTab === id ? " active" : ""}`;
+  return `<nav class="admin-nav" aria-label="Admin">
+      <a href="/admin?secret=${s}" class="admin-brand">
+        <span class="admin-brand-icon" aria-hidden="true">💬</span>
+        <span class="admin-brand-name">Replyr admin</span>
+      </a>
+      <div class="admin-tabs" role="tablist">
+        <a href="/admin?secret=${s}" class="${cls("businesses")}" role="tab" aria-selected="${activeTab === "businesses"}">Businesses</a>
+        <a href="/admin/metrics?secret=${s}" class="${cls("metrics")}" role="tab" aria-selected="${activeTab === "metrics"}">Metrics</a>
+      </div>
+    </nav>`;
+}
+
+app.get("/auth/google", authRouteLimiter, async (req, res, next) => {
+  try {
+    const returnToRaw = (req.query.return_to && String(req.query.return_to).trim()) || "";
+    const returnTo = returnToRaw.startsWith("/") && !returnToRaw.startsWith("//") ? returnToRaw : null;
+    const url = await getAuthUrl({ returnTo });
+    res.redirect(url);
+  } catch (err) {
+    req.log.error(err, "Failed to get Google auth URL");
+    next(err);
+  }
+});
+
+app.get("/auth/google/callback", authRouteLimiter, async (req, res, next) => {
+  try {
+    const code = req.query.code;
+    const state = req.query.state;
+    if (!code) {
+      return res.status(400).json({ error: "Missing code" });
+    }
+    const stateResult = validateState(state?.toString());
+    if (!stateResult.ok) {
+      return res.status(400).json({ error: "Invalid or expired OAuth state. Please try connecting again." });
+    }
+    let accountId, accountName, ownerEmail;
+    try {
+      const result = await handleOAuthCallback(code.toString());
+      accountId = result.accountId;
+      accountName = result.accountName;
+      ownerEmail = result.email || null;
+      // A fresh grant: resume a business paused after Google revoked the old one.
+      await markGoogleReconnected(accountId);
+    } catch (err) {
+      if (err.message && err.message.includes("No Google Business accounts")) {
+        return res.redirect("/no-business?" + new URLSearchParams({ reason: "no_account" }).toString());
+      }
+      throw err;
+    }
+    const locations = await listLocations(accountId);
+    if (!locations || locations.length === 0) {
+      return res.redirect("/no-business?" + new URLSearchParams({ reason: "no_location", accountId }).toString());
+    }
+    if (locations.length > 1) {
+      // Multi-location accounts go through the picker; email auto-fill skipped
+      // here (the row doesn't exist yet). Owner can still set it on /connected.
+      const t = signChooseLocationToken(accountId);
+      return res.redirect("/auth/choose-location?t=" + encodeURIComponent(t));
+    }
+    const firstLocation = locations[0];
+    const locationId = firstLocation?.name ? firstLocation.name.split("/").pop() : null;
+    const name = firstLocation?.title || accountName || null;
+    await upsertBusiness({
+      accountId,
+      locationId: locationId || "",
+      name
+    });
+    if (locationId) await upsertLocation({ accountId, locationId, name: firstLocation?.title || null });
+    if (ownerEmail) {
+      try {
+        await setNotificationEmailIfEmpty(accountId, ownerEmail);
+      } catch (err) {
+        req.log?.warn(err, "OAuth email auto-fill failed");
+      }
+    }
+    setSessionCookie(res, accountId);
+    const redirectName = name || "your business";
+    let redirectPath =
+      "/connected?name=" + encodeURIComponent(redirectName) + "&accountId=" + encodeURIComponent(accountId);
+    if (stateResult.returnTo && String(stateResult.returnTo).trim().startsWith("/")) {
+      redirectPath = String(stateResult.returnTo).trim();
+    }
+    res.redirect(redirectPath);
+  } catch (err) {
+    req.log.error(err, "OAuth callback failed");
+    next(err);
+  }
+});
+
+// Pick Google Business location when the account has more than one (after OAuth, before session is fully established)
+app.get("/auth/choose-location", authRouteLimiter, async (req, res, next) => {
+  try {
+    const t = (req.query.t && String(req.query.t)) || "";
+    const accountId = verifyChooseLocationToken(t);
+    if (!accountId) {
+      return res.status(400).send("Invalid or expired link. Please connect again from the signup page.");
+    }
+    const locations = await listLocations(accountId);
+    if (!locations.length) {
+      return res.redirect("/no-business?" + new URLSearchParams({ reason: "no_location", accountId }).toString());
+    }
+    if (locations.length === 1) {
+      const loc = locations[0];
+      const locationId = loc?.name ? loc.name.split("/").pop() : "";
+      const name = loc?.title || "";
+      await upsertBusiness({ accountId, locationId, name });
+      if (locationId) await upsertLocation({ accountId, locationId, name: name || null });
+      setSessionCookie(res, accountId);
+      return res.redirect(
+        "/connected?name=" + encodeURIComponent(name || "your business") + "&accountId=" + encodeURIComponent(accountId)
+      );
+    }
+    // Ticked unless the owner already switched that location off.
+    const disabledIds = new Set((await getLocations(accountId)).filter((l) => l.autoReplyEnabled === false).map((l) => l.locationId));
+    const options = locations
+      .map((loc) => {
+        const id = loc?.name ? loc.name.split("/").pop() : "";
+        const title = escapeHtml(loc?.title || id || "Location");
+        const checked = disabledIds.has(id) ? "" : " checked";
+        return `<label class="pick-row"><input type="checkbox" name="locationId" value="${escapeHtml(id)}"${checked}> <span>${title}</span></label>`;
+      })
+      .join("");
+    res.set("Content-Type", "text/html; charset=utf-8");
+    res.send(`<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Replyr – Choose location</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 520px; margin: 2rem auto; padding: 1rem; background: #f5f5f5; }
+  .card { background: #fff; padding: 1.5rem; border-radius: 12px; box-shadow: 0 1px 8px rgba(0,0,0,0.06); }
+  h1 { font-size: 1.2rem; margin: 0 0 1rem; }
+  .pick-row { display: block; margin: 0.5rem 0; cursor: pointer; }
+  button { margin-top: 1rem; padding: 0.6rem 1.2rem; background: #333; color: #fff; border: none; border-radius: 8px; cursor: pointer; font-size: 1rem; }
+</style></head>
+<body><div class="card">
+  <h1>Which locations should Replyr use?</h1>
+  <p style="color:#555;font-size:14px">Your Google account has multiple business locations. Choose the ones to connect — you can turn auto-reply on or off per location later.</p>
+  <form method="post" action="/auth/choose-location">
+    <input type="hidden" name="t" value="${escapeHtml(t)}">
+    ${options}
+    <button type="submit">Continue</button>
+  </form>
+</div></body></html>`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/auth/choose-location", authRouteLimiter, express.urlencoded({ extended: true }), async (req, res, next) => {
+  try {
+    const t = (req.body?.t && String(req.body.t)) || "";
+    const rawIds = req.body?.locationId;
+    const locationIds = [...new Set((Array.isArray(rawIds) ? rawIds : [rawIds]).map((v) => (v ? String(v).trim() : "")).filter(Boolean))];
+    const accountId = verifyChooseLocationToken(t);
+    if (!accountId || !locationIds.length) {
+      return res.status(400).send("Invalid request. Pick at least one location, or start again from the signup page.");
+    }
+    const locations = await listLocations(accountId);
+    const byId = new Map(
+      locations.map((loc) => [loc?.name ? loc.name.split("/").pop() : "", loc]).filter(([id]) => id)
+    );
+    if (locationIds.some((id) => !byId.has(id))) {
+      return res.status(400).send("That location is not available. Please try again.");
+    }
+    // First picked location becomes the business's primary (used by the free reply).
+    const existing = await getBusiness(accountId);
+    const primaryId = existing?.locationId && locationIds.includes(existing.locationId) ? existing.locationId : locationIds[0];
+    const name = byId.get(primaryId)?.title || "";
+    await upsertBusiness({ accountId, locationId: primaryId, name });
+    // Picked locations are (re-)enabled; connected ones left unticked stop auto-replying.
+    for (const id of locationIds) {
+      await upsertLocation({ accountId, locationId: id, name: byId.get(id)?.title || null, autoReplyEnabled: true });
+    }
+    for (const location of await getLocations(accountId)) {
+      if (!locationIds.includes(location.locationId) && location.autoReplyEnabled !== false) {
+        await upsertLocation({ accountId, locationId: location.locationId, autoReplyEnabled: false });
+      }
+    }
+    setSessionCookie(res, accountId);
+    res.redirect(
+      "/connected?name=" + encodeURIComponent(name || "your business") + "&accountId=" + encodeURIComponent(accountId)
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get("/me/google", async (req, res, next) => {
+  try {
+    const q = (req.query.accountId && String(req.query.accountId).trim()) || "";
+    if (!q) {
+      return res.status(400).json({ error: "accountId is required" });
+    }
+    if (!canAccessAccount(req, q)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    const status = await getTokenStatus(q);
+    res.json(status);
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/free-reply", freeReplyLimiter, async (req, res, next) => {
+  try {
+    const { accountId } = req.body || {};
+    if (!accountId || typeof accountId !== "string") {
+      return res.status(400).json({ error: "accountId is required" });
+    }
+    if (!canAccessAccount(req, accountId)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    const business = await getBusiness(accountId);
+    if (!business) {
+      return res.status(404).json({ error: "Business not found. Connect via the signup link first." });
+    }
+    if (business.freeReplyUsed) {
+      return res.status(400).json({ error: "You've already used your one free reply." });
+    }
+    const { locationId, contact } = business;
+    if (!locationId) {
+      return res.status(400).json({ error: "No location linked. Reconnect via the signup link." });
+    }
+    const reviews = await listReviews(accountId, locationId);
+    const unreplied = reviews.find((r) => !r.reviewReply || !r.reviewReply.comment);
+    if (!unreplied) {
+      return res.status(400).json({ error: "You have no unreplied reviews right now. When you get one, come back and we'll reply for free." });
+    }
+    const reviewId = unreplied.reviewId || unreplied.name?.split("/").pop();
+    if (!reviewId) {
+      return res.status(500).json({ error: "Could not get review id" });
+    }
+    // Nobody reviews the free reply before it posts, so leave these to the owner.
+    const injection = detectPromptInjectionInReview(unreplied);
+    if (injection) {
+      return res.status(422).json({
+        error: `Your latest review ${injection.reason}, so Replyr won't answer it automatically. Please reply to it yourself on Google.`,
+        code: "REVIEW_NEEDS_MANUAL_REPLY"
+      });
+    }
+    const { comment, violations } = await generateCheckedReply(unreplied, {
+      accountId,
+      contact,
+      businessName: business.name || "our business",
+      brandVoice: business.brandVoice || null,
+      replyLanguage: business.replyLanguage || null,
+      supportedLanguages: business.supportedLanguages || null,
+      replyStyle: business.replyStyle || null,
+      knowledgeBase: business.knowledgeBase || null,
+      logger: req.log
+    });
+    // Nothing to hold it for here: don't post, and leave the free reply unused.
+    if (violations.length) {
+      return res.status(422).json({
+        error: `We couldn't write a reply we're happy with for your latest review (${describeViolations(violations)}). Please try again.`,
+        code: "REPLY_FAILED_GUARDRAILS"
+      });
+    }
+    await replyToReview(accountId, locationId, reviewId, comment);
+    await addRepliedReviewId(accountId, locationId, reviewId, {
+      rating: mapStarRatingToNumber(unreplied.starRating),
+      reviewerName: unreplied.reviewer?.displayName || null,
+      reviewText: unreplied.comment || null,
+      replyText: comment,
+      source: REPLY_SOURCES.freeReply,
+      model: getReplyModel(),
+      reviewLanguage: detectReviewLanguage(unreplied)
+    });
+    await upsertBusiness({ ...business, freeReplyUsed: true });
+    return res.json({ ok: true, message: "We replied to your latest review. Check your Google listing." });
+  } catch (err) {
+    req.log.error(err, "Free reply failed");
+    next(err);
+  }
+});
+
+app.get("/businesses", async (req, res, next) => {
+  try {
+    if (isValidAdminRequest(req)) {
+      const list = await getAllBusinesses();
+      const runTimes = await getRunTimes();
+      const businesses = [];
+      for (const b of Object.values(list)) {
+        // Scheduler cadence across the business's locations: latest run, earliest next run.
+        const times = (await getLocations(b.accountId))
+          .map((loc) => getRunTimeFor(runTimes, b.accountId, loc.locationId))
+          .filter(Boolean);
+        const lastRunAt = times.map((t) => t.lastRunAt).filter(Boolean).sort().pop() || null;
+        const nextRunAt = times.map((t) => t.nextRunAt).filter(Boolean).sort()[0] || null;
+        businesses.push({ ...b, gratisAccess: isGratisAccount(b.accountId), lastRunAt, nextRunAt });
+      }
+      return res.json(businesses);
+    }
+    const sessionAccount = readSessionAccountId(req);
+    if (!sessionAccount) {
+      return res.status(401).json({ error: "Sign in required" });
+    }
+    const business = await getBusiness(sessionAccount);
+    if (!business) {
+      return res.json([]);
+    }
+    res.json([
+      {
+        ...business,
+        gratisAccess: isGratisAccount(business.accountId)
+      }
+    ]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get("/businesses/:accountId", async (req, res, next) => {
+  try {
+    const { accountId } = req.params;
+    if (!canAccessAccount(req, accountId)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    const business = await getBusiness(accountId);
+    if (!business) {
+      return res.status(404).json({ error: "Business not found. Connect via /auth/google first." });
+    }
+    const trialEnded =
+      business.trialEndsAt && new Date(business.trialEndsAt) < new Date();
+    const gratis = isGratisAccount(accountId);
+    const trialEndedNoSubscription =
+      !gratis && trialEnded && !business.subscribedAt && !business.isPro;
+    res.json({
+      ...business,
+      trialEndedNoSubscription: !!trialEndedNoSubscription,
+      gratisAccess: gratis
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.patch("/businesses/:accountId", async (req, res, next) => {
+  try {
+    const { accountId } = req.params;
+    if (!canAccessAccount(req, accountId)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    const existing = await getBusiness(accountId);
+    if (!existing) {
+      return res.status(404).json({ error: "Business not found. Connect via /auth/google first." });
+    }
+    const {
+      autoReplyEnabled,
+      contact,
+      intervalMinutes,
+      isPro,
+      proTier,
+      autoReplyMode,
+      notificationEmail,
+      replyRatings,
+      backlogPolicy,
+      backlogDays,
+      postingWindowStart,
+      postingWindowEnd,
+      timeZone,
+      replyJitterMinutes,
+      escalationRules,
+      notificationPhone,
+      negativeAlertMaxRating,
+      digestFrequency,
+      brandVoice,
+      replyLanguage,
+      supportedLanguages,
+      knowledgeBase,
+      aiBudgetCents
+    } = req.body || {};
+    const admin = isValidAdminRequest(req);
+    const nextIsPro =
+      admin && typeof isPro === "boolean" ? !!isPro : !!existing.isPro;
+    if (autoReplyEnabled === true) {
+      const trialEnded =
+        existing.trialEndsAt && new Date(existing.trialEndsAt) < new Date();
+      if (
+        trialEnded &&
+        !existing.subscribedAt &&
+        !isGratisAccount(accountId) &&
+        !nextIsPro
+      ) {
+        return res.status(403).json({
+          error: "Trial ended. Subscribe to re-enable auto-reply.",
+          code: "TRIAL_ENDED"
+        });
+      }
+    }
+    if (intervalMinutes !== undefined && !isValidIntervalMinutes(intervalMinutes)) {
+      return res.status(400).json({
+        error: `intervalMinutes must be a whole number between ${MIN_INTERVAL_MINUTES} and ${MAX_INTERVAL_MINUTES}`,
+        code: "INVALID_INTERVAL"
+      });
+    }
+    const proPatch = {};
+    if (admin && typeof isPro === "boolean") proPatch.isPro = !!isPro;
+    if (admin && proTier !== undefined) proPatch.proTier = normalizeProTier(proTier);
+    // Monthly AI spend cap (admin only, like the plan); null removes it.
+    if (admin && aiBudgetCents !== undefined) {
+      const parsed = parseAiBudgetCents(aiBudgetCents);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error, code: "INVALID_AI_BUDGET" });
+      }
+      proPatch.aiBudgetCents = parsed.budgetCents;
+    }
+
+    // Auto-reply preview mode + notification email validation
+    const modePatch = {};
+    if (autoReplyMode !== undefined) {
+      const next = String(autoReplyMode).trim().toLowerCase();
+      if (!VALID_MODES.includes(next)) {
+        return res.status(400).json({ error: "autoReplyMode must be 'instant', 'delayed' or 'approval'" });
+      }
+      if (next === "approval" && !db.useDb()) {
+        return res.status(400).json({ error: "Approval mode requires the database.", code: "APPROVAL_MODE_REQUIRES_DB" });
+      }
+      modePatch.autoReplyMode = next;
+    }
+    if (notificationEmail !== undefined) {
+      const raw = notificationEmail == null ? "" : String(notificationEmail).trim();
+      if (raw && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw)) {
+        return res.status(400).json({ error: "notificationEmail is not a valid email address" });
+      }
+      modePatch.notificationEmail = raw || null;
+    }
+    // Guard: enabling delayed mode requires a notification email (resulting state).
+    const willBeDelayed =
+      (modePatch.autoReplyMode ?? existing.autoReplyMode ?? "instant") === "delayed";
+    const willHaveEmail =
+      modePatch.notificationEmail !== undefined
+        ? !!modePatch.notificationEmail
+        : !!existing.notificationEmail;
+    if (willBeDelayed && !willHaveEmail) {
+      return res.status(400).json({
+        error: "Delayed mode requires a notification email so we can send you the cancel link.",
+        code: "DELAYED_MODE_REQUIRES_EMAIL"
+      });
+    }
+
+    // Star-rating filter: null resets to the AUTO_REPLY_RATINGS default.
+    const ratingsPatch = {};
+    if (replyRatings !== undefined) {
+      if (replyRatings === null) {
+        ratingsPatch.replyRatings = null;
+      } else {
+        const invalid = invalidReplyRatings(replyRatings);
+        if (invalid.length) {
+          return res.status(400).json({
+            error: `replyRatings must only contain star ratings between 1 and 5 (got ${invalid.map((v) => JSON.stringify(v)).join(", ")})`,
+            code: "INVALID_REPLY_RATINGS"
+          });
+        }
+        const parsed = parseReplyRatings(replyRatings);
+        if (!parsed) {
+          return res.status(400).json({
+            error: "replyRatings must list at least one star rating between 1 and 5",
+            code: "INVALID_REPLY_RATINGS"
+          });
+        }
+        ratingsPatch.replyRatings = parsed;
+      }
+    }
+
+    // Backlog policy: null resets to the AUTO_REPLY_BACKLOG_POLICY default.
+    const backlogPatch = {};
+    if (backlogPolicy !== undefined) {
+      const next = backlogPolicy == null ? null : String(backlogPolicy).trim().toLowerCase();
+      if (next !== null && !BACKLOG_POLICIES.includes(next)) {
+        return res.status(400).json({
+          error: `backlogPolicy must be one of: ${BACKLOG_POLICIES.join(", ")}`,
+          code: "INVALID_BACKLOG_POLICY"
+        });
+      }
+      backlogPatch.backlogPolicy = next;
+    }
+    if (backlogDays !== undefined) {
+      if (backlogDays !== null && !isValidBacklogDays(backlogDays)) {
+        return res.status(400).json({
+          error: `backlogDays must be a whole number between 1 and ${MAX_BACKLOG_DAYS}`,
+          code: "INVALID_BACKLOG_DAYS"
+        });
+      }
+      backlogPatch.backlogDays = backlogDays == null ? null : Number(backlogDays);
+    }
+
+    // Posting window: start and end are set (or cleared with null) together.
+    const windowPatch = {};
+    if (postingWindowStart !== undefined || postingWindowEnd !== undefined) {
+      const start = postingWindowStart ?? null;
+      const end = postingWindowEnd ?? null;
+      const cleared = start === null && end === null;
+      if (!cleared && (!isValidTimeOfDay(start) || !isValidTimeOfDay(end) || start === end)) {
+        return res.status(400).json({
+          error: "postingWindowStart and postingWindowEnd must both be different HH:MM times (or both null)",
+          code: "INVALID_POSTING_WINDOW"
+        });
+      }
+      windowPatch.postingWindowStart = start;
+      windowPatch.postingWindowEnd = end;
+    }
+    if (timeZone !== undefined) {
+      if (timeZone !== null && !isValidTimeZone(timeZone)) {
+        return res.status(400).json({ error: "timeZone must be an IANA time zone like America/Chicago", code: "INVALID_TIME_ZONE" });
+      }
+      windowPatch.timeZone = timeZone;
+    }
+    if (replyJitterMinutes !== undefined) {
+      if (replyJitterMinutes !== null && !isValidJitterMinutes(replyJitterMinutes)) {
+        return res.status(400).json({
+          error: `replyJitterMinutes must be a whole number between 0 and ${MAX_JITTER_MINUTES}`,
+          code: "INVALID_JITTER"
+        });
+      }
+      windowPatch.replyJitterMinutes = replyJitterMinutes == null ? null : Number(replyJitterMinutes);
+    }
+
+    // Escalation rules (null or [] clears) and the phone for needs-attention texts.
+    const escalationPatch = {};
+    if (escalationRules !== undefined) {
+      const parsed = escalationRules === null ? { rules: [] } : parseEscalationRules(escalationRules);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error, code: "INVALID_ESCALATION_RULES" });
+      }
+      escalationPatch.escalationRules = parsed.rules.length ? parsed.rules : null;
+    }
+    if (notificationPhone !== undefined) {
+      const raw = notificationPhone == null ? "" : String(notificationPhone).replace(/[\s().-]/g, "");
+      if (raw && !/^\+\d{10,15}$/.test(raw)) {
+        return res.status(400).json({
+          error: "notificationPhone must be in international format, e.g. +15551234567",
+          code: "INVALID_PHONE"
+        });
+      }
+      escalationPatch.notificationPhone = raw || null;
+    }
+
+    // Owner notifications: null (or "off") turns each one off.
+    const notifyPatch = {};
+    if (negativeAlertMaxRating !== undefined) {
+      if (negativeAlertMaxRating !== null && !isValidNegativeAlertMaxRating(negativeAlertMaxRating)) {
+        return res.status(400).json({
+          error: `negativeAlertMaxRating must be one of ${NEGATIVE_ALERT_RATINGS.join(", ")} (or null)`,
+          code: "INVALID_ALERT_RATING"
+        });
+      }
+      notifyPatch.negativeAlertMaxRating = negativeAlertMaxRating == null ? null : Number(negativeAlertMaxRating);
+    }
+    if (digestFrequency !== undefined) {
+      const next = normalizeDigestFrequency(digestFrequency);
+      const off = digestFrequency == null || String(digestFrequency).trim().toLowerCase() === "off";
+      if (!next && !off) {
+        return res.status(400).json({ error: "digestFrequency must be 'daily', 'weekly' or null", code: "INVALID_DIGEST_FREQUENCY" });
+      }
+      notifyPatch.digestFrequency = next;
+    }
+
+    // Brand voice: the whole profile at once; null (or all fields empty) resets to the house style.
+    const voicePatch = {};
+    if (brandVoice !== undefined) {
+      const parsed = parseBrandVoice(brandVoice);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error, code: "INVALID_BRAND_VOICE" });
+      }
+      voicePatch.brandVoice = parsed.voice;
+    }
+
+    // Reply language: replyLanguage null = match the reviewer; supportedLanguages [] or null = any language.
+    const languagePatch = {};
+    if (replyLanguage !== undefined) {
+      const code = replyLanguage == null || replyLanguage === "" ? null : normalizeLanguageCode(replyLanguage);
+      if (replyLanguage != null && replyLanguage !== "" && !code) {
+        return res.status(400).json({
+          error: `replyLanguage must be one of ${Object.keys(REPLY_LANGUAGES).join(", ")} (or null)`,
+          code: "INVALID_REPLY_LANGUAGE"
+        });
+      }
+      languagePatch.replyLanguage = code;
+    }
+    if (supportedLanguages !== undefined) {
+      const parsed = parseSupportedLanguages(supportedLanguages);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error, code: "INVALID_REPLY_LANGUAGE" });
+      }
+      languagePatch.supportedLanguages = parsed.languages;
+    }
+
+    // Knowledge base: the whole thing at once, like brandVoice; null clears it.
+    const knowledgePatch = {};
+    if (knowledgeBase !== undefined) {
+      const parsed = parseKnowledgeBase(knowledgeBase);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error, code: "INVALID_KNOWLEDGE_BASE" });
+      }
+      knowledgePatch.knowledgeBase = parsed.knowledgeBase;
+    }
+
+    await upsertBusiness({
+      ...existing,
+      ...(typeof autoReplyEnabled === "boolean" && { autoReplyEnabled }),
+      ...(contact !== undefined && { contact: String(contact) }),
+      ...(intervalMinutes !== undefined && { intervalMinutes: Number(intervalMinutes) }),
+      ...proPatch,
+      ...modePatch,
+      ...ratingsPatch,
+      ...backlogPatch,
+      ...windowPatch,
+      ...escalationPatch,
+      ...notifyPatch,
+      ...voicePatch,
+      ...languagePatch,
+      ...knowledgePatch
+    });
+    const updated = await getBusiness(accountId);
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --- Locations (multi-location accounts) ---
+
+/** Location as returned by the API: effective settings plus which ones inherit from the business. */
+function locationToJson(business, location) {
+  const resolved = resolveLocationSettings(business, location);
+  return {
+    accountId: business.accountId,
+    locationId: location.locationId,
+    name: resolved.name,
+    isPrimary: business.locationId === location.locationId,
+    autoReplyEnabled: resolved.locationAutoReplyEnabled,
+    contact: resolved.contact,
+    autoReplyMode: resolved.autoReplyMode,
+    inherits: resolved.inherits
+  };
+}
+
+app.get("/businesses/:accountId/locations", async (req, res, next) => {
+  try {
+    const { accountId } = req.params;
+    if (!canAccessAccount(req, accountId)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    const business = await getBusiness(accountId);
+    if (!business) {
+      return res.status(404).json({ error: "Business not found. Connect via /auth/google first." });
     }
+    const locations = await getLocations(accountId);
+    res.json(locations.map((loc) => locationToJson(business, loc)));
+  } catch (err) {
+    next(err);
   }
-})();
-  `);
 });
-function escapeHtml(s) {
-  const d = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" };
-  return String(s).replace(/[&<>"]/g, (c) => d[c]);
-}
 
-// Shared dark-brand shell for the simple static-style pages
-// (no-business, contact, compliance, privacy, terms).
-// Body content is rendered inside .doc-card.
-function darkShellHtml({ title, bodyHtml, narrow = false, description = "" }) {
-  const pageWidth = narrow ? "440px" : "720px";
-  const descMeta = description
-    ? `<meta name="description" content="${escapeHtml(description)}">`
-    : "";
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>${escapeHtml(title)}</title>
-${descMeta}
-<link rel="icon" type="image/svg+xml" href="/favicon.svg">
-<link href="https://fonts.googleapis.com/css2?family=Fraunces:ital,wght@0,300;0,400;0,600;1,300&family=DM+Sans:wght@300;400;500;600&display=swap" rel="stylesheet">
-<style>
-  :root { --bg: #0f0f11; --surface: #17171a; --surface2: #1e1e22; --border: rgba(255,255,255,0.07); --accent: #4a9eff; --accent2: #7c6af7; --text: #f0ede8; --muted: #7a7880; }
-  * { box-sizing: border-box; margin: 0; padding: 0; }
-  body { background: var(--bg); color: var(--text); font-family: 'DM Sans', sans-serif; font-size: 15px; min-height: 100vh; padding: 48px 24px 80px; overflow-x: hidden; line-height: 1.6; }
-  body::before { content: ''; position: fixed; top: -200px; left: 50%; transform: translateX(-50%); width: 800px; height: 500px; background: radial-gradient(ellipse, rgba(124,106,247,0.12) 0%, transparent 70%); pointer-events: none; z-index: 0; }
-  .doc-wrap { max-width: ${pageWidth}; margin: 0 auto; position: relative; z-index: 1; }
-  .doc-brand { display: flex; align-items: center; justify-content: center; gap: 9px; margin-bottom: 24px; }
-  .doc-brand-icon { width: 30px; height: 30px; background: linear-gradient(135deg, var(--accent2), var(--accent)); border-radius: 9px; display: flex; align-items: center; justify-content: center; font-size: 15px; }
-  .doc-brand-name { font-size: 16px; font-weight: 700; color: var(--text); letter-spacing: -0.01em; }
-  .doc-card { background: var(--surface); border: 1px solid var(--border); border-radius: 20px; padding: 32px; animation: fadeUp 0.4s ease both; }
-  .doc-card h1 { font-family: 'Fraunces', serif; font-size: 32px; font-weight: 300; letter-spacing: -0.02em; color: var(--text); margin-bottom: 16px; line-height: 1.15; }
-  .doc-card h1 em { color: var(--accent); font-style: italic; }
-  .doc-card h2 { font-family: 'Fraunces', serif; font-size: 18px; font-weight: 400; color: var(--text); margin: 24px 0 10px; }
-  .doc-card p { color: var(--muted); font-size: 14px; line-height: 1.7; margin-bottom: 14px; }
-  .doc-card p strong { color: var(--text); font-weight: 600; }
-  .doc-card a { color: var(--accent2); text-decoration: none; font-weight: 500; }
-  .doc-card a:hover { color: #a099f7; text-decoration: underline; }
-  .doc-card code { background: rgba(255,255,255,0.06); border-radius: 4px; padding: 1px 6px; font-size: 12px; color: var(--accent); font-family: ui-monospace, SFMono-Regular, monospace; }
-  .doc-card .meta-stamp { color: var(--muted); font-size: 12px; margin-bottom: 18px; letter-spacing: 0.04em; text-transform: uppercase; font-weight: 600; }
-  .doc-card .callout { background: var(--surface2); border: 1px solid var(--border); border-radius: 12px; padding: 14px 16px; margin: 12px 0; }
-  .doc-card .callout p:last-child { margin-bottom: 0; }
-  .doc-card .callout strong { color: var(--text); }
-  .doc-back { text-align: center; margin-top: 24px; font-size: 13px; color: var(--muted); }
-  .doc-back a { color: var(--accent2); text-decoration: none; font-weight: 500; }
-  .doc-back a:hover { color: #a099f7; text-decoration: underline; }
-  .doc-btn { display: inline-flex; align-items: center; gap: 7px; margin-top: 6px; padding: 11px 20px; background: var(--accent); color: #0f0f11; border-radius: 12px; text-decoration: none; font-weight: 700; font-size: 14px; transition: all 0.2s; }
-  .doc-btn:hover { background: #6bafff; transform: translateY(-1px); box-shadow: 0 8px 30px rgba(74,158,255,0.25); color: #0f0f11; text-decoration: none; }
-  .doc-card .contact-link { display: inline-block; margin-top: 4px; font-size: 16px; font-weight: 600; }
-  @keyframes fadeUp { from { opacity: 0; transform: translateY(16px); } to { opacity: 1; transform: translateY(0); } }
-</style>
-</head>
-<body>
-<div class="doc-wrap">
-  <div class="doc-brand">
-    <div class="doc-brand-icon" aria-hidden="true">💬</div>
-    <span class="doc-brand-name">Replyr</span>
-  </div>
-  <div class="doc-card">
-${bodyHtml}
-  </div>
-</div>
-</body>
-</html>`;
-}
+// What Replyr posted and when (support: "did you reply to this review?").
+app.get("/businesses/:accountId/replies", async (req, res, next) => {
+  try {
+    const { accountId } = req.params;
+    if (!canAccessAccount(req, accountId)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    const locationId = String(req.query.locationId || "").trim() || null;
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 50));
+    const replies = await listReplies(accountId, { locationId, limit });
+    res.json({ replies });
+  } catch (err) {
+    next(err);
+  }
+});
 
-// Shared base CSS for /admin and /admin/metrics. Same dark brand as the rest of
-// the app, but a wider wrapper than darkShellHtml since admin tables need room.
-function adminBaseCss() {
-  return `
-  :root { --bg: #0f0f11; --surface: #17171a; --surface2: #1e1e22; --border: rgba(255,255,255,0.07); --accent: #4a9eff; --accent2: #7c6af7; --text: #f0ede8; --muted: #7a7880; --danger: #ff6b6b; }
-  * { box-sizing: border-box; margin: 0; padding: 0; }
-  body { background: var(--bg); color: var(--text); font-family: 'DM Sans', sans-serif; font-size: 14px; min-height: 100vh; padding: 32px 24px 80px; overflow-x: hidden; line-height: 1.55; }
-  body::before { content: ''; position: fixed; top: -200px; left: 50%; transform: translateX(-50%); width: 800px; height: 500px; background: radial-gradient(ellipse, rgba(124,106,247,0.12) 0%, transparent 70%); pointer-events: none; z-index: 0; }
-  .admin-wrap { max-width: 1280px; margin: 0 auto; position: relative; z-index: 1; }
-  .admin-nav { display: flex; align-items: center; gap: 18px; margin-bottom: 32px; flex-wrap: wrap; }
-  .admin-brand { display: inline-flex; align-items: center; gap: 9px; text-decoration: none; color: var(--text); }
-  .admin-brand-icon { width: 28px; height: 28px; background: linear-gradient(135deg, var(--accent2), var(--accent)); border-radius: 8px; display: flex; align-items: center; justify-content: center; font-size: 14px; }
-  .admin-brand-name { font-size: 15px; font-weight: 700; letter-spacing: -0.01em; }
-  .admin-tabs { display: inline-flex; gap: 4px; padding: 4px; background: var(--surface); border: 1px solid var(--border); border-radius: 12px; }
-  .admin-tab { display: inline-flex; align-items: center; gap: 6px; padding: 7px 14px; border-radius: 8px; font-size: 13px; font-weight: 600; color: var(--muted); text-decoration: none; transition: all 0.18s; }
-  .admin-tab:hover { color: var(--text); background: rgba(255,255,255,0.04); }
-  .admin-tab.active { color: var(--text); background: linear-gradient(135deg, rgba(124,106,247,0.18), rgba(74,158,255,0.14)); border: 1px solid rgba(124,106,247,0.35); padding: 6px 13px; }
-  .admin-page { animation: fadeUp 0.4s ease both; }
-  .admin-header { margin-bottom: 24px; }
-  .admin-header h1 { font-family: 'Fraunces', serif; font-size: 32px; font-weight: 300; letter-spacing: -0.02em; line-height: 1.1; margin-bottom: 6px; }
-  .admin-header h1 em { color: var(--accent); font-style: italic; }
-  .admin-subtitle { color: var(--muted); font-size: 13px; max-width: 720px; line-height: 1.6; margin-bottom: 12px; }
-  .admin-subtitle strong { color: var(--text); font-weight: 600; }
-  .admin-tools { font-size: 13px; color: var(--muted); }
-  .admin-tools a { color: var(--accent2); text-decoration: none; font-weight: 500; }
-  .admin-tools a:hover { color: #a099f7; text-decoration: underline; }
-  code { background: rgba(255,255,255,0.06); border-radius: 4px; padding: 1px 6px; font-size: 12px; color: var(--accent); font-family: ui-monospace, SFMono-Regular, monospace; }
-  @keyframes fadeUp { from { opacity: 0; transform: translateY(16px); } to { opacity: 1; transform: translateY(0); } }
-  `;
+/** From a newest-first history, the current revision per review (nothing replaced it). */
+function latestRevisions(replies) {
+  const replaced = new Set(replies.filter((r) => r.replacesReplyId != null).map((r) => String(r.replacesReplyId)));
+  const seen = new Set();
+  return replies.filter((r) => {
+    const key = `${r.locationId}/${r.reviewId}`;
+    if (replaced.has(String(r.id)) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
 }
 
-// Shared top nav for /admin and /admin/metrics. activeTab is "businesses" or
-// "metrics" — controls which tab pill is highlighted.
-function adminNavHtml(activeTab, encodedSecret) {
-  const s = encodedSecret || "";
-  const cls = (id) => `admin-tab${activeTab === id ? " active" : ""}`;
-  return `<nav class="admin-nav" aria-label="Admin">
-      <a href="/admin?secret=${s}" class="admin-brand">
-        <span class="admin-brand-icon" aria-hidden="true">💬</span>
-        <span class="admin-brand-name">Replyr admin</span>
-      </a>
-      <div class="admin-tabs" role="tablist">
-        <a href="/admin?secret=${s}" class="${cls("businesses")}" role="tab" aria-selected="${activeTab === "businesses"}">Businesses</a>
-        <a href="/admin/metrics?secret=${s}" class="${cls("metrics")}" role="tab" aria-selected="${activeTab === "metrics"}">Metrics</a>
-      </div>
-    </nav>`;
+function formatShortDate(iso) {
+  const d = iso ? new Date(iso) : null;
+  return d && !isNaN(d.getTime()) ? d.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" }) : "";
 }
 
-app.get("/auth/google", authRouteLimiter, async (req, res, next) => {
+// Re-samples the owner's own Google replies so AI replies keep sounding like them.
+app.post("/businesses/:accountId/reply-style/refresh", async (req, res, next) => {
+  const { accountId } = req.params;
   try {
-    const returnToRaw = (req.query.return_to && String(req.query.return_to).trim()) || "";
-    const returnTo = returnToRaw.startsWith("/") && !returnToRaw.startsWith("//") ? returnToRaw : null;
-    const url = await getAuthUrl({ returnTo });
-    res.redirect(url);
+    if (!canAccessAccount(req, accountId)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    const replyStyle = await refreshReplyStyle(accountId);
+    if (!replyStyle) {
+      return res.status(404).json({ error: "Business not found" });
+    }
+    res.json({ replyStyle });
   } catch (err) {
-    req.log.error(err, "Failed to get Google auth URL");
+    if (isGoogleAuthRevoked(err)) {
+      await pauseForGoogleReconnect(accountId, req.log);
+      return res.status(401).json({ error: err.message, code: err.code });
+    }
+    req.log.error(err, "Refresh reply style failed");
     next(err);
   }
 });
 
-app.get("/auth/google/callback", authRouteLimiter, async (req, res, next) => {
+/** Reply history id from :id, or null (after sending the error) if the caller can't change it. */
+function replyIdForRequest(req, res) {
+  const { accountId, id } = req.params;
+  if (!canAccessAccount(req, accountId)) {
+    res.status(403).json({ error: "Forbidden" });
+    return null;
+  }
+  if (!/^\d+$/.test(id)) {
+    res.status(404).json({ error: "Reply not found." });
+    return null;
+  }
+  return Number(id);
+}
+
+const REPLY_CHANGE_STATUS = { REPLY_NOT_FOUND: 404, NOT_LATEST_REPLY: 409, REPLY_LOCKED: 409, NO_REVIEW_SNAPSHOT: 409 };
+
+// Deletes a reply Replyr posted from Google. The history keeps it, marked retracted.
+app.post("/businesses/:accountId/replies/:id/retract", async (req, res, next) => {
   try {
-    const code = req.query.code;
-    const state = req.query.state;
-    if (!code) {
-      return res.status(400).json({ error: "Missing code" });
+    const replyId = replyIdForRequest(req, res);
+    if (replyId === null) return;
+    if (!(await retractReply(req.params.accountId, replyId))) {
+      return res.status(409).json({ error: "This reply was already retracted.", code: "ALREADY_RETRACTED" });
     }
-    const stateResult = validateState(state?.toString());
-    if (!stateResult.ok) {
-      return res.status(400).json({ error: "Invalid or expired OAuth state. Please try connecting again." });
+    res.json({ ok: true });
+  } catch (err) {
+    if (REPLY_CHANGE_STATUS[err?.code]) {
+      return res.status(REPLY_CHANGE_STATUS[err.code]).json({ error: err.message, code: err.code });
     }
-    let accountId, accountName, ownerEmail;
-    try {
-      const result = await handleOAuthCallback(code.toString());
-      accountId = result.accountId;
-      accountName = result.accountName;
-      ownerEmail = result.email || null;
-    } catch (err) {
-      if (err.message && err.message.includes("No Google Business accounts")) {
-        return res.redirect("/no-business?" + new URLSearchParams({ reason: "no_account" }).toString());
-      }
-      throw err;
+    req.log.error(err, "Retract reply failed");
+    next(err);
+  }
+});
+
+// A new AI draft for the same review. Nothing is posted until /replace.
+app.post("/businesses/:accountId/replies/:id/regenerate", async (req, res, next) => {
+  try {
+    const replyId = replyIdForRequest(req, res);
+    if (replyId === null) return;
+    const draft = await draftReplacementReply(req.params.accountId, replyId, { logger: req.log });
+    if (draft === null) {
+      return res.status(404).json({ error: "Reply not found.", code: "REPLY_NOT_FOUND" });
     }
-    const locations = await listLocations(accountId);
-    if (!locations || locations.length === 0) {
-      return res.redirect("/no-business?" + new URLSearchParams({ reason: "no_location", accountId }).toString());
+    // The owner reviews the draft before posting, so a failing one is returned with the reasons.
+    res.json({
+      comment: draft.comment,
+      model: getReplyModel(),
+      guardrailIssues: draft.violations.length ? describeViolations(draft.violations) : null
+    });
+  } catch (err) {
+    if (REPLY_CHANGE_STATUS[err?.code]) {
+      return res.status(REPLY_CHANGE_STATUS[err.code]).json({ error: err.message, code: err.code });
     }
-    if (locations.length > 1) {
-      // Multi-location accounts go through the picker; email auto-fill skipped
-      // here (the row doesn't exist yet). Owner can still set it on /connected.
-      const t = signChooseLocationToken(accountId);
-      return res.redirect("/auth/choose-location?t=" + encodeURIComponent(t));
+    req.log.error(err, "Regenerate reply failed");
+    next(err);
+  }
+});
+
+// Body: { comment, source?: "edited" | "regenerated" }. Overwrites the reply on
+// Google (or re-posts a retracted one) and records it as a new revision.
+app.post("/businesses/:accountId/replies/:id/replace", async (req, res, next) => {
+  try {
+    const replyId = replyIdForRequest(req, res);
+    if (replyId === null) return;
+    const comment = typeof req.body?.comment === "string" ? req.body.comment.trim() : "";
+    if (!comment) {
+      return res.status(400).json({ error: "comment is required" });
     }
-    const firstLocation = locations[0];
-    const locationId = firstLocation?.name ? firstLocation.name.split("/").pop() : null;
-    const name = firstLocation?.title || accountName || null;
-    await upsertBusiness({
-      accountId,
-      locationId: locationId || "",
-      name
+    const regenerated = req.body?.source === "regenerated";
+    await replaceReply(req.params.accountId, replyId, comment, {
+      source: regenerated ? REPLY_SOURCES.regenerated : REPLY_SOURCES.ownerEdit,
+      model: regenerated ? getReplyModel() : null
     });
-    if (ownerEmail) {
-      try {
-        await setNotificationEmailIfEmpty(accountId, ownerEmail);
-      } catch (err) {
-        req.log?.warn(err, "OAuth email auto-fill failed");
-      }
+    res.json({ ok: true });
+  } catch (err) {
+    if (REPLY_CHANGE_STATUS[err?.code]) {
+      return res.status(REPLY_CHANGE_STATUS[err.code]).json({ error: err.message, code: err.code });
     }
-    setSessionCookie(res, accountId);
-    const redirectName = name || "your business";
-    let redirectPath =
-      "/connected?name=" + encodeURIComponent(redirectName) + "&accountId=" + encodeURIComponent(accountId);
-    if (stateResult.returnTo && String(stateResult.returnTo).trim().startsWith("/")) {
-      redirectPath = String(stateResult.returnTo).trim();
+    req.log.error(err, "Replace reply failed");
+    next(err);
+  }
+});
+
+// Approval mode: replies held until the owner signs off.
+app.get("/businesses/:accountId/pending-replies", async (req, res, next) => {
+  try {
+    const { accountId } = req.params;
+    if (!canAccessAccount(req, accountId)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    if (!db.useDb()) return res.json({ pendingReplies: [] });
+    res.json({ pendingReplies: await db.getRepliesAwaitingApproval(accountId) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** The held reply :id, or null (after sending the error) if it isn't this account's. */
+async function findHeldReplyForRequest(req, res) {
+  const { accountId, id } = req.params;
+  if (!canAccessAccount(req, accountId)) {
+    res.status(403).json({ error: "Forbidden" });
+    return null;
+  }
+  if (!db.useDb()) {
+    res.status(503).json({ error: "Database required" });
+    return null;
+  }
+  const pending = /^\d+$/.test(id) ? await db.getPendingReplyById(id) : null;
+  if (!pending || pending.accountId !== accountId) {
+    res.status(404).json({ error: "Reply not found." });
+    return null;
+  }
+  return pending;
+}
+
+app.post("/businesses/:accountId/pending-replies/:id/approve", async (req, res, next) => {
+  try {
+    const pending = await findHeldReplyForRequest(req, res);
+    if (!pending) return;
+    const approved = await approveHeldReply(pending.accountId, pending.locationId, pending.reviewId);
+    if (!approved) {
+      return res.status(409).json({ error: "This reply was already approved, sent or discarded." });
+    }
+    res.json({ ok: true, sendAfter: approved.sendAfter });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body: { variant }. Makes one of the held reply's drafts its text (see replyVariants.js).
+app.post("/businesses/:accountId/pending-replies/:id/choose", async (req, res, next) => {
+  try {
+    const pending = await findHeldReplyForRequest(req, res);
+    if (!pending) return;
+    const variant = typeof req.body?.variant === "string" ? req.body.variant : "";
+    const chosen = await chooseReplyVariant(pending.accountId, pending.locationId, pending.reviewId, variant);
+    if (chosen === false) {
+      return res.status(400).json({ error: "That draft isn't one of this reply's versions.", code: "UNKNOWN_REPLY_VARIANT" });
+    }
+    if (!chosen) {
+      return res.status(409).json({ error: "This reply was already approved, sent or discarded." });
     }
-    res.redirect(redirectPath);
+    res.json({ pendingReply: chosen });
   } catch (err) {
-    req.log.error(err, "OAuth callback failed");
     next(err);
   }
 });
 
-// Pick Google Business location when the account has more than one (after OAuth, before session is fully established)
-app.get("/auth/choose-location", authRouteLimiter, async (req, res, next) => {
+// New drafts for a held reply; the one the owner was looking at is recorded as passed over.
+app.post("/businesses/:accountId/pending-replies/:id/regenerate", async (req, res, next) => {
   try {
-    const t = (req.query.t && String(req.query.t)) || "";
-    const accountId = verifyChooseLocationToken(t);
-    if (!accountId) {
-      return res.status(400).send("Invalid or expired link. Please connect again from the signup page.");
+    const pending = await findHeldReplyForRequest(req, res);
+    if (!pending) return;
+    const { accountId, locationId, reviewId } = pending;
+    const updated = await regenerateReplyDrafts(accountId, locationId, reviewId, { logger: req.log });
+    if (!updated) {
+      return res.status(409).json({ error: "This reply was already approved, sent or discarded." });
     }
-    const locations = await listLocations(accountId);
-    if (!locations.length) {
-      return res.redirect("/no-business?" + new URLSearchParams({ reason: "no_location", accountId }).toString());
-    }
-    if (locations.length === 1) {
-      const loc = locations[0];
-      const locationId = loc?.name ? loc.name.split("/").pop() : "";
-      const name = loc?.title || "";
-      await upsertBusiness({ accountId, locationId, name });
-      setSessionCookie(res, accountId);
-      return res.redirect(
-        "/connected?name=" + encodeURIComponent(name || "your business") + "&accountId=" + encodeURIComponent(accountId)
-      );
+    res.json({ pendingReply: updated });
+  } catch (err) {
+    req.log.error(err, "Regenerate held reply failed");
+    next(err);
+  }
+});
+
+app.post("/businesses/:accountId/pending-replies/:id/discard", async (req, res, next) => {
+  try {
+    const pending = await findHeldReplyForRequest(req, res);
+    if (!pending) return;
+    const cancelled = await db.cancelPendingReply(pending.accountId, pending.locationId, pending.reviewId);
+    if (!cancelled) {
+      return res.status(409).json({ error: "This reply was already sent or discarded." });
     }
-    const options = locations
-      .map((loc) => {
-        const id = loc?.name ? loc.name.split("/").pop() : "";
-        const title = escapeHtml(loc?.title || id || "Location");
-        return `<label class="pick-row"><input type="radio" name="locationId" value="${escapeHtml(id)}" required> <span>${title}</span></label>`;
-      })
-      .join("");
-    res.set("Content-Type", "text/html; charset=utf-8");
-    res.send(`<!DOCTYPE html>
-<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
-<title>Replyr – Choose location</title>
-<style>
-  body { font-family: system-ui, sans-serif; max-width: 520px; margin: 2rem auto; padding: 1rem; background: #f5f5f5; }
-  .card { background: #fff; padding: 1.5rem; border-radius: 12px; box-shadow: 0 1px 8px rgba(0,0,0,0.06); }
-  h1 { font-size: 1.2rem; margin: 0 0 1rem; }
-  .pick-row { display: block; margin: 0.5rem 0; cursor: pointer; }
-  button { margin-top: 1rem; padding: 0.6rem 1.2rem; background: #333; color: #fff; border: none; border-radius: 8px; cursor: pointer; font-size: 1rem; }
-</style></head>
-<body><div class="card">
-  <h1>Which location should Replyr use?</h1>
-  <p style="color:#555;font-size:14px">Your Google account has multiple business locations. Pick one to connect.</p>
-  <form method="post" action="/auth/choose-location">
-    <input type="hidden" name="t" value="${escapeHtml(t)}">
-    ${options}
-    <button type="submit">Continue</button>
-  </form>
-</div></body></html>`);
+    res.json({ ok: true });
   } catch (err) {
     next(err);
   }
 });
 
-app.post("/auth/choose-location", authRouteLimiter, express.urlencoded({ extended: true }), async (req, res, next) => {
+// How many waiting reviews each backlog policy would reply to, across the
+// account's connected locations. Before auto-reply is on, every waiting review
+// is backlog; once on, only those posted before it was switched on.
+app.get("/businesses/:accountId/backlog-preview", async (req, res, next) => {
   try {
-    const t = (req.body?.t && String(req.body.t)) || "";
-    const locationId = (req.body?.locationId && String(req.body.locationId).trim()) || "";
-    const accountId = verifyChooseLocationToken(t);
-    if (!accountId || !locationId) {
-      return res.status(400).send("Invalid request. Please start again from the signup page.");
+    const { accountId } = req.params;
+    if (!canAccessAccount(req, accountId)) {
+      return res.status(403).json({ error: "Forbidden" });
     }
-    const locations = await listLocations(accountId);
-    const allowed = new Set(
-      locations.map((loc) => (loc?.name ? loc.name.split("/").pop() : "")).filter(Boolean)
-    );
-    if (!allowed.has(locationId)) {
-      return res.status(400).send("That location is not available. Please try again.");
+    const business = await getBusiness(accountId);
+    if (!business) {
+      return res.status(404).json({ error: "Business not found. Connect via /auth/google first." });
     }
-    const picked = locations.find((loc) => (loc?.name ? loc.name.split("/").pop() : "") === locationId);
-    const name = picked?.title || "";
-    await upsertBusiness({ accountId, locationId, name });
-    setSessionCookie(res, accountId);
-    res.redirect(
-      "/connected?name=" + encodeURIComponent(name || "your business") + "&accountId=" + encodeURIComponent(accountId)
-    );
+    const days = req.query.days !== undefined ? Number(req.query.days) : business.backlogDays;
+    if (req.query.days !== undefined && !isValidBacklogDays(days)) {
+      return res.status(400).json({
+        error: `days must be a whole number between 1 and ${MAX_BACKLOG_DAYS}`,
+        code: "INVALID_BACKLOG_DAYS"
+      });
+    }
+    // Enabled before the switch-on time was recorded: there is no backlog left.
+    const enabledAt = business.autoReplyEnabled ? business.autoReplyEnabledAt : new Date().toISOString();
+    const reviews = [];
+    if (enabledAt) {
+      for (const location of await getLocations(accountId)) {
+        reviews.push(...(await listUnrepliedReviews(accountId, location.locationId, { replyRatings: business.replyRatings })));
+      }
+    }
+    const preview = previewBacklogPolicies(enabledAt ? reviews : [], { enabledAt, days });
+    res.json({
+      policy: normalizeBacklogPolicy(business.backlogPolicy),
+      days: normalizeBacklogDays(days),
+      autoReplyEnabledAt: business.autoReplyEnabled ? business.autoReplyEnabledAt : null,
+      preview
+    });
   } catch (err) {
     next(err);
   }
 });
 
-app.get("/me/google", async (req, res, next) => {
+app.get("/businesses/:accountId/failed-reviews", async (req, res, next) => {
   try {
-    const q = (req.query.accountId && String(req.query.accountId).trim()) || "";
-    if (!q) {
-      return res.status(400).json({ error: "accountId is required" });
-    }
-    if (!canAccessAccount(req, q)) {
+    const { accountId } = req.params;
+    if (!canAccessAccount(req, accountId)) {
       return res.status(403).json({ error: "Forbidden" });
     }
-    const status = await getTokenStatus(q);
-    res.json(status);
+    res.json({ failedReviews: await listFailedReviews(accountId) });
   } catch (err) {
     next(err);
   }
 });
 
-app.post("/free-reply", freeReplyLimiter, async (req, res, next) => {
+app.get("/businesses/:accountId/attention", async (req, res, next) => {
   try {
-    const { accountId } = req.body || {};
-    if (!accountId || typeof accountId !== "string") {
-      return res.status(400).json({ error: "accountId is required" });
-    }
+    const { accountId } = req.params;
     if (!canAccessAccount(req, accountId)) {
       return res.status(403).json({ error: "Forbidden" });
     }
-    const business = await getBusiness(accountId);
-    if (!business) {
-      return res.status(404).json({ error: "Business not found. Connect via the signup link first." });
-    }
-    if (business.freeReplyUsed) {
-      return res.status(400).json({ error: "You've already used your one free reply." });
+    res.json({ attention: await listAttentionReviews(accountId) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body: { locationId, reviewId, comment }. Posts the owner's own reply to a held review.
+app.post("/businesses/:accountId/attention/reply", async (req, res, next) => {
+  try {
+    const { accountId } = req.params;
+    if (!canAccessAccount(req, accountId)) {
+      return res.status(403).json({ error: "Forbidden" });
     }
-    const { locationId, contact } = business;
-    if (!locationId) {
-      return res.status(400).json({ error: "No location linked. Reconnect via the signup link." });
+    const locationId = typeof req.body?.locationId === "string" ? req.body.locationId.trim() : "";
+    const reviewId = typeof req.body?.reviewId === "string" ? req.body.reviewId.trim() : "";
+    const comment = typeof req.body?.comment === "string" ? req.body.comment.trim() : "";
+    if (!locationId || !reviewId || !comment) {
+      return res.status(400).json({ error: "locationId, reviewId and comment are required" });
     }
-    const reviews = await listReviews(accountId, locationId);
-    const unreplied = reviews.find((r) => !r.reviewReply || !r.reviewReply.comment);
-    if (!unreplied) {
-      return res.status(400).json({ error: "You have no unreplied reviews right now. When you get one, come back and we'll reply for free." });
+    const posted = await replyToAttentionReview(accountId, locationId, reviewId, comment);
+    if (posted === null) {
+      return res.status(404).json({ error: "This review isn't waiting for a reply." });
     }
-    const reviewId = unreplied.reviewId || unreplied.name?.split("/").pop();
-    if (!reviewId) {
-      return res.status(500).json({ error: "Could not get review id" });
+    if (!posted) {
+      return res.status(409).json({ error: "This review already has a reply.", code: "ALREADY_REPLIED" });
     }
-    const comment = await getReplyText(unreplied, {
-      contact,
-      businessName: business.name || "our business"
-    });
-    await replyToReview(accountId, locationId, reviewId, comment);
-    await addRepliedReviewId(accountId, locationId, reviewId);
-    await upsertBusiness({ ...business, freeReplyUsed: true });
-    return res.json({ ok: true, message: "We replied to your latest review. Check your Google listing." });
+    res.json({ ok: true });
   } catch (err) {
-    req.log.error(err, "Free reply failed");
+    if (err?.code === "REPLY_LOCKED") {
+      return res.status(409).json({ error: err.message, code: err.code });
+    }
+    req.log.error(err, "Manual reply to held review failed");
     next(err);
   }
 });
 
-app.get("/businesses", async (req, res, next) => {
+// Body: { locationId, reviewId }. Closes a held review without replying.
+app.post("/businesses/:accountId/attention/dismiss", async (req, res, next) => {
   try {
-    if (isValidAdminRequest(req)) {
-      const list = await getAllBusinesses();
-      const businesses = Object.values(list).map((b) => ({
-        ...b,
-        gratisAccess: isGratisAccount(b.accountId)
-      }));
-      return res.json(businesses);
+    const { accountId } = req.params;
+    if (!canAccessAccount(req, accountId)) {
+      return res.status(403).json({ error: "Forbidden" });
     }
-    const sessionAccount = readSessionAccountId(req);
-    if (!sessionAccount) {
-      return res.status(401).json({ error: "Sign in required" });
+    const locationId = typeof req.body?.locationId === "string" ? req.body.locationId.trim() : "";
+    const reviewId = typeof req.body?.reviewId === "string" ? req.body.reviewId.trim() : "";
+    if (!locationId || !reviewId) {
+      return res.status(400).json({ error: "locationId and reviewId are required" });
     }
-    const business = await getBusiness(sessionAccount);
-    if (!business) {
-      return res.json([]);
+    if (!(await dismissAttentionReview(accountId, locationId, reviewId))) {
+      return res.status(404).json({ error: "This review isn't waiting for a reply." });
     }
-    res.json([
-      {
-        ...business,
-        gratisAccess: isGratisAccount(business.accountId)
-      }
-    ]);
+    res.json({ ok: true });
   } catch (err) {
     next(err);
   }
 });
 
-app.get("/businesses/:accountId", async (req, res, next) => {
+// Body: { locationId, reviewId } (review IDs can contain slashes, so not in the path).
+app.post("/businesses/:accountId/failed-reviews/retry", async (req, res, next) => {
   try {
     const { accountId } = req.params;
     if (!canAccessAccount(req, accountId)) {
       return res.status(403).json({ error: "Forbidden" });
     }
-    const business = await getBusiness(accountId);
-    if (!business) {
-      return res.status(404).json({ error: "Business not found. Connect via /auth/google first." });
+    const locationId = typeof req.body?.locationId === "string" ? req.body.locationId.trim() : "";
+    const reviewId = typeof req.body?.reviewId === "string" ? req.body.reviewId.trim() : "";
+    if (!locationId || !reviewId) {
+      return res.status(400).json({ error: "locationId and reviewId are required" });
     }
-    const trialEnded =
-      business.trialEndsAt && new Date(business.trialEndsAt) < new Date();
-    const gratis = isGratisAccount(accountId);
-    const trialEndedNoSubscription =
-      !gratis && trialEnded && !business.subscribedAt && !business.isPro;
-    res.json({
-      ...business,
-      trialEndedNoSubscription: !!trialEndedNoSubscription,
-      gratisAccess: gratis
-    });
+    const retried = await retryFailedReview(accountId, locationId, reviewId);
+    if (!retried) {
+      return res.status(404).json({ error: "No failed reply for this review." });
+    }
+    res.json({ ok: true });
   } catch (err) {
     next(err);
   }
 });
 
-app.patch("/businesses/:accountId", async (req, res, next) => {
+app.patch("/businesses/:accountId/locations/:locationId", async (req, res, next) => {
   try {
-    const { accountId } = req.params;
+    const { accountId, locationId } = req.params;
     if (!canAccessAccount(req, accountId)) {
       return res.status(403).json({ error: "Forbidden" });
     }
-    const existing = await getBusiness(accountId);
-    if (!existing) {
+    const business = await getBusiness(accountId);
+    if (!business) {
       return res.status(404).json({ error: "Business not found. Connect via /auth/google first." });
     }
-    const { autoReplyEnabled, contact, intervalMinutes, isPro, proTier, autoReplyMode, notificationEmail } = req.body || {};
-    const admin = isValidAdminRequest(req);
-    const nextIsPro =
-      admin && typeof isPro === "boolean" ? !!isPro : !!existing.isPro;
-    if (autoReplyEnabled === true) {
-      const trialEnded =
-        existing.trialEndsAt && new Date(existing.trialEndsAt) < new Date();
-      if (
-        trialEnded &&
-        !existing.subscribedAt &&
-        !isGratisAccount(accountId) &&
-        !nextIsPro
-      ) {
-        return res.status(403).json({
-          error: "Trial ended. Subscribe to re-enable auto-reply.",
-          code: "TRIAL_ENDED"
-        });
+    const location = await getLocation(accountId, locationId);
+    if (!location) {
+      return res.status(404).json({ error: "Location not connected. Reconnect via /auth/google to add it." });
+    }
+    // contact / autoReplyMode: null (or "") resets the location to the business-wide value.
+    const { autoReplyEnabled, contact, autoReplyMode } = req.body || {};
+    const patch = {};
+    if (autoReplyEnabled !== undefined) {
+      if (typeof autoReplyEnabled !== "boolean") {
+        return res.status(400).json({ error: "autoReplyEnabled must be a boolean" });
       }
+      patch.autoReplyEnabled = autoReplyEnabled;
+    }
+    if (contact !== undefined) {
+      const raw = contact == null ? "" : String(contact).trim();
+      patch.contact = raw || null;
     }
-    const proPatch = {};
-    if (admin && typeof isPro === "boolean") proPatch.isPro = !!isPro;
-    if (admin && proTier !== undefined) proPatch.proTier = normalizeProTier(proTier);
-
-    // Auto-reply preview mode + notification email validation
-    const modePatch = {};
     if (autoReplyMode !== undefined) {
-      const next = String(autoReplyMode).trim().toLowerCase();
-      if (next !== "instant" && next !== "delayed") {
-        return res.status(400).json({ error: "autoReplyMode must be 'instant' or 'delayed'" });
+      const next = autoReplyMode == null ? "" : String(autoReplyMode).trim().toLowerCase();
+      if (next && !VALID_MODES.includes(next)) {
+        return res.status(400).json({ error: "autoReplyMode must be 'instant', 'delayed' or 'approval'" });
       }
-      modePatch.autoReplyMode = next;
-    }
-    if (notificationEmail !== undefined) {
-      const raw = notificationEmail == null ? "" : String(notificationEmail).trim();
-      if (raw && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw)) {
-        return res.status(400).json({ error: "notificationEmail is not a valid email address" });
+      if (next === "approval" && !db.useDb()) {
+        return res.status(400).json({ error: "Approval mode requires the database.", code: "APPROVAL_MODE_REQUIRES_DB" });
       }
-      modePatch.notificationEmail = raw || null;
+      patch.autoReplyMode = next || null;
     }
-    // Guard: enabling delayed mode requires a notification email (resulting state).
-    const willBeDelayed =
-      (modePatch.autoReplyMode ?? existing.autoReplyMode ?? "instant") === "delayed";
-    const willHaveEmail =
-      modePatch.notificationEmail !== undefined
-        ? !!modePatch.notificationEmail
-        : !!existing.notificationEmail;
-    if (willBeDelayed && !willHaveEmail) {
+    // Same guard as the business-level PATCH: the cancel-link email goes to the account owner.
+    const nextLocationMode = patch.autoReplyMode !== undefined ? patch.autoReplyMode : location.autoReplyMode;
+    if ((nextLocationMode ?? business.autoReplyMode ?? "instant") === "delayed" && !business.notificationEmail) {
       return res.status(400).json({
         error: "Delayed mode requires a notification email so we can send you the cancel link.",
         code: "DELAYED_MODE_REQUIRES_EMAIL"
       });
     }
-
-    await upsertBusiness({
-      ...existing,
-      ...(typeof autoReplyEnabled === "boolean" && { autoReplyEnabled }),
-      ...(contact !== undefined && { contact: String(contact) }),
-      ...(intervalMinutes !== undefined && { intervalMinutes: Number(intervalMinutes) }),
-      ...proPatch,
-      ...modePatch
-    });
-    const updated = await getBusiness(accountId);
-    res.json(updated);
+    const updated = await upsertLocation({ accountId, locationId, ...patch });
+    res.json(locationToJson(business, updated));
   } catch (err) {
     next(err);
   }
@@ -2497,12 +5068,14 @@ app.post("/pro/generate-message", aiCampaignLimiter, async (req, res, next) => {
     if (!business?.isPro) return res.status(403).json({ error: "Replyr Pro required" });
     if (type === "one_off") {
       const { subject, body } = await generateOneOffWithClaude({
+        accountId,
         prompt: prompt ? String(prompt).trim() : "",
         businessName: business?.name || "Our business"
       });
       return res.json({ subject, body });
     }
     let messageText = await generateCampaignMessageWithClaude({
+      accountId,
       type: type || "birthday",
       businessName: business?.name || "Our business",
       eventName,
@@ -3529,11 +6102,15 @@ async function buildAdminMetrics() {
     isGratis: isGratisAccount
   });
   const monthKey = getCurrentMonthKey();
-  const [openPending, smsThisMonth] = await Promise.all([
+  const [openPending, smsThisMonth, jobCounts, aiUsageRows] = await Promise.all([
     db.useDb() ? db.getOpenPendingRepliesCount() : Promise.resolve(0),
-    db.useDb() ? db.getProSmsUsageSum(monthKey) : Promise.resolve(0)
+    db.useDb() ? db.getProSmsUsageSum(monthKey) : Promise.resolve(0),
+    db.useDb() ? db.getJobCounts() : Promise.resolve({ queued: 0, running: 0, succeeded: 0, dead: 0 }),
+    listAiUsage(monthKey)
   ]);
+  const aiUsage = summarizeAiUsage(aiUsageRows, businessesObj || {});
   const delayedModeCount = businesses.filter((b) => (b.autoReplyMode || "instant") === "delayed").length;
+  const approvalModeCount = businesses.filter((b) => b.autoReplyMode === "approval").length;
   const autoReplyEnabledCount = businesses.filter((b) => !!b.autoReplyEnabled).length;
   return {
     generatedAt: new Date().toISOString(),
@@ -3545,12 +6122,20 @@ async function buildAdminMetrics() {
       activeSubscribers: mrr.activeSubs
     },
     funnel,
+    aiUsage: {
+      monthKey,
+      ...aiUsage,
+      // Share of MRR spent on AI this month; null without MRR to compare against.
+      shareOfMrr: mrr.mrrCents > 0 ? aiUsage.totals.costCents / mrr.mrrCents : null
+    },
     activity: {
       monthKey,
       autoReplyEnabledCount,
       delayedModeCount,
+      approvalModeCount,
       pendingRepliesOpen: openPending,
-      proSmsThisMonth: smsThisMonth
+      proSmsThisMonth: smsThisMonth,
+      jobs: jobCounts
     },
     planAmountsConfigured: {
       base: amounts.base > 0,
@@ -3611,6 +6196,7 @@ function renderAdminMetricsHtml(data, adminSecret) {
   const pct = (n) => `${(n * 100).toFixed(1)}%`;
   const cents = (c) => formatCentsAsUsd(c);
   const counts = data.mrr.countsByPlan;
+  const ai = data.aiUsage;
   const planRow = (label, key) =>
     `<tr><td>${label}</td><td class="num">${counts[key] || 0}</td><td class="num">${cents(data.mrr.byPlanCents[key] || 0)}</td></tr>`;
   const planConfigWarnings = [
@@ -3673,7 +6259,7 @@ function renderAdminMetricsHtml(data, adminSecret) {
   <div class="admin-page">
     <div class="admin-header">
       <h1>Metrics</h1>
-      <p class="admin-subtitle">MRR, 30-day funnel, and current activity. MRR is computed locally from the <code>businesses</code> table using <code>STRIPE_*_AMOUNT_CENTS</code> env vars.</p>
+      <p class="admin-subtitle">MRR, 30-day funnel, AI usage, and current activity. MRR is computed locally from the <code>businesses</code> table using <code>STRIPE_*_AMOUNT_CENTS</code> env vars.</p>
       <div class="ts">As of ${escapeHtml(data.generatedAt)}</div>
     </div>
 
@@ -3702,13 +6288,32 @@ function renderAdminMetricsHtml(data, adminSecret) {
       </table>
     </div>
 
+    <h2 class="section-label">AI usage</h2>
+    <div class="grid">
+      <div class="stat-card"><div class="stat-label">AI cost this month</div><div class="stat-value">${cents(ai.totals.costCents)}</div><div class="stat-sub">${escapeHtml(ai.monthKey)} · ${ai.shareOfMrr == null ? "no MRR to compare" : pct(ai.shareOfMrr) + " of MRR"}</div></div>
+      <div class="stat-card"><div class="stat-label">AI calls</div><div class="stat-value">${ai.totals.calls.toLocaleString()}</div><div class="stat-sub">${ai.totals.inputTokens.toLocaleString()} in · ${ai.totals.outputTokens.toLocaleString()} out tokens</div></div>
+      <div class="stat-card"><div class="stat-label">Over AI budget</div><div class="stat-value">${ai.businesses.filter((b) => b.overBudget).length}</div><div class="stat-sub">generation paused until next month</div></div>
+    </div>
+    ${ai.businesses.length ? `<div class="table-wrap" style="margin-top:14px">
+      <table>
+        <thead><tr><th>Business</th><th>Model</th>${AI_USAGE_PURPOSES.map((p) => `<th class="num">${escapeHtml(p)}</th>`).join("")}<th class="num">Tokens in / out</th><th class="num">Cost</th><th class="num">Budget</th></tr></thead>
+        <tbody>
+          ${ai.businesses.map((b) => `<tr><td>${escapeHtml(b.name || b.accountId)}</td><td>${escapeHtml(b.models.join(", "))}</td>${AI_USAGE_PURPOSES.map((p) => `<td class="num">${b.byPurpose[p] ? `${b.byPurpose[p].calls} · ${cents(microsToCents(b.byPurpose[p].costMicros))}` : "–"}</td>`).join("")}<td class="num">${b.inputTokens.toLocaleString()} / ${b.outputTokens.toLocaleString()}</td><td class="num">${cents(b.costCents)}</td><td class="num">${b.budgetCents == null ? "–" : `${b.overBudget ? "⚠ " : ""}${cents(b.budgetCents)}`}</td></tr>`).join("")}
+          <tr><td><strong>Total</strong></td><td></td>${AI_USAGE_PURPOSES.map(() => "<td></td>").join("")}<td class="num"><strong>${ai.totals.inputTokens.toLocaleString()} / ${ai.totals.outputTokens.toLocaleString()}</strong></td><td class="num"><strong>${cents(ai.totals.costCents)}</strong></td><td></td></tr>
+        </tbody>
+      </table>
+    </div>` : ""}
+
     <h2 class="section-label">Activity</h2>
     <div class="grid">
       <div class="stat-card"><div class="stat-label">Connected businesses</div><div class="stat-value">${data.funnel.totalConnected}</div></div>
       <div class="stat-card"><div class="stat-label">Auto-reply enabled</div><div class="stat-value">${data.activity.autoReplyEnabledCount}</div></div>
       <div class="stat-card"><div class="stat-label">Preview/delayed mode</div><div class="stat-value">${data.activity.delayedModeCount}</div></div>
+      <div class="stat-card"><div class="stat-label">Approval mode</div><div class="stat-value">${data.activity.approvalModeCount}</div></div>
       <div class="stat-card"><div class="stat-label">Pending replies queued</div><div class="stat-value">${data.activity.pendingRepliesOpen}</div></div>
       <div class="stat-card"><div class="stat-label">Pro SMS this month</div><div class="stat-value">${data.activity.proSmsThisMonth.toLocaleString()}</div><div class="stat-sub">${escapeHtml(data.activity.monthKey)} · across all Pro tiers</div></div>
+      <div class="stat-card"><div class="stat-label">Auto-reply jobs</div><div class="stat-value">${data.activity.jobs.queued + data.activity.jobs.running}</div><div class="stat-sub">${data.activity.jobs.running} running · ${data.activity.jobs.queued} queued</div></div>
+      <div class="stat-card"><div class="stat-label">Dead-lettered jobs</div><div class="stat-value">${data.activity.jobs.dead}</div><div class="stat-sub"><a href="/admin/jobs.json?status=dead&secret=${encodedSecret}">View</a> · retry via POST /admin/jobs/:id/retry</div></div>
     </div>
 
     <div class="footer">JSON view: <a href="/admin/metrics.json?secret=${encodedSecret}">/admin/metrics.json</a></div>
@@ -3717,6 +6322,50 @@ function renderAdminMetricsHtml(data, adminSecret) {
 </body></html>`;
 }
 
+// --- Job queue (admin) ---
+
+app.get("/admin/jobs.json", async (req, res, next) => {
+  try {
+    if (!isValidAdminRequest(req)) {
+      return res.status(401).json({ error: "Unauthorized. Provide ADMIN_SECRET via X-Admin-Secret header or ?secret=." });
+    }
+    if (!db.useDb()) {
+      return res.status(503).json({ error: "Job queue requires DATABASE_URL" });
+    }
+    const status = (req.query.status && String(req.query.status).trim()) || null;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${JOB_STATUSES.join(", ")}` });
+    }
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const [jobs, counts] = await Promise.all([db.listJobs({ status, limit }), db.getJobCounts()]);
+    res.json({ counts, jobs });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/admin/jobs/:id/retry", async (req, res, next) => {
+  try {
+    if (!isValidAdminRequest(req)) {
+      return res.status(401).json({ error: "Unauthorized. Provide ADMIN_SECRET via X-Admin-Secret header or ?secret=." });
+    }
+    if (!db.useDb()) {
+      return res.status(503).json({ error: "Job queue requires DATABASE_URL" });
+    }
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ error: "Invalid job id" });
+    }
+    const job = await db.retryDeadJob(id);
+    if (!job) {
+      return res.status(404).json({ error: "No dead job with that id" });
+    }
+    res.json({ ok: true, job });
+  } catch (err) {
+    next(err);
+  }
+});
+
 app.get("/admin", (req, res) => {
   const adminConfigured = !!(process.env.ADMIN_SECRET || "").trim();
   if (!adminConfigured) {
@@ -3900,6 +6549,11 @@ function formatTrialEnd(trialEndsAt) {
     return isNaN(d.getTime()) ? "—" : d.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
   } catch (_) { return "—"; }
 }
+function formatRunTime(iso) {
+  if (!iso) return "Next tick";
+  const d = new Date(iso);
+  return isNaN(d.getTime()) ? "—" : d.toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+}
 async function load() {
   const loading = document.getElementById("loading");
   const content = document.getElementById("content");
@@ -3910,7 +6564,7 @@ async function load() {
     if (!Array.isArray(list) || list.length === 0) {
       content.innerHTML = "<p class=\\"empty\\">No businesses yet. Have them connect via the auth link.</p>";
     } else {
-      const tableHtml = "<div class=\\"table-wrap\\"><table><thead><tr><th>Name</th><th>Contact (for 1–3 star replies)</th><th>Trial ends</th><th>Status</th><th>Pro</th><th>Pro tier (SMS/mo)</th><th>Auto-reply</th><th>Interval (min)</th><th>Actions</th></tr></thead><tbody></tbody></table></div>";
+      const tableHtml = "<div class=\\"table-wrap\\"><table><thead><tr><th>Name</th><th>Contact (for 1–3 star replies)</th><th>Trial ends</th><th>Status</th><th>Pro</th><th>Pro tier (SMS/mo)</th><th>Auto-reply</th><th>Interval (min)</th><th>Next run</th><th>Actions</th></tr></thead><tbody></tbody></table></div>";
       content.insertAdjacentHTML("beforeend", tableHtml);
       const tableWrap = content.querySelector(".table-wrap");
       if (filterRow) { content.insertBefore(filterRow, tableWrap); filterRow.style.display = "flex"; }
@@ -3931,9 +6585,10 @@ async function load() {
           "<td><input type=\\"checkbox\\" " + (b.isPro ? "checked" : "") + " data-field=\\"isPro\\" title=\\"Pro (campaigns, CSV)\\"></td>" +
           "<td><select data-field=\\"proTier\\" title=\\"Pro campaign SMS allowance (see /subscribe)\\">" + proTierSelectInnerHtml(tier) + "</select></td>" +
           "<td><input type=\\"checkbox\\" " + (b.autoReplyEnabled ? "checked" : "") + " data-field=\\"autoReplyEnabled\\"></td>" +
-          "<td><input type=\\"number\\" min=\\"1\\" value=\\""
+          "<td><input type=\\"number\\" min=\\"5\\" max=\\"1440\\" value=\\""
           + (b.intervalMinutes ?? 30)
           + "\\" data-field=\\"intervalMinutes\\"></td>" +
+          "<td title=\\"" + escapeAttr(b.lastRunAt ? "Last run " + formatRunTime(b.lastRunAt) : "Not run yet") + "\\">" + escapeHtml(b.autoReplyEnabled ? formatRunTime(b.nextRunAt) : "—") + "</td>" +
           "<td><div class=\\"actions-cell\\"><button type=\\"button\\" data-save>Save</button><button type=\\"button\\" data-run-now title=\\"Run Claude auto-reply now\\">Run now</button><a href=\\"#\\" data-pro-link title=\\"Open Pro campaigns page\\">Pro</a></div><span class=\\"msg\\" data-msg></span></td>";
         tbody.appendChild(tr);
       });
@@ -4038,6 +6693,10 @@ app.post("/google/reviews/:accountId/:locationId/:reviewId/reply", async (req, r
       return res.status(400).json({ error: "comment is required" });
     }
     const result = await replyToReview(accountId, locationId, reviewId, comment.trim());
+    await addRepliedReviewId(accountId, locationId, reviewId, {
+      replyText: comment.trim(),
+      source: REPLY_SOURCES.manualApi
+    });
     res.json({ ok: true, result });
   } catch (err) {
     req.log.error(err, "Failed to reply to review");
@@ -4099,13 +6758,32 @@ app.post("/auto/process", async (req, res, next) => {
       return res.status(403).json({ error: "Forbidden" });
     }
     const business = await getBusiness(a);
+    const location = business ? await getLocation(a, l) : null;
+    const settings = business && location ? resolveLocationSettings(business, location) : business;
     const result = await processPendingReviews(a, l, {
-      contact: business?.contact,
-      businessName: business?.name || "our business",
-      logger: req.log
+      contact: settings?.contact,
+      businessName: settings?.name || "our business",
+      logger: req.log,
+      replyRatings: business?.replyRatings || null,
+      backlogPolicy: business?.backlogPolicy || null,
+      backlogDays: business?.backlogDays || null,
+      autoReplyEnabledAt: settings?.autoReplyEnabledAt || null,
+      escalationRules: business?.escalationRules || null,
+      ownerEmail: business?.notificationEmail || null,
+      ownerPhone: business?.notificationPhone || null,
+      negativeAlertMaxRating: business?.negativeAlertMaxRating || null,
+      brandVoice: business?.brandVoice || null,
+      replyLanguage: business?.replyLanguage || null,
+      supportedLanguages: business?.supportedLanguages || null,
+      replyStyle: business?.replyStyle || null,
+      knowledgeBase: business?.knowledgeBase || null
     });
     res.json({ ok: true, result });
   } catch (err) {
+    if (isGoogleAuthRevoked(err)) {
+      await pauseForGoogleReconnect(a, req.log);
+      return res.status(401).json({ error: err.message, code: err.code });
+    }
     req.log.error(err, "Auto process failed");
     next(err);
   }
@@ -4114,7 +6792,9 @@ app.post("/auto/process", async (req, res, next) => {
 app.use(sentry.errorHandler());
 app.use((err, req, res, next) => {
   const status = err.status || 500;
-  res.status(status).json({ error: err.message || "Internal Server Error" });
+  // Errors thrown with a status and a string code (e.g. AI_BUDGET_EXCEEDED) pass the code on.
+  const code = status < 500 && typeof err.code === "string" ? err.code : undefined;
+  res.status(status).json({ error: err.message || "Internal Server Error", code });
 });
 
 start().catch(async (err) => {
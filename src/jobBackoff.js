@@ -0,0 +1,65 @@
+/**
+ * Pure helpers for the Postgres job queue (see jobQueue.js): worker pool size,
+ * retry limits, exponential backoff and which errors are worth retrying.
+ *
+ * A job is queued -> running -> succeeded, or back to queued with a later
+ * run_after when it fails and has attempts left. Once attempts run out (or the
+ * error can't succeed on retry) it moves to dead and stays there until an admin
+ * retries it.
+ */
+
+export const JOB_STATUSES = ["queued", "running", "succeeded", "dead"];
+
+export const DEFAULT_WORKER_CONCURRENCY = 3;
+export const DEFAULT_MAX_ATTEMPTS = 5;
+export const BACKOFF_BASE_MS = 30 * 1000;
+export const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.floor(n);
+}
+
+/** Max jobs running at once in this process (JOB_WORKER_CONCURRENCY, default 3, max 20). */
+export function getWorkerConcurrency(env = process.env) {
+  return Math.min(20, positiveInt(env.JOB_WORKER_CONCURRENCY, DEFAULT_WORKER_CONCURRENCY));
+}
+
+/** Attempts before a job is dead-lettered (JOB_MAX_ATTEMPTS, default 5). */
+export function getJobMaxAttempts(env = process.env) {
+  return positiveInt(env.JOB_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS);
+}
+
+/** How often idle workers look for new jobs (JOB_POLL_SECONDS, default 5). */
+export function getJobPollSeconds(env = process.env) {
+  return positiveInt(env.JOB_POLL_SECONDS, 5);
+}
+
+/**
+ * Delay before retry number `attempt` (1 = first retry): 30s, 1m, 2m, 4m, ...
+ * capped at 1 hour, plus up to 10% jitter so a burst of failures doesn't retry
+ * in lockstep.
+ * @param {number} attempt - attempts made so far (>= 1)
+ * @param {{ baseMs?: number, maxMs?: number, random?: () => number }} [opts]
+ */
+export function computeBackoffMs(attempt, opts = {}) {
+  const { baseMs = BACKOFF_BASE_MS, maxMs = BACKOFF_MAX_MS, random = Math.random } = opts;
+  const n = Math.max(1, Math.floor(Number(attempt) || 1));
+  const exp = Math.min(maxMs, baseMs * Math.pow(2, n - 1));
+  return Math.round(exp + exp * 0.1 * random());
+}
+
+/**
+ * Retry unless the error says it can't succeed: err.retryable === false, or an
+ * HTTP 4xx other than 408 / 429 (bad request, auth, not found won't fix themselves).
+ */
+export function isRetryableError(err) {
+  if (!err) return true;
+  if (err.retryable === false) return false;
+  const status = Number(err.status);
+  if (Number.isInteger(status) && status >= 400 && status < 500) {
+    return status === 408 || status === 429;
+  }
+  return true;
+}
@@ -0,0 +1,134 @@
+/**
+ * Postgres-backed job queue (DB mode only). Producers call enqueueJob(); a
+ * bounded worker pool claims due jobs with FOR UPDATE SKIP LOCKED, so several
+ * app instances can share the table without running a job twice.
+ *
+ * Failures retry with exponential backoff until max_attempts, then the job is
+ * dead-lettered (status 'dead') and onDead is called once. Dead jobs are listed
+ * on /admin/jobs.json and can be retried from there.
+ */
+import * as db from "./db.js";
+import * as sentry from "./sentry.js";
+import {
+  getWorkerConcurrency,
+  getJobMaxAttempts,
+  getJobPollSeconds,
+  computeBackoffMs,
+  isRetryableError
+} from "./jobBackoff.js";
+
+// Running jobs whose worker hasn't reported back in this long are assumed lost.
+const STALE_JOB_MINUTES = 15;
+// Succeeded jobs are kept this long for debugging, then deleted.
+const SUCCEEDED_RETENTION_DAYS = 7;
+const STALE_CHECK_EVERY_MS = 60 * 1000;
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+
+/**
+ * Queue a job. Returns the job, or null when it's already queued/running
+ * (same dedupeKey) or blocked by an open or dead job under one of blockingKeys.
+ * @param {{ kind: string, payload?: object, dedupeKey?: string|null, blockingKeys?: string[], runAfter?: Date|null, maxAttempts?: number }} job
+ */
+export async function enqueueJob({ kind, payload = {}, dedupeKey = null, blockingKeys = [], runAfter = null, maxAttempts }) {
+  return await db.insertJob({
+    kind,
+    payload,
+    dedupeKey,
+    blockingKeys,
+    runAfter: runAfter ? new Date(runAfter).toISOString() : null,
+    maxAttempts: maxAttempts ?? getJobMaxAttempts()
+  });
+}
+
+/**
+ * Start polling for jobs. Handlers are keyed by job kind and receive
+ * (payload, { job, logger }); throwing fails the attempt.
+ * @param {{ handlers: Record<string, Function>, logger?: object, onDead?: (job: object, err: Error) => Promise<void> }} opts
+ * @returns {{ stop: () => void, poll: () => Promise<void> }}
+ */
+export function startJobWorker({ handlers, logger = console, onDead = null }) {
+  const kinds = Object.keys(handlers);
+  const concurrency = getWorkerConcurrency();
+  const pollMs = getJobPollSeconds() * 1000;
+  let active = 0;
+  let polling = false;
+  let stopped = false;
+  let lastStaleCheckAt = 0;
+  let lastPruneAt = 0;
+
+  async function runJob(job) {
+    const log = { jobId: job.id, kind: job.kind, attempt: job.attempts };
+    try {
+      await handlers[job.kind](job.payload, { job, logger });
+      await db.completeJob(job.id);
+    } catch (err) {
+      const message = err?.message || String(err);
+      if (job.attempts < job.maxAttempts && isRetryableError(err)) {
+        const retryAt = new Date(Date.now() + computeBackoffMs(job.attempts));
+        logger.warn?.({ ...log, err, retryAt: retryAt.toISOString() }, "Job failed; will retry");
+        await db.failJob(job.id, message, retryAt);
+        return;
+      }
+      logger.error?.({ ...log, err }, "Job dead-lettered");
+      sentry.captureException(err, { kind: "job-dead", jobKind: job.kind, jobId: job.id });
+      await db.failJob(job.id, message, null);
+      if (onDead) {
+        try {
+          await onDead(job, err);
+        } catch (deadErr) {
+          logger.error?.({ ...log, err: deadErr }, "Job dead-letter handler failed");
+        }
+      }
+    }
+  }
+
+  async function poll() {
+    if (polling || stopped) return;
+    polling = true;
+    try {
+      if (Date.now() - lastStaleCheckAt > STALE_CHECK_EVERY_MS) {
+        lastStaleCheckAt = Date.now();
+        const requeued = await db.requeueStaleJobs(STALE_JOB_MINUTES);
+        if (requeued) logger.warn?.({ requeued }, "Requeued stale jobs");
+      }
+      if (Date.now() - lastPruneAt > PRUNE_EVERY_MS) {
+        lastPruneAt = Date.now();
+        await db.deleteSucceededJobs(SUCCEEDED_RETENTION_DAYS);
+      }
+      const free = concurrency - active;
+      if (free <= 0) return;
+      const jobs = await db.claimJobs(free, kinds);
+      for (const job of jobs) {
+        active += 1;
+        runJob(job)
+          .catch((err) => {
+            // Only reachable if recording the result itself failed (DB down);
+            // the job stays 'running' and is requeued once stale.
+            logger.error?.({ jobId: job.id, err }, "Job bookkeeping failed");
+            sentry.captureException(err, { kind: "job-bookkeeping", jobId: job.id });
+          })
+          .finally(() => {
+            active -= 1;
+            // Pick up follow-up work (e.g. reply-post after reply-generate) without waiting a full poll.
+            setImmediate(poll);
+          });
+      }
+    } catch (err) {
+      logger.error?.(err, "Job poll failed");
+      sentry.captureException(err, { kind: "job-poll" });
+    } finally {
+      polling = false;
+    }
+  }
+
+  logger.info?.({ concurrency, pollSeconds: pollMs / 1000, kinds }, "Starting job worker");
+  const handle = setInterval(poll, pollMs);
+  poll();
+  return {
+    stop() {
+      stopped = true;
+      clearInterval(handle);
+    },
+    poll
+  };
+}
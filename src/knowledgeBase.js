@@ -0,0 +1,85 @@
+/**
+ * Pure helpers for a business's knowledge base: facts AI replies may rely on.
+ *
+ * Structured fields (hours, parking, refund policy, ...) plus free-form FAQ
+ * entries. Every field is optional; knowledgeBase null means no facts beyond
+ * the contact. The prompt always forbids stating facts that aren't here, so an
+ * empty knowledge base gives replies that stay general rather than invented.
+ */
+
+export const KNOWLEDGE_FIELDS = {
+  hours: "Hours",
+  parking: "Parking",
+  refundPolicy: "Refund policy",
+  menuHighlights: "Menu highlights",
+  managers: "Managers",
+  complaintResolutions: "How common complaints are resolved"
+};
+export const MAX_FIELD_LENGTH = 1000;
+export const MAX_FAQ_ENTRIES = 30;
+export const MAX_FAQ_QUESTION_LENGTH = 200;
+export const MAX_FAQ_ANSWER_LENGTH = 1000;
+
+/** System prompt rule; applies with or without a knowledge base. */
+export const NO_INVENTED_FACTS_RULE =
+  "Only state facts about the business (hours, prices, policies, menu items, staff names, offers, refunds) that appear in the business facts or contact given to you. Never invent or guess them. If the review raises something the facts don't cover, acknowledge it and say the team will follow up, without specifics.";
+
+function clean(value) {
+  return String(value ?? "").trim().replace(/[ \t]+/g, " ");
+}
+
+/**
+ * Validate and normalize a knowledge base from a PATCH body. Empty fields and
+ * FAQ entries are dropped; { knowledgeBase: null } when nothing is left.
+ * @param {unknown} value - { hours?, parking?, refundPolicy?, menuHighlights?, managers?, complaintResolutions?, faq?: { question, answer }[] }
+ * @returns {{ knowledgeBase: object|null } | { error: string }}
+ */
+export function parseKnowledgeBase(value) {
+  if (value == null) return { knowledgeBase: null };
+  if (typeof value !== "object" || Array.isArray(value)) return { error: "knowledgeBase must be an object" };
+  const kb = {};
+
+  for (const key of Object.keys(KNOWLEDGE_FIELDS)) {
+    const text = clean(value[key]);
+    if (!text) continue;
+    if (text.length > MAX_FIELD_LENGTH) return { error: `${key} must be ${MAX_FIELD_LENGTH} characters or fewer` };
+    kb[key] = text;
+  }
+
+  if (value.faq != null) {
+    if (!Array.isArray(value.faq)) return { error: "faq must be an array of { question, answer }" };
+    const faq = [];
+    for (const entry of value.faq) {
+      const question = clean(entry?.question);
+      const answer = clean(entry?.answer);
+      if (!question && !answer) continue;
+      if (!question || !answer) return { error: "Each FAQ entry needs both a question and an answer" };
+      if (question.length > MAX_FAQ_QUESTION_LENGTH) {
+        return { error: `FAQ questions must be ${MAX_FAQ_QUESTION_LENGTH} characters or fewer` };
+      }
+      if (answer.length > MAX_FAQ_ANSWER_LENGTH) return { error: `FAQ answers must be ${MAX_FAQ_ANSWER_LENGTH} characters or fewer` };
+      faq.push({ question, answer });
+    }
+    if (faq.length > MAX_FAQ_ENTRIES) return { error: `At most ${MAX_FAQ_ENTRIES} FAQ entries` };
+    if (faq.length) kb.faq = faq;
+  }
+
+  return { knowledgeBase: Object.keys(kb).length ? kb : null };
+}
+
+/**
+ * The "Business facts" block for the user prompt, or "" when there are none.
+ * @param {object|null} kb
+ */
+export function knowledgeBasePrompt(kb) {
+  if (!kb || typeof kb !== "object") return "";
+  const lines = [];
+  for (const [key, label] of Object.entries(KNOWLEDGE_FIELDS)) {
+    if (kb[key]) lines.push(`- ${label}: ${kb[key]}`);
+  }
+  for (const { question, answer } of Array.isArray(kb.faq) ? kb.faq : []) {
+    lines.push(`- Q: ${question} A: ${answer}`);
+  }
+  if (!lines.length) return "";
+  return `Business facts (use only where relevant to the review):\n${lines.join("\n")}`;
+}
@@ -0,0 +1,129 @@
+/**
+ * LLM providers behind one interface, picked by LLM_PROVIDER:
+ * - "anthropic" (default): Claude via @anthropic-ai/sdk. Needs ANTHROPIC_API_KEY;
+ *   ANTHROPIC_MODEL picks the model.
+ * - "stub": canned, deterministic text with no network calls, for dev, tests and
+ *   demos. The same prompt always gets the same output. LLM_STUB_ECHO=1 makes
+ *   replies repeat the review too, like a model that does whatever the review
+ *   says, so tests can check what the guardrails catch.
+ *
+ * A provider is { name, isConfigured(), model(), complete({ system, prompt, maxTokens, purpose }) }.
+ * complete resolves to { text, inputTokens, outputTokens }: the trimmed text
+ * ("" if the model returned none) and the tokens billed for the call (see
+ * aiUsage.js). purpose ("reply" | "campaign" | "one-off") only matters to the
+ * stub, which needs to answer in the shape the caller parses. Adding a
+ * provider means adding an entry to PROVIDERS.
+ */
+
+const DEFAULT_ANTHROPIC_MODEL = "claude-sonnet-4-6";
+
+const anthropicProvider = {
+  name: "anthropic",
+  isConfigured() {
+    return Boolean(process.env.ANTHROPIC_API_KEY?.trim());
+  },
+  model() {
+    return process.env.ANTHROPIC_MODEL?.trim() || DEFAULT_ANTHROPIC_MODEL;
+  },
+  async complete({ system, prompt, maxTokens }) {
+    const apiKey = process.env.ANTHROPIC_API_KEY?.trim();
+    if (!apiKey) throw new Error("ANTHROPIC_API_KEY is not set");
+    const Anthropic = (await import("@anthropic-ai/sdk")).default;
+    const client = new Anthropic({ apiKey });
+    const message = await client.messages.create({
+      model: this.model(),
+      max_tokens: maxTokens,
+      system,
+      messages: [{ role: "user", content: prompt }]
+    });
+    const text =
+      message.content
+        ?.filter((block) => block.type === "text")
+        ?.map((block) => block.text)
+        ?.join("")
+        ?.trim() || "";
+    return {
+      text,
+      inputTokens: message.usage?.input_tokens || 0,
+      outputTokens: message.usage?.output_tokens || 0
+    };
+  }
+};
+
+// Neutral enough for any star rating; the stub doesn't read the review.
+const STUB_TEXT = {
+  reply: [
+    "Thank you for taking the time to share your feedback. We appreciate it and hope to see you again soon.",
+    "Thanks so much for your review. Your comments help our team, and we look forward to your next visit.",
+    "We appreciate you letting us know about your visit. Thank you, and we hope to welcome you back soon."
+  ],
+  campaign: [
+    "Happy birthday, {{first_name}}! Celebrate with {{offer}} on us. We hope to see you soon.",
+    "Hi {{first_name}}, enjoy {{offer}} this week as our thank-you. See you soon!"
+  ],
+  "one-off": [
+    "SUBJECT: Something new for you\nBODY: Hi {{first_name}}, we have news we think you'll love. Stop by soon to see what's new!",
+    "SUBJECT: A little announcement\nBODY: Hi {{first_name}}, thanks for being with us. We've got something special coming up, so come say hi!"
+  ]
+};
+
+// FNV-1a: a stable, dependency-free way to pick a variant from the prompt.
+function hashString(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+const stubProvider = {
+  name: "stub",
+  isConfigured() {
+    return true;
+  },
+  model() {
+    return "stub";
+  },
+  async complete({ system = "", prompt = "", purpose = "reply" }) {
+    const variants = STUB_TEXT[purpose] || STUB_TEXT.reply;
+    const text = variants[hashString(`${system}\n${prompt}`) % variants.length];
+    // Low-star reply prompts carry the contact, which the guardrails require.
+    // Looked for outside the <review> block, which a reviewer could fill with a fake one.
+    const trusted = prompt.replace(/<review>[\s\S]*?<\/review>/g, "");
+    const contact = purpose === "reply" && trusted.match(/^Contact for the customer to reach out: (.+)$/m)?.[1];
+    let reply = contact ? `${text} Please reach out to us at ${contact.trim()}.` : text;
+    const review = purpose === "reply" && process.env.LLM_STUB_ECHO === "1" && prompt.match(/<review>\n([\s\S]*?)\n<\/review>/)?.[1];
+    if (review) reply = `${reply} ${review}`;
+    // Roughly four characters a token, so usage accounting has numbers to show.
+    return {
+      text: reply,
+      inputTokens: Math.ceil((system.length + prompt.length) / 4),
+      outputTokens: Math.ceil(reply.length / 4)
+    };
+  }
+};
+
+const PROVIDERS = {
+  anthropic: anthropicProvider,
+  stub: stubProvider
+};
+
+export const LLM_PROVIDERS = Object.keys(PROVIDERS);
+
+/** The provider named by LLM_PROVIDER (default "anthropic"). Throws on an unknown name. */
+export function getLlmProvider() {
+  const name = (process.env.LLM_PROVIDER || "").trim().toLowerCase() || "anthropic";
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown LLM_PROVIDER "${name}"; use one of: ${LLM_PROVIDERS.join(", ")}`);
+  return provider;
+}
+
+/** True if replies can be generated: a known provider that has what it needs (e.g. an API key). */
+export function isLlmConfigured() {
+  try {
+    return getLlmProvider().isConfigured();
+  } catch {
+    return false;
+  }
+}
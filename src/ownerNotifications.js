@@ -0,0 +1,118 @@
+/**
+ * Pure helpers for owner notifications: an instant alert when a new low-star
+ * review lands, and a daily or weekly digest of new reviews and the replies
+ * Replyr posted.
+ *
+ * negativeAlertMaxRating is the highest star rating that triggers an alert
+ * (2 = 1–2 stars); null turns alerts off. Only reviews posted in the last
+ * NEW_REVIEW_ALERT_HOURS count as new, so switching alerts on doesn't send one
+ * per old review.
+ *
+ * Digests go out at DIGEST_HOUR in the business's time zone: every day, or on
+ * Mondays for weekly (or later in the week if Monday's was missed).
+ */
+
+export const NEGATIVE_ALERT_RATINGS = [1, 2, 3];
+export const DEFAULT_NEGATIVE_ALERT_MAX_RATING = 2;
+export const NEW_REVIEW_ALERT_HOURS = 48;
+export const DIGEST_FREQUENCIES = ["daily", "weekly"];
+export const DIGEST_HOUR = 8;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+/** True when value is a valid alert threshold (1–3 stars). */
+export function isValidNegativeAlertMaxRating(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && NEGATIVE_ALERT_RATINGS.includes(n);
+}
+
+/** "daily", "weekly", or null (off) for anything else. */
+export function normalizeDigestFrequency(value) {
+  const v = String(value || "").trim().toLowerCase();
+  return DIGEST_FREQUENCIES.includes(v) ? v : null;
+}
+
+/**
+ * True if this review should trigger a new-negative-review alert: rated at or
+ * below maxRating and posted recently. The caller dedupes alerts already sent.
+ * @param {{ rating: number|null, createTime?: string|null }} review
+ * @param {{ maxRating: number|null, now?: Date }} opts
+ */
+export function isAlertableReview(review, { maxRating, now = new Date() }) {
+  if (!maxRating || review.rating == null || review.rating > maxRating) return false;
+  const created = toTime(review.createTime);
+  return created != null && now.getTime() - created <= NEW_REVIEW_ALERT_HOURS * HOUR_MS;
+}
+
+/**
+ * Is a digest due now? Sent at most once per local day, after DIGEST_HOUR;
+ * weekly ones on Monday, or any later day once a week has passed.
+ * @param {{ frequency: string|null, lastSentAt?: string|null, timeZone: string, now?: Date }} opts
+ */
+export function isDigestDue({ frequency, lastSentAt = null, timeZone, now = new Date() }) {
+  const freq = normalizeDigestFrequency(frequency);
+  if (!freq) return false;
+  const local = localParts(now, timeZone);
+  if (local.hour < DIGEST_HOUR) return false;
+  const last = toTime(lastSentAt);
+  if (last != null && localParts(new Date(last), timeZone).date === local.date) return false;
+  if (freq === "daily") return true;
+  if (local.weekday === "Mon") return true;
+  return last != null && now.getTime() - last >= 7 * DAY_MS;
+}
+
+/** Start of the period a digest covers: the last one sent, or one period back. */
+export function digestPeriodStart({ frequency, lastSentAt = null, now = new Date() }) {
+  const last = toTime(lastSentAt);
+  if (last != null) return new Date(last);
+  return new Date(now.getTime() - (PERIOD_DAYS[normalizeDigestFrequency(frequency)] || 1) * DAY_MS);
+}
+
+/**
+ * Summarize a digest period.
+ * @param {{ rating: number|null, createTime?: string|null }[]} reviews - reviews posted in the period
+ * @param {{ source?: string }[]} replies - replies posted in the period
+ * @returns {{ reviewCount: number, averageRating: number|null, byRating: Record<number, number>, replyCount: number, autoReplyCount: number, lowStarCount: number }}
+ */
+export function summarizeDigest(reviews, replies) {
+  const byRating = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let rated = 0;
+  for (const r of reviews) {
+    if (r.rating >= 1 && r.rating <= 5) {
+      byRating[r.rating] += 1;
+      total += r.rating;
+      rated += 1;
+    }
+  }
+  return {
+    reviewCount: reviews.length,
+    averageRating: rated ? Math.round((total / rated) * 10) / 10 : null,
+    byRating,
+    replyCount: replies.length,
+    autoReplyCount: replies.filter((r) => r.source === "auto" || r.source === "queued").length,
+    lowStarCount: byRating[1] + byRating[2]
+  };
+}
+
+function localParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    weekday: "short",
+    hourCycle: "h23"
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type)?.value || "";
+  return { date: `${get("year")}-${get("month")}-${get("day")}`, hour: Number(get("hour")), weekday: get("weekday") };
+}
+
+function toTime(value) {
+  if (!value) return null;
+  const t = new Date(value).getTime();
+  return Number.isNaN(t) ? null : t;
+}
@@ -0,0 +1,110 @@
+/**
+ * Pure helpers for per-business posting windows and reply jitter.
+ *
+ * A business can limit when replies go live to a daily window in its own time
+ * zone (e.g. 08:00–20:00 America/Chicago); windows may wrap past midnight
+ * (22:00–06:00). Replies generated outside the window are queued in
+ * pending_replies with send_after at the next opening. Optional jitter adds a
+ * random 0..N minute delay so replies don't all land on the scheduler tick.
+ *
+ * Times are wall-clock in the business's zone. An opening on the far side of
+ * a DST change is corrected for the shift (see nextWindowOpening).
+ */
+
+export const DEFAULT_TIME_ZONE = "America/Los_Angeles";
+export const MAX_JITTER_MINUTES = 120;
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+/** True for "HH:MM" (24-hour). */
+export function isValidTimeOfDay(value) {
+  return typeof value === "string" && TIME_RE.test(value);
+}
+
+/** True for an IANA zone this runtime knows (e.g. "Europe/Berlin"). */
+export function isValidTimeZone(value) {
+  if (typeof value !== "string" || !value.trim()) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** True for a whole number of minutes in [0, MAX_JITTER_MINUTES]. */
+export function isValidJitterMinutes(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 && n <= MAX_JITTER_MINUTES;
+}
+
+/**
+ * The business's window, or null when it posts at any time (no start/end, or
+ * a zero-length window).
+ * @param {{ postingWindowStart?: string|null, postingWindowEnd?: string|null, timeZone?: string|null }} business
+ * @returns {{ start: number, end: number, timeZone: string }|null} start/end in minutes after midnight
+ */
+export function resolvePostingWindow(business) {
+  const { postingWindowStart, postingWindowEnd, timeZone } = business || {};
+  if (!isValidTimeOfDay(postingWindowStart) || !isValidTimeOfDay(postingWindowEnd)) return null;
+  const start = toMinutes(postingWindowStart);
+  const end = toMinutes(postingWindowEnd);
+  if (start === end) return null;
+  return { start, end, timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE };
+}
+
+/** Minutes after local midnight in timeZone. */
+export function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+  return get("hour") * 60 + get("minute");
+}
+
+/** True when date falls inside the window (start inclusive, end exclusive). No window = always. */
+export function isWithinPostingWindow(window, date = new Date()) {
+  if (!window) return true;
+  const t = localMinutes(date, window.timeZone);
+  if (window.start < window.end) return t >= window.start && t < window.end;
+  return t >= window.start || t < window.end;
+}
+
+/** The next time the window opens at or after date (date itself when already inside). */
+export function nextWindowOpening(window, date = new Date()) {
+  if (!window || isWithinPostingWindow(window, date)) return date;
+  const delta = (window.start - localMinutes(date, window.timeZone) + DAY_MINUTES) % DAY_MINUTES;
+  const wholeMinute = date.getTime() - (date.getTime() % MINUTE_MS);
+  let opening = new Date(wholeMinute + delta * MINUTE_MS);
+  // Crossing a DST change shifts local time by the offset difference; correct once.
+  const drift = localMinutes(opening, window.timeZone) - window.start;
+  if (drift !== 0 && Math.abs(drift) < DAY_MINUTES / 2) opening = new Date(opening.getTime() - drift * MINUTE_MS);
+  return opening;
+}
+
+/**
+ * When a reply that is ready at `from` should post: from itself, or the next
+ * window opening, plus up to jitterMinutes of random delay. Jitter never
+ * pushes a reply past the end of the window it was placed in.
+ * @param {{ start: number, end: number, timeZone: string }|null} window
+ * @param {Date} from
+ * @param {{ jitterMinutes?: number, random?: () => number }} [opts]
+ * @returns {Date}
+ */
+export function computePostAt(window, from, opts = {}) {
+  const { jitterMinutes = 0, random = Math.random } = opts;
+  const base = nextWindowOpening(window, from);
+  const jitterMs = Math.round(Math.max(0, Number(jitterMinutes) || 0) * MINUTE_MS * random());
+  const withJitter = new Date(base.getTime() + jitterMs);
+  return isWithinPostingWindow(window, withJitter) ? withJitter : base;
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
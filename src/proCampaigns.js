@@ -144,6 +144,12 @@ function parseBirthday(birthday) {
   return null;
 }
 
+/** YYYY-MM-DD in server-local time (same clock as isBirthdayToday). */
+function localDateKey(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
 /** Check if birthday (month, day) is today. */
 function isBirthdayToday(month, day) {
   const t = new Date();
@@ -216,6 +222,11 @@ function toSmsFriendly(longText, maxChars = 280) {
   return truncated.replace(/\s+$/, "") + "…";
 }
 
+/** Same person across CSV re-uploads (contact ids change on each upload). */
+function birthdayContactKey(contact) {
+  return contact.email ? `email:${contact.email.toLowerCase()}` : `phone:${contact.phone}`;
+}
+
 /** Send birthday emails for one business (called by scheduler). Optional asOfDate (YYYY-MM-DD) for testing. */
 export async function sendBirthdayCampaignsForAccount(accountId, logger = console, asOfDate = null) {
   if (!db.useDb()) return { sent: 0 };
@@ -233,7 +244,12 @@ export async function sendBirthdayCampaignsForAccount(accountId, logger = consol
   let sent = 0;
   const sendEmail = settings.sendEmail !== false;
   const sendSms = settings.sendSms !== false && isCampaignSmsFeatureEnabled();
+  const runDate = localDateKey(new Date());
   for (const c of birthdayContacts) {
+    // Scheduler runs hourly on every replica: each contact is claimed for the
+    // day just before sending, so it gets one greeting even if a run stops
+    // partway. (Test runs with an explicit asOfDate are not recorded.)
+    if (!asOfDate && !(await db.claimProBirthdaySend(accountId, birthdayContactKey(c), runDate))) continue;
     try {
       const body = personalizeBirthdayMessage(settings.messageText, settings.offerText, c.firstName);
       if (sendEmail && c.email) {
@@ -268,9 +284,20 @@ export async function sendBirthdayCampaignsForAccount(accountId, logger = consol
   return { sent };
 }
 
-/** Send event campaign for one business (called by scheduler when send_date is today). */
+/**
+ * Send event campaign for one business (called by scheduler when send_date is today).
+ * Holds an advisory lock per campaign; sent_at is re-checked under it, so a
+ * second replica finds the campaign already sent (or skips while it's sending).
+ */
 export async function sendEventCampaignForAccount(accountId, eventKey, eventYear, logger = console) {
   if (!db.useDb()) return { sent: 0 };
+  const { acquired, result } = await db.withAdvisoryLock(`campaign:event:${accountId}:${eventKey}:${eventYear}`, () =>
+    sendEventCampaignLocked(accountId, eventKey, eventYear, logger)
+  );
+  return acquired ? result : { sent: 0 };
+}
+
+async function sendEventCampaignLocked(accountId, eventKey, eventYear, logger) {
   const campaign = await db.getProEventCampaign(accountId, eventKey, eventYear);
   if (!campaign || campaign.status !== "confirmed" || campaign.sentAt) return { sent: 0 };
   const business = await getBusiness(accountId);
@@ -393,6 +420,15 @@ export async function sendProEventCampaignTest(accountId, eventKey, eventYear, o
 
 /** Send one-off campaign (called by scheduler). campaignRow may include send_email, send_sms. */
 export async function sendOneOffCampaign(id, accountId, subject, body, logger = console, campaignRow = {}) {
+  const { acquired, result } = await db.withAdvisoryLock(`campaign:oneoff:${id}`, async () => {
+    // The due list may be stale: another replica could have sent it since.
+    if ((await db.getProOneOffCampaignStatus(id)) !== "scheduled") return { sent: 0 };
+    return await sendOneOffCampaignLocked(id, accountId, subject, body, logger, campaignRow);
+  });
+  return acquired ? result : { sent: 0 };
+}
+
+async function sendOneOffCampaignLocked(id, accountId, subject, body, logger, campaignRow) {
   const business = await getBusiness(accountId);
   if (!business?.isPro) return { sent: 0 };
   const contacts = await db.getProContactsForSending(accountId);
@@ -0,0 +1,87 @@
+/**
+ * Pure helpers for keeping review text from steering the model. Reviews are
+ * written by strangers, so:
+ * - untrustedBlock puts the text between tags the system prompt tells the
+ *   model to treat as data, with any look-alike tags inside defused.
+ * - reviewerFirstName reduces the display name (also stranger-supplied) to
+ *   one plain word.
+ * - detectPromptInjection flags reviews that read like instructions to an AI;
+ *   those are held for the owner instead of getting an AI reply. It (and the
+ *   escalation rules) must see every text of the review the model can see:
+ *   reviewTextsToCheck.
+ */
+
+import { originalReviewText } from "./replyLanguage.js";
+
+export const PROMPT_INJECTION_RULE_NAME = "Possible prompt injection";
+
+const MAX_FIRST_NAME_LENGTH = 40;
+
+const INJECTION_PATTERNS = [
+  /\b(?:ignore|disregard|forget|override|bypass)\s+(?:all\s+|any\s+|the\s+|your\s+|of\s+)*(?:previous\s+|prior\s+|above\s+|earlier\s+|preceding\s+|original\s+|system\s+)?(?:instructions?|rules|prompts?|guidelines|directions|programming)\b/i,
+  /\b(?:system|developer)\s+(?:prompt|message|mode)\b/i,
+  /\b(?:you\s+are\s+now|from\s+now\s+on\s+you|pretend\s+(?:to\s+be|you\s+are)|act\s+as\s+(?:an?\s+)?(?:ai|assistant|chatbot|bot|language\s+model))\b/i,
+  /\b(?:dear|hey|hi|attention|note\s+to(?:\s+the)?)\s+(?:ai|chatgpt|gpt|claude|assistant|bot|chatbot|language\s+model|llm)\b/i,
+  /\bif\s+you(?:\s+are|'re)\s+an?\s+(?:ai|bot|chatbot|assistant|language\s+model|llm)\b/i,
+  /\b(?:new|updated|real)\s+instructions\b|\b(?:new|updated|real)\s+(?:rules|task)\s*:/i,
+  /\bend\s+of\s+(?:review|prompt|instructions)\b/i,
+  /\bin\s+your\s+(?:reply|response|answer)\b|\byour\s+(?:reply|response|answer)\s+(?:must|should|will|has\s+to)\b/i,
+  /\b(?:reply|respond|answer)\s+(?:only\s+)?with\s+(?:the\s+)?(?:word|words|phrase|text|following)\b/i,
+  /\b(?:include|post|give|offer|write)\s+(?:a|an|the|this|my|me\s+a)\s+(?:discount|promo|coupon|voucher|refund)\s+(?:code|link)\b/i,
+  /<\s*\/?\s*(?:system|assistant|user|instructions?|prompt|review)\s*>|\[\/?\s*(?:system|inst|instructions?)\s*\]|^\s*(?:system|assistant)\s*:|#{2,}\s*(?:instructions?|system)\b/im
+];
+
+/**
+ * Why the text looks like it is addressed to the AI rather than the business,
+ * in the same shape as matchEscalationRules, or null.
+ * @param {string|null|undefined} text
+ * @returns {{ rule: string, reason: string } | null}
+ */
+export function detectPromptInjection(text) {
+  const s = String(text || "");
+  for (const pattern of INJECTION_PATTERNS) {
+    const hit = s.match(pattern);
+    if (hit) {
+      return { rule: PROMPT_INJECTION_RULE_NAME, reason: `reads like instructions to the AI ("${hit[0].trim().slice(0, 60)}")` };
+    }
+  }
+  return null;
+}
+
+/**
+ * The review's comment plus, when it differs, the original-language text the
+ * reply prompt is built from (see originalReviewText), which Google can send
+ * separately. The comment is always first, "" when there is none.
+ * @returns {string[]}
+ */
+export function reviewTextsToCheck(review) {
+  const comment = String(review?.comment || "");
+  const original = originalReviewText(review).text;
+  return original && original !== comment ? [comment, original] : [comment];
+}
+
+/** detectPromptInjection over every text in reviewTextsToCheck. */
+export function detectPromptInjectionInReview(review) {
+  for (const text of reviewTextsToCheck(review)) {
+    const match = detectPromptInjection(text);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Text wrapped in <tag>…</tag>. Tags inside the text that could close the block
+ * or open a fake one have their angle brackets swapped for look-alikes.
+ */
+export function untrustedBlock(tag, text) {
+  const defused = String(text ?? "").replace(/<\s*(\/?\s*[a-z_-]+\s*)>/gi, "‹$1›");
+  return `<${tag}>\n${defused}\n</${tag}>`;
+}
+
+/** First word of a display name, letters only; null when there's nothing usable (or "A Google User"). */
+export function reviewerFirstName(displayName) {
+  const name = String(displayName || "").trim();
+  if (!name || /google user/i.test(name)) return null;
+  const first = name.split(/\s+/)[0].replace(/[^\p{L}\p{M}'’-]/gu, "").slice(0, MAX_FIRST_NAME_LENGTH);
+  return first || null;
+}
@@ -0,0 +1,119 @@
+/**
+ * Pure helpers for the per-business backlog policy: what auto-reply does with
+ * reviews that were already waiting when the owner switched it on.
+ *
+ * "all": reply to every one (the old behavior, and the default).
+ * "recent": only backlog reviews posted within backlogDays before auto-reply
+ * was turned on.
+ * "throttled": work through the backlog a few reviews per run
+ * (AUTO_REPLY_BACKLOG_BATCH_SIZE, newest first) so years of reviews don't all
+ * get an answer in the same minute.
+ * "skip": ignore the backlog entirely.
+ *
+ * Reviews posted after auto_reply_enabled_at are never backlog and always get a
+ * reply. Businesses enabled before that timestamp was recorded have no backlog.
+ */
+
+export const BACKLOG_POLICIES = ["all", "recent", "throttled", "skip"];
+export const DEFAULT_BACKLOG_POLICY = "all";
+export const DEFAULT_BACKLOG_DAYS = 30;
+export const MAX_BACKLOG_DAYS = 365;
+export const DEFAULT_BACKLOG_BATCH_SIZE = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Business policy, or AUTO_REPLY_BACKLOG_POLICY, or "all". */
+export function normalizeBacklogPolicy(value, env = process.env) {
+  const v = String(value || "").trim().toLowerCase();
+  if (BACKLOG_POLICIES.includes(v)) return v;
+  const fallback = String(env.AUTO_REPLY_BACKLOG_POLICY || "").trim().toLowerCase();
+  return BACKLOG_POLICIES.includes(fallback) ? fallback : DEFAULT_BACKLOG_POLICY;
+}
+
+/** True when value is a whole number of days in [1, MAX_BACKLOG_DAYS]. Used to validate PATCH input. */
+export function isValidBacklogDays(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= MAX_BACKLOG_DAYS;
+}
+
+export function normalizeBacklogDays(value) {
+  return isValidBacklogDays(value) ? Number(value) : DEFAULT_BACKLOG_DAYS;
+}
+
+/** Backlog reviews replied to per run in "throttled" mode (AUTO_REPLY_BACKLOG_BATCH_SIZE, default 5, max 50). */
+export function getBacklogBatchSize(env = process.env) {
+  const n = Number(env.AUTO_REPLY_BACKLOG_BATCH_SIZE);
+  if (!Number.isFinite(n) || n < 1) return DEFAULT_BACKLOG_BATCH_SIZE;
+  return Math.min(50, Math.floor(n));
+}
+
+/**
+ * True if the review was posted before auto-reply was turned on. A review with
+ * no createTime counts as backlog; with no enabledAt nothing does.
+ */
+export function isBacklogReview(review, enabledAt) {
+  const enabled = toTime(enabledAt);
+  if (enabled == null) return false;
+  const created = toTime(review?.createTime);
+  return created == null || created < enabled;
+}
+
+/**
+ * Filter reviews that need a reply down to what the policy allows this run.
+ * Order is kept for new reviews; throttled backlog is taken newest first.
+ * @param {object[]} reviews - Google reviews (createTime)
+ * @param {{ policy?: string, days?: number, enabledAt?: string|null, batchSize?: number, env?: object }} opts
+ */
+export function applyBacklogPolicy(reviews, opts = {}) {
+  const { enabledAt = null, env = process.env } = opts;
+  const policy = normalizeBacklogPolicy(opts.policy, env);
+  if (policy === "all" || toTime(enabledAt) == null) return reviews;
+  const fresh = [];
+  const backlog = [];
+  for (const r of reviews) (isBacklogReview(r, enabledAt) ? backlog : fresh).push(r);
+  return [...fresh, ...selectBacklog(backlog, policy, { ...opts, env })];
+}
+
+/**
+ * How many backlog reviews each policy would reply to, for the settings
+ * preview. enabledAt defaults to now (auto-reply not switched on yet, so every
+ * waiting review is backlog).
+ * @returns {{ backlog: number, all: number, recent: number, throttled: { perRun: number, runs: number }, skip: number, days: number }}
+ */
+export function previewBacklogPolicies(reviews, opts = {}) {
+  const { env = process.env } = opts;
+  const enabledAt = opts.enabledAt || new Date().toISOString();
+  const backlog = reviews.filter((r) => isBacklogReview(r, enabledAt));
+  const days = normalizeBacklogDays(opts.days);
+  const perRun = opts.batchSize ?? getBacklogBatchSize(env);
+  return {
+    backlog: backlog.length,
+    all: backlog.length,
+    recent: selectBacklog(backlog, "recent", { days, enabledAt }).length,
+    throttled: { perRun, runs: Math.ceil(backlog.length / perRun) },
+    skip: 0,
+    days
+  };
+}
+
+function selectBacklog(backlog, policy, { days, enabledAt, batchSize, env = process.env }) {
+  if (policy === "skip") return [];
+  if (policy === "recent") {
+    const cutoff = toTime(enabledAt) - normalizeBacklogDays(days) * DAY_MS;
+    return backlog.filter((r) => {
+      const created = toTime(r.createTime);
+      return created != null && created >= cutoff;
+    });
+  }
+  if (policy === "throttled") {
+    const newestFirst = [...backlog].sort((a, b) => (toTime(b.createTime) ?? 0) - (toTime(a.createTime) ?? 0));
+    return newestFirst.slice(0, batchSize ?? getBacklogBatchSize(env));
+  }
+  return backlog;
+}
+
+function toTime(value) {
+  if (!value) return null;
+  const t = new Date(value).getTime();
+  return Number.isNaN(t) ? null : t;
+}
@@ -5,11 +5,17 @@
  * "delayed" mode: low-star replies (<= AUTO_REPLY_DELAY_MAX_STAR) are queued
  * and emailed to the business with a cancel link. High-star replies still
  * post instantly so a happy customer's "Thanks!" never gets stuck waiting.
+ * "approval" mode: every reply is queued with no deadline and posts only once
+ * the owner approves it (preview email or /connected). For businesses that
+ * can't let anything go out without sign-off.
+ *
+ * In both queued modes the email also links to an edit page (edit token) where
+ * the owner can rewrite the reply before it posts, or post it straight away.
  */
 
 import crypto from "crypto";
 
-export const VALID_MODES = ["instant", "delayed"];
+export const VALID_MODES = ["instant", "delayed", "approval"];
 export const DEFAULT_MODE = "instant";
 
 /** Max stars that get delayed when mode is "delayed". 1-3 = negative-ish; 4-5 still post instantly. */
@@ -38,15 +44,18 @@ export function getDelayMinutes(env = process.env) {
 /**
  * Decide whether a generated reply should be queued or posted immediately.
  * @param {object} args
- * @param {string} args.mode             — business's autoReplyMode ("instant" | "delayed")
+ * @param {string} args.mode             — business's autoReplyMode ("instant" | "delayed" | "approval")
  * @param {number|null} args.rating      — 1-5, or null if unknown
  * @param {boolean} args.businessHasEmail — false disables delayed (we can't notify them)
  * @param {boolean} args.resendConfigured — false disables delayed (we can't send the email)
  * @param {object} [args.env]            — defaults to process.env (for testability)
- * @returns {"instant"|"delayed"}
+ * @returns {"instant"|"delayed"|"approval"}
  */
 export function shouldDelayReply({ mode, rating, businessHasEmail, resendConfigured, env }) {
-  if (normalizeMode(mode) !== "delayed") return "instant";
+  const normalized = normalizeMode(mode);
+  // Approval never falls back to instant: without email the owner approves on /connected.
+  if (normalized === "approval") return "approval";
+  if (normalized !== "delayed") return "instant";
   if (!businessHasEmail || !resendConfigured) return "instant";
   if (rating == null) return "instant";
   const maxStar = getDelayMaxStar(env);
@@ -59,23 +68,74 @@ export function shouldDelayReply({ mode, rating, businessHasEmail, resendConfigu
  */
 export function createCancelToken(accountId, locationId, reviewId, secret) {
   if (!secret) throw new Error("createCancelToken: secret is required");
-  const payload = `cancel|${accountId}|${locationId}|${reviewId}`;
-  const sig = crypto.createHmac("sha256", secret).update(payload).digest("base64url");
-  return Buffer.from(`${payload}|${sig}`, "utf8").toString("base64url");
+  return signReviewToken("cancel", accountId, locationId, reviewId, secret);
 }
 
 /**
  * @returns {{ accountId: string, locationId: string, reviewId: string }|null}
  */
 export function verifyCancelToken(token, secret) {
+  return verifyReviewToken("cancel", token, secret);
+}
+
+/** Sign an approve token (approval mode). Same binding as the cancel token, different action. */
+export function createApproveToken(accountId, locationId, reviewId, secret) {
+  if (!secret) throw new Error("createApproveToken: secret is required");
+  return signReviewToken("approve", accountId, locationId, reviewId, secret);
+}
+
+/**
+ * @returns {{ accountId: string, locationId: string, reviewId: string }|null}
+ */
+export function verifyApproveToken(token, secret) {
+  return verifyReviewToken("approve", token, secret);
+}
+
+/**
+ * Sign an edit token: opens the page where the owner rewrites a queued reply
+ * (and can post it now). Same binding as the cancel token, different action.
+ */
+export function createEditToken(accountId, locationId, reviewId, secret) {
+  if (!secret) throw new Error("createEditToken: secret is required");
+  return signReviewToken("edit", accountId, locationId, reviewId, secret);
+}
+
+/**
+ * @returns {{ accountId: string, locationId: string, reviewId: string }|null}
+ */
+export function verifyEditToken(token, secret) {
+  return verifyReviewToken("edit", token, secret);
+}
+
+/** Google rejects replies over 4096 bytes; cap edits in characters to stay clear of it. */
+export const MAX_EDITED_REPLY_CHARS = 4000;
+
+/**
+ * Clean up a reply the owner rewrote on the edit page. Normalizes line endings
+ * and trims; returns null when the result is empty or too long to post.
+ */
+export function normalizeEditedReply(value) {
+  if (typeof value !== "string") return null;
+  const text = value.replace(/\r\n?/g, "\n").trim();
+  if (!text || text.length > MAX_EDITED_REPLY_CHARS) return null;
+  return text;
+}
+
+function signReviewToken(action, accountId, locationId, reviewId, secret) {
+  const payload = `${action}|${accountId}|${locationId}|${reviewId}`;
+  const sig = crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+  return Buffer.from(`${payload}|${sig}`, "utf8").toString("base64url");
+}
+
+function verifyReviewToken(action, token, secret) {
   if (!token || !secret) return null;
   try {
     const decoded = Buffer.from(token, "base64url").toString("utf8");
     const parts = decoded.split("|");
-    if (parts.length !== 5 || parts[0] !== "cancel") return null;
+    if (parts.length !== 5 || parts[0] !== action) return null;
     const [, accountId, locationId, reviewId, sig] = parts;
     if (!accountId || !locationId || !reviewId || !sig) return null;
-    const payload = `cancel|${accountId}|${locationId}|${reviewId}`;
+    const payload = `${action}|${accountId}|${locationId}|${reviewId}`;
     const expected = crypto.createHmac("sha256", secret).update(payload).digest("base64url");
     if (!crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
     return { accountId, locationId, reviewId };
@@ -0,0 +1,140 @@
+/**
+ * Pure checks run on every AI reply before it is posted or queued.
+ *
+ * checkReply returns the rules a draft breaks (empty when it passes):
+ * - missing-contact: a 1–3 star reply must include the business contact (the
+ *   phone, email or web address in it; free-text contacts aren't checked).
+ * - promises-compensation: an offer to the reviewer of a refund, free item,
+ *   discount, voucher and the like. Stating a policy ("refunds within 30 days")
+ *   is fine; "we'll refund you" or "here's a voucher" isn't.
+ * - reviewer-pii: the reviewer's surname, or an email or phone number that isn't
+ *   the business's own (in the contact or the knowledge base).
+ * - markdown / hashtag: replies are plain text on Google.
+ * - echoes-instructions: prompt text or AI boilerplate leaking into the reply.
+ *
+ * The caller regenerates once with guardrailFeedback, then holds the reply
+ * for the owner with describeViolations as the recorded reason.
+ */
+
+import { knowledgeBasePrompt } from "./knowledgeBase.js";
+
+export const GUARDRAIL_RULE_NAME = "Reply safety check";
+
+const EMAIL_RE = /[^\s@<>()"',;:]+@[^\s@<>()"',;:]+\.[a-z]{2,}/gi;
+const PHONE_RE = /\+?\d[\d\s().-]{5,}\d/g;
+const URL_RE = /\b(?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|co|io|us|biz|info|shop|pro|app|site|store|ca|uk)\b(?:\/[^\s]*)?/gi;
+
+const COMPENSATION_RE =
+  /\b(?:refund(?:s|ed)?|reimburs\w*|compensat\w*|money back|gift cards?|vouchers?|store credit|coupons?|discount(?:s|ed)?|on the house|\d+\s?% off|free (?:meals?|drinks?|desserts?|appetizers?|entr[eé]es?|services?|visits?|nights?|items?|orders?|rounds?|coffees?|treatments?|sessions?|classes?|of charge))\b/i;
+
+// Always an offer, whatever the sentence around it.
+const STANDING_OFFER_RE =
+  /\b(?:on the house|\d+\s?% off|(?:coupon|discount|promo|voucher|gift) codes?|free (?:meals?|drinks?|desserts?|appetizers?|entr[eé]es?|services?|visits?|nights?|items?|orders?|rounds?|coffees?|treatments?|sessions?|classes?|of charge))\b/i;
+// Wording that turns a COMPENSATION_RE mention into an offer to the reviewer.
+const OFFER_CUE_RE =
+  /\b(?:(?:we|i)(?:'ll|'d| will| would| can| could| want to| (?:are|am) (?:happy|glad|going) to)|let us|here(?:'s| is| are)|enjoy|please accept|on us|(?:offer|give|send|owe|issue|grant|credit|refund|reimburs|compensat)\w* (?:you|me)|your (?:next|free))\b/i;
+const SENTENCE_SPLIT_RE = /(?<=[.!?])\s+|\n+/;
+
+const MARKDOWN_RE = /\*\*[^*\n]+\*\*|__[^_\n]+__|^\s{0,3}#{1,6}\s|^\s*[-*+•]\s+\S|\[[^\]\n]+\]\([^)\n]+\)|`/m;
+const HASHTAG_RE = /(?:^|\s)#[\p{L}\p{N}_]+/u;
+
+// The tags ai.js puts around the review (see promptInjection.js).
+const PROMPT_TAG_RE = /<\/?\s*review\s*>/i;
+const INSTRUCTION_ECHO_RE =
+  /\b(?:as an ai|language model|system prompt|my instructions|the rules above|reply as the business owner|output only the reply|here(?:'s| is) (?:a|the|my|your) (?:reply|response|draft)|star rating:|review text:|reviewer's first name|business facts|contact for the customer to reach out)\b/i;
+
+function digits(s) {
+  return String(s).replace(/\D/g, "");
+}
+
+function hostOf(url) {
+  return url.toLowerCase().replace(/^https?:\/\//, "").replace(/^www\./, "").replace(/[/?#].*$/, "");
+}
+
+/** The phones, emails and web hosts in a contact string. */
+export function contactTokens(contact) {
+  const text = String(contact || "");
+  const emails = (text.match(EMAIL_RE) || []).map((e) => e.toLowerCase());
+  const withoutEmails = text.replace(EMAIL_RE, " ");
+  const phones = (withoutEmails.match(PHONE_RE) || []).map(digits).filter((d) => d.length >= 7);
+  const hosts = (withoutEmails.match(URL_RE) || []).map(hostOf);
+  return { emails, phones, hosts };
+}
+
+function phoneMatches(a, b) {
+  return a.slice(-7) === b.slice(-7);
+}
+
+/** The compensation the reply offers the reviewer, or null. */
+function compensationOffer(reply) {
+  const standing = reply.match(STANDING_OFFER_RE);
+  if (standing) return standing[0];
+  for (const sentence of reply.split(SENTENCE_SPLIT_RE)) {
+    const mention = sentence.match(COMPENSATION_RE);
+    if (mention && OFFER_CUE_RE.test(sentence)) return mention[0];
+  }
+  return null;
+}
+
+/**
+ * Rules the reply breaks; [] when it passes.
+ * @param {string} text - the reply as it would be posted
+ * @param {{ rating?: number|null, contact?: string, reviewerName?: string|null, knowledgeBase?: object|null }} context
+ * @returns {{ code: string, message: string }[]}
+ */
+export function checkReply(text, { rating = null, contact = "", reviewerName = null, knowledgeBase = null } = {}) {
+  const reply = String(text || "");
+  const lower = reply.toLowerCase();
+  const business = contactTokens(contact);
+  // Phones, emails and sites from the knowledge base (e.g. a manager's number) are the business's too.
+  const known = contactTokens(knowledgeBasePrompt(knowledgeBase));
+  const owned = {
+    emails: [...business.emails, ...known.emails],
+    phones: [...business.phones, ...known.phones]
+  };
+  const found = contactTokens(reply);
+  const violations = [];
+
+  const hasContactTokens = business.emails.length || business.phones.length || business.hosts.length;
+  if (rating != null && rating <= 3 && hasContactTokens) {
+    const included =
+      business.emails.some((e) => lower.includes(e)) ||
+      business.phones.some((p) => found.phones.some((f) => phoneMatches(f, p))) ||
+      business.hosts.some((h) => lower.includes(h));
+    if (!included) violations.push({ code: "missing-contact", message: "A 1–3 star reply must include the business contact" });
+  }
+
+  const promise = compensationOffer(reply);
+  if (promise) violations.push({ code: "promises-compensation", message: `Offers compensation ("${promise}")` });
+
+  const foreignEmail = found.emails.find((e) => !owned.emails.includes(e));
+  const foreignPhone = found.phones.find((f) => !owned.phones.some((p) => phoneMatches(f, p)));
+  const surnames = String(reviewerName || "")
+    .split(/\s+/)
+    .slice(1)
+    .map((w) => w.replace(/[.,]/g, ""))
+    .filter((w) => w.length >= 2);
+  const surname = /google user/i.test(reviewerName || "")
+    ? null
+    : surnames.find((w) => new RegExp(`(^|[^\\p{L}])${w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}($|[^\\p{L}])`, "iu").test(reply));
+  if (foreignEmail || foreignPhone || surname) {
+    violations.push({ code: "reviewer-pii", message: "Includes the reviewer's personal details" });
+  }
+
+  if (MARKDOWN_RE.test(reply)) violations.push({ code: "markdown", message: "Uses markdown formatting" });
+  if (HASHTAG_RE.test(reply)) violations.push({ code: "hashtag", message: "Uses hashtags" });
+  if (INSTRUCTION_ECHO_RE.test(reply) || PROMPT_TAG_RE.test(reply)) {
+    violations.push({ code: "echoes-instructions", message: "Repeats instructions or AI boilerplate" });
+  }
+  return violations;
+}
+
+/** One line for the owner and the pending reply's hold reason. */
+export function describeViolations(violations) {
+  return violations.map((v) => v.message).join("; ");
+}
+
+/** Sentence added to the prompt when regenerating a draft that failed. */
+export function guardrailFeedback(violations) {
+  return `A previous draft was rejected: ${describeViolations(violations)}. Write a new reply that fixes this.`;
+}
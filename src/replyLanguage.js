@@ -0,0 +1,158 @@
+/**
+ * Pure helpers for replying in the reviewer's language.
+ *
+ * Google sends the review as written, or (for some reviews) its own
+ * translation with the original appended after "(Original)"; newer payloads
+ * may carry originalText with a languageCode instead. detectReviewLanguage
+ * works out the original language from those, or from the text itself (script
+ * first, then common words for Latin-script languages). The result is a code
+ * from REPLY_LANGUAGES, or null when it can't tell.
+ *
+ * Per business, replyLanguage (a code) always replies in that language;
+ * supportedLanguages limits replies to a list, falling back to its first entry
+ * for reviews in any other language. With neither set, and no detected
+ * language, the model is asked to match the review.
+ */
+
+export const REPLY_LANGUAGES = {
+  en: "English",
+  es: "Spanish",
+  vi: "Vietnamese",
+  zh: "Chinese",
+  fr: "French",
+  de: "German",
+  it: "Italian",
+  pt: "Portuguese",
+  tl: "Tagalog",
+  ja: "Japanese",
+  ko: "Korean",
+  th: "Thai",
+  ar: "Arabic",
+  ru: "Russian",
+  hi: "Hindi"
+};
+
+const SCRIPTS = [
+  ["ko", /\p{Script=Hangul}/gu],
+  ["ja", /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+  ["zh", /\p{Script=Han}/gu],
+  ["th", /\p{Script=Thai}/gu],
+  ["ar", /\p{Script=Arabic}/gu],
+  ["ru", /\p{Script=Cyrillic}/gu],
+  ["hi", /\p{Script=Devanagari}/gu]
+];
+
+// Letters (with tone marks) that only Vietnamese uses among the Latin-script languages here.
+const VIETNAMESE_RE = /[ăđơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/giu;
+
+const COMMON_WORDS = {
+  en: ["the", "and", "was", "is", "very", "great", "good", "food", "service", "we", "it", "to", "of", "with", "for", "this", "my", "but", "place", "staff", "amazing", "friendly", "best"],
+  es: ["el", "los", "las", "muy", "y", "es", "que", "con", "para", "por", "excelente", "bueno", "buena", "comida", "servicio", "lugar", "pero", "todo", "fue", "del", "rico", "atención"],
+  fr: ["le", "les", "et", "est", "très", "avec", "pour", "une", "c'est", "nous", "bon", "bonne", "accueil", "était", "mais", "pas", "tout", "délicieux"],
+  de: ["der", "die", "das", "und", "ist", "sehr", "mit", "nicht", "gut", "essen", "wir", "ich", "war", "lecker", "freundlich", "aber", "auch"],
+  pt: ["os", "muito", "é", "com", "não", "comida", "bom", "boa", "atendimento", "ótimo", "lugar", "mas", "foi", "tudo", "uma"],
+  it: ["il", "gli", "è", "molto", "con", "per", "non", "buono", "ottimo", "cibo", "servizio", "locale", "ma", "tutto", "della"],
+  tl: ["ang", "ng", "mga", "sa", "masarap", "po", "at", "na", "ako", "kami", "sobrang", "talaga"]
+};
+
+const LETTER_HINTS = [
+  ["es", /[ñ¿¡]/giu],
+  ["pt", /[ãõ]/giu],
+  ["de", /[ßäöü]/giu],
+  ["fr", /[çèêëîœ]/giu]
+];
+
+/** "es-419" -> "es", "zh-Hant" -> "zh"; null unless it's in REPLY_LANGUAGES. */
+export function normalizeLanguageCode(value) {
+  const code = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  return Object.hasOwn(REPLY_LANGUAGES, code) ? code : null;
+}
+
+/**
+ * The review as the customer wrote it, with Google's language code when the
+ * payload has one.
+ * @param {{ comment?: string|null, originalText?: string|{ text?: string, languageCode?: string }|null, languageCode?: string|null }} review
+ * @returns {{ text: string, languageCode: string|null }}
+ */
+export function originalReviewText(review) {
+  const original = review?.originalText;
+  if (original && typeof original === "object" && original.text) {
+    return { text: String(original.text), languageCode: normalizeLanguageCode(original.languageCode) };
+  }
+  if (typeof original === "string" && original.trim()) {
+    return { text: original, languageCode: normalizeLanguageCode(review?.languageCode) };
+  }
+  const comment = String(review?.comment || "");
+  const languageCode = normalizeLanguageCode(review?.languageCode);
+  const originalAt = comment.indexOf("(Original)");
+  if (originalAt !== -1) return { text: comment.slice(originalAt + "(Original)".length).trim(), languageCode };
+  const translatedAt = comment.indexOf("(Translated by Google)");
+  if (translatedAt > 0) return { text: comment.slice(0, translatedAt).trim(), languageCode };
+  return { text: comment.trim(), languageCode };
+}
+
+/** Best guess at the language of text, or null when it's too short or ambiguous. */
+export function detectLanguage(text) {
+  const s = String(text || "");
+  const letters = (s.match(/\p{L}/gu) || []).length;
+  if (!letters) return null;
+
+  let bestScript = null;
+  let bestCount = 0;
+  for (const [code, re] of SCRIPTS) {
+    const n = (s.match(re) || []).length;
+    if (n > bestCount) [bestScript, bestCount] = [code, n];
+  }
+  // Japanese mixes kana with Han; any real amount of kana means Japanese.
+  const kana = (s.match(SCRIPTS[1][1]) || []).length;
+  if (kana && kana / letters >= 0.1) return "ja";
+  if (bestScript && bestCount / letters >= 0.3) return bestScript;
+
+  if ((s.match(VIETNAMESE_RE) || []).length >= 2) return "vi";
+
+  const scores = Object.fromEntries(Object.keys(COMMON_WORDS).map((code) => [code, 0]));
+  const words = s.toLowerCase().match(/[\p{L}']+/gu) || [];
+  for (const [code, list] of Object.entries(COMMON_WORDS)) {
+    const set = new Set(list);
+    for (const w of words) if (set.has(w)) scores[code] += 1;
+  }
+  for (const [code, re] of LETTER_HINTS) scores[code] += (s.match(re) || []).length * 2;
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (!ranked[0][1] || ranked[0][1] === ranked[1][1]) return null;
+  return ranked[0][0];
+}
+
+/** Language the customer wrote the review in: Google's code when it sent one, else detected. */
+export function detectReviewLanguage(review) {
+  const { text, languageCode } = originalReviewText(review);
+  return languageCode || detectLanguage(text);
+}
+
+/**
+ * Language to reply in, or null to let the model match the review.
+ * @param {string|null} detected - from detectReviewLanguage
+ * @param {{ replyLanguage?: string|null, supportedLanguages?: string[]|null }} settings
+ */
+export function resolveReplyLanguage(detected, { replyLanguage = null, supportedLanguages = null } = {}) {
+  const fixed = normalizeLanguageCode(replyLanguage);
+  if (fixed) return fixed;
+  const list = (Array.isArray(supportedLanguages) ? supportedLanguages : []).map(normalizeLanguageCode).filter(Boolean);
+  if (!list.length) return detected || null;
+  return detected && list.includes(detected) ? detected : list[0];
+}
+
+/**
+ * Validate supportedLanguages from a PATCH body. Empty means no limit (null).
+ * @returns {{ languages: string[]|null } | { error: string }}
+ */
+export function parseSupportedLanguages(value) {
+  if (value == null) return { languages: null };
+  if (!Array.isArray(value)) return { error: "supportedLanguages must be an array of language codes" };
+  const languages = [];
+  for (const raw of value) {
+    const code = normalizeLanguageCode(raw);
+    if (!code) return { error: `Unsupported language: ${String(raw)}. Use one of: ${Object.keys(REPLY_LANGUAGES).join(", ")}` };
+    if (!languages.includes(code)) languages.push(code);
+  }
+  return { languages: languages.length ? languages : null };
+}
@@ -1,9 +1,13 @@
 /**
  * "Reply ready" email: sent when a reply is queued in delayed mode.
- * Includes a cancel link signed with the session secret.
+ * Includes a cancel link signed with the session secret. In approval mode the
+ * same email asks the owner to approve (or discard) instead. Both carry an
+ * edit link for rewriting the reply before it posts, and list the other
+ * drafts with a link to use each instead (see replyVariants.js).
  */
 
-import { createCancelToken } from "./replyDelay.js";
+import { createCancelToken, createApproveToken, createEditToken } from "./replyDelay.js";
+import { getReplyVariant } from "./replyVariants.js";
 
 const FROM_EMAIL = process.env.ALERT_FROM_EMAIL?.trim() || "Replyr <onboarding@resend.dev>";
 function baseUrl() {
@@ -36,7 +40,12 @@ function escapeHtml(s) {
  * @param {string|null} args.reviewerName
  * @param {string|null} args.reviewComment
  * @param {string} args.generatedReply
- * @param {string} args.sendAfterIso
+ * @param {{ variant: string, text: string }[]} [args.candidates] - all drafts, generatedReply first
+ * @param {string|null} args.sendAfterIso - null in approval mode
+ * @param {boolean} [args.awaitingApproval] - approval mode: nothing posts until approved
+ * @param {boolean} [args.replacesEarlierReply] - the customer edited the review; this reply replaces ours
+ * @param {string|null} [args.holdReason] - the reply failed the guardrails; why it needs a look
+ * @param {string|null} [args.timeZone] - business time zone for the send time (default Pacific)
  */
 export async function sendReplyPreviewEmail(args) {
   const apiKey = (process.env.RESEND_API_KEY || "").trim();
@@ -46,33 +55,72 @@ export async function sendReplyPreviewEmail(args) {
 
   const token = createCancelToken(args.accountId, args.locationId, args.reviewId, secret);
   const cancelUrl = `${baseUrl()}/auto-reply/cancel?token=${encodeURIComponent(token)}`;
+  const approveUrl = args.awaitingApproval
+    ? `${baseUrl()}/auto-reply/approve?token=${encodeURIComponent(createApproveToken(args.accountId, args.locationId, args.reviewId, secret))}`
+    : null;
+  const editUrl = `${baseUrl()}/auto-reply/edit?token=${encodeURIComponent(createEditToken(args.accountId, args.locationId, args.reviewId, secret))}`;
+
+  // The other drafts; "Use this one" opens the edit page with that draft filled in.
+  const alternatives = (args.candidates || []).slice(1).map((c) => ({
+    label: getReplyVariant(c.variant)?.label || c.variant,
+    text: c.text,
+    url: `${editUrl}&variant=${encodeURIComponent(c.variant)}`
+  }));
 
   const ratingLabel = args.rating != null ? `${args.rating}-star` : "";
   const reviewer = args.reviewerName || "a customer";
   const reviewSnippet = (args.reviewComment || "").slice(0, 280);
-  const sendAtLocal = formatPacific(args.sendAfterIso);
+  const sendAtLocal = formatSendTime(args.sendAfterIso, args.timeZone);
 
-  const subject = `Reply ready to send for ${args.businessName || "your business"}`;
+  const subject = approveUrl
+    ? `Reply waiting for your approval – ${args.businessName || "your business"}`
+    : `Reply ready to send for ${args.businessName || "your business"}`;
+  const intro = approveUrl
+    ? "Replyr won't post this until you approve it:"
+    : `Replyr will post this at ${sendAtLocal}:`;
+  const updatedNote = args.replacesEarlierReply
+    ? "The customer updated this review after you replied, so this new reply will replace the earlier one."
+    : "";
+  const holdNote = args.holdReason
+    ? `Replyr held this reply because it didn't pass its safety checks (${args.holdReason}). Please edit it before approving.`
+    : "";
   const lines = [
+    ...(holdNote ? [holdNote, ""] : []),
+    ...(updatedNote ? [updatedNote, ""] : []),
     `${ratingLabel ? `${ratingLabel} ` : ""}review by ${reviewer}:`,
     reviewSnippet ? `"${reviewSnippet}"` : "(no comment)",
     "",
-    `Replyr will post this at ${sendAtLocal}:`,
+    intro,
     "",
     args.generatedReply,
     "",
-    `Cancel: ${cancelUrl}`,
+    ...(alternatives.length ? ["Prefer a different version?", ""] : []),
+    ...alternatives.flatMap((a) => [`${a.label}:`, a.text, `Use this one: ${a.url}`, ""]),
+    ...(approveUrl ? [`Approve: ${approveUrl}`, `Discard: ${cancelUrl}`] : [`Cancel: ${cancelUrl}`]),
+    `Edit first: ${editUrl}`,
     "",
     "— Replyr"
   ];
   const text = lines.join("\n");
-  const html = `
+  const html = `${holdNote ? `
+<p><strong>${escapeHtml(holdNote)}</strong></p>` : ""}${updatedNote ? `
+<p>${escapeHtml(updatedNote)}</p>` : ""}
 <p><strong>${escapeHtml(ratingLabel)} review by ${escapeHtml(reviewer)}:</strong></p>
 <blockquote style="margin:0 0 1em 0;padding:0.5em 1em;border-left:3px solid #ddd;color:#555;">${escapeHtml(reviewSnippet) || "<em>(no comment)</em>"}</blockquote>
-<p>Replyr will post this at <strong>${escapeHtml(sendAtLocal)}</strong>:</p>
+<p>${approveUrl ? "Replyr won't post this until you approve it:" : `Replyr will post this at <strong>${escapeHtml(sendAtLocal)}</strong>:`}</p>
 <blockquote style="margin:0 0 1em 0;padding:0.5em 1em;border-left:3px solid #4a90e2;">${escapeHtml(args.generatedReply).replace(/\n/g, "<br>")}</blockquote>
-<p><a href="${escapeHtml(cancelUrl)}" style="display:inline-block;background:#c0392b;color:#fff;padding:0.5em 1em;border-radius:4px;text-decoration:none;">Cancel this reply</a></p>
-<p style="font-size:0.8em;color:#888;">If the link doesn't work, paste this into your browser:<br>${escapeHtml(cancelUrl)}</p>
+${alternatives.length ? `<p>Prefer a different version?</p>
+${alternatives
+  .map(
+    (a) => `<p style="margin:0.5em 0 0.25em 0;"><strong>${escapeHtml(a.label)}</strong> · <a href="${escapeHtml(a.url)}">Use this one</a></p>
+<blockquote style="margin:0 0 1em 0;padding:0.5em 1em;border-left:3px solid #ddd;">${escapeHtml(a.text).replace(/\n/g, "<br>")}</blockquote>`
+  )
+  .join("\n")}
+` : ""}${approveUrl
+  ? `<p><a href="${escapeHtml(approveUrl)}" style="display:inline-block;background:#2e7d32;color:#fff;padding:0.5em 1em;border-radius:4px;text-decoration:none;">Approve and post</a> <a href="${escapeHtml(editUrl)}" style="display:inline-block;background:#4a90e2;color:#fff;padding:0.5em 1em;border-radius:4px;text-decoration:none;">Edit</a> <a href="${escapeHtml(cancelUrl)}" style="display:inline-block;background:#c0392b;color:#fff;padding:0.5em 1em;border-radius:4px;text-decoration:none;">Discard</a></p>
+<p style="font-size:0.8em;color:#888;">If the links don't work, paste one into your browser:<br>Approve: ${escapeHtml(approveUrl)}<br>Edit: ${escapeHtml(editUrl)}<br>Discard: ${escapeHtml(cancelUrl)}</p>`
+  : `<p><a href="${escapeHtml(cancelUrl)}" style="display:inline-block;background:#c0392b;color:#fff;padding:0.5em 1em;border-radius:4px;text-decoration:none;">Cancel this reply</a> <a href="${escapeHtml(editUrl)}" style="display:inline-block;background:#4a90e2;color:#fff;padding:0.5em 1em;border-radius:4px;text-decoration:none;">Edit this reply</a></p>
+<p style="font-size:0.8em;color:#888;">If the links don't work, paste one into your browser:<br>Cancel: ${escapeHtml(cancelUrl)}<br>Edit: ${escapeHtml(editUrl)}</p>`}
 `;
 
   const { Resend } = await import("resend");
@@ -87,12 +135,12 @@ export async function sendReplyPreviewEmail(args) {
   if (error) throw new Error(error.message);
 }
 
-function formatPacific(iso) {
+function formatSendTime(iso, timeZone) {
   if (!iso) return "soon";
   try {
     const d = new Date(iso);
     return new Intl.DateTimeFormat("en-US", {
-      timeZone: "America/Los_Angeles",
+      timeZone: timeZone || "America/Los_Angeles",
       hour: "numeric",
       minute: "2-digit",
       timeZoneName: "short",
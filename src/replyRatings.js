@@ -0,0 +1,57 @@
+/**
+ * Pure helpers for the per-business star-rating filter.
+ *
+ * A business's `replyRatings` is the list of star ratings (1-5) the auto-reply
+ * scheduler answers. null means "not customized" and falls back to the global
+ * AUTO_REPLY_RATINGS env var, so businesses that never touched the setting keep
+ * the old behavior.
+ */
+
+export const ALL_RATINGS = [1, 2, 3, 4, 5];
+
+/**
+ * Parse an array (or comma-separated string) of ratings. Drops anything outside
+ * 1..5, dedupes and sorts.
+ * @returns {number[]|null} null when the input is missing or holds no valid rating
+ */
+export function parseReplyRatings(value) {
+  if (value == null) return null;
+  const raw = Array.isArray(value) ? value : String(value).split(",");
+  const out = new Set();
+  for (const v of raw) {
+    if (v === null || v === undefined || String(v).trim() === "") continue;
+    const n = Number(String(v).trim());
+    if (Number.isInteger(n) && n >= 1 && n <= 5) out.add(n);
+  }
+  if (!out.size) return null;
+  return Array.from(out).sort((a, b) => a - b);
+}
+
+/**
+ * Entries of a submitted list that aren't a whole star rating 1..5, for
+ * rejecting an API update that parseReplyRatings would quietly trim. Blank
+ * entries are ignored, as there.
+ * @returns {Array<*>} the offending entries, [] when all are valid
+ */
+export function invalidReplyRatings(value) {
+  const raw = Array.isArray(value) ? value : String(value).split(",");
+  return raw.filter((v) => {
+    if (v === null || v === undefined || String(v).trim() === "") return false;
+    const n = Number(String(v).trim());
+    return !(Number.isInteger(n) && n >= 1 && n <= 5);
+  });
+}
+
+/** Global default from AUTO_REPLY_RATINGS (e.g. "4,5"); all ratings when unset or invalid. */
+export function getDefaultReplyRatings(env = process.env) {
+  return parseReplyRatings(env.AUTO_REPLY_RATINGS) || [...ALL_RATINGS];
+}
+
+/**
+ * Ratings the scheduler should reply to for one business.
+ * @param {number[]|string|null|undefined} businessRatings — business.replyRatings
+ * @returns {Set<number>}
+ */
+export function resolveReplyRatings(businessRatings, env = process.env) {
+  return new Set(parseReplyRatings(businessRatings) || getDefaultReplyRatings(env));
+}
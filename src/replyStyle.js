@@ -0,0 +1,86 @@
+/**
+ * Pure helpers for learning how an owner writes replies.
+ *
+ * Google returns each review's existing reply (reviewReply.comment), including
+ * the ones the owner wrote by hand before joining Replyr. selectStyleSamples
+ * picks a handful of those, spread across star ratings so low-star replies are
+ * represented too; styleExamplesPrompt turns them into few-shot examples for
+ * the system prompt. Replies Replyr generated are left out by the caller, so
+ * the AI never learns from itself.
+ *
+ * Stored per business as replyStyle: { samples: [{ rating, reviewText, replyText }], refreshedAt }.
+ */
+
+export const MAX_STYLE_SAMPLES = 6;
+export const MIN_SAMPLE_CHARS = 20;
+export const MAX_SAMPLE_CHARS = 600;
+export const MAX_SAMPLE_REVIEW_CHARS = 300;
+
+// Round-robin order: the extremes first, so a small sample still shows how the
+// owner handles both praise and complaints.
+const RATING_ORDER = [5, 1, 4, 2, 3, null];
+const STAR_NUMBERS = { ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5 };
+
+function clip(text, max) {
+  const s = String(text || "").trim().replace(/\s+/g, " ");
+  return s.length <= max ? s : s.slice(0, max - 1).trimEnd() + "…";
+}
+
+/**
+ * Up to max owner-written replies from a list of Google reviews, newest first
+ * within each rating. Very short replies ("Thanks!") and repeats of the same
+ * text say little about style and are skipped.
+ * @param {object[]} reviews - Google review objects
+ * @param {{ excludeReviewIds?: Set<string>, max?: number }} options - excludeReviewIds: reviews Replyr replied to
+ * @returns {{ rating: number|null, reviewText: string|null, replyText: string }[]}
+ */
+export function selectStyleSamples(reviews, { excludeReviewIds = new Set(), max = MAX_STYLE_SAMPLES } = {}) {
+  const seen = new Set();
+  const buckets = new Map(RATING_ORDER.map((r) => [r, []]));
+  const candidates = (Array.isArray(reviews) ? reviews : [])
+    .filter((r) => {
+      const reply = String(r?.reviewReply?.comment || "").trim();
+      if (reply.length < MIN_SAMPLE_CHARS) return false;
+      return !excludeReviewIds.has(r.reviewId) && !excludeReviewIds.has(r.name);
+    })
+    .sort((a, b) => String(b.reviewReply.updateTime || "").localeCompare(String(a.reviewReply.updateTime || "")));
+  for (const r of candidates) {
+    const replyText = clip(r.reviewReply.comment, MAX_SAMPLE_CHARS);
+    const key = replyText.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const rating = STAR_NUMBERS[r.starRating] ?? null;
+    buckets.get(rating).push({
+      rating,
+      reviewText: r.comment ? clip(r.comment, MAX_SAMPLE_REVIEW_CHARS) : null,
+      replyText
+    });
+  }
+  const out = [];
+  while (out.length < max && [...buckets.values()].some((b) => b.length)) {
+    for (const rating of RATING_ORDER) {
+      const next = buckets.get(rating).shift();
+      if (next && out.length < max) out.push(next);
+    }
+  }
+  return out;
+}
+
+/**
+ * Few-shot block for the system prompt, or "" with no samples. The rules that
+ * come before it (brand voice, language, contact) win over the examples.
+ * @param {{ rating: number|null, reviewText: string|null, replyText: string }[]|null} samples
+ */
+export function styleExamplesPrompt(samples) {
+  if (!Array.isArray(samples) || !samples.length) return "";
+  const examples = samples.map((s, i) =>
+    [
+      `Example ${i + 1}${s.rating ? ` (${s.rating} star${s.rating === 1 ? "" : "s"})` : ""}:`,
+      `Review: "${s.reviewText || "(No comment)"}"`,
+      `Owner's reply: "${s.replyText}"`
+    ].join("\n")
+  );
+  return `The owner has replied to reviews themselves before. Sound like them: match their greeting, length, warmth and the way they sign off, but don't copy their replies word for word. If the examples conflict with the rules above, follow the rules.
+
+${examples.join("\n\n")}`;
+}
@@ -0,0 +1,62 @@
+/**
+ * Pure helpers for reply drafts the owner chooses between. Replies the owner
+ * reviews first (approval mode, delayed previews) get one draft per variant;
+ * each pick is recorded, and once the owner has made enough picks their
+ * favourite variant becomes the default draft and the style of instant replies.
+ */
+
+/** Draft styles, in default order. instruction is added to the reply prompt (null = the standard prompt). */
+export const REPLY_VARIANTS = [
+  { key: "balanced", label: "Balanced", instruction: null },
+  { key: "short", label: "Short", instruction: "Keep this reply to one or two short sentences." },
+  {
+    key: "warm",
+    label: "Warmer",
+    instruction: "Make this reply warmer and more personal, and a little longer, while staying professional."
+  }
+];
+
+// Picks needed before one variant counts as the owner's preference.
+export const MIN_CHOICES_FOR_PREFERENCE = 3;
+
+export function getReplyVariant(key) {
+  return REPLY_VARIANTS.find((v) => v.key === key) || null;
+}
+
+/**
+ * Variants ordered by how often the owner picked them (most first). Ties, and
+ * owners with fewer than MIN_CHOICES_FOR_PREFERENCE picks, keep the default order.
+ * @param {Record<string, number>} choiceCounts - picks per variant key
+ */
+export function orderVariantsByPreference(choiceCounts = {}) {
+  const total = Object.values(choiceCounts).reduce((sum, n) => sum + (Number(n) || 0), 0);
+  if (total < MIN_CHOICES_FOR_PREFERENCE) return [...REPLY_VARIANTS];
+  return REPLY_VARIANTS.map((v, i) => ({ v, i, n: Number(choiceCounts[v.key]) || 0 }))
+    .sort((a, b) => b.n - a.n || a.i - b.i)
+    .map(({ v }) => v);
+}
+
+/** The variant to use for a single (instant) reply: the owner's favourite, or null for the standard prompt. */
+export function preferredVariant(choiceCounts = {}) {
+  const [first] = orderVariantsByPreference(choiceCounts);
+  return first.instruction ? first : null;
+}
+
+/**
+ * Drop drafts whose text repeats an earlier one (the model can converge).
+ * @param {{ variant: string, text: string }[]} candidates
+ */
+export function dedupeCandidates(candidates) {
+  const seen = new Set();
+  return candidates.filter((c) => {
+    const key = String(c.text || "").trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/** The stored draft for a variant key, or null. */
+export function findCandidate(candidates, key) {
+  return (Array.isArray(candidates) ? candidates : []).find((c) => c.variant === key) || null;
+}
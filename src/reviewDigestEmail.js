@@ -0,0 +1,87 @@
+/**
+ * Daily/weekly digest email for the business owner: new reviews and their
+ * ratings, plus the replies Replyr posted in the period (see
+ * ownerNotifications.js for when it's due and the summary numbers).
+ */
+
+const FROM_EMAIL = process.env.ALERT_FROM_EMAIL?.trim() || "Replyr <onboarding@resend.dev>";
+const MAX_LISTED = 10;
+
+function baseUrl() {
+  return ((process.env.BASE_URL || "").trim() || "http://localhost:3000").replace(/\/$/, "");
+}
+
+function escapeHtml(s) {
+  if (typeof s !== "string") return "";
+  const d = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" };
+  return s.replace(/[&<>"]/g, (c) => d[c]);
+}
+
+export function isDigestEmailConfigured() {
+  return Boolean((process.env.RESEND_API_KEY || "").trim());
+}
+
+/**
+ * Send the digest. Throws if Resend isn't configured.
+ * @param {object} args
+ * @param {string} args.toEmail
+ * @param {string} args.businessName
+ * @param {string} args.accountId
+ * @param {"daily"|"weekly"} args.frequency
+ * @param {ReturnType<import("./ownerNotifications.js").summarizeDigest>} args.summary
+ * @param {{ rating: number|null, reviewerName?: string|null, comment?: string|null }[]} args.reviews - new reviews, lowest rating first
+ * @param {{ rating: number|null, reviewText?: string|null, replyText?: string|null }[]} args.replies - replies posted, newest first
+ */
+export async function sendReviewDigestEmail(args) {
+  const apiKey = (process.env.RESEND_API_KEY || "").trim();
+  if (!apiKey) throw new Error("RESEND_API_KEY is not set; cannot send digest email");
+
+  const { summary } = args;
+  const business = args.businessName || "your business";
+  const period = args.frequency === "weekly" ? "this week" : "today";
+  const connectedUrl = `${baseUrl()}/connected?accountId=${encodeURIComponent(args.accountId)}`;
+  const subject = `${args.frequency === "weekly" ? "Weekly" : "Daily"} review summary – ${business}`;
+  const headline = summary.reviewCount
+    ? `${summary.reviewCount} new review${summary.reviewCount === 1 ? "" : "s"} ${period}` +
+      (summary.averageRating != null ? `, averaging ${summary.averageRating}★` : "") +
+      `. Replyr posted ${summary.replyCount} repl${summary.replyCount === 1 ? "y" : "ies"}.`
+    : `No new reviews ${period}. Replyr posted ${summary.replyCount} repl${summary.replyCount === 1 ? "y" : "ies"}.`;
+  const ratingLine = [5, 4, 3, 2, 1].map((n) => `${n}★ ${summary.byRating[n]}`).join(" · ");
+  const reviews = args.reviews.slice(0, MAX_LISTED);
+  const replies = args.replies.slice(0, MAX_LISTED);
+  const stars = (rating) => (rating ? `${rating}★` : "—");
+  const snippet = (text, n = 200) => (text ? String(text).slice(0, n) : "(no text)");
+
+  const lines = [
+    headline,
+    ...(summary.reviewCount ? [ratingLine] : []),
+    ...(summary.lowStarCount ? [`${summary.lowStarCount} of them ${summary.lowStarCount === 1 ? "is" : "are"} 1–2 stars.`] : []),
+    "",
+    ...(reviews.length ? ["New reviews:", ...reviews.map((r) => `- ${stars(r.rating)} ${r.reviewerName || "A customer"}: ${snippet(r.comment)}`), ""] : []),
+    ...(replies.length ? ["Replies posted:", ...replies.map((r) => `- To ${stars(r.rating)} "${snippet(r.reviewText, 80)}": ${snippet(r.replyText)}`), ""] : []),
+    `See everything: ${connectedUrl}`,
+    "",
+    "— Replyr"
+  ];
+  const text = lines.join("\n");
+  const html = `
+<p><strong>${escapeHtml(headline)}</strong></p>
+${summary.reviewCount ? `<p style="color:#555;">${escapeHtml(ratingLine)}</p>` : ""}
+${reviews.length ? `<h3 style="margin-bottom:0.3em;">New reviews</h3>
+<ul>${reviews.map((r) => `<li><strong>${escapeHtml(stars(r.rating))}</strong> ${escapeHtml(r.reviewerName || "A customer")}: ${escapeHtml(snippet(r.comment))}</li>`).join("")}</ul>` : ""}
+${replies.length ? `<h3 style="margin-bottom:0.3em;">Replies posted</h3>
+<ul>${replies.map((r) => `<li><span style="color:#888;">To ${escapeHtml(stars(r.rating))} “${escapeHtml(snippet(r.reviewText, 80))}”:</span><br>${escapeHtml(snippet(r.replyText))}</li>`).join("")}</ul>` : ""}
+<p><a href="${escapeHtml(connectedUrl)}" style="display:inline-block;background:#4a90e2;color:#fff;padding:0.5em 1em;border-radius:4px;text-decoration:none;">Open Replyr</a></p>
+`;
+
+  const { Resend } = await import("resend");
+  const resend = new Resend(apiKey);
+  const { error } = await resend.emails.send({
+    from: FROM_EMAIL,
+    to: [args.toEmail],
+    subject,
+    text,
+    html
+  });
+  if (error) throw new Error(error.message);
+}
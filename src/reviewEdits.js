@@ -0,0 +1,61 @@
+/**
+ * Pure helpers for spotting reviews the customer changed after we replied.
+ *
+ * Each reply in the history keeps the star rating and the review's updateTime
+ * it answered. When Google later reports a different rating, or a newer
+ * updateTime, the old reply no longer fits (e.g. an apology under a review
+ * that went from 1 to 4 stars) and the scheduler writes a refreshed one.
+ *
+ * A refresh only happens while our reply is still the one on Google: if the
+ * owner deleted or rewrote it, or cancelled an earlier refresh, we leave the
+ * review alone.
+ */
+
+/**
+ * True when the review differs from the version our last reply answered.
+ * Legacy history rows (no rating, no updateTime) never count as changed.
+ * @param {{ rating?: number|null, reviewUpdateTime?: string|null }|null} lastReply
+ * @param {{ rating?: number|null, reviewUpdateTime?: string|null }} current
+ */
+export function hasReviewChangedSinceReply(lastReply, current) {
+  if (!lastReply) return false;
+  if (lastReply.rating != null && current?.rating != null && lastReply.rating !== current.rating) return true;
+  const repliedTo = toTime(lastReply.reviewUpdateTime);
+  const now = toTime(current?.reviewUpdateTime);
+  return repliedTo != null && now != null && now > repliedTo;
+}
+
+/**
+ * True when the reply on Google is still the text we posted (ignoring
+ * whitespace differences). False when it was deleted or rewritten by hand.
+ */
+export function isOurReplyStillPosted(postedComment, ourReplyText) {
+  if (!postedComment || !ourReplyText) return false;
+  return squash(postedComment) === squash(ourReplyText);
+}
+
+/**
+ * Should the scheduler replace our reply to this review? A newer updateTime
+ * alone must also be newer than the reply on Google, so a review whose
+ * updateTime moves when a reply is posted can't trigger endless refreshes.
+ * @param {{ rating: number|null, updateTime?: string|null, replyComment?: string|null, replyUpdateTime?: string|null }} review - current state on Google
+ * @param {{ rating?: number|null, reviewUpdateTime?: string|null, replyText?: string|null, refreshCancelled?: boolean }|null} lastReply
+ */
+export function needsRefreshedReply(review, lastReply) {
+  if (!lastReply || lastReply.refreshCancelled) return false;
+  if (!isOurReplyStillPosted(review.replyComment, lastReply.replyText)) return false;
+  if (!hasReviewChangedSinceReply(lastReply, { rating: review.rating, reviewUpdateTime: review.updateTime })) return false;
+  if (lastReply.rating != null && review.rating != null && lastReply.rating !== review.rating) return true;
+  const replyTime = toTime(review.replyUpdateTime);
+  return replyTime == null || toTime(review.updateTime) > replyTime;
+}
+
+function toTime(value) {
+  if (!value) return null;
+  const t = new Date(value).getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+function squash(text) {
+  return String(text).replace(/\s+/g, " ").trim();
+}
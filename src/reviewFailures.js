@@ -0,0 +1,40 @@
+/**
+ * Pure helpers for the per-review failure budget used by inline runs
+ * (processPendingReviews). A review whose reply can't be generated or posted
+ * backs off on the same curve as queue jobs (see jobBackoff.js); after
+ * JOB_MAX_ATTEMPTS failures, or an error that can't succeed on retry, it is
+ * marked permanently failed. The scheduler then leaves it alone until the owner
+ * hits Retry on /connected, and only that final failure raises an alert.
+ */
+import { computeBackoffMs, getJobMaxAttempts, isRetryableError } from "./jobBackoff.js";
+
+const MAX_ERROR_CHARS = 500;
+
+/**
+ * Failure record after one more failed attempt.
+ * @param {{ attempts?: number }|null} previous - existing record for the review, if any
+ * @param {Error} err
+ * @param {{ now?: Date, maxAttempts?: number, random?: () => number }} [opts]
+ * @returns {{ attempts: number, lastError: string, lastAttemptAt: string, nextAttemptAt: string|null, failedAt: string|null }}
+ */
+export function recordReviewFailure(previous, err, opts = {}) {
+  const { now = new Date(), maxAttempts = getJobMaxAttempts(), random = Math.random } = opts;
+  const attempts = (Number(previous?.attempts) || 0) + 1;
+  const permanent = attempts >= maxAttempts || !isRetryableError(err);
+  const message = String(err?.message || err || "Unknown error");
+  return {
+    attempts,
+    lastError: message.length > MAX_ERROR_CHARS ? message.slice(0, MAX_ERROR_CHARS - 1) + "…" : message,
+    lastAttemptAt: now.toISOString(),
+    nextAttemptAt: permanent ? null : new Date(now.getTime() + computeBackoffMs(attempts, { random })).toISOString(),
+    failedAt: permanent ? now.toISOString() : null
+  };
+}
+
+/** True while a review is backing off, or for good once it has permanently failed. */
+export function isReviewBlocked(failure, now = new Date()) {
+  if (!failure) return false;
+  if (failure.failedAt) return true;
+  if (!failure.nextAttemptAt) return false;
+  return new Date(failure.nextAttemptAt).getTime() > now.getTime();
+}
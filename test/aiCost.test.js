@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getModelPrices,
+  costMicros,
+  microsToCents,
+  isOverAiBudget,
+  parseAiBudgetCents,
+  summarizeAiUsage
+} from "../src/aiCost.js";
+
+test("getModelPrices: per model family, env overrides, stub is free", () => {
+  assert.deepEqual(getModelPrices("claude-sonnet-4-6", {}), { input: 3, output: 15 });
+  assert.deepEqual(getModelPrices("claude-haiku-4-5", {}), { input: 1, output: 5 });
+  assert.deepEqual(getModelPrices("something-new", {}), { input: 3, output: 15 });
+  assert.deepEqual(getModelPrices("claude-sonnet-4-6", { AI_INPUT_USD_PER_MTOK: "2.5", AI_OUTPUT_USD_PER_MTOK: "" }), {
+    input: 2.5,
+    output: 15
+  });
+  assert.deepEqual(getModelPrices("stub", { AI_INPUT_USD_PER_MTOK: "9" }), { input: 0, output: 0 });
+});
+
+test("costMicros and microsToCents", () => {
+  // 1,000 in + 200 out on Sonnet: 3,000 + 3,000 micro-dollars = 0.6 cents.
+  assert.equal(costMicros({ model: "claude-sonnet-4-6", inputTokens: 1000, outputTokens: 200 }, {}), 6000);
+  assert.equal(microsToCents(6000), 1);
+  assert.equal(microsToCents(1_000_000), 100);
+  assert.equal(costMicros({ model: "stub", inputTokens: 1000, outputTokens: 200 }, {}), 0);
+});
+
+test("isOverAiBudget and parseAiBudgetCents", () => {
+  assert.equal(isOverAiBudget(5_000_000, null), false);
+  assert.equal(isOverAiBudget(4_999_999, 500), false);
+  assert.equal(isOverAiBudget(5_000_000, 500), true);
+  assert.equal(isOverAiBudget(0, 0), true);
+  assert.deepEqual(parseAiBudgetCents(500), { budgetCents: 500 });
+  assert.deepEqual(parseAiBudgetCents("1200"), { budgetCents: 1200 });
+  assert.deepEqual(parseAiBudgetCents(null), { budgetCents: null });
+  assert.ok(parseAiBudgetCents(-1).error);
+  assert.ok(parseAiBudgetCents(1.5).error);
+  assert.ok(parseAiBudgetCents("lots").error);
+});
+
+test("summarizeAiUsage: per business, biggest spender first, with budget status", () => {
+  const rows = [
+    { accountId: "a", model: "claude-sonnet-4-6", purpose: "reply", calls: 10, inputTokens: 5000, outputTokens: 1000, costMicros: 30_000 },
+    { accountId: "b", model: "claude-sonnet-4-6", purpose: "reply", calls: 100, inputTokens: 90_000, outputTokens: 20_000, costMicros: 570_000 },
+    { accountId: "b", model: "claude-sonnet-4-6", purpose: "birthday", calls: 2, inputTokens: 400, outputTokens: 100, costMicros: 2_700 }
+  ];
+  const { totals, businesses } = summarizeAiUsage(rows, { b: { name: "Pho 99", aiBudgetCents: 50 } });
+  assert.deepEqual(totals, { calls: 112, inputTokens: 95_400, outputTokens: 21_100, costMicros: 602_700, costCents: 60 });
+  assert.deepEqual(
+    businesses.map((b) => [b.accountId, b.name, b.costCents, b.budgetCents, b.overBudget]),
+    [
+      ["b", "Pho 99", 57, 50, true],
+      ["a", null, 3, null, false]
+    ]
+  );
+  assert.deepEqual(businesses[0].byPurpose, { reply: { calls: 100, costMicros: 570_000 }, birthday: { calls: 2, costMicros: 2_700 } });
+  assert.deepEqual(businesses[0].models, ["claude-sonnet-4-6"]);
+});
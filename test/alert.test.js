@@ -9,7 +9,9 @@ delete process.env.TWILIO_ACCOUNT_SID;
 delete process.env.TWILIO_AUTH_TOKEN;
 delete process.env.TWILIO_FROM_NUMBER;
 
-const { sendFailureAlert } = await import("../src/alert.js");
+const { sendFailureAlert, sendAttentionAlert, attentionAlertText, sendNegativeReviewAlert, sendReconnectAlert } = await import(
+  "../src/alert.js"
+);
 
 test("sendFailureAlert resolves with no env configured (no-op)", async () => {
   await assert.doesNotReject(
@@ -34,3 +36,62 @@ test("sendFailureAlert: handles result-only payload", async () => {
 test("sendFailureAlert: handles empty opts", async () => {
   await assert.doesNotReject(sendFailureAlert());
 });
+
+test("sendAttentionAlert: no-op without provider config, even with recipients", async () => {
+  await assert.doesNotReject(
+    sendAttentionAlert({
+      toEmail: "owner@example.com",
+      toPhone: "+15555550100",
+      businessName: "Test",
+      accountId: "acct-1",
+      rating: 1,
+      reviewText: "My lawyer will call you",
+      ruleName: "Legal",
+      reason: 'mentions "lawyer"'
+    })
+  );
+});
+
+test("sendNegativeReviewAlert: no-op without provider config", async () => {
+  await assert.doesNotReject(
+    sendNegativeReviewAlert({ toEmail: "owner@example.com", accountId: "acct-1", rating: 1, reviewText: "Cold food" })
+  );
+});
+
+test("sendReconnectAlert: no-op without provider config", async () => {
+  await assert.doesNotReject(sendReconnectAlert({ toEmail: "owner@example.com", toPhone: "+15555550100", accountId: "acct-1" }));
+});
+
+const heldReview = { businessName: "Pho 99", accountId: "acct-1", rating: 1, reviewerName: "Dana", reviewText: "Terrible." };
+
+test("attentionAlertText: escalation rules name the rule", () => {
+  const { subject, body, shortMsg } = attentionAlertText({ ...heldReview, ruleName: "Legal", reason: 'mentions "lawyer"' });
+  assert.equal(subject, "Review needs your reply – Pho 99");
+  assert.match(body, /^A 1-star review from Dana for Pho 99 matched your escalation rule "Legal" \(mentions "lawyer"\)\./);
+  assert.match(shortMsg, /\(Legal\)/);
+});
+
+test("attentionAlertText: prompt-injection holds don't blame an escalation rule", () => {
+  const { body, shortMsg } = attentionAlertText({
+    ...heldReview,
+    holdKind: "prompt-injection",
+    ruleName: "Possible prompt injection",
+    reason: 'reads like instructions to the AI ("ignore previous instructions")'
+  });
+  assert.doesNotMatch(body, /escalation rule/);
+  assert.match(body, /reads like instructions to an AI rather than a review/);
+  assert.match(body, /Replyr did not write a reply/);
+  assert.match(shortMsg, /possible prompt injection/);
+});
+
+test("attentionAlertText: guardrail holds say the AI draft failed the safety checks", () => {
+  const { body, shortMsg } = attentionAlertText({
+    ...heldReview,
+    holdKind: "guardrails",
+    ruleName: "Reply safety check",
+    reason: "promises a refund or other compensation"
+  });
+  assert.doesNotMatch(body, /escalation rule/);
+  assert.match(body, /^Replyr's draft reply to a 1-star review from Dana for Pho 99 didn't pass its safety checks \(promises a refund or other compensation\), so it was not posted\./);
+  assert.match(shortMsg, /AI reply failed safety checks/);
+});
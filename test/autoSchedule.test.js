@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MIN_INTERVAL_MINUTES,
+  MAX_INTERVAL_MINUTES,
+  DEFAULT_INTERVAL_MINUTES,
+  getDefaultIntervalMinutes,
+  isValidIntervalMinutes,
+  normalizeIntervalMinutes,
+  getTickMinutes,
+  computeNextRunAt,
+  isDue
+} from "../src/autoSchedule.js";
+
+test("getDefaultIntervalMinutes: env override, clamped; default 30", () => {
+  assert.equal(getDefaultIntervalMinutes({}), DEFAULT_INTERVAL_MINUTES);
+  assert.equal(getDefaultIntervalMinutes({ AUTO_REPLY_INTERVAL_MINUTES: "60" }), 60);
+  assert.equal(getDefaultIntervalMinutes({ AUTO_REPLY_INTERVAL_MINUTES: "1" }), MIN_INTERVAL_MINUTES);
+  assert.equal(getDefaultIntervalMinutes({ AUTO_REPLY_INTERVAL_MINUTES: "abc" }), DEFAULT_INTERVAL_MINUTES);
+});
+
+test("isValidIntervalMinutes: integers within bounds only", () => {
+  assert.equal(isValidIntervalMinutes(5), true);
+  assert.equal(isValidIntervalMinutes("60"), true);
+  assert.equal(isValidIntervalMinutes(1440), true);
+  assert.equal(isValidIntervalMinutes(4), false);
+  assert.equal(isValidIntervalMinutes(1441), false);
+  assert.equal(isValidIntervalMinutes(7.5), false);
+  assert.equal(isValidIntervalMinutes("x"), false);
+});
+
+test("normalizeIntervalMinutes: clamps, falls back to default", () => {
+  assert.equal(normalizeIntervalMinutes(2, {}), MIN_INTERVAL_MINUTES);
+  assert.equal(normalizeIntervalMinutes(99999, {}), MAX_INTERVAL_MINUTES);
+  assert.equal(normalizeIntervalMinutes(15, {}), 15);
+  assert.equal(normalizeIntervalMinutes(null, { AUTO_REPLY_INTERVAL_MINUTES: "45" }), 45);
+  assert.equal(normalizeIntervalMinutes(0, {}), DEFAULT_INTERVAL_MINUTES);
+});
+
+test("getTickMinutes: default 1, never coarser than the minimum interval", () => {
+  assert.equal(getTickMinutes({}), 1);
+  assert.equal(getTickMinutes({ AUTO_REPLY_TICK_MINUTES: "2" }), 2);
+  assert.equal(getTickMinutes({ AUTO_REPLY_TICK_MINUTES: "30" }), MIN_INTERVAL_MINUTES);
+});
+
+test("computeNextRunAt adds the interval", () => {
+  const from = new Date("2026-01-01T00:00:00Z");
+  assert.equal(computeNextRunAt(from, 5).toISOString(), "2026-01-01T00:05:00.000Z");
+  assert.equal(computeNextRunAt(from.toISOString(), 60).toISOString(), "2026-01-01T01:00:00.000Z");
+});
+
+test("isDue: never run, elapsed, not yet elapsed", () => {
+  const now = new Date("2026-01-01T01:00:00Z");
+  assert.equal(isDue(null, 30, now), true);
+  assert.equal(isDue({ lastRunAt: null }, 30, now), true);
+  assert.equal(isDue({ lastRunAt: "2026-01-01T00:30:00Z" }, 30, now), true);
+  assert.equal(isDue({ lastRunAt: "2026-01-01T00:45:00Z" }, 30, now), false);
+});
+
+test("isDue: a shorter interval applies immediately, ignoring stored nextRunAt", () => {
+  const now = new Date("2026-01-01T01:00:00Z");
+  const state = { lastRunAt: "2026-01-01T00:50:00Z", nextRunAt: "2026-01-02T00:50:00Z" };
+  assert.equal(isDue(state, 5, now), true);
+});
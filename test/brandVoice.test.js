@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_MAX_REPLY_CHARS,
+  MAX_PHRASES,
+  parseBrandVoice,
+  resolveMaxReplyChars,
+  brandVoiceRules,
+  finishReply
+} from "../src/brandVoice.js";
+
+test("parseBrandVoice: normalizes fields and drops empty ones", () => {
+  const { voice } = parseBrandVoice({
+    tone: " Playful ",
+    signOff: "  – Maria,   owner ",
+    alwaysUse: "see you soon\nSee you soon, neighbor",
+    neverUse: ["", "cheap"],
+    emoji: "SPARING",
+    maxLength: "300"
+  });
+  assert.deepEqual(voice, {
+    tone: "playful",
+    signOff: "– Maria, owner",
+    alwaysUse: ["see you soon", "See you soon, neighbor"],
+    neverUse: ["cheap"],
+    emoji: "sparing",
+    maxLength: 300
+  });
+  assert.deepEqual(parseBrandVoice({ tone: "", alwaysUse: [] }), { voice: null });
+  assert.deepEqual(parseBrandVoice(null), { voice: null });
+});
+
+test("parseBrandVoice: rejects bad input", () => {
+  assert.ok(parseBrandVoice("casual").error);
+  assert.ok(parseBrandVoice({ tone: "grumpy" }).error);
+  assert.ok(parseBrandVoice({ emoji: "lots" }).error);
+  assert.ok(parseBrandVoice({ maxLength: 20 }).error);
+  assert.ok(parseBrandVoice({ maxLength: 250.5 }).error);
+  assert.ok(parseBrandVoice({ signOff: "x".repeat(81) }).error);
+  assert.ok(parseBrandVoice({ neverUse: Array.from({ length: MAX_PHRASES + 1 }, (_, i) => `word${i}`) }).error);
+});
+
+test("brandVoiceRules: house style without a profile", () => {
+  const rules = brandVoiceRules(null);
+  assert.equal(rules[0], `Keep it under ${DEFAULT_MAX_REPLY_CHARS} characters.`);
+  assert.ok(rules.some((r) => /warm and grateful/.test(r)));
+  assert.ok(rules.includes("Do not use emoji."));
+  assert.equal(resolveMaxReplyChars({ maxLength: 5 }), DEFAULT_MAX_REPLY_CHARS);
+});
+
+test("brandVoiceRules: tone, phrases and sign-off", () => {
+  const rules = brandVoiceRules({ tone: "formal", alwaysUse: ["valued guest"], neverUse: ["cheap"], signOff: "– Sam", maxLength: 200 }).join("\n");
+  assert.match(rules, /under 200 characters/);
+  assert.match(rules, /polished and courteous/);
+  assert.match(rules, /"valued guest"/);
+  assert.match(rules, /Never use .*"cheap"/);
+  assert.match(rules, /Do not sign the reply/);
+});
+
+test("finishReply: strips emoji unless allowed, adds the sign-off once", () => {
+  assert.equal(finishReply("Thanks so much 🙏🏽 for visiting!", null), "Thanks so much for visiting!");
+  assert.equal(finishReply("Thanks! 🎉", { emoji: "allowed" }), "Thanks! 🎉");
+  assert.equal(finishReply("Thanks for coming in.", { signOff: "– Sam" }), "Thanks for coming in.\n– Sam");
+  assert.equal(finishReply("Thanks for coming in. – Sam", { signOff: "– Sam" }), "Thanks for coming in.\n– Sam");
+});
+
+test("finishReply: the whole reply fits maxLength at a word boundary", () => {
+  const long = "We really appreciate you taking the time to write this review. ".repeat(5);
+  const out = finishReply(long, { maxLength: 100, signOff: "– Sam, owner" });
+  assert.ok(out.length <= 100, `length ${out.length}`);
+  assert.ok(out.endsWith("…\n– Sam, owner"));
+});
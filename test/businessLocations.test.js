@@ -0,0 +1,98 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { resolveLocationSettings, upsertLocation, getLocation, DEFAULT_CONTACT } from "../src/businesses.js";
+
+// File mode; the upsert test writes business-locations.json, restored afterwards.
+delete process.env.DATABASE_URL;
+const LOCATIONS_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "business-locations.json");
+let savedLocations = null;
+
+before(async () => {
+  savedLocations = await fs.readFile(LOCATIONS_PATH, "utf8").catch(() => null);
+});
+
+after(async () => {
+  if (savedLocations == null) await fs.rm(LOCATIONS_PATH, { force: true });
+  else await fs.writeFile(LOCATIONS_PATH, savedLocations, "utf8");
+});
+
+const business = {
+  accountId: "acc1",
+  locationId: "loc1",
+  name: "Acme Coffee",
+  contact: "555-0100",
+  autoReplyEnabled: true,
+  autoReplyMode: "delayed",
+  notificationEmail: "owner@example.com"
+};
+
+test("resolveLocationSettings: null overrides inherit from the business", () => {
+  const r = resolveLocationSettings(business, {
+    locationId: "loc2",
+    name: null,
+    contact: null,
+    autoReplyEnabled: true,
+    autoReplyMode: null
+  });
+  assert.equal(r.accountId, "acc1");
+  assert.equal(r.locationId, "loc2");
+  assert.equal(r.name, "Acme Coffee");
+  assert.equal(r.contact, "555-0100");
+  assert.equal(r.autoReplyMode, "delayed");
+  assert.equal(r.notificationEmail, "owner@example.com");
+  assert.deepEqual(r.inherits, { contact: true, autoReplyMode: true });
+});
+
+test("resolveLocationSettings: location values win", () => {
+  const r = resolveLocationSettings(business, {
+    locationId: "loc2",
+    name: "Acme Coffee – Downtown",
+    contact: "downtown@example.com",
+    autoReplyEnabled: false,
+    autoReplyMode: "instant"
+  });
+  assert.equal(r.name, "Acme Coffee – Downtown");
+  assert.equal(r.contact, "downtown@example.com");
+  assert.equal(r.autoReplyMode, "instant");
+  assert.equal(r.locationAutoReplyEnabled, false);
+  assert.deepEqual(r.inherits, { contact: false, autoReplyMode: false });
+});
+
+test("resolveLocationSettings: falls back to defaults when the business has none", () => {
+  const r = resolveLocationSettings({ accountId: "acc2" }, { locationId: "x" });
+  assert.equal(r.contact, DEFAULT_CONTACT);
+  assert.equal(r.autoReplyMode, "instant");
+  assert.equal(r.name, null);
+  assert.equal(r.locationAutoReplyEnabled, true);
+});
+
+test("resolveLocationSettings: the later of the business and location switch-on times wins", () => {
+  const enabled = { ...business, autoReplyEnabledAt: "2026-01-01T00:00:00.000Z" };
+  const later = { locationId: "loc2", autoReplyEnabledAt: "2026-03-01T00:00:00.000Z" };
+  assert.equal(resolveLocationSettings(enabled, later).autoReplyEnabledAt, "2026-03-01T00:00:00.000Z");
+  const reenabled = { ...enabled, autoReplyEnabledAt: "2026-05-01T00:00:00.000Z" };
+  assert.equal(resolveLocationSettings(reenabled, later).autoReplyEnabledAt, "2026-05-01T00:00:00.000Z");
+  assert.equal(resolveLocationSettings(enabled, { locationId: "loc1", autoReplyEnabledAt: null }).autoReplyEnabledAt, "2026-01-01T00:00:00.000Z");
+  assert.equal(resolveLocationSettings(business, { locationId: "loc1" }).autoReplyEnabledAt, null);
+});
+
+test("upsertLocation: stamps autoReplyEnabledAt when a location is added or switched back on", async () => {
+  const added = await upsertLocation({ accountId: "acc-stamp", locationId: "loc1", name: "Downtown" });
+  assert.ok(added.autoReplyEnabledAt);
+
+  const renamed = await upsertLocation({ accountId: "acc-stamp", locationId: "loc1", name: "Downtown 2" });
+  assert.equal(renamed.autoReplyEnabledAt, added.autoReplyEnabledAt);
+
+  const off = await upsertLocation({ accountId: "acc-stamp", locationId: "loc1", autoReplyEnabled: false });
+  assert.equal(off.autoReplyEnabled, false);
+  assert.equal(off.autoReplyEnabledAt, added.autoReplyEnabledAt);
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await upsertLocation({ accountId: "acc-stamp", locationId: "loc1", autoReplyEnabled: true });
+  const on = await getLocation("acc-stamp", "loc1");
+  assert.equal(on.autoReplyEnabled, true);
+  assert.ok(Date.parse(on.autoReplyEnabledAt) > Date.parse(added.autoReplyEnabledAt));
+});
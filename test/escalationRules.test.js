@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_ESCALATION_RULES,
+  SUGGESTED_ESCALATION_RULES,
+  parseEscalationRules,
+  matchEscalationRules
+} from "../src/escalationRules.js";
+
+test("parseEscalationRules: normalizes keywords, ratings and names", () => {
+  const { rules } = parseEscalationRules([
+    { name: " Legal ", keywords: "lawyer, Attorney ,, lawyer" },
+    { ratings: [2, 1, 1], minLength: "300" },
+    { pattern: " \\bref(und|unds)\\b " }
+  ]);
+  assert.deepEqual(rules, [
+    { name: "Legal", keywords: ["lawyer", "Attorney"] },
+    { name: "Rule 2", ratings: [1, 2], minLength: 300 },
+    { name: "Rule 3", pattern: "\\bref(und|unds)\\b" }
+  ]);
+  assert.ok(parseEscalationRules(SUGGESTED_ESCALATION_RULES).rules);
+});
+
+test("parseEscalationRules: rejects bad input", () => {
+  assert.ok(parseEscalationRules("lawyer").error);
+  assert.ok(parseEscalationRules([{ name: "empty" }]).error);
+  assert.ok(parseEscalationRules([{ pattern: "(unclosed" }]).error);
+  assert.ok(parseEscalationRules([{ pattern: "(a)\\1" }]).error);
+  assert.ok(parseEscalationRules([{ pattern: "(?<=manager )rude" }]).error);
+  assert.ok(parseEscalationRules([{ ratings: [0, 6] }]).error);
+  assert.ok(parseEscalationRules([{ minLength: 2.5 }]).error);
+  assert.ok(parseEscalationRules(Array.from({ length: MAX_ESCALATION_RULES + 1 }, () => ({ ratings: [1] }))).error);
+});
+
+test("matchEscalationRules: keywords are whole words or phrases, any case", () => {
+  const rules = [{ name: "Legal", keywords: ["sue", "health inspection"] }];
+  assert.deepEqual(matchEscalationRules(rules, { comment: "I will SUE you." }), { rule: "Legal", reason: 'mentions "sue"' });
+  assert.equal(matchEscalationRules(rules, { comment: "Pursue your dreams" }), null);
+  assert.ok(matchEscalationRules(rules, { comment: "Failed its health\ninspection?" }));
+  assert.ok(matchEscalationRules([{ name: "Staff", keywords: ["José"] }], { comment: "josé was rude" }));
+});
+
+test("matchEscalationRules: every condition in a rule must hold", () => {
+  const rules = [{ name: "Long low-star", ratings: [1, 2], minLength: 20 }];
+  assert.equal(matchEscalationRules(rules, { comment: "Terrible, never again, awful", rating: 4 }), null);
+  assert.equal(matchEscalationRules(rules, { comment: "Bad", rating: 1 }), null);
+  assert.deepEqual(matchEscalationRules(rules, { comment: "Terrible, never again, awful", rating: 1 }), {
+    rule: "Long low-star",
+    reason: "1-star, 20+ characters"
+  });
+});
+
+test("matchEscalationRules: first matching rule wins; none or no rules is null", () => {
+  const rules = [
+    { name: "Refunds", pattern: "refund" },
+    { name: "Any 1-star", ratings: [1] }
+  ];
+  assert.equal(matchEscalationRules(rules, { comment: "Want a REFUND", rating: 1 }).rule, "Refunds");
+  assert.equal(matchEscalationRules(rules, { comment: "meh", rating: 1 }).rule, "Any 1-star");
+  assert.equal(matchEscalationRules(rules, { comment: "Great!", rating: 5 }), null);
+  assert.equal(matchEscalationRules(null, { comment: "lawyer" }), null);
+});
+
+test("matchEscalationRules: patterns are case-insensitive regular expressions", () => {
+  const rules = [{ name: "Rude manager", pattern: "manag(er|ement)\\W+(was|is)\\W+rude" }];
+  assert.deepEqual(matchEscalationRules(rules, { comment: "The MANAGER was rude to us" }), {
+    rule: "Rude manager",
+    reason: "matches /manag(er|ement)\\W+(was|is)\\W+rude/"
+  });
+  assert.equal(matchEscalationRules(rules, { comment: "The manager was lovely" }), null);
+  assert.ok(matchEscalationRules([{ name: "Refunds", pattern: "\\bref(und|unds)\\b" }], { comment: "A REFUND please" }));
+  assert.ok(matchEscalationRules([{ name: "Staff", pattern: "josé" }], { comment: "JOSÉ was rude" }));
+});
+
+test("matchEscalationRules: a stored pattern that can't be compiled holds the review", () => {
+  const rules = [{ name: "Old", pattern: "(?<=manager )rude", ratings: [1, 2] }];
+  assert.deepEqual(matchEscalationRules(rules, { comment: "Fine.", rating: 1 }), {
+    rule: "Old",
+    reason: "pattern /(?<=manager )rude/ can't be checked; edit the rule, 1-star"
+  });
+  assert.equal(matchEscalationRules(rules, { comment: "Fine.", rating: 5 }), null);
+});
+
+test("matchEscalationRules: a pathological pattern stays fast on a long review", () => {
+  const { rules } = parseEscalationRules([{ name: "Slow?", pattern: "(a+)+b" }, { name: "Slower?", pattern: "(a|a)*(a*)*c" }]);
+  const started = Date.now();
+  assert.equal(matchEscalationRules(rules, { comment: "a".repeat(5000) }), null);
+  assert.ok(Date.now() - started < 1000);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_WORKER_CONCURRENCY,
+  DEFAULT_MAX_ATTEMPTS,
+  BACKOFF_BASE_MS,
+  BACKOFF_MAX_MS,
+  getWorkerConcurrency,
+  getJobMaxAttempts,
+  getJobPollSeconds,
+  computeBackoffMs,
+  isRetryableError
+} from "../src/jobBackoff.js";
+
+const noJitter = () => 0;
+
+test("getWorkerConcurrency: default, override, capped", () => {
+  assert.equal(getWorkerConcurrency({}), DEFAULT_WORKER_CONCURRENCY);
+  assert.equal(getWorkerConcurrency({ JOB_WORKER_CONCURRENCY: "8" }), 8);
+  assert.equal(getWorkerConcurrency({ JOB_WORKER_CONCURRENCY: "500" }), 20);
+  assert.equal(getWorkerConcurrency({ JOB_WORKER_CONCURRENCY: "0" }), DEFAULT_WORKER_CONCURRENCY);
+});
+
+test("getJobMaxAttempts / getJobPollSeconds: defaults and overrides", () => {
+  assert.equal(getJobMaxAttempts({}), DEFAULT_MAX_ATTEMPTS);
+  assert.equal(getJobMaxAttempts({ JOB_MAX_ATTEMPTS: "3" }), 3);
+  assert.equal(getJobPollSeconds({}), 5);
+  assert.equal(getJobPollSeconds({ JOB_POLL_SECONDS: "abc" }), 5);
+});
+
+test("computeBackoffMs: doubles per attempt from the base", () => {
+  assert.equal(computeBackoffMs(1, { random: noJitter }), BACKOFF_BASE_MS);
+  assert.equal(computeBackoffMs(2, { random: noJitter }), BACKOFF_BASE_MS * 2);
+  assert.equal(computeBackoffMs(4, { random: noJitter }), BACKOFF_BASE_MS * 8);
+});
+
+test("computeBackoffMs: capped at the max, jitter up to 10%", () => {
+  assert.equal(computeBackoffMs(50, { random: noJitter }), BACKOFF_MAX_MS);
+  assert.equal(computeBackoffMs(1, { random: () => 1 }), Math.round(BACKOFF_BASE_MS * 1.1));
+  assert.equal(computeBackoffMs(0, { random: noJitter }), BACKOFF_BASE_MS);
+});
+
+test("isRetryableError: 5xx, 429, network errors retry; other 4xx don't", () => {
+  assert.equal(isRetryableError(new Error("socket hang up")), true);
+  assert.equal(isRetryableError(Object.assign(new Error("x"), { status: 503 })), true);
+  assert.equal(isRetryableError(Object.assign(new Error("x"), { status: 429 })), true);
+  assert.equal(isRetryableError(Object.assign(new Error("x"), { status: 404 })), false);
+  assert.equal(isRetryableError(Object.assign(new Error("x"), { status: 400 })), false);
+  assert.equal(isRetryableError(Object.assign(new Error("x"), { retryable: false })), false);
+});
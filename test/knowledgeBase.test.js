@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_FAQ_ENTRIES, MAX_FIELD_LENGTH, parseKnowledgeBase, knowledgeBasePrompt } from "../src/knowledgeBase.js";
+
+test("parseKnowledgeBase: normalizes fields and drops empty ones", () => {
+  const { knowledgeBase } = parseKnowledgeBase({
+    hours: "  Mon–Sat   11am–9pm ",
+    parking: "",
+    managers: "Dana (days), Luis (evenings)",
+    unknownField: "ignored",
+    faq: [
+      { question: " Do you take reservations? ", answer: "Only for 6 or more." },
+      { question: "", answer: "" }
+    ]
+  });
+  assert.deepEqual(knowledgeBase, {
+    hours: "Mon–Sat 11am–9pm",
+    managers: "Dana (days), Luis (evenings)",
+    faq: [{ question: "Do you take reservations?", answer: "Only for 6 or more." }]
+  });
+  assert.deepEqual(parseKnowledgeBase({ hours: " ", faq: [] }), { knowledgeBase: null });
+  assert.deepEqual(parseKnowledgeBase(null), { knowledgeBase: null });
+});
+
+test("parseKnowledgeBase: rejects bad input", () => {
+  assert.ok(parseKnowledgeBase("open late").error);
+  assert.ok(parseKnowledgeBase({ hours: "x".repeat(MAX_FIELD_LENGTH + 1) }).error);
+  assert.ok(parseKnowledgeBase({ faq: "Q: A:" }).error);
+  assert.ok(parseKnowledgeBase({ faq: [{ question: "Parking?" }] }).error);
+  const tooMany = Array.from({ length: MAX_FAQ_ENTRIES + 1 }, (_, i) => ({ question: `Q${i}?`, answer: "Yes." }));
+  assert.ok(parseKnowledgeBase({ faq: tooMany }).error);
+});
+
+test("knowledgeBasePrompt: labelled facts and FAQ, empty without any", () => {
+  assert.equal(knowledgeBasePrompt(null), "");
+  assert.equal(knowledgeBasePrompt({}), "");
+  const prompt = knowledgeBasePrompt({
+    refundPolicy: "Full refund within 7 days.",
+    hours: "9–5",
+    faq: [{ question: "Dogs?", answer: "On the patio." }]
+  });
+  assert.equal(
+    prompt,
+    "Business facts (use only where relevant to the review):\n- Hours: 9–5\n- Refund policy: Full refund within 7 days.\n- Q: Dogs? A: On the patio."
+  );
+});
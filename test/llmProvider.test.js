@@ -0,0 +1,59 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { getLlmProvider, isLlmConfigured } from "../src/llmProvider.js";
+import {
+  generateReplyWithClaude,
+  generateCampaignMessageWithClaude,
+  generateOneOffWithClaude,
+  getReplyModel
+} from "../src/ai.js";
+
+const saved = { LLM_PROVIDER: process.env.LLM_PROVIDER, ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY };
+
+afterEach(() => {
+  for (const [key, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+test("getLlmProvider: anthropic by default, stub by env, unknown names rejected", () => {
+  delete process.env.LLM_PROVIDER;
+  delete process.env.ANTHROPIC_API_KEY;
+  assert.equal(getLlmProvider().name, "anthropic");
+  assert.equal(isLlmConfigured(), false);
+  process.env.LLM_PROVIDER = " Stub ";
+  assert.equal(getLlmProvider().name, "stub");
+  assert.equal(isLlmConfigured(), true);
+  assert.equal(getReplyModel(), "stub");
+  process.env.LLM_PROVIDER = "nope";
+  assert.throws(() => getLlmProvider(), /Unknown LLM_PROVIDER/);
+  assert.equal(isLlmConfigured(), false);
+});
+
+test("stub: the same prompt always gets the same text", async () => {
+  process.env.LLM_PROVIDER = "stub";
+  const provider = getLlmProvider();
+  const a = await provider.complete({ system: "s", prompt: "p", maxTokens: 10 });
+  assert.deepEqual(await provider.complete({ system: "s", prompt: "p", maxTokens: 10 }), a);
+  assert.ok(a.text.length > 0);
+  assert.equal(a.inputTokens, 1);
+  assert.equal(a.outputTokens, Math.ceil(a.text.length / 4));
+});
+
+test("stub: reply and campaign generation work without an API key", async () => {
+  process.env.LLM_PROVIDER = "stub";
+  delete process.env.ANTHROPIC_API_KEY;
+  const reply = await generateReplyWithClaude(
+    { starRating: "FIVE", comment: "Great pho", reviewer: { displayName: "Dana K" } },
+    { businessName: "Pho 99", brandVoice: { signOff: "– Sam" } }
+  );
+  assert.ok(reply.endsWith("\n– Sam"));
+  const lowStar = await generateReplyWithClaude({ starRating: "TWO", comment: "Cold soup" }, { contact: "555-123-4567" });
+  assert.match(lowStar, /555-123-4567/);
+  const sms = await generateCampaignMessageWithClaude({ type: "birthday", businessName: "Pho 99" });
+  assert.match(sms, /\{\{first_name\}\}/);
+  const { subject, body } = await generateOneOffWithClaude({ prompt: "New patio", businessName: "Pho 99" });
+  assert.ok(subject && !/SUBJECT/.test(subject));
+  assert.match(body, /\{\{first_name\}\}/);
+});
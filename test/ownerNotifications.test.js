@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isValidNegativeAlertMaxRating,
+  normalizeDigestFrequency,
+  isAlertableReview,
+  isDigestDue,
+  digestPeriodStart,
+  summarizeDigest
+} from "../src/ownerNotifications.js";
+
+const tz = "America/New_York";
+// Wednesday 10 June 2026, 09:00 EDT.
+const wedMorning = new Date("2026-06-10T13:00:00Z");
+
+test("validators: alert threshold and digest frequency", () => {
+  assert.equal(isValidNegativeAlertMaxRating(2), true);
+  assert.equal(isValidNegativeAlertMaxRating("3"), true);
+  assert.equal(isValidNegativeAlertMaxRating(4), false);
+  assert.equal(isValidNegativeAlertMaxRating(1.5), false);
+  assert.equal(normalizeDigestFrequency("Weekly"), "weekly");
+  assert.equal(normalizeDigestFrequency("hourly"), null);
+});
+
+test("isAlertableReview: low rating, recent, alerts on", () => {
+  const now = wedMorning;
+  const recent = "2026-06-10T12:00:00Z";
+  assert.equal(isAlertableReview({ rating: 1, createTime: recent }, { maxRating: 2, now }), true);
+  assert.equal(isAlertableReview({ rating: 3, createTime: recent }, { maxRating: 2, now }), false);
+  assert.equal(isAlertableReview({ rating: 1, createTime: recent }, { maxRating: null, now }), false);
+  assert.equal(isAlertableReview({ rating: 1, createTime: "2026-06-01T00:00:00Z" }, { maxRating: 2, now }), false);
+  assert.equal(isAlertableReview({ rating: 1, createTime: null }, { maxRating: 2, now }), false);
+});
+
+test("isDigestDue: daily after the local hour, once per local day", () => {
+  const opts = { frequency: "daily", timeZone: tz };
+  assert.equal(isDigestDue({ ...opts, now: wedMorning }), true);
+  assert.equal(isDigestDue({ ...opts, now: new Date("2026-06-10T11:00:00Z") }), false); // 07:00 EDT
+  assert.equal(isDigestDue({ ...opts, lastSentAt: "2026-06-10T12:05:00Z", now: wedMorning }), false);
+  assert.equal(isDigestDue({ ...opts, lastSentAt: "2026-06-09T12:05:00Z", now: wedMorning }), true);
+  assert.equal(isDigestDue({ frequency: null, timeZone: tz, now: wedMorning }), false);
+});
+
+test("isDigestDue: weekly on Monday, or late once a week has passed", () => {
+  const opts = { frequency: "weekly", timeZone: tz };
+  assert.equal(isDigestDue({ ...opts, now: new Date("2026-06-08T13:00:00Z") }), true); // Monday
+  assert.equal(isDigestDue({ ...opts, now: wedMorning }), false);
+  assert.equal(isDigestDue({ ...opts, lastSentAt: "2026-06-01T12:30:00Z", now: wedMorning }), true);
+  assert.equal(isDigestDue({ ...opts, lastSentAt: "2026-06-08T12:30:00Z", now: wedMorning }), false);
+});
+
+test("digestPeriodStart: since the last digest, or one period back", () => {
+  assert.equal(digestPeriodStart({ frequency: "weekly", now: wedMorning }).toISOString(), "2026-06-03T13:00:00.000Z");
+  assert.equal(
+    digestPeriodStart({ frequency: "daily", lastSentAt: "2026-06-09T12:05:00Z", now: wedMorning }).toISOString(),
+    "2026-06-09T12:05:00.000Z"
+  );
+});
+
+test("summarizeDigest: counts, average, low-star and auto replies", () => {
+  const summary = summarizeDigest(
+    [{ rating: 5 }, { rating: 4 }, { rating: 1 }, { rating: null }],
+    [{ source: "auto" }, { source: "queued" }, { source: "attention" }]
+  );
+  assert.equal(summary.reviewCount, 4);
+  assert.equal(summary.averageRating, 3.3);
+  assert.deepEqual(summary.byRating, { 1: 1, 2: 0, 3: 0, 4: 1, 5: 1 });
+  assert.equal(summary.lowStarCount, 1);
+  assert.equal(summary.replyCount, 3);
+  assert.equal(summary.autoReplyCount, 2);
+  assert.equal(summarizeDigest([], []).averageRating, null);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_TIME_ZONE,
+  isValidTimeOfDay,
+  isValidTimeZone,
+  isValidJitterMinutes,
+  resolvePostingWindow,
+  isWithinPostingWindow,
+  nextWindowOpening,
+  computePostAt
+} from "../src/postingWindow.js";
+
+// 8am–8pm in Chicago (UTC-5 in June).
+const day = resolvePostingWindow({ postingWindowStart: "08:00", postingWindowEnd: "20:00", timeZone: "America/Chicago" });
+const overnight = resolvePostingWindow({ postingWindowStart: "22:00", postingWindowEnd: "06:00", timeZone: "UTC" });
+
+test("validators: time of day, time zone, jitter", () => {
+  assert.equal(isValidTimeOfDay("08:00"), true);
+  assert.equal(isValidTimeOfDay("23:59"), true);
+  assert.equal(isValidTimeOfDay("24:00"), false);
+  assert.equal(isValidTimeOfDay("8:00"), false);
+  assert.equal(isValidTimeZone("Europe/Berlin"), true);
+  assert.equal(isValidTimeZone("Mars/Olympus"), false);
+  assert.equal(isValidJitterMinutes(0), true);
+  assert.equal(isValidJitterMinutes("30"), true);
+  assert.equal(isValidJitterMinutes(121), false);
+  assert.equal(isValidJitterMinutes(-1), false);
+});
+
+test("resolvePostingWindow: null when unset or zero-length; default zone", () => {
+  assert.equal(resolvePostingWindow({}), null);
+  assert.equal(resolvePostingWindow({ postingWindowStart: "09:00", postingWindowEnd: "09:00" }), null);
+  assert.deepEqual(resolvePostingWindow({ postingWindowStart: "09:00", postingWindowEnd: "17:30" }), {
+    start: 540,
+    end: 1050,
+    timeZone: DEFAULT_TIME_ZONE
+  });
+});
+
+test("isWithinPostingWindow: local time, start inclusive, end exclusive", () => {
+  assert.equal(isWithinPostingWindow(day, new Date("2026-06-10T13:00:00Z")), true); // 08:00 CDT
+  assert.equal(isWithinPostingWindow(day, new Date("2026-06-10T12:59:00Z")), false);
+  assert.equal(isWithinPostingWindow(day, new Date("2026-06-11T01:00:00Z")), false); // 20:00 CDT
+  assert.equal(isWithinPostingWindow(null, new Date("2026-06-10T08:00:00Z")), true);
+});
+
+test("isWithinPostingWindow: windows that wrap past midnight", () => {
+  assert.equal(isWithinPostingWindow(overnight, new Date("2026-06-10T23:00:00Z")), true);
+  assert.equal(isWithinPostingWindow(overnight, new Date("2026-06-10T05:59:00Z")), true);
+  assert.equal(isWithinPostingWindow(overnight, new Date("2026-06-10T12:00:00Z")), false);
+});
+
+test("nextWindowOpening: later today, tomorrow, or now when open", () => {
+  // 03:00 CDT -> 08:00 CDT the same day.
+  assert.equal(nextWindowOpening(day, new Date("2026-06-10T08:00:00Z")).toISOString(), "2026-06-10T13:00:00.000Z");
+  // 21:30 CDT -> 08:00 CDT the next day.
+  assert.equal(nextWindowOpening(day, new Date("2026-06-11T02:30:45Z")).toISOString(), "2026-06-11T13:00:00.000Z");
+  const open = new Date("2026-06-10T15:00:00Z");
+  assert.equal(nextWindowOpening(day, open), open);
+});
+
+test("nextWindowOpening: lands on local start across a DST change", () => {
+  // 21:00 CST on Sat 7 Mar 2026; clocks spring forward overnight, so 08:00 CDT is 13:00Z.
+  assert.equal(nextWindowOpening(day, new Date("2026-03-08T03:00:00Z")).toISOString(), "2026-03-08T13:00:00.000Z");
+});
+
+test("computePostAt: jitter inside the window, never past its end", () => {
+  const inside = new Date("2026-06-10T15:00:00Z");
+  assert.equal(computePostAt(day, inside, { jitterMinutes: 30, random: () => 0.5 }).toISOString(), "2026-06-10T15:15:00.000Z");
+  assert.equal(computePostAt(null, inside, { jitterMinutes: 0 }).getTime(), inside.getTime());
+  // 19:50 CDT + 30 min would be after 20:00, so post at 19:50.
+  const nearEnd = new Date("2026-06-11T00:50:00Z");
+  assert.equal(computePostAt(day, nearEnd, { jitterMinutes: 30, random: () => 1 }).getTime(), nearEnd.getTime());
+  // Outside: the next opening plus jitter.
+  assert.equal(
+    computePostAt(day, new Date("2026-06-10T08:00:00Z"), { jitterMinutes: 20, random: () => 0.5 }).toISOString(),
+    "2026-06-10T13:10:00.000Z"
+  );
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// File mode with the stub provider; the repo-root state files are restored afterwards.
+delete process.env.DATABASE_URL;
+process.env.LLM_PROVIDER = "stub";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FILES = ["businesses.json", "business-locations.json", "replies.json", "ai-usage.json"].map((name) =>
+  path.join(ROOT, name)
+);
+const [BUSINESSES_PATH, LOCATIONS_PATH, REPLIES_PATH] = FILES;
+const saved = new Map();
+const quiet = { info() {}, warn() {}, error() {} };
+
+before(async () => {
+  for (const file of FILES) saved.set(file, await fs.readFile(file, "utf8").catch(() => null));
+  await fs.writeFile(
+    BUSINESSES_PATH,
+    JSON.stringify({ "acct-multi": { accountId: "acct-multi", locationId: "loc-main", name: "Pho 99", contact: "555-111-0000" } }),
+    "utf8"
+  );
+  await fs.writeFile(
+    LOCATIONS_PATH,
+    JSON.stringify({
+      "acct-multi": {
+        "loc-main": { accountId: "acct-multi", locationId: "loc-main", name: "Pho 99", contact: null, autoReplyEnabled: true },
+        "loc-east": {
+          accountId: "acct-multi",
+          locationId: "loc-east",
+          name: "Pho 99 East",
+          contact: "555-222-3333",
+          autoReplyEnabled: false
+        }
+      }
+    }),
+    "utf8"
+  );
+  await fs.writeFile(
+    REPLIES_PATH,
+    JSON.stringify([
+      {
+        id: 1,
+        accountId: "acct-multi",
+        locationId: "loc-east",
+        reviewId: "rev-east",
+        rating: 2,
+        reviewerName: "Dana Kowalski",
+        reviewText: "Cold soup.",
+        replyText: "Sorry about that.",
+        source: "auto",
+        postedAt: "2026-01-01T00:00:00.000Z"
+      },
+      {
+        id: 2,
+        accountId: "acct-multi",
+        locationId: "loc-main",
+        reviewId: "rev-legacy",
+        rating: null,
+        reviewText: null,
+        replyText: null,
+        source: "legacy",
+        postedAt: null
+      }
+    ]),
+    "utf8"
+  );
+});
+
+after(async () => {
+  for (const [file, content] of saved) {
+    if (content == null) await fs.rm(file, { force: true });
+    else await fs.writeFile(file, content, "utf8");
+  }
+});
+
+test("draftReplacementReply: uses the contact of the reply's own location", async () => {
+  const { draftReplacementReply } = await import("../src/auto.js");
+  const draft = await draftReplacementReply("acct-multi", 1, { logger: quiet });
+  assert.match(draft.comment, /555-222-3333/);
+  assert.doesNotMatch(draft.comment, /555-111-0000/);
+  assert.deepEqual(draft.violations, []);
+  assert.equal(await draftReplacementReply("acct-multi", 99, { logger: quiet }), null);
+});
+
+test("draftReplacementReply: writes from the review snapshot and reviewer", async () => {
+  process.env.LLM_STUB_ECHO = "1";
+  try {
+    const { draftReplacementReply } = await import("../src/auto.js");
+    const draft = await draftReplacementReply("acct-multi", 1, { logger: quiet });
+    // The echoing stub repeats the review it was given.
+    assert.match(draft.comment, /Cold soup\.$/);
+    assert.deepEqual(draft.violations, []);
+  } finally {
+    delete process.env.LLM_STUB_ECHO;
+  }
+});
+
+test("draftReplacementReply: rows without a review snapshot can't be redrafted", async () => {
+  const { draftReplacementReply } = await import("../src/auto.js");
+  await assert.rejects(draftReplacementReply("acct-multi", 2, { logger: quiet }), { code: "NO_REVIEW_SNAPSHOT" });
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_BACKLOG_DAYS,
+  DEFAULT_BACKLOG_BATCH_SIZE,
+  normalizeBacklogPolicy,
+  isValidBacklogDays,
+  getBacklogBatchSize,
+  isBacklogReview,
+  applyBacklogPolicy,
+  previewBacklogPolicies
+} from "../src/replyBacklog.js";
+
+const enabledAt = "2026-03-01T00:00:00Z";
+const review = (id, createTime) => ({ reviewId: id, createTime });
+const reviews = [
+  review("new", "2026-03-02T00:00:00Z"),
+  review("week-old", "2026-02-22T00:00:00Z"),
+  review("two-months", "2026-01-01T00:00:00Z"),
+  review("years", "2023-05-01T00:00:00Z"),
+  review("no-date", null)
+];
+const ids = (list) => list.map((r) => r.reviewId);
+
+test("normalizeBacklogPolicy: known values, env fallback, default all", () => {
+  assert.equal(normalizeBacklogPolicy("SKIP", {}), "skip");
+  assert.equal(normalizeBacklogPolicy("nope", {}), "all");
+  assert.equal(normalizeBacklogPolicy(null, { AUTO_REPLY_BACKLOG_POLICY: "recent" }), "recent");
+  assert.equal(normalizeBacklogPolicy("throttled", { AUTO_REPLY_BACKLOG_POLICY: "skip" }), "throttled");
+});
+
+test("isValidBacklogDays / getBacklogBatchSize", () => {
+  assert.equal(isValidBacklogDays(30), true);
+  assert.equal(isValidBacklogDays("7"), true);
+  assert.equal(isValidBacklogDays(0), false);
+  assert.equal(isValidBacklogDays(366), false);
+  assert.equal(isValidBacklogDays(2.5), false);
+  assert.equal(getBacklogBatchSize({}), DEFAULT_BACKLOG_BATCH_SIZE);
+  assert.equal(getBacklogBatchSize({ AUTO_REPLY_BACKLOG_BATCH_SIZE: "10" }), 10);
+  assert.equal(getBacklogBatchSize({ AUTO_REPLY_BACKLOG_BATCH_SIZE: "500" }), 50);
+});
+
+test("isBacklogReview: before enabledAt or undated; never without enabledAt", () => {
+  assert.equal(isBacklogReview(reviews[0], enabledAt), false);
+  assert.equal(isBacklogReview(reviews[1], enabledAt), true);
+  assert.equal(isBacklogReview(reviews[4], enabledAt), true);
+  assert.equal(isBacklogReview(reviews[3], null), false);
+});
+
+test("applyBacklogPolicy: all / skip / recent / throttled", () => {
+  const env = {};
+  assert.deepEqual(ids(applyBacklogPolicy(reviews, { policy: "all", enabledAt, env })), ids(reviews));
+  assert.deepEqual(ids(applyBacklogPolicy(reviews, { policy: "skip", enabledAt, env })), ["new"]);
+  assert.deepEqual(ids(applyBacklogPolicy(reviews, { policy: "recent", days: 30, enabledAt, env })), ["new", "week-old"]);
+  assert.deepEqual(ids(applyBacklogPolicy(reviews, { policy: "recent", days: 90, enabledAt, env })), [
+    "new",
+    "week-old",
+    "two-months"
+  ]);
+  assert.deepEqual(ids(applyBacklogPolicy(reviews, { policy: "throttled", batchSize: 2, enabledAt, env })), [
+    "new",
+    "week-old",
+    "two-months"
+  ]);
+});
+
+test("applyBacklogPolicy: no enabledAt means no backlog", () => {
+  assert.deepEqual(ids(applyBacklogPolicy(reviews, { policy: "skip", enabledAt: null, env: {} })), ids(reviews));
+});
+
+test("previewBacklogPolicies: counts per option", () => {
+  const preview = previewBacklogPolicies(reviews, { enabledAt, batchSize: 2, env: {} });
+  assert.equal(preview.backlog, 4);
+  assert.equal(preview.all, 4);
+  assert.equal(preview.recent, 1);
+  assert.equal(preview.days, DEFAULT_BACKLOG_DAYS);
+  assert.deepEqual(preview.throttled, { perRun: 2, runs: 2 });
+  assert.equal(preview.skip, 0);
+});
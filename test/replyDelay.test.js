@@ -7,6 +7,12 @@ import {
   getDelayMinutes,
   createCancelToken,
   verifyCancelToken,
+  createApproveToken,
+  verifyApproveToken,
+  createEditToken,
+  verifyEditToken,
+  normalizeEditedReply,
+  MAX_EDITED_REPLY_CHARS,
   DEFAULT_MODE,
   DEFAULT_DELAY_MAX_STAR,
   DEFAULT_DELAY_MINUTES
@@ -14,9 +20,10 @@ import {
 
 const SECRET = "test-cancel-secret-aaaaa";
 
-test("normalizeMode: 'instant' / 'delayed' / unknown -> default", () => {
+test("normalizeMode: 'instant' / 'delayed' / 'approval' / unknown -> default", () => {
   assert.equal(normalizeMode("instant"), "instant");
   assert.equal(normalizeMode("DELAYED"), "delayed");
+  assert.equal(normalizeMode("approval"), "approval");
   assert.equal(normalizeMode(" Delayed "), "delayed");
   assert.equal(normalizeMode("queue"), DEFAULT_MODE);
   assert.equal(normalizeMode(null), DEFAULT_MODE);
@@ -142,3 +149,49 @@ test("verifyCancelToken: returns null when secret is missing", () => {
   const tok = createCancelToken("acct-1", "loc-1", "rev-abc", SECRET);
   assert.equal(verifyCancelToken(tok, ""), null);
 });
+
+test("shouldDelayReply: approval mode holds every rating, even without email", () => {
+  for (const rating of [1, 2, 3, 4, 5, null]) {
+    assert.equal(
+      shouldDelayReply({ mode: "approval", rating, businessHasEmail: false, resendConfigured: false }),
+      "approval"
+    );
+  }
+});
+
+test("createApproveToken / verifyApproveToken roundtrip", () => {
+  const tok = createApproveToken("acct-1", "loc-1", "rev-abc", SECRET);
+  assert.deepEqual(verifyApproveToken(tok, SECRET), {
+    accountId: "acct-1",
+    locationId: "loc-1",
+    reviewId: "rev-abc"
+  });
+  assert.throws(() => createApproveToken("a", "b", "c", ""));
+});
+
+test("approve and cancel tokens are not interchangeable", () => {
+  const approve = createApproveToken("acct-1", "loc-1", "rev-abc", SECRET);
+  const cancel = createCancelToken("acct-1", "loc-1", "rev-abc", SECRET);
+  assert.equal(verifyCancelToken(approve, SECRET), null);
+  assert.equal(verifyApproveToken(cancel, SECRET), null);
+});
+
+test("createEditToken / verifyEditToken roundtrip; not a cancel token", () => {
+  const tok = createEditToken("acct-1", "loc-1", "rev-abc", SECRET);
+  assert.deepEqual(verifyEditToken(tok, SECRET), {
+    accountId: "acct-1",
+    locationId: "loc-1",
+    reviewId: "rev-abc"
+  });
+  assert.equal(verifyCancelToken(tok, SECRET), null);
+  assert.equal(verifyEditToken(createCancelToken("acct-1", "loc-1", "rev-abc", SECRET), SECRET), null);
+  assert.throws(() => createEditToken("a", "b", "c", ""));
+});
+
+test("normalizeEditedReply: trims, normalizes newlines, rejects empty / too long", () => {
+  assert.equal(normalizeEditedReply("  Thanks!\r\nSee you soon.  "), "Thanks!\nSee you soon.");
+  assert.equal(normalizeEditedReply("   "), null);
+  assert.equal(normalizeEditedReply(undefined), null);
+  assert.equal(normalizeEditedReply("x".repeat(MAX_EDITED_REPLY_CHARS)).length, MAX_EDITED_REPLY_CHARS);
+  assert.equal(normalizeEditedReply("x".repeat(MAX_EDITED_REPLY_CHARS + 1)), null);
+});
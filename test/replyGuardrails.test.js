@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkReply, contactTokens, describeViolations, guardrailFeedback } from "../src/replyGuardrails.js";
+
+const codes = (text, context) => checkReply(text, context).map((v) => v.code);
+
+test("contactTokens: phones, emails and hosts", () => {
+  assert.deepEqual(contactTokens("Call (555) 123-4567 or email Owner@Pho99.com, pho99.com/contact"), {
+    emails: ["owner@pho99.com"],
+    phones: ["5551234567"],
+    hosts: ["pho99.com"]
+  });
+  assert.deepEqual(contactTokens("the front desk"), { emails: [], phones: [], hosts: [] });
+});
+
+test("checkReply: low-star replies must include the business contact", () => {
+  const contact = "555-123-4567";
+  assert.deepEqual(codes("Sorry Dana. Please call us at (555) 123 4567.", { rating: 2, contact }), []);
+  assert.deepEqual(codes("Sorry Dana, please reach out to us.", { rating: 2, contact }), ["missing-contact"]);
+  assert.deepEqual(codes("Thanks Dana!", { rating: 5, contact }), []);
+  assert.deepEqual(codes("Sorry, please reach out.", { rating: 1, contact: "us via our Google listing" }), []);
+  assert.deepEqual(codes("Sorry, email hello@pho99.com.", { rating: 3, contact: "hello@pho99.com" }), []);
+});
+
+test("checkReply: compensation promises", () => {
+  assert.deepEqual(codes("We'll give you a full refund.", {}), ["promises-compensation"]);
+  assert.deepEqual(codes("Your next meal is on the house!", {}), ["promises-compensation"]);
+  assert.deepEqual(codes("Enjoy 20% off next time.", {}), ["promises-compensation"]);
+  assert.deepEqual(codes("You can count on us to do better.", {}), []);
+  assert.deepEqual(codes("Here's a voucher for your next visit.", {}), ["promises-compensation"]);
+  assert.deepEqual(codes("We'd be happy to refund you.", {}), ["promises-compensation"]);
+});
+
+test("checkReply: stating a policy from the knowledge base isn't an offer", () => {
+  const knowledgeBase = { refundPolicy: "Unopened items can be returned for a refund within 30 days." };
+  assert.deepEqual(codes("Per our refund policy, unopened items can be returned within 30 days.", { knowledgeBase }), []);
+  assert.deepEqual(codes("Refunds are available on unopened items within 30 days.", {}), []);
+  assert.deepEqual(codes("Per our refund policy, we'll refund you in full.", { knowledgeBase }), ["promises-compensation"]);
+});
+
+test("checkReply: contact details from the knowledge base are the business's own", () => {
+  const context = { rating: 2, contact: "555-123-4567", knowledgeBase: { managers: "Sam (555-222-3333, sam@pho99.com)" } };
+  assert.deepEqual(codes("Sorry! Call 555-123-4567 or our manager Sam at 555-222-3333.", context), []);
+  assert.deepEqual(codes("Sorry! Call 555-123-4567 or email sam@pho99.com.", context), []);
+  assert.deepEqual(codes("Sorry! Call 555-123-4567, we'll call you at 555-987-6543.", context), ["reviewer-pii"]);
+});
+
+test("checkReply: reviewer PII", () => {
+  assert.deepEqual(codes("Thanks Dana Kowalski!", { reviewerName: "Dana Kowalski" }), ["reviewer-pii"]);
+  assert.deepEqual(codes("Thanks Dana!", { reviewerName: "Dana Kowalski" }), []);
+  assert.deepEqual(codes("We'll call you at 555-987-6543.", { contact: "555-123-4567" }), ["reviewer-pii"]);
+  assert.deepEqual(codes("We emailed dana@example.com.", { contact: "hello@pho99.com" }), ["reviewer-pii"]);
+});
+
+test("checkReply: markdown, hashtags and echoed instructions", () => {
+  assert.deepEqual(codes("Thanks for the **kind** words!", {}), ["markdown"]);
+  assert.deepEqual(codes("Thanks!\n- great food\n- great staff", {}), ["markdown"]);
+  assert.deepEqual(codes("See you soon #pholife", {}), ["hashtag"]);
+  assert.deepEqual(codes("Here's a reply: Thanks for visiting!", {}), ["echoes-instructions"]);
+  assert.deepEqual(codes("As an AI, I appreciate your review.", {}), ["echoes-instructions"]);
+  assert.deepEqual(codes("We're #1 in your heart, we hope!", {}), ["hashtag"]);
+});
+
+test("describeViolations and guardrailFeedback", () => {
+  const violations = checkReply("Here is the reply: **Thanks**", {});
+  assert.equal(describeViolations(violations), "Uses markdown formatting; Repeats instructions or AI boilerplate");
+  assert.match(guardrailFeedback(violations), /^A previous draft was rejected: Uses markdown/);
+});
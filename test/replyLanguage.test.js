@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeLanguageCode,
+  originalReviewText,
+  detectLanguage,
+  detectReviewLanguage,
+  resolveReplyLanguage,
+  parseSupportedLanguages
+} from "../src/replyLanguage.js";
+
+test("normalizeLanguageCode: region and script tags, unknown codes", () => {
+  assert.equal(normalizeLanguageCode("es-419"), "es");
+  assert.equal(normalizeLanguageCode("zh-Hant"), "zh");
+  assert.equal(normalizeLanguageCode("VI"), "vi");
+  assert.equal(normalizeLanguageCode("xx"), null);
+  assert.equal(normalizeLanguageCode(null), null);
+});
+
+test("originalReviewText: Google translations and originalText", () => {
+  assert.deepEqual(originalReviewText({ comment: "(Translated by Google) Very good\n\n(Original)\nMuy bueno" }), {
+    text: "Muy bueno",
+    languageCode: null
+  });
+  assert.deepEqual(originalReviewText({ comment: "Phở rất ngon\n\n(Translated by Google)\nThe pho is very good" }), {
+    text: "Phở rất ngon",
+    languageCode: null
+  });
+  assert.deepEqual(originalReviewText({ comment: "Great", originalText: { text: "很好吃", languageCode: "zh-Hans" } }), {
+    text: "很好吃",
+    languageCode: "zh"
+  });
+});
+
+test("detectLanguage: scripts", () => {
+  assert.equal(detectLanguage("服务很好，菜也很好吃"), "zh");
+  assert.equal(detectLanguage("とても美味しかったです"), "ja");
+  assert.equal(detectLanguage("음식이 정말 맛있어요"), "ko");
+  assert.equal(detectLanguage("Очень вкусно"), "ru");
+});
+
+test("detectLanguage: Latin-script languages", () => {
+  assert.equal(detectLanguage("Phở rất ngon, nhân viên thân thiện"), "vi");
+  assert.equal(detectLanguage("Muy buena comida y excelente servicio"), "es");
+  assert.equal(detectLanguage("The food was great and the staff were friendly"), "en");
+  assert.equal(detectLanguage("Sehr lecker und freundlich"), "de");
+  assert.equal(detectLanguage("Très bon accueil, c'est délicieux"), "fr");
+  assert.equal(detectLanguage("👍"), null);
+  assert.equal(detectLanguage(""), null);
+});
+
+test("detectReviewLanguage: prefers Google's code, else the original text", () => {
+  assert.equal(detectReviewLanguage({ comment: "ok", originalText: { text: "ok", languageCode: "pt-BR" } }), "pt");
+  assert.equal(detectReviewLanguage({ comment: "(Translated by Google) Delicious\n\n(Original)\n太好吃了" }), "zh");
+});
+
+test("resolveReplyLanguage: fixed, supported list, or match the review", () => {
+  assert.equal(resolveReplyLanguage("es", {}), "es");
+  assert.equal(resolveReplyLanguage(null, {}), null);
+  assert.equal(resolveReplyLanguage("es", { replyLanguage: "en" }), "en");
+  assert.equal(resolveReplyLanguage("vi", { supportedLanguages: ["en", "es"] }), "en");
+  assert.equal(resolveReplyLanguage("es", { supportedLanguages: ["en", "es"] }), "es");
+  assert.equal(resolveReplyLanguage(null, { supportedLanguages: ["es", "en"] }), "es");
+});
+
+test("parseSupportedLanguages: normalizes, dedupes, rejects unknown", () => {
+  assert.deepEqual(parseSupportedLanguages(["EN", "es-MX", "en"]), { languages: ["en", "es"] });
+  assert.deepEqual(parseSupportedLanguages([]), { languages: null });
+  assert.deepEqual(parseSupportedLanguages(null), { languages: null });
+  assert.ok(parseSupportedLanguages(["klingon"]).error);
+  assert.ok(parseSupportedLanguages("en").error);
+});
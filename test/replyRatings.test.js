@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ALL_RATINGS,
+  parseReplyRatings,
+  invalidReplyRatings,
+  getDefaultReplyRatings,
+  resolveReplyRatings
+} from "../src/replyRatings.js";
+
+test("parseReplyRatings: arrays and comma strings, sorted + deduped", () => {
+  assert.deepEqual(parseReplyRatings([5, 4, 4]), [4, 5]);
+  assert.deepEqual(parseReplyRatings("3, 1,2"), [1, 2, 3]);
+  assert.deepEqual(parseReplyRatings(["5", "4"]), [4, 5]);
+});
+
+test("parseReplyRatings: drops out-of-range and non-integers", () => {
+  assert.deepEqual(parseReplyRatings([0, 1, 6, 2.5, "x", 5]), [1, 5]);
+});
+
+test("parseReplyRatings: missing or empty -> null", () => {
+  assert.equal(parseReplyRatings(null), null);
+  assert.equal(parseReplyRatings(undefined), null);
+  assert.equal(parseReplyRatings([]), null);
+  assert.equal(parseReplyRatings(""), null);
+  assert.equal(parseReplyRatings([0, 9]), null);
+});
+
+test("invalidReplyRatings: lists what parseReplyRatings would drop", () => {
+  assert.deepEqual(invalidReplyRatings([0, 1, 6, 2.5, "abc", 5]), [0, 6, 2.5, "abc"]);
+  assert.deepEqual(invalidReplyRatings("4,6,"), ["6"]);
+  assert.deepEqual(invalidReplyRatings([4, "5", null, ""]), []);
+  assert.deepEqual(invalidReplyRatings({ four: 4 }), ["[object Object]"]);
+});
+
+test("getDefaultReplyRatings: env override, otherwise all ratings", () => {
+  assert.deepEqual(getDefaultReplyRatings({ AUTO_REPLY_RATINGS: "4,5" }), [4, 5]);
+  assert.deepEqual(getDefaultReplyRatings({ AUTO_REPLY_RATINGS: "nonsense" }), ALL_RATINGS);
+  assert.deepEqual(getDefaultReplyRatings({}), ALL_RATINGS);
+});
+
+test("resolveReplyRatings: business setting wins over env", () => {
+  const env = { AUTO_REPLY_RATINGS: "1,2,3,4,5" };
+  assert.deepEqual([...resolveReplyRatings([4, 5], env)], [4, 5]);
+  assert.deepEqual([...resolveReplyRatings(null, env)], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...resolveReplyRatings(null, { AUTO_REPLY_RATINGS: "5" })], [5]);
+});
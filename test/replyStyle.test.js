@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_STYLE_SAMPLES, selectStyleSamples, styleExamplesPrompt } from "../src/replyStyle.js";
+
+function review(id, starRating, reply, updateTime, comment = "Nice place") {
+  return { reviewId: id, starRating, comment, reviewReply: reply ? { comment: reply, updateTime } : undefined };
+}
+
+test("selectStyleSamples: owner replies only, skipping short, repeated and excluded ones", () => {
+  const reviews = [
+    review("a", "FIVE", "Thanks so much Dana, see you next Friday!", "2026-01-03T00:00:00Z"),
+    review("b", "FIVE", "Thanks!", "2026-01-04T00:00:00Z"),
+    review("c", "FOUR", "thanks so much dana, see you next friday!", "2026-01-02T00:00:00Z"),
+    review("d", "ONE", "Sorry about the wait, call me at the shop and I'll make it right.", "2026-01-01T00:00:00Z"),
+    review("e", "FIVE", "An AI-written reply Replyr already posted here.", "2026-01-05T00:00:00Z"),
+    review("f", "THREE", null)
+  ];
+  const samples = selectStyleSamples(reviews, { excludeReviewIds: new Set(["e"]) });
+  assert.deepEqual(samples.map((s) => s.rating), [5, 1]);
+  assert.equal(samples[0].replyText, "Thanks so much Dana, see you next Friday!");
+  assert.equal(samples[0].reviewText, "Nice place");
+});
+
+test("selectStyleSamples: spreads across ratings, newest first within each", () => {
+  const reviews = [];
+  for (let i = 0; i < 10; i++) {
+    reviews.push(review(`five-${i}`, "FIVE", `Five star reply number ${i}, thank you kindly!`, `2026-02-${10 + i}T00:00:00Z`));
+  }
+  reviews.push(review("two", "TWO", "I'm sorry we let you down, please give us another chance.", "2026-01-01T00:00:00Z"));
+  const samples = selectStyleSamples(reviews);
+  assert.equal(samples.length, MAX_STYLE_SAMPLES);
+  assert.equal(samples[0].replyText, "Five star reply number 9, thank you kindly!");
+  assert.ok(samples.some((s) => s.rating === 2));
+});
+
+test("styleExamplesPrompt: numbered examples, empty without samples", () => {
+  assert.equal(styleExamplesPrompt([]), "");
+  assert.equal(styleExamplesPrompt(null), "");
+  const prompt = styleExamplesPrompt([{ rating: 1, reviewText: null, replyText: "So sorry, call me." }]);
+  assert.match(prompt, /Example 1 \(1 star\):\nReview: "\(No comment\)"\nOwner's reply: "So sorry, call me\."/);
+  assert.match(prompt, /follow the rules/);
+});
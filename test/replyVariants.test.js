@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  REPLY_VARIANTS,
+  MIN_CHOICES_FOR_PREFERENCE,
+  getReplyVariant,
+  orderVariantsByPreference,
+  preferredVariant,
+  dedupeCandidates,
+  findCandidate
+} from "../src/replyVariants.js";
+
+const keys = (variants) => variants.map((v) => v.key);
+
+test("orderVariantsByPreference: default order until there are enough picks", () => {
+  assert.deepEqual(keys(orderVariantsByPreference({})), ["balanced", "short", "warm"]);
+  assert.deepEqual(keys(orderVariantsByPreference({ warm: MIN_CHOICES_FOR_PREFERENCE - 1 })), ["balanced", "short", "warm"]);
+  assert.deepEqual(keys(orderVariantsByPreference({ warm: 2, short: 1 })), ["warm", "short", "balanced"]);
+  assert.deepEqual(keys(orderVariantsByPreference({ short: 2, warm: 2 })), ["short", "warm", "balanced"]);
+  assert.deepEqual(keys(orderVariantsByPreference({ balanced: 5, nope: 9 })), ["balanced", "short", "warm"]);
+});
+
+test("preferredVariant: only a non-standard favourite changes instant replies", () => {
+  assert.equal(preferredVariant({}), null);
+  assert.equal(preferredVariant({ balanced: 4 }), null);
+  assert.equal(preferredVariant({ short: 3 }).key, "short");
+  assert.equal(preferredVariant({ short: 3 }).instruction, getReplyVariant("short").instruction);
+});
+
+test("dedupeCandidates and findCandidate", () => {
+  const candidates = dedupeCandidates([
+    { variant: "balanced", text: "Thanks for visiting!" },
+    { variant: "short", text: " thanks for visiting! " },
+    { variant: "warm", text: "" },
+    { variant: "warm", text: "Thank you so much, Dana!" }
+  ]);
+  assert.deepEqual(keys(candidates.map((c) => ({ key: c.variant }))), ["balanced", "warm"]);
+  assert.equal(findCandidate(candidates, "warm").text, "Thank you so much, Dana!");
+  assert.equal(findCandidate(candidates, "short"), null);
+  assert.equal(findCandidate(null, "short"), null);
+  assert.equal(getReplyVariant("nope"), null);
+  assert.equal(REPLY_VARIANTS[0].instruction, null);
+});
@@ -0,0 +1,104 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// File mode, with Resend pointed at a local server that records the emails.
+delete process.env.DATABASE_URL;
+process.env.RESEND_API_KEY = "re_test";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const BUSINESSES_PATH = path.join(ROOT, "businesses.json");
+const sentEmails = [];
+// Runs while an email request is in flight, before Resend answers.
+let duringSend = null;
+let server;
+let savedBusinesses = null;
+
+// A zone where it's past the 8am digest hour right now (UTC, or UTC+14 before 8am UTC).
+const timeZone = new Date().getUTCHours() >= 8 ? "UTC" : "Pacific/Kiritimati";
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      sentEmails.push({ path: req.url, body: JSON.parse(body || "{}") });
+      if (duringSend) await duringSend();
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ id: `email-${sentEmails.length}` }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.RESEND_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  savedBusinesses = await fs.readFile(BUSINESSES_PATH, "utf8").catch(() => null);
+});
+
+after(async () => {
+  if (savedBusinesses == null) await fs.rm(BUSINESSES_PATH, { force: true });
+  else await fs.writeFile(BUSINESSES_PATH, savedBusinesses, "utf8");
+  await new Promise((resolve) => server.close(resolve));
+});
+
+test("sendDueDigests: emails a stored business whose digest is due, once", async () => {
+  await fs.writeFile(
+    BUSINESSES_PATH,
+    JSON.stringify({
+      "acct-digest": {
+        accountId: "acct-digest",
+        name: "Pho 99",
+        notificationEmail: "owner@example.com",
+        digestFrequency: "daily",
+        digestLastSentAt: null,
+        timeZone
+      },
+      "acct-off": { accountId: "acct-off", name: "No Digest", notificationEmail: "other@example.com", digestFrequency: null }
+    }),
+    "utf8"
+  );
+  const { sendDueDigests } = await import("../src/auto.js");
+  const quiet = { info() {}, warn() {}, error() {} };
+
+  assert.deepEqual(await sendDueDigests(quiet), { sent: 1 });
+  assert.equal(sentEmails.length, 1);
+  assert.deepEqual(sentEmails[0].body.to, ["owner@example.com"]);
+  const stored = JSON.parse(await fs.readFile(BUSINESSES_PATH, "utf8"));
+  assert.ok(stored["acct-digest"].digestLastSentAt);
+
+  // Already sent today.
+  assert.deepEqual(await sendDueDigests(quiet), { sent: 0 });
+  assert.equal(sentEmails.length, 1);
+});
+
+test("sendDueDigests: keeps settings the owner saved while the digest was sending", async () => {
+  await fs.writeFile(
+    BUSINESSES_PATH,
+    JSON.stringify({
+      "acct-digest": {
+        accountId: "acct-digest",
+        name: "Pho 99",
+        notificationEmail: "owner@example.com",
+        digestFrequency: "daily",
+        digestLastSentAt: null,
+        timeZone
+      }
+    }),
+    "utf8"
+  );
+  const { sendDueDigests } = await import("../src/auto.js");
+  const { upsertBusiness } = await import("../src/businesses.js");
+  const quiet = { info() {}, warn() {}, error() {} };
+
+  duringSend = () => upsertBusiness({ accountId: "acct-digest", digestFrequency: "weekly", notificationEmail: "new@example.com" });
+  try {
+    assert.deepEqual(await sendDueDigests(quiet), { sent: 1 });
+  } finally {
+    duringSend = null;
+  }
+  const stored = JSON.parse(await fs.readFile(BUSINESSES_PATH, "utf8"))["acct-digest"];
+  assert.ok(stored.digestLastSentAt);
+  assert.equal(stored.digestFrequency, "weekly");
+  assert.equal(stored.notificationEmail, "new@example.com");
+});
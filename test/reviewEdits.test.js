@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { hasReviewChangedSinceReply, isOurReplyStillPosted, needsRefreshedReply } from "../src/reviewEdits.js";
+
+const lastReply = {
+  rating: 1,
+  reviewUpdateTime: "2026-01-01T10:00:00Z",
+  replyText: "So sorry to hear this.\nPlease call us."
+};
+
+test("hasReviewChangedSinceReply: rating change or newer updateTime", () => {
+  assert.equal(hasReviewChangedSinceReply(lastReply, { rating: 4, reviewUpdateTime: "2026-01-01T10:00:00Z" }), true);
+  assert.equal(hasReviewChangedSinceReply(lastReply, { rating: 1, reviewUpdateTime: "2026-01-02T08:00:00Z" }), true);
+  assert.equal(hasReviewChangedSinceReply(lastReply, { rating: 1, reviewUpdateTime: "2026-01-01T10:00:00Z" }), false);
+  assert.equal(hasReviewChangedSinceReply(lastReply, { rating: 1, reviewUpdateTime: null }), false);
+});
+
+test("hasReviewChangedSinceReply: legacy rows and missing history never count", () => {
+  assert.equal(hasReviewChangedSinceReply(null, { rating: 5, reviewUpdateTime: "2026-01-02T00:00:00Z" }), false);
+  const legacy = { rating: null, reviewUpdateTime: null, replyText: null };
+  assert.equal(hasReviewChangedSinceReply(legacy, { rating: 5, reviewUpdateTime: "2026-01-02T00:00:00Z" }), false);
+  // Replied before updateTime was stored: only a rating change counts.
+  const ratingOnly = { rating: 2, reviewUpdateTime: null };
+  assert.equal(hasReviewChangedSinceReply(ratingOnly, { rating: 2, reviewUpdateTime: "2026-01-02T00:00:00Z" }), false);
+  assert.equal(hasReviewChangedSinceReply(ratingOnly, { rating: 5, reviewUpdateTime: "2026-01-02T00:00:00Z" }), true);
+});
+
+test("isOurReplyStillPosted: ignores whitespace, false when deleted or rewritten", () => {
+  assert.equal(isOurReplyStillPosted("So sorry to hear this. Please call us.", lastReply.replyText), true);
+  assert.equal(isOurReplyStillPosted("", lastReply.replyText), false);
+  assert.equal(isOurReplyStillPosted("Thanks, we fixed it!", lastReply.replyText), false);
+  assert.equal(isOurReplyStillPosted("Anything", null), false);
+});
+
+test("needsRefreshedReply: edited review with our reply still up", () => {
+  const review = { rating: 4, updateTime: "2026-01-03T00:00:00Z", replyComment: lastReply.replyText };
+  assert.equal(needsRefreshedReply(review, lastReply), true);
+  assert.equal(needsRefreshedReply({ ...review, replyComment: "Owner wrote this" }, lastReply), false);
+  assert.equal(needsRefreshedReply(review, { ...lastReply, refreshCancelled: true }), false);
+  assert.equal(needsRefreshedReply(review, null), false);
+  assert.equal(
+    needsRefreshedReply({ rating: 1, updateTime: lastReply.reviewUpdateTime, replyComment: lastReply.replyText }, lastReply),
+    false
+  );
+});
+
+test("needsRefreshedReply: a newer updateTime must also postdate the reply on Google", () => {
+  const base = { rating: 1, updateTime: "2026-01-02T00:00:00Z", replyComment: lastReply.replyText };
+  assert.equal(needsRefreshedReply({ ...base, replyUpdateTime: "2026-01-01T10:00:05Z" }, lastReply), true);
+  assert.equal(needsRefreshedReply({ ...base, replyUpdateTime: "2026-01-02T00:00:00Z" }, lastReply), false);
+  // A rating change is enough on its own.
+  assert.equal(needsRefreshedReply({ ...base, rating: 5, replyUpdateTime: "2026-01-03T00:00:00Z" }, lastReply), true);
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { recordReviewFailure, isReviewBlocked } from "../src/reviewFailures.js";
+import { BACKOFF_BASE_MS } from "../src/jobBackoff.js";
+
+const now = new Date("2026-01-01T00:00:00Z");
+const opts = { now, maxAttempts: 3, random: () => 0 };
+
+test("recordReviewFailure: first failure backs off by the base delay", () => {
+  const f = recordReviewFailure(null, new Error("socket hang up"), opts);
+  assert.equal(f.attempts, 1);
+  assert.equal(f.lastError, "socket hang up");
+  assert.equal(f.failedAt, null);
+  assert.equal(f.nextAttemptAt, new Date(now.getTime() + BACKOFF_BASE_MS).toISOString());
+});
+
+test("recordReviewFailure: permanent once attempts run out", () => {
+  const f = recordReviewFailure({ attempts: 2 }, new Error("boom"), opts);
+  assert.equal(f.attempts, 3);
+  assert.equal(f.failedAt, now.toISOString());
+  assert.equal(f.nextAttemptAt, null);
+});
+
+test("recordReviewFailure: non-retryable errors fail permanently at once", () => {
+  const f = recordReviewFailure(null, Object.assign(new Error("Not found"), { status: 404 }), opts);
+  assert.equal(f.attempts, 1);
+  assert.equal(f.failedAt, now.toISOString());
+});
+
+test("recordReviewFailure: long errors are truncated", () => {
+  const f = recordReviewFailure(null, new Error("x".repeat(2000)), opts);
+  assert.equal(f.lastError.length, 500);
+});
+
+test("isReviewBlocked: backing off, due again, permanently failed", () => {
+  assert.equal(isReviewBlocked(null, now), false);
+  assert.equal(isReviewBlocked({ nextAttemptAt: "2026-01-01T00:05:00Z" }, now), true);
+  assert.equal(isReviewBlocked({ nextAttemptAt: "2025-12-31T23:55:00Z" }, now), false);
+  assert.equal(isReviewBlocked({ failedAt: "2025-12-01T00:00:00Z", nextAttemptAt: null }, now), true);
+});